@@ -0,0 +1,42 @@
+/**
+ * Retell agent selection
+ * French visitors ("fr", "fr-CA"...) get the French agent when one is
+ * configured, otherwise the default agent. Chat and voice agents are separate
+ * agents in Retell; without RETELL_VOICE_AGENT_ID* the chat agent IDs are
+ * used, for accounts whose agent handles both.
+ */
+
+/**
+ * @param {string|undefined} locale
+ * @returns {boolean}
+ */
+function isFrench(locale) {
+  return typeof locale === 'string' && /^fr\b/i.test(locale);
+}
+
+/**
+ * Pick the chat agent for the visitor's language
+ * @param {string|undefined} locale
+ * @returns {string|undefined} Agent ID
+ */
+export function getAgentId(locale) {
+  const { RETELL_AGENT_ID, RETELL_AGENT_ID_FR } = process.env;
+  if (isFrench(locale) && RETELL_AGENT_ID_FR) {
+    return RETELL_AGENT_ID_FR;
+  }
+  return RETELL_AGENT_ID;
+}
+
+/**
+ * Pick the voice agent (web calls and phone callbacks) for the visitor's language
+ * @param {string|undefined} locale
+ * @returns {string|undefined} Agent ID
+ */
+export function getVoiceAgentId(locale) {
+  const { RETELL_VOICE_AGENT_ID, RETELL_VOICE_AGENT_ID_FR, RETELL_AGENT_ID_FR } = process.env;
+  const frenchAgentId = RETELL_VOICE_AGENT_ID_FR || RETELL_AGENT_ID_FR;
+  if (isFrench(locale) && frenchAgentId) {
+    return frenchAgentId;
+  }
+  return RETELL_VOICE_AGENT_ID || getAgentId();
+}
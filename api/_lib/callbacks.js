@@ -0,0 +1,302 @@
+/**
+ * Callback requests: visitors asking to be phoned back
+ * A request for "as soon as possible" made during business hours is called
+ * right away (Retell outbound phone call); any other request waits in the
+ * `callbacks` collection until api/process-callbacks places it.
+ *
+ * Configuration:
+ * - RETELL_FROM_NUMBER: Retell number the calls are placed from (E.164).
+ *   Without it every request is only queued.
+ * - CALLBACK_TIMEZONE (America/Toronto), CALLBACK_DAYS (1-5, ISO weekdays,
+ *   Monday = 1) and CALLBACK_HOURS (8-18, end excluded): business hours.
+ */
+import { randomUUID } from 'node:crypto';
+import { retellFetch, retellError } from './retell.js';
+import { getVoiceAgentId } from './agents.js';
+import { isSharedStore, updateRecord } from './store.js';
+
+export const CALLBACKS_COLLECTION = 'callbacks';
+
+/** Failed placements are retried by the queue up to this many attempts */
+export const MAX_CALLBACK_ATTEMPTS = 3;
+
+const MAX_SCHEDULE_DAYS = 30;
+// Times slightly in the past (clock skew, slow form) still count as valid
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHAT_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// NANP: area code and exchange start with 2-9; N11 codes are service numbers
+const NANP_PATTERN = /^([2-9]\d{2})([2-9]\d{2})(\d{4})$/;
+const SERVICE_CODE_PATTERN = /^[2-9]11$/;
+
+/** Caller details passed on to the agent, with max lengths */
+const CALLER_FIELDS = {
+  first_name: 100,
+  last_name: 100,
+  company_name: 200,
+  email: 254
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * @typedef {Object} CallbackRecord
+ * @property {string} id
+ * @property {string} chat_id - Chat the request was made from
+ * @property {string} phone - E.164, e.g. +15145550100
+ * @property {string|null} scheduled_for - ISO time; null = as soon as possible
+ * @property {string} locale
+ * @property {Object<string, string>} caller - Name, company, email known to the chat
+ * @property {'scheduled'|'placing'|'calling'|'failed'} status - "placing" while a
+ *   function dials it (left as is if that function dies: it may have dialed)
+ * @property {string|null} call_id - Retell call, once placed
+ * @property {number} attempts
+ * @property {string|null} last_error
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} BusinessHours
+ * @property {string} timeZone
+ * @property {number[]} days - ISO weekdays (Monday = 1)
+ * @property {number} start - First hour (0-23)
+ * @property {number} end - Hour the day ends (1-24, excluded)
+ */
+
+/**
+ * North American (NANP) phone number, with or without the leading 1
+ * @param {*} value - e.g. "514-555-0100", "+1 (514) 555 0100"
+ * @returns {string|null} E.164 number, or null if not a valid Canadian/US number
+ */
+export function normalizeNanpPhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const text = String(value).trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+
+  let digits = text.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+
+  const match = NANP_PATTERN.exec(digits);
+  if (!match || SERVICE_CODE_PATTERN.test(match[1]) || SERVICE_CODE_PATTERN.test(match[2])) {
+    return null;
+  }
+  return `+1${digits}`;
+}
+
+/**
+ * @param {string|undefined} value - e.g. "1-5" or "8"
+ * @param {[number, number]} fallback
+ * @returns {[number, number]}
+ */
+function parseRange(value, fallback) {
+  const match = /^\s*(\d{1,2})\s*(?:-\s*(\d{1,2}))?\s*$/.exec(value || '');
+  if (!match) return fallback;
+  const from = Number(match[1]);
+  return [from, match[2] === undefined ? from : Number(match[2])];
+}
+
+/**
+ * Business hours from the environment
+ * @returns {BusinessHours}
+ */
+export function getBusinessHours() {
+  const [firstDay, lastDay] = parseRange(process.env.CALLBACK_DAYS, [1, 5]);
+  const [start, end] = parseRange(process.env.CALLBACK_HOURS, [8, 18]);
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day++) days.push(day);
+
+  return {
+    timeZone: process.env.CALLBACK_TIMEZONE || 'America/Toronto',
+    days,
+    start,
+    end
+  };
+}
+
+/**
+ * Check if a time falls within business hours (in their time zone)
+ * @param {Date} [date]
+ * @param {BusinessHours} [hours]
+ * @returns {boolean}
+ */
+export function isWithinBusinessHours(date = new Date(), hours = getBusinessHours()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: hours.timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const weekday = WEEKDAYS.indexOf(parts.find(part => part.type === 'weekday')?.value) + 1;
+  const hour = Number(parts.find(part => part.type === 'hour')?.value);
+  return hours.days.includes(weekday) && hour >= hours.start && hour < hours.end;
+}
+
+/**
+ * Check if Retell outbound calls are configured
+ * @returns {boolean}
+ */
+export function canPlaceCalls() {
+  return Boolean(process.env.RETELL_FROM_NUMBER);
+}
+
+/**
+ * Check if queued callbacks will be placed: api/process-callbacks only runs
+ * for the Vercel cron, which authenticates with CRON_SECRET, and only sees
+ * this instance's queue unless the store is shared
+ * @returns {boolean}
+ */
+export function canQueueCallbacks() {
+  return canPlaceCalls() && Boolean(process.env.CRON_SECRET) && isSharedStore();
+}
+
+/**
+ * Validate a callback request
+ * @param {{chat_id?: string, phone?: string, preferred_time?: string, locale?: string, caller?: Object}} body
+ * @param {number} [now]
+ * @returns {{errors: string[], request: {chat_id: string, phone: string, scheduled_for: string|null, locale: string, caller: Object<string, string>}|null}}
+ */
+export function validateCallbackRequest(body = {}, now = Date.now()) {
+  const errors = [];
+
+  if (typeof body.chat_id !== 'string' || !CHAT_ID_PATTERN.test(body.chat_id)) {
+    errors.push('chat_id is required');
+  }
+
+  const phone = normalizeNanpPhone(body.phone);
+  if (!phone) errors.push('phone must be a Canadian or US phone number');
+
+  let scheduledFor = null;
+  const preferredTime = body.preferred_time ?? 'asap';
+  if (preferredTime !== 'asap') {
+    const time = typeof preferredTime === 'string' ? Date.parse(preferredTime) : NaN;
+    if (!Number.isFinite(time)) {
+      errors.push('preferred_time must be "asap" or an ISO date-time');
+    } else if (time < now - CLOCK_SKEW_MS || time > now + MAX_SCHEDULE_DAYS * DAY_MS) {
+      errors.push(`preferred_time must be within the next ${MAX_SCHEDULE_DAYS} days`);
+    } else {
+      scheduledFor = new Date(Math.max(time, now)).toISOString();
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors, request: null };
+  }
+
+  const source = body.caller && typeof body.caller === 'object' ? body.caller : {};
+  const caller = {};
+  Object.entries(CALLER_FIELDS).forEach(([name, maxLength]) => {
+    const value = source[name];
+    if (typeof value === 'string' && value.trim()) {
+      caller[name] = value.trim().slice(0, maxLength);
+    }
+  });
+
+  return {
+    errors,
+    request: {
+      chat_id: body.chat_id,
+      phone,
+      scheduled_for: scheduledFor,
+      locale: typeof body.locale === 'string' && /^fr\b/i.test(body.locale) ? 'fr-CA' : 'en-CA',
+      caller
+    }
+  };
+}
+
+/**
+ * Create the stored record for a validated request
+ * @param {ReturnType<typeof validateCallbackRequest>['request']} request
+ * @param {Object} [options]
+ * @param {boolean} [options.callNow=false] - Dialed right away: stored as
+ *   "placing", so the queue never picks it up
+ * @returns {CallbackRecord}
+ */
+export function createCallback(request, { callNow = false } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: `cb_${randomUUID()}`,
+    ...request,
+    status: callNow ? 'placing' : 'scheduled',
+    call_id: null,
+    attempts: 0,
+    last_error: null,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * Check if a queued callback should be placed now
+ * @param {CallbackRecord} callback
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isDue(callback, now = Date.now()) {
+  return callback.status === 'scheduled'
+    && (!callback.scheduled_for || Date.parse(callback.scheduled_for) <= now);
+}
+
+/**
+ * Take a queued callback for placing ("scheduled" → "placing")
+ * Atomic, so overlapping queue runs never dial the same callback twice.
+ * @param {import('./store.js').Store} store
+ * @param {string} id
+ * @returns {Promise<CallbackRecord|null>} The claimed callback, or null if it
+ *   is no longer scheduled
+ */
+export function claimCallback(store, id) {
+  return updateRecord(store, CALLBACKS_COLLECTION, id, callback => (
+    callback.status === 'scheduled'
+      ? { ...callback, status: 'placing', updated_at: new Date().toISOString() }
+      : null
+  ));
+}
+
+/**
+ * Place the outbound call of a "placing" callback and record the outcome
+ * A failure leaves the callback queued for another attempt, until
+ * MAX_CALLBACK_ATTEMPTS is reached.
+ * @param {import('./store.js').Store} store
+ * @param {CallbackRecord} callback - Claimed (claimCallback) or created with callNow
+ * @returns {Promise<CallbackRecord>}
+ */
+export async function placeCallback(store, callback) {
+  const agentId = getVoiceAgentId(callback.locale);
+  callback.attempts += 1;
+
+  try {
+    const response = await retellFetch('/v2/create-phone-call', {
+      method: 'POST',
+      body: {
+        from_number: process.env.RETELL_FROM_NUMBER,
+        to_number: callback.phone,
+        ...(agentId && { override_agent_id: agentId }),
+        retell_llm_dynamic_variables: { ...callback.caller, user_number: callback.phone, locale: callback.locale },
+        metadata: { callback_id: callback.id, chat_id: callback.chat_id }
+      }
+    });
+
+    if (!response.ok) {
+      throw await retellError(response, 'Failed to create phone call');
+    }
+
+    const data = await response.json();
+    callback.status = 'calling';
+    callback.call_id = data.call_id || null;
+    callback.last_error = null;
+  } catch (error) {
+    console.error(`❌ Error placing callback ${callback.id} (attempt ${callback.attempts}):`, error.message);
+    callback.status = callback.attempts >= MAX_CALLBACK_ATTEMPTS ? 'failed' : 'scheduled';
+    callback.last_error = error.message;
+  }
+
+  callback.updated_at = new Date().toISOString();
+  await store.put(CALLBACKS_COLLECTION, callback);
+  return callback;
+}
@@ -0,0 +1,124 @@
+/**
+ * Chat context sent by the widget on chat creation
+ * Turns the untrusted { locale, context, visitor } body into Retell
+ * `retell_llm_dynamic_variables` and chat `metadata`.
+ *
+ * Only whitelisted fields are kept, every value is a trimmed string with a
+ * per-field length limit, and the total size is capped so a page can't
+ * inflate the agent prompt.
+ *
+ * Files in api/_lib are shared helpers, not deployed as functions.
+ */
+
+/** Field → max length, in priority order (earlier fields win when over the total cap) */
+const VISITOR_FIELDS = {
+  first_name: 100,
+  last_name: 100,
+  email: 254,
+  company_name: 200,
+  user_number: 40
+};
+
+const CONTEXT_FIELDS = {
+  page_url: 1000,
+  page_title: 200,
+  referrer: 1000,
+  utm_source: 100,
+  utm_medium: 100,
+  utm_campaign: 200,
+  utm_term: 200,
+  utm_content: 200
+};
+
+const URL_FIELDS = ['page_url', 'referrer'];
+const MAX_TOTAL_LENGTH = 4000;
+
+/**
+ * Normalize an untrusted value to a single-line string
+ * @param {*} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanValue(value, maxLength) {
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+  return String(value)
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Keep only http(s) URLs
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanUrl(value) {
+  if (!value) return '';
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? value : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Pick whitelisted fields from an object
+ * @param {*} source
+ * @param {Object<string, number>} fields - Field → max length
+ * @returns {Object<string, string>}
+ */
+function pickFields(source, fields) {
+  const input = source && typeof source === 'object' ? source : {};
+  const result = {};
+
+  Object.entries(fields).forEach(([name, maxLength]) => {
+    const value = cleanValue(input[name], maxLength);
+    result[name] = URL_FIELDS.includes(name) ? cleanUrl(value) : value;
+  });
+
+  return result;
+}
+
+/**
+ * Drop values (lowest priority first) until the total size fits
+ * @param {Object<string, string>} variables
+ * @returns {Object<string, string>}
+ */
+function capTotalLength(variables) {
+  const capped = { ...variables };
+  const names = Object.keys(capped).reverse();
+  let total = Object.values(capped).reduce((sum, value) => sum + value.length, 0);
+
+  for (const name of names) {
+    if (total <= MAX_TOTAL_LENGTH) break;
+    total -= capped[name].length;
+    capped[name] = '';
+  }
+
+  return capped;
+}
+
+/**
+ * Build the Retell fields for a new chat
+ * Every whitelisted variable is always sent (empty when unknown) so agent
+ * prompts never show a raw {{placeholder}}
+ * @param {{locale?: string, context?: Object, visitor?: Object}} [body] - Request body
+ * @returns {{dynamicVariables: Object<string, string>, metadata: Object<string, string>}}
+ */
+export function buildChatContext(body = {}) {
+  const requestedLocale = cleanValue(body.locale, 10);
+  const locale = /^[a-z]{2}(-[a-z]{2})?$/i.test(requestedLocale) ? requestedLocale : 'en-CA';
+  const visitor = pickFields(body.visitor, VISITOR_FIELDS);
+  const context = pickFields(body.context, CONTEXT_FIELDS);
+
+  const dynamicVariables = capTotalLength({ locale, ...visitor, ...context });
+
+  // Metadata is stored with the chat (visible in webhooks), not shown to the agent
+  const metadata = { source: 'web_chat', locale };
+  Object.keys(CONTEXT_FIELDS).forEach(name => {
+    if (dynamicVariables[name]) metadata[name] = dynamicVariables[name];
+  });
+
+  return { dynamicVariables, metadata };
+}
@@ -0,0 +1,130 @@
+/**
+ * Chat tokens: bind a browser to the chat it created
+ * /api/create-chat issues a signed, short-lived token for the new chat_id;
+ * the widget sends it back in the X-Chat-Token header, and the endpoints that
+ * take a chat_id reject calls whose token is missing, expired or for another
+ * chat. Every accepted call returns a refreshed token, so an active chat
+ * never expires.
+ *
+ * Token: base64url(JSON { cid, iat, exp }) + "." + base64url(HMAC-SHA256)
+ * Secret: CHAT_TOKEN_SECRET, or a key derived from RETELL_API_KEY when unset.
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './middleware.js';
+
+export const CHAT_TOKEN_HEADER = 'X-Chat-Token';
+
+// Matches the widget's idle session lifetime, with some slack (seconds)
+const DEFAULT_TTL = 60 * 60;
+
+/**
+ * @returns {number} Token lifetime in seconds (CHAT_TOKEN_TTL)
+ */
+function getTtl() {
+  const ttl = Number.parseInt(process.env.CHAT_TOKEN_TTL, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL;
+}
+
+/**
+ * @returns {string} Signing secret
+ */
+function getSecret() {
+  if (process.env.CHAT_TOKEN_SECRET) {
+    return process.env.CHAT_TOKEN_SECRET;
+  }
+  if (process.env.RETELL_API_KEY) {
+    // Derived, so a leaked token secret never reveals the API key
+    return createHmac('sha256', process.env.RETELL_API_KEY).update('flexspace-chat-token').digest('hex');
+  }
+  throw new ApiError(500, 'config_missing', 'Missing CHAT_TOKEN_SECRET env variable');
+}
+
+/**
+ * @param {string} payload
+ * @returns {string}
+ */
+function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token for a chat
+ * @param {string} chatId
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+export function issueChatToken(chatId, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const payload = Buffer.from(JSON.stringify({ cid: chatId, iat, exp: iat + getTtl() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token against the chat it is used for
+ * @param {string|undefined} token
+ * @param {string} chatId
+ * @param {number} [now=Date.now()]
+ * @returns {{valid: true} | {valid: false, reason: 'missing'|'invalid'|'expired'|'mismatch'}}
+ */
+export function verifyChatToken(token, chatId, now = Date.now()) {
+  if (typeof token !== 'string' || !token) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (claims.cid !== chatId) {
+    return { valid: false, reason: 'mismatch' };
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(now / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Middleware: require a valid X-Chat-Token for the request's chat_id
+ * Runs after body parsing; answers 401 invalid_chat_token (or
+ * chat_token_expired) and sends a refreshed token on success.
+ * @param {function(Object): (string|undefined)} getChatId - Chat ID of the request
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Let requests without a chat_id through
+ * @returns {Function}
+ */
+export function requireChatToken(getChatId, { optional = false } = {}) {
+  return async (req, res, next) => {
+    const chatId = getChatId(req);
+    if (!chatId) {
+      if (optional) return next();
+      throw ApiError.badRequest('chat_id is required');
+    }
+
+    const result = verifyChatToken(req.headers[CHAT_TOKEN_HEADER.toLowerCase()], String(chatId));
+    if (!result.valid) {
+      console.warn(`⚠️ Rejected chat token (${result.reason}) for ${chatId} [${req.id}]`);
+      if (result.reason === 'expired') {
+        throw new ApiError(401, 'chat_token_expired', 'Chat token expired, start a new chat');
+      }
+      throw new ApiError(401, 'invalid_chat_token', 'Missing or invalid chat token');
+    }
+
+    res.setHeader(CHAT_TOKEN_HEADER, issueChatToken(String(chatId)));
+    await next();
+  };
+}
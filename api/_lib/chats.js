@@ -0,0 +1,149 @@
+/**
+ * Server-side chat records, built from Retell webhooks
+ * Authoritative copy of each chat (status, transcript, analysis, variables),
+ * independent of whether the visitor's browser was still open.
+ */
+
+export const CHATS_COLLECTION = 'chats';
+
+/** Webhook events handled, in lifecycle order */
+export const CHAT_EVENTS = ['chat_started', 'chat_ended', 'chat_analyzed'];
+
+/** Keep the event log bounded if Retell retries a delivery many times */
+const MAX_EVENT_LOG = 20;
+
+/**
+ * @typedef {Object} ChatRecord
+ * @property {string} id - Retell chat_id
+ * @property {string|null} agent_id
+ * @property {'ongoing'|'ended'|'error'|string} status
+ * @property {string|null} started_at
+ * @property {string|null} ended_at
+ * @property {string} transcript
+ * @property {Array<{role: string, content: string}>} messages
+ * @property {Object<string, string>} variables - Collected + initial dynamic variables
+ * @property {Object|null} analysis - Retell chat_analysis
+ * @property {Object} metadata - Metadata set on creation (page context, locale)
+ * @property {Array<{event: string, received_at: string}>} events
+ * @property {string} updated_at
+ */
+
+/**
+ * @param {number|undefined} timestamp - Milliseconds since epoch
+ * @returns {string|null}
+ */
+function toIso(timestamp) {
+  return typeof timestamp === 'number' ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Merge a webhook payload into the stored chat record
+ * Fields missing from the payload keep their stored value, so a late
+ * chat_started delivery never erases a transcript from chat_ended. Reading
+ * and saving happen in one store update: chat_ended and chat_analyzed arrive
+ * close together (and Retell retries them), so neither may drop the other.
+ * @param {import('./store.js').Store} store
+ * @param {string} event - One of CHAT_EVENTS
+ * @param {Object} chat - Retell chat object from the webhook
+ * @returns {Promise<ChatRecord>}
+ */
+export function recordChatEvent(store, event, chat) {
+  const now = new Date().toISOString();
+  return store.update(CHATS_COLLECTION, (records) => {
+    const existing = records.find(record => record.id === chat.chat_id);
+    return mergeChatEvent(existing, event, chat, now);
+  });
+}
+
+/**
+ * @param {ChatRecord|undefined} existing
+ * @param {string} event
+ * @param {Object} chat
+ * @param {string} now - ISO timestamp of the delivery
+ * @returns {ChatRecord}
+ */
+function mergeChatEvent(existing, event, chat, now) {
+  const record = existing || {
+    id: chat.chat_id,
+    agent_id: null,
+    status: 'ongoing',
+    started_at: null,
+    ended_at: null,
+    transcript: '',
+    messages: [],
+    variables: {},
+    analysis: null,
+    metadata: {},
+    events: []
+  };
+
+  record.agent_id = chat.agent_id || record.agent_id;
+  // A started event arriving after the end must not reopen the chat
+  if (chat.chat_status && !(event === 'chat_started' && record.status !== 'ongoing')) {
+    record.status = chat.chat_status;
+  }
+  record.started_at = toIso(chat.start_timestamp) || record.started_at;
+  record.ended_at = toIso(chat.end_timestamp) || record.ended_at;
+  record.transcript = chat.transcript || record.transcript;
+
+  if (Array.isArray(chat.message_with_tool_calls) && chat.message_with_tool_calls.length > 0) {
+    record.messages = chat.message_with_tool_calls
+      .filter(msg => typeof msg.content === 'string')
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  record.variables = {
+    ...record.variables,
+    ...(chat.retell_llm_dynamic_variables || {}),
+    ...(chat.collected_dynamic_variables || {})
+  };
+  record.analysis = chat.chat_analysis || record.analysis;
+  record.metadata = { ...record.metadata, ...(chat.metadata || {}) };
+
+  record.events = [...record.events, { event, received_at: now }].slice(-MAX_EVENT_LOG);
+  record.updated_at = now;
+  return record;
+}
+
+/**
+ * Variables of a chat: collected during the conversation, completed by the
+ * post-chat analysis
+ * @param {ChatRecord} record
+ * @returns {Object<string, *>}
+ */
+export function getChatVariables(record) {
+  return { ...record.variables, ...(record.analysis?.custom_analysis_data || {}) };
+}
+
+/**
+ * Dashboard list entry
+ * Contact details come from the chat, then from its lead.
+ * @param {ChatRecord} record
+ * @param {import('./leads.js').Lead|null} lead - Lead the chat is attached to
+ * @returns {Object}
+ */
+export function toChatSummary(record, lead = null) {
+  const variables = getChatVariables(record);
+  const pick = (name, leadValue = lead?.[name]) => variables[name] || leadValue || null;
+  const lastVisitorMessage = [...record.messages].reverse().find(msg => msg.role === 'user');
+
+  return {
+    id: record.id,
+    status: record.status,
+    started_at: record.started_at,
+    ended_at: record.ended_at,
+    locale: record.metadata?.locale || null,
+    first_name: pick('first_name'),
+    last_name: pick('last_name'),
+    email: pick('email'),
+    phone: pick('user_number', lead?.phone),
+    company_name: pick('company_name'),
+    primary_service_type: pick('primary_service_type'),
+    summary: record.analysis?.chat_summary || null,
+    message_count: record.messages.length,
+    last_message: lastVisitorMessage ? lastVisitorMessage.content.slice(0, 200) : null,
+    lead_id: lead?.id || null,
+    contacted_at: lead?.contacted_at || null,
+    updated_at: record.updated_at
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Human handoff: a chat taken over by someone from the team
+ * When the visitor (or the agent) asks for a person, the chat's handoff
+ * record collects the messages exchanged with the team: the visitor's come
+ * from the widget (api/handoff), the team's from the staff inbox
+ * (api/staff-inbox), and each side polls for the other's.
+ *
+ * Status:
+ * - waiting: nobody has picked it up yet
+ * - active: a team member (`operator`) is replying
+ * - offline: nobody was available (or it waited too long); the visitor can
+ *   leave a message instead
+ * - message_left: the visitor left a message for the team
+ * - closed: ended by either side
+ *
+ * Team members count as online while the inbox page is open (it checks in
+ * every few seconds).
+ *
+ * The visitor and the team write to the same record: every change goes through
+ * updateHandoff (an atomic store.update), so no message is lost.
+ */
+import { createHash } from 'node:crypto';
+import { normalizeEmail, normalizePhone } from './leads.js';
+
+export const HANDOFFS_COLLECTION = 'handoffs';
+export const OPERATORS_COLLECTION = 'operators';
+
+/** Statuses in which messages are exchanged with the team */
+export const OPEN_STATUSES = ['waiting', 'active'];
+
+// An inbox that hasn't checked in for this long is offline
+const OPERATOR_TIMEOUT_MS = 60 * 1000;
+// Default wait before an unanswered request falls back to leaving a message (seconds)
+const DEFAULT_WAIT_TIMEOUT = 5 * 60;
+
+const CHAT_ID_PATTERN = /^[\w-]{1,128}$/;
+const MAX_CONTEXT_MESSAGES = 20;
+const MAX_CONTEXT_LENGTH = 1000;
+const MAX_REASON_LENGTH = 500;
+
+/** Visitor variables shown to the team, with max lengths */
+const VISITOR_FIELDS = {
+  first_name: 100,
+  last_name: 100,
+  email: 254,
+  company_name: 200,
+  user_number: 30,
+  primary_service_type: 200
+};
+
+/**
+ * @typedef {Object} HandoffMessage
+ * @property {number} seq - Position in the conversation (1-based)
+ * @property {'visitor'|'operator'|'system'} from - System messages are only shown to the team
+ * @property {string|null} author - Team member's name
+ * @property {string} content
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Handoff
+ * @property {string} id - Chat ID
+ * @property {'waiting'|'active'|'offline'|'message_left'|'closed'} status
+ * @property {'visitor'|'agent'} requested_by
+ * @property {string} reason
+ * @property {string} locale
+ * @property {Object<string, string>} visitor - Known details (name, email, phone...)
+ * @property {Array<{role: string, content: string}>} context - Conversation with the agent before the handoff
+ * @property {HandoffMessage[]} messages
+ * @property {string|null} operator - Team member replying
+ * @property {string} requested_at - Latest request (reopened handoffs keep their messages)
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @returns {number} Wait before an unanswered request goes offline (ms)
+ */
+function getWaitTimeout() {
+  const seconds = Number.parseInt(process.env.HANDOFF_WAIT_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_WAIT_TIMEOUT) * 1000;
+}
+
+/**
+ * @param {string} name - Staff name
+ * @returns {string} Operator record ID
+ */
+function operatorId(name) {
+  return `op_${createHash('sha256').update(name.toLowerCase()).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * @param {*} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * Record that a team member's inbox is open (or that they stepped away)
+ * @param {import('./store.js').Store} store
+ * @param {string} name
+ * @param {boolean} [available=true]
+ * @returns {Promise<void>}
+ */
+export async function touchOperator(store, name, available = true) {
+  await store.put(OPERATORS_COLLECTION, {
+    id: operatorId(name),
+    name,
+    last_seen_at: available ? new Date().toISOString() : null
+  });
+}
+
+/**
+ * Names of the team members available right now
+ * @param {import('./store.js').Store} store
+ * @param {number} [now]
+ * @returns {Promise<string[]>}
+ */
+export async function listOnlineOperators(store, now = Date.now()) {
+  const operators = await store.list(OPERATORS_COLLECTION);
+  return operators
+    .filter(operator => operator.last_seen_at && now - Date.parse(operator.last_seen_at) < OPERATOR_TIMEOUT_MS)
+    .map(operator => operator.name);
+}
+
+/**
+ * Check a chat ID
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidChatId(value) {
+  return typeof value === 'string' && CHAT_ID_PATTERN.test(value);
+}
+
+/**
+ * Append a message
+ * @param {Handoff} handoff
+ * @param {'visitor'|'operator'|'system'} from
+ * @param {string} content
+ * @param {string|null} [author]
+ * @returns {HandoffMessage}
+ */
+export function addHandoffMessage(handoff, from, content, author = null) {
+  const now = new Date().toISOString();
+  const message = { seq: handoff.messages.length + 1, from, author, content, created_at: now };
+  handoff.messages.push(message);
+  handoff.updated_at = now;
+  return message;
+}
+
+/**
+ * Change a chat's handoff atomically
+ * @param {import('./store.js').Store} store
+ * @param {string} chatId
+ * @param {function(Handoff): (boolean|void)} mutate - Synchronous; changes the
+ *   handoff it gets (the current record) in place, or returns false to leave
+ *   it as is. May throw (an ApiError is sent as is), with nothing written
+ * @returns {Promise<Handoff|null>} The handoff as stored after the change, or
+ *   null when the chat has none
+ */
+export async function updateHandoff(store, chatId, mutate) {
+  let handoff = null;
+  await store.update(HANDOFFS_COLLECTION, (records) => {
+    handoff = records.find(record => record.id === chatId) || null;
+    if (!handoff) return null;
+    return mutate(handoff) === false ? null : handoff;
+  });
+  return handoff;
+}
+
+/**
+ * Open a handoff for a chat (or reopen it); requests for a handoff already
+ * open are answered with it as is
+ * @param {import('./store.js').Store} store
+ * @param {Object} request
+ * @param {string} request.chat_id
+ * @param {'visitor'|'agent'} [request.requested_by]
+ * @param {string} [request.reason]
+ * @param {string} [request.locale]
+ * @param {Object} [request.variables] - Chat variables
+ * @param {Array<{role: string, content: string}>} [request.transcript] - Conversation so far
+ * @returns {Promise<Handoff>}
+ */
+export async function openHandoff(store, request) {
+  const online = await listOnlineOperators(store);
+  const now = new Date().toISOString();
+
+  const source = request.variables && typeof request.variables === 'object' ? request.variables : {};
+  const transcript = Array.isArray(request.transcript) ? request.transcript : [];
+  const context = transcript
+    .filter(msg => msg && (msg.role === 'user' || msg.role === 'agent') && typeof msg.content === 'string')
+    .slice(-MAX_CONTEXT_MESSAGES)
+    .map(msg => ({ role: msg.role, content: msg.content.slice(0, MAX_CONTEXT_LENGTH) }));
+
+  let handoff = null;
+  await store.update(HANDOFFS_COLLECTION, (records) => {
+    const existing = records.find(record => record.id === request.chat_id);
+    if (existing && OPEN_STATUSES.includes(existing.status)) {
+      handoff = existing;
+      return null;
+    }
+
+    handoff = existing || {
+      id: request.chat_id,
+      messages: [],
+      operator: null,
+      created_at: now
+    };
+
+    const visitor = { ...(handoff.visitor || {}) };
+    Object.entries(VISITOR_FIELDS).forEach(([name, maxLength]) => {
+      const value = cleanText(source[name], maxLength);
+      if (value) visitor[name] = value;
+    });
+
+    handoff.requested_by = request.requested_by === 'agent' ? 'agent' : 'visitor';
+    handoff.reason = cleanText(request.reason, MAX_REASON_LENGTH);
+    handoff.locale = typeof request.locale === 'string' && /^fr\b/i.test(request.locale) ? 'fr-CA' : 'en-CA';
+    handoff.visitor = visitor;
+    if (context.length > 0 || !handoff.context) handoff.context = context;
+    handoff.operator = null;
+    handoff.requested_at = now;
+    handoff.status = online.length > 0 ? 'waiting' : 'offline';
+
+    const requester = handoff.requested_by === 'agent' ? 'The agent' : 'The visitor';
+    addHandoffMessage(handoff, 'system', handoff.reason
+      ? `${requester} asked for a person: ${handoff.reason}`
+      : `${requester} asked for a person`);
+    return handoff;
+  });
+  return handoff;
+}
+
+/**
+ * Fall back to leaving a message when a waiting request can't be answered:
+ * nobody is online anymore, or it waited past HANDOFF_WAIT_SECONDS
+ * @param {import('./store.js').Store} store
+ * @param {Handoff} handoff - As read earlier: checked again against the stored record
+ * @param {number} [now]
+ * @returns {Promise<Handoff>} The current handoff
+ */
+export async function expireIfUnanswered(store, handoff, now = Date.now()) {
+  if (handoff.status !== 'waiting') return handoff;
+
+  const nobodyOnline = (await listOnlineOperators(store, now)).length === 0;
+  const current = await updateHandoff(store, handoff.id, (record) => {
+    // Claimed (or answered) since it was read
+    if (record.status !== 'waiting') return false;
+
+    const waitedTooLong = now - Date.parse(record.requested_at || record.created_at) > getWaitTimeout();
+    if (!waitedTooLong && !nobodyOnline) return false;
+
+    record.status = 'offline';
+    addHandoffMessage(record, 'system', 'Nobody picked it up: the visitor was offered to leave a message');
+  });
+  return current || handoff;
+}
+
+/**
+ * Validate a message left while nobody was available
+ * @param {{content?: string, email?: string, user_number?: string, first_name?: string}} body
+ * @param {number} maxLength
+ * @returns {{errors: string[], message: {content: string, contact: Object<string, string>}|null}}
+ */
+export function validateLeftMessage(body = {}, maxLength) {
+  const errors = [];
+  const content = typeof body.content === 'string' ? body.content.trim() : '';
+  const email = body.email ? normalizeEmail(body.email) : null;
+  const phone = body.user_number ? normalizePhone(body.user_number) : null;
+
+  if (!content) {
+    errors.push('content is required');
+  } else if (content.length > maxLength) {
+    errors.push(`content is longer than ${maxLength} characters`);
+  }
+  if (body.email && !email) errors.push('email is invalid');
+  if (body.user_number && !phone) errors.push('user_number is invalid');
+  if (!email && !phone && errors.length === 0) errors.push('email or user_number is required');
+
+  if (errors.length > 0) {
+    return { errors, message: null };
+  }
+
+  const contact = {};
+  if (email) contact.email = email;
+  if (phone) contact.user_number = phone;
+  const firstName = cleanText(body.first_name, VISITOR_FIELDS.first_name);
+  if (firstName) contact.first_name = firstName;
+
+  return { errors, message: { content, contact } };
+}
+
+/**
+ * What the widget sees: status, who is replying and the team's new messages
+ * @param {Handoff} handoff
+ * @param {number} [after=0] - Last message seq already received
+ * @returns {{status: string, operator: string|null, messages: Array<{seq: number, author: string, content: string, created_at: string}>, cursor: number}}
+ */
+export function toVisitorView(handoff, after = 0) {
+  return {
+    status: handoff.status,
+    operator: handoff.operator,
+    messages: handoff.messages
+      .filter(msg => msg.from === 'operator' && msg.seq > after)
+      .map(({ seq, author, content, created_at }) => ({ seq, author, content, created_at })),
+    cursor: handoff.messages.length
+  };
+}
+
+/**
+ * Inbox list entry
+ * @param {Handoff} handoff
+ * @returns {Object}
+ */
+export function toSummary(handoff) {
+  const last = [...handoff.messages].reverse().find(msg => msg.from !== 'system') || null;
+  return {
+    id: handoff.id,
+    status: handoff.status,
+    operator: handoff.operator,
+    requested_by: handoff.requested_by,
+    reason: handoff.reason,
+    locale: handoff.locale,
+    visitor: handoff.visitor,
+    last_message: last && { from: last.from, author: last.author, content: last.content.slice(0, 200), created_at: last.created_at },
+    requested_at: handoff.requested_at,
+    updated_at: handoff.updated_at
+  };
+}
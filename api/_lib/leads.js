@@ -0,0 +1,240 @@
+/**
+ * Lead capture: validation, normalization and deduplication
+ * A lead is one person, identified by email or phone; each chat they had is
+ * attached to it with a reference to its Retell transcript.
+ */
+import { randomUUID } from 'node:crypto';
+
+export const LEADS_COLLECTION = 'leads';
+
+/** Variable → max length of the lead fields taken from chat variables */
+const LEAD_FIELDS = {
+  first_name: 100,
+  last_name: 100,
+  company_name: 200,
+  call_type: 100,
+  primary_service_type: 200
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const CHAT_ID_PATTERN = /^[\w-]{1,128}$/;
+
+/**
+ * @typedef {Object} LeadChat
+ * @property {string} chat_id
+ * @property {string} transcript_ref - Where the transcript can be fetched (Retell chat)
+ * @property {'active'|'ended'} status
+ * @property {string} first_seen_at
+ * @property {string} last_seen_at
+ * @property {{email: string|null, phone: string|null, fields: Object<string, string>}} [submitted] - Details
+ *   given in this chat, as typed (they only fill the lead's empty fields)
+ */
+
+/**
+ * @typedef {Object} Lead
+ * @property {string} id
+ * @property {string|null} email
+ * @property {string|null} phone
+ * @property {string} [first_name]
+ * @property {string} [last_name]
+ * @property {string} [company_name]
+ * @property {string} [call_type]
+ * @property {string} [primary_service_type]
+ * @property {LeadChat[]} chats
+ * @property {string|null} [contacted_at] - When the team marked it as contacted
+ * @property {string|null} [contacted_by] - Team member who did
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @param {*} value
+ * @returns {string|null} Lower-cased email, or null if missing/invalid
+ */
+export function normalizeEmail(value) {
+  if (typeof value !== 'string') return null;
+  const email = value.trim().toLowerCase();
+  return email.length <= 254 && EMAIL_PATTERN.test(email) ? email : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null} Digits with optional leading +, or null if missing/invalid
+ */
+export function normalizePhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const raw = String(value).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return null;
+  // North American numbers without country code are stored as +1XXXXXXXXXX
+  if (!raw.startsWith('+') && digits.length === 10) return `+1${digits}`;
+  return `+${digits}`;
+}
+
+/**
+ * Validate a lead submission
+ * @param {{chat_id?: string, variables?: Object, ended?: boolean}} body
+ * @returns {{errors: string[], lead: {chat_id: string, email: string|null, phone: string|null, fields: Object<string, string>, ended: boolean}|null}}
+ */
+export function validateLead(body = {}) {
+  const errors = [];
+  const variables = body.variables && typeof body.variables === 'object' ? body.variables : {};
+
+  if (typeof body.chat_id !== 'string' || !CHAT_ID_PATTERN.test(body.chat_id)) {
+    errors.push('chat_id is required');
+  }
+
+  const email = normalizeEmail(variables.email);
+  const phone = normalizePhone(variables.user_number);
+
+  if (variables.email && !email) errors.push('email is invalid');
+  if (variables.user_number && !phone) errors.push('user_number is invalid');
+  if (!variables.email && !variables.user_number) errors.push('email or user_number is required');
+
+  if (errors.length > 0) {
+    return { errors, lead: null };
+  }
+
+  const fields = {};
+  Object.entries(LEAD_FIELDS).forEach(([name, maxLength]) => {
+    const value = variables[name];
+    if (typeof value === 'string' && value.trim()) {
+      fields[name] = value.trim().slice(0, maxLength);
+    }
+  });
+
+  return {
+    errors,
+    lead: { chat_id: body.chat_id, email, phone, fields, ended: body.ended === true }
+  };
+}
+
+/**
+ * Create a lead or merge into the existing one with the same email or phone
+ * Visitors aren't verified: a chat only fills a lead's empty fields, and what
+ * it submitted is kept on its entry in `chats`. Matching and saving happen in
+ * one store update, so concurrent first submissions don't create duplicates.
+ * @param {import('./store.js').Store} store
+ * @param {ReturnType<typeof validateLead>['lead']} input - Validated lead
+ * @returns {Promise<{lead: Lead, created: boolean}>}
+ */
+export async function upsertLead(store, input) {
+  const now = new Date().toISOString();
+  let created = false;
+
+  const lead = await store.update(LEADS_COLLECTION, (leads) => {
+    // Email is the stronger identity: prefer its match when both exist
+    const existing = (input.email && leads.find(entry => entry.email === input.email))
+      || (input.phone && leads.find(entry => entry.phone === input.phone))
+      || null;
+    created = !existing;
+
+    const record = existing || {
+      id: `lead_${randomUUID()}`,
+      email: null,
+      phone: null,
+      chats: [],
+      created_at: now
+    };
+
+    record.email = record.email || input.email || null;
+    record.phone = record.phone || input.phone || null;
+    Object.entries(input.fields).forEach(([name, value]) => {
+      if (!record[name]) record[name] = value;
+    });
+    record.updated_at = now;
+
+    const submitted = { email: input.email || null, phone: input.phone || null, fields: input.fields };
+    const chat = record.chats.find(entry => entry.chat_id === input.chat_id);
+    if (chat) {
+      chat.last_seen_at = now;
+      chat.submitted = {
+        email: submitted.email || chat.submitted?.email || null,
+        phone: submitted.phone || chat.submitted?.phone || null,
+        fields: { ...chat.submitted?.fields, ...submitted.fields }
+      };
+      if (input.ended) chat.status = 'ended';
+    } else {
+      record.chats.push({
+        chat_id: input.chat_id,
+        transcript_ref: `retell:chat/${input.chat_id}`,
+        status: input.ended ? 'ended' : 'active',
+        first_seen_at: now,
+        last_seen_at: now,
+        submitted
+      });
+    }
+    return record;
+  });
+
+  return { lead, created };
+}
+
+/**
+ * Mark a lead as contacted by the team (or not anymore)
+ * @param {Lead} lead
+ * @param {boolean} contacted
+ * @param {string} staffName
+ * @returns {Lead}
+ */
+export function setLeadContacted(lead, contacted, staffName) {
+  lead.contacted_at = contacted ? lead.contacted_at || new Date().toISOString() : null;
+  lead.contacted_by = contacted ? lead.contacted_by || staffName : null;
+  lead.updated_at = new Date().toISOString();
+  return lead;
+}
+
+/**
+ * Map each chat ID to its lead
+ * @param {Lead[]} leads
+ * @returns {Map<string, Lead>}
+ */
+export function indexLeadsByChat(leads) {
+  const index = new Map();
+  leads.forEach(lead => {
+    lead.chats.forEach(chat => index.set(chat.chat_id, lead));
+  });
+  return index;
+}
+
+/** Columns of the leads export */
+const CSV_COLUMNS = [
+  ['id', lead => lead.id],
+  ['first_name', lead => lead.first_name],
+  ['last_name', lead => lead.last_name],
+  ['email', lead => lead.email],
+  ['phone', lead => lead.phone],
+  ['company_name', lead => lead.company_name],
+  ['call_type', lead => lead.call_type],
+  ['primary_service_type', lead => lead.primary_service_type],
+  ['chats', lead => lead.chats.length],
+  ['last_chat_at', lead => lead.chats.reduce((last, chat) => (chat.last_seen_at > last ? chat.last_seen_at : last), '')],
+  ['created_at', lead => lead.created_at],
+  ['contacted_at', lead => lead.contacted_at],
+  ['contacted_by', lead => lead.contacted_by]
+];
+
+/**
+ * @param {*} value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Visitors typed these: keep spreadsheets from running them as formulas
+  // (phone numbers like +15145550123 stay as they are)
+  if (/^[=@\t\r]/.test(text) || /^[+-](?!\d+$)/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Leads as CSV (header row included), with a BOM so Excel reads accents as UTF-8
+ * @param {Lead[]} leads
+ * @returns {string}
+ */
+export function leadsToCsv(leads) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  leads.forEach(lead => rows.push(CSV_COLUMNS.map(([, get]) => get(lead))));
+  return `\uFEFF${rows.map(row => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,118 @@
+/**
+ * Query filters for the staff dashboard lists (api/staff-chats, api/staff-leads)
+ *
+ *   ?from=2026-01-01T05:00:00Z&to=2026-02-01T05:00:00Z  - date range [from, to)
+ *   &has_email=1                                        - 1 / 0
+ *   &service_type=Storage                               - case-insensitive
+ *   &limit=50&offset=0                                  - page
+ *
+ * Dates are ISO 8601; the dashboard sends the bounds of the team member's
+ * local days.
+ */
+import { ApiError } from './middleware.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * @typedef {Object} ListFilters
+ * @property {number|null} from - Inclusive, ms since epoch
+ * @property {number|null} to - Exclusive, ms since epoch
+ * @property {boolean|null} hasEmail
+ * @property {string|null} serviceType - Lowercased
+ * @property {number} limit
+ * @property {number} offset
+ */
+
+/**
+ * @param {*} value
+ * @param {string} name
+ * @returns {number|null}
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw ApiError.badRequest(`${name} must be an ISO 8601 date`);
+  }
+  return time;
+}
+
+/**
+ * @param {*} value - '1' / '0' (also 'true' / 'false')
+ * @param {string} name
+ * @returns {boolean|null}
+ */
+export function parseFlag(value, name) {
+  if (value === undefined || value === '') return null;
+  if (value === '1' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  throw ApiError.badRequest(`${name} must be 1 or 0`);
+}
+
+/**
+ * @param {*} value
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number}
+ */
+function parseCount(value, fallback, max) {
+  const count = Number.parseInt(value, 10);
+  return Number.isFinite(count) && count >= 0 ? Math.min(count, max) : fallback;
+}
+
+/**
+ * Read the shared filters from a query string
+ * @param {Object} query - req.query
+ * @returns {ListFilters}
+ */
+export function parseListFilters(query = {}) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from !== null && to !== null && from >= to) {
+    throw ApiError.badRequest('from must be before to');
+  }
+
+  const serviceType = typeof query.service_type === 'string' ? query.service_type.trim().toLowerCase() : '';
+
+  return {
+    from,
+    to,
+    hasEmail: parseFlag(query.has_email, 'has_email'),
+    serviceType: serviceType || null,
+    limit: parseCount(query.limit, DEFAULT_LIMIT, MAX_LIMIT) || DEFAULT_LIMIT,
+    offset: parseCount(query.offset, 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+/**
+ * Check a record against the shared filters
+ * @param {ListFilters} filters
+ * @param {{date: string|null, email: string|null, serviceType: string|null}} values
+ * @returns {boolean}
+ */
+export function matchesListFilters(filters, { date, email, serviceType }) {
+  if (filters.from !== null || filters.to !== null) {
+    const time = date ? Date.parse(date) : NaN;
+    if (!Number.isFinite(time)) return false;
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time >= filters.to) return false;
+  }
+  if (filters.hasEmail !== null && Boolean(email) !== filters.hasEmail) return false;
+  if (filters.serviceType !== null && (serviceType || '').trim().toLowerCase() !== filters.serviceType) return false;
+  return true;
+}
+
+/**
+ * Distinct service types, for the filter menu
+ * @param {Array<string|null|undefined>} values
+ * @returns {string[]}
+ */
+export function listServiceTypes(values) {
+  const types = new Map();
+  values.forEach(value => {
+    const type = typeof value === 'string' ? value.trim() : '';
+    if (type && !types.has(type.toLowerCase())) types.set(type.toLowerCase(), type);
+  });
+  return [...types.values()].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,348 @@
+/**
+ * Middleware for the API functions
+ * Every function is built from the same stack so CORS, method checks, body
+ * parsing, config checks, request IDs and error responses behave the same:
+ *
+ *   export default createHandler({
+ *     methods: ['POST'],
+ *     env: ['RETELL_API_KEY']
+ *   }, async (req, res) => { ... });
+ *
+ * A middleware is `async (req, res, next) => {}`: call `next()` to continue,
+ * respond (or throw) to stop. Throw an ApiError to answer with a status and
+ * code; any other error becomes a 500 `internal_error`.
+ *
+ * Error envelope (every non-2xx JSON response):
+ *   { "error": { "code": "invalid_request", "message": "chat_id is required" },
+ *     "request_id": "..." }
+ */
+import { randomUUID } from 'node:crypto';
+
+/** Headers the widget may send */
+const CORS_ALLOWED_HEADERS = [
+  'Accept',
+  'Authorization',
+  'Content-Type',
+  'X-Requested-With',
+  'X-Request-Id',
+  'X-Session-Id',
+  'X-Chat-Token'
+];
+
+/** Response headers the widget may read */
+const CORS_EXPOSED_HEADERS = ['X-Request-Id', 'Retry-After', 'X-Chat-Token'];
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+/**
+ * Error with an HTTP status and a stable, machine-readable code
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - e.g. 'invalid_request', 'retell_error'
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra fields for the error envelope
+   */
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /** 400 invalid_request */
+  static badRequest(message, details) {
+    return new ApiError(400, 'invalid_request', message, details);
+  }
+}
+
+/**
+ * Compose middlewares around a final handler
+ * @param {...Function} middlewares - `(req, res, next) => Promise`
+ * @returns {function(Function): Function} Takes the handler, returns `(req, res) => Promise`
+ */
+export function compose(...middlewares) {
+  return (handler) => (req, res) => {
+    const run = (index) => {
+      if (index === middlewares.length) {
+        return handler(req, res);
+      }
+      return middlewares[index](req, res, () => run(index + 1));
+    };
+    return run(0);
+  };
+}
+
+// ============================================
+// MIDDLEWARES
+// ============================================
+
+/**
+ * Attach `req.id` (reusing a sane incoming X-Request-Id) and echo it back
+ * @returns {Function}
+ */
+export function requestId() {
+  return async (req, res, next) => {
+    const incoming = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+    req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    await next();
+  };
+}
+
+/**
+ * Turn thrown errors into the error envelope
+ * @param {string} label - Used in logs, e.g. 'creating chat'
+ * @returns {Function}
+ */
+export function errorHandler(label) {
+  return async (req, res, next) => {
+    try {
+      await next();
+    } catch (error) {
+      const isApiError = error instanceof ApiError;
+      if (!isApiError || error.status >= 500) {
+        console.error(`❌ Error ${label} [${req.id}]:`, error);
+      }
+
+      // A streamed response can't change status anymore
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+
+      if (isApiError) {
+        sendError(res, req, error);
+      } else {
+        sendError(res, req, new ApiError(500, 'internal_error', 'Internal server error'));
+      }
+    }
+  };
+}
+
+/**
+ * Origins allowed to call the API, from ALLOWED_ORIGINS
+ * Comma-separated origins; "*." matches subdomains
+ * (e.g. "https://flexspace.ca,https://*.flexspace.ca"). Empty = any origin.
+ * @returns {string[]}
+ */
+function getAllowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} origin - Origin header of the request
+ * @param {Object} req
+ * @param {string[]} allowedOrigins
+ * @returns {boolean}
+ */
+function isOriginAllowed(origin, req, allowedOrigins) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+
+  // Pages served by this deployment are always allowed
+  if (url.host === req.headers.host) return true;
+
+  const normalized = origin.toLowerCase();
+  return allowedOrigins.some(allowed => {
+    if (allowed === normalized) return true;
+    const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(allowed);
+    return Boolean(wildcard)
+      && normalized.startsWith(wildcard[1])
+      && normalized.endsWith(`.${wildcard[2]}`);
+  });
+}
+
+/**
+ * CORS headers, origin allowlist and preflight response
+ * With ALLOWED_ORIGINS set, browser requests from other origins get 403.
+ * Requests without an Origin header (same-origin GETs, servers) pass; the
+ * rate limits are what protect against scripts.
+ * @param {string[]} methods - Methods the function accepts (OPTIONS is added)
+ * @returns {Function}
+ */
+export function cors(methods) {
+  const allowedMethods = [...new Set([...methods, 'OPTIONS'])].join(',');
+
+  return async (req, res, next) => {
+    const allowedOrigins = getAllowedOrigins();
+    const origin = req.headers.origin;
+
+    if (allowedOrigins.length === 0) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      res.setHeader('Vary', 'Origin');
+      if (origin) {
+        if (!isOriginAllowed(origin, req, allowedOrigins)) {
+          throw new ApiError(403, 'origin_not_allowed', `Origin ${origin} is not allowed`);
+        }
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+      }
+    }
+    res.setHeader('Access-Control-Allow-Methods', allowedMethods);
+    res.setHeader('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS.join(', '));
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).end();
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * Reject other methods with 405
+ * @param {string[]} methods
+ * @returns {Function}
+ */
+export function allowMethods(methods) {
+  return async (req, res, next) => {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      throw new ApiError(405, 'method_not_allowed', `Method ${req.method} not allowed`);
+    }
+    await next();
+  };
+}
+
+/**
+ * Make `req.body` a parsed object ({} when empty)
+ * Works with the Vercel runtime (body already parsed, or parsed lazily and
+ * throwing on bad JSON) and with a plain Node request stream.
+ * @returns {Function}
+ */
+export function jsonBody() {
+  return async (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      await next();
+      return;
+    }
+
+    let body;
+    try {
+      body = req.body;
+      if (body === undefined && req.readable) {
+        body = await readStream(req);
+      }
+      if (Buffer.isBuffer(body)) {
+        body = body.toString('utf8');
+      }
+      if (typeof body === 'string') {
+        body = body.trim() ? JSON.parse(body) : {};
+      }
+    } catch {
+      throw ApiError.badRequest('Invalid JSON body');
+    }
+
+    if (body === undefined || body === null) {
+      body = {};
+    }
+    if (typeof body !== 'object' || Array.isArray(body)) {
+      throw ApiError.badRequest('JSON body must be an object');
+    }
+
+    // The Vercel runtime defines body as a getter
+    Object.defineProperty(req, 'body', { value: body, writable: true, configurable: true });
+    await next();
+  };
+}
+
+/**
+ * Fail with 500 config_missing when an environment variable isn't set
+ * Checked per request, so a missing variable is reported instead of crashing the function.
+ * @param {string[]} names
+ * @returns {Function}
+ */
+export function requireEnv(names) {
+  return async (req, res, next) => {
+    const missing = names.filter(name => !process.env[name]);
+    if (missing.length > 0) {
+      throw new ApiError(500, 'config_missing', `Missing ${missing.join(', ')} env variable`);
+    }
+    await next();
+  };
+}
+
+// ============================================
+// HANDLER FACTORY
+// ============================================
+
+/**
+ * Build an API function with the standard middleware stack
+ * @param {Object} options
+ * @param {string[]} options.methods - Accepted methods, e.g. ['POST']
+ * @param {string} [options.label='handling request'] - Used in error logs
+ * @param {boolean} [options.cors=true] - Send CORS headers (false for server-to-server endpoints)
+ * @param {boolean} [options.parseBody=true] - Parse the JSON body (false to read the raw body)
+ * @param {string[]} [options.env=[]] - Required environment variables
+ * @param {Function[]} [options.use=[]] - Extra middlewares, run right before the handler
+ * @param {function(Object, Object): Promise<*>} handler
+ * @returns {function(Object, Object): Promise<void>}
+ */
+export function createHandler(options, handler) {
+  const {
+    methods,
+    label = 'handling request',
+    cors: withCors = true,
+    parseBody = true,
+    env = [],
+    use = []
+  } = options;
+
+  const middlewares = [
+    requestId(),
+    errorHandler(label),
+    withCors && cors(methods),
+    allowMethods(methods),
+    parseBody && jsonBody(),
+    env.length > 0 && requireEnv(env),
+    ...use
+  ].filter(Boolean);
+
+  return compose(...middlewares)(handler);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Send the error envelope
+ * @param {Object} res
+ * @param {Object} req
+ * @param {ApiError} error
+ */
+export function sendError(res, req, error) {
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details || {})
+    },
+    request_id: req.id
+  });
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+async function readStream(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
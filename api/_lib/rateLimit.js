@@ -0,0 +1,154 @@
+/**
+ * Abuse protection for the chat proxy endpoints
+ * Fixed-window counters per IP, per visitor session and per chat, so a script
+ * can't burn Retell minutes on our key by creating chats or sending messages
+ * in a loop.
+ *
+ * Counters live in the function instance's memory: they are shared by the
+ * requests an instance serves, not across instances or cold starts. That is
+ * enough to stop a single client hammering an endpoint; a shared store would
+ * be needed for strict global limits.
+ *
+ * All limits can be tuned with environment variables (see LIMITS).
+ */
+import { ApiError } from './middleware.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Prune expired counters once the map grows past this size
+const MAX_TRACKED_KEYS = 10000;
+
+const SESSION_ID_HEADER = 'x-session-id';
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number} Positive integer from the environment, or the fallback
+ */
+function envInt(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} limit - Requests allowed per window
+ * @property {number} windowMs
+ */
+
+export const LIMITS = {
+  /** @type {RateLimit} New chats per IP */
+  chatsPerIp: { limit: envInt('RATE_LIMIT_CHATS_PER_IP', 20), windowMs: HOUR },
+  /** @type {RateLimit} New chats per visitor session (X-Session-Id) */
+  chatsPerSession: { limit: envInt('RATE_LIMIT_CHATS_PER_SESSION', 5), windowMs: 10 * MINUTE },
+  /** @type {RateLimit} Voice calls per IP */
+  callsPerIp: { limit: envInt('RATE_LIMIT_CALLS_PER_IP', 10), windowMs: HOUR },
+  /** @type {RateLimit} Voice calls per visitor session (X-Session-Id) */
+  callsPerSession: { limit: envInt('RATE_LIMIT_CALLS_PER_SESSION', 3), windowMs: 10 * MINUTE },
+  /** @type {RateLimit} Callback requests per IP */
+  callbacksPerIp: { limit: envInt('RATE_LIMIT_CALLBACKS_PER_IP', 5), windowMs: HOUR },
+  /** @type {RateLimit} Callback requests per chat */
+  callbacksPerChat: { limit: envInt('RATE_LIMIT_CALLBACKS_PER_CHAT', 2), windowMs: HOUR },
+  /** @type {RateLimit} Staff sign-in attempts per IP */
+  staffLoginsPerIp: { limit: envInt('RATE_LIMIT_STAFF_LOGINS_PER_IP', 10), windowMs: 15 * MINUTE },
+  /** @type {RateLimit} Messages per IP, across chats */
+  messagesPerIp: { limit: envInt('RATE_LIMIT_MESSAGES_PER_IP', 60), windowMs: MINUTE },
+  /** @type {RateLimit} Messages per chat */
+  messagesPerChat: { limit: envInt('RATE_LIMIT_MESSAGES_PER_CHAT', 12), windowMs: MINUTE },
+  /** @type {RateLimit} Messages over a chat's lifetime (Retell chats don't outlive a day) */
+  turnsPerChat: { limit: envInt('MAX_TURNS_PER_CHAT', 50), windowMs: 24 * HOUR },
+  /** Max characters per visitor message */
+  maxMessageLength: envInt('MAX_MESSAGE_LENGTH', 2000)
+};
+
+/** @type {Map<string, {count: number, resetAt: number}>} */
+const counters = new Map();
+
+/**
+ * Drop expired counters
+ * @param {number} now
+ */
+function prune(now) {
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) counters.delete(key);
+  });
+}
+
+/**
+ * Count a request against a limit
+ * @param {string} key - e.g. 'chats:ip:203.0.113.7'
+ * @param {RateLimit} rateLimit
+ * @returns {{allowed: boolean, remaining: number, retryAfter: number}} retryAfter in seconds
+ */
+export function hit(key, { limit, windowMs }) {
+  const now = Date.now();
+  if (counters.size > MAX_TRACKED_KEYS) prune(now);
+
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+
+  counter.count += 1;
+  return {
+    allowed: counter.count <= limit,
+    remaining: Math.max(0, limit - counter.count),
+    retryAfter: Math.ceil((counter.resetAt - now) / 1000)
+  };
+}
+
+/**
+ * Client IP as seen by the platform proxy
+ * @param {Object} req
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '';
+  return first || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Visitor session ID sent by the widget (X-Session-Id), if well-formed
+ * It is chosen by the client, so it only complements the per-IP limits.
+ * @param {Object} req
+ * @returns {string|null}
+ */
+export function getSessionId(req) {
+  const value = req.headers[SESSION_ID_HEADER];
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Middleware: answer 429 once a limit is exceeded
+ * @param {Object} options
+ * @param {string} options.name - Counter namespace, e.g. 'chats:ip'
+ * @param {RateLimit} options.rateLimit
+ * @param {function(Object): (string|null)} options.key - Key for the request; null skips the limit
+ * @param {string} [options.code='rate_limited']
+ * @param {string} [options.message]
+ * @returns {Function}
+ */
+export function rateLimit({
+  name,
+  rateLimit: { limit, windowMs },
+  key,
+  code = 'rate_limited',
+  message = 'Too many requests, please slow down'
+}) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (value) {
+      const result = hit(`${name}:${value}`, { limit, windowMs });
+      if (!result.allowed) {
+        console.warn(`⚠️ ${name} limit reached for ${value} [${req.id}]`);
+        res.setHeader('Retry-After', String(result.retryAfter));
+        throw new ApiError(429, code, message, { retry_after: result.retryAfter });
+      }
+    }
+    await next();
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Retell API access for the API functions
+ * RETELL_API_BASE_URL points the API functions at another Retell-compatible
+ * server, e.g. the local simulator (tools/retell-simulator) for offline development
+ */
+import { ApiError } from './middleware.js';
+
+export const RETELL_API_BASE_URL = (process.env.RETELL_API_BASE_URL || 'https://api.retellai.com')
+  .replace(/\/+$/, '');
+
+/**
+ * Build a Retell API URL
+ * @param {string} path - e.g. '/create-chat'
+ * @returns {string}
+ */
+export function retellUrl(path) {
+  return `${RETELL_API_BASE_URL}${path}`;
+}
+
+/**
+ * Call the Retell API with the server's API key
+ * @param {string} path - e.g. '/create-chat'
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.body] - JSON body
+ * @param {Object} [options.headers] - Extra headers
+ * @returns {Promise<Response>}
+ */
+export function retellFetch(path, { method = 'GET', body, headers = {} } = {}) {
+  return fetch(retellUrl(path), {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${process.env.RETELL_API_KEY}`,
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+}
+
+// Retell's wording when a completion is requested for a finished chat
+const CHAT_ENDED_PATTERN = /chat (already )?ended/i;
+
+/**
+ * Turn a failed Retell response into an ApiError
+ * Client errors (chat not found, chat already ended...) keep their status so the
+ * widget can react to them; auth and server errors become 502, since they are
+ * about our configuration or Retell's availability, not the visitor's request.
+ * A finished chat gets the code chat_ended, other failures retell_error.
+ * @param {Response} response
+ * @param {string} fallbackMessage
+ * @returns {Promise<ApiError>}
+ */
+export async function retellError(response, fallbackMessage) {
+  const text = await response.text().catch(() => '');
+  let message = text;
+  try {
+    const parsed = JSON.parse(text);
+    message = parsed.error_message || parsed.message || text;
+  } catch {
+    // Not JSON: keep the raw text
+  }
+
+  const isClientError = response.status >= 400 && response.status < 500
+    && response.status !== 401 && response.status !== 403;
+
+  return new ApiError(
+    isClientError ? response.status : 502,
+    CHAT_ENDED_PATTERN.test(message) ? 'chat_ended' : 'retell_error',
+    message || fallbackMessage,
+    { upstream_status: response.status }
+  );
+}
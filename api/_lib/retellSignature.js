@@ -0,0 +1,44 @@
+/**
+ * Retell webhook signature verification
+ * Retell signs each webhook with the account API key:
+ *   x-retell-signature: v=<timestamp ms>,d=<hex HMAC-SHA256(body + timestamp)>
+ * Same scheme as Retell.verify() in the official SDK.
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/** Reject signatures older (or newer) than this, to limit replays */
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Compute the signature header value for a body (also used by the local simulator)
+ * @param {string} body - Raw request body
+ * @param {string} apiKey - Retell API key
+ * @param {number} [timestamp=Date.now()]
+ * @returns {string}
+ */
+export function signRetellPayload(body, apiKey, timestamp = Date.now()) {
+  const digest = createHmac('sha256', apiKey).update(body + timestamp).digest('hex');
+  return `v=${timestamp},d=${digest}`;
+}
+
+/**
+ * Check a webhook signature
+ * @param {string} body - Raw request body
+ * @param {string} apiKey - Retell API key
+ * @param {string|undefined} signature - x-retell-signature header
+ * @returns {boolean}
+ */
+export function verifyRetellSignature(body, apiKey, signature) {
+  if (!apiKey || typeof signature !== 'string') return false;
+
+  const match = /^v=(\d+),d=([0-9a-f]+)$/i.exec(signature.trim());
+  if (!match) return false;
+
+  const [, timestamp, digest] = match;
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_SIGNATURE_AGE_MS) return false;
+
+  const expected = createHmac('sha256', apiKey).update(body + timestamp).digest();
+  const received = Buffer.from(digest, 'hex');
+
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
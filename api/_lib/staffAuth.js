@@ -0,0 +1,155 @@
+/**
+ * Staff sessions for the team pages (public/staff/)
+ * Team members sign in with the shared STAFF_PASSWORD and the name visitors
+ * will see; /api/staff-login returns a signed token that the pages send back
+ * as `Authorization: Bearer <token>`.
+ *
+ * Token: base64url(JSON { sub, iat, exp }) + "." + base64url(HMAC-SHA256)
+ * Secret: STAFF_TOKEN_SECRET, or a key derived from RETELL_API_KEY and
+ * STAFF_PASSWORD when unset (changing the password signs everyone out).
+ */
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './middleware.js';
+
+// A working day (seconds)
+const DEFAULT_TTL = 12 * 60 * 60;
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * @returns {number} Token lifetime in seconds (STAFF_TOKEN_TTL)
+ */
+function getTtl() {
+  const ttl = Number.parseInt(process.env.STAFF_TOKEN_TTL, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL;
+}
+
+/**
+ * @returns {string} Signing secret
+ */
+function getSecret() {
+  if (!process.env.STAFF_PASSWORD) {
+    throw new ApiError(500, 'config_missing', 'Missing STAFF_PASSWORD env variable');
+  }
+  if (process.env.STAFF_TOKEN_SECRET) {
+    return process.env.STAFF_TOKEN_SECRET;
+  }
+  // Keyed with the API key too, so a token can't be used to guess the password offline
+  if (!process.env.RETELL_API_KEY) {
+    throw new ApiError(500, 'config_missing', 'Missing STAFF_TOKEN_SECRET (or RETELL_API_KEY) env variable');
+  }
+  return createHmac('sha256', process.env.RETELL_API_KEY)
+    .update(`flexspace-staff-token:${process.env.STAFF_PASSWORD}`)
+    .digest('hex');
+}
+
+/**
+ * @param {string} payload
+ * @returns {string}
+ */
+function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Name shown to visitors, from the sign-in form
+ * @param {*} value
+ * @returns {string|null} Trimmed name with single spaces, or null if empty/too long
+ */
+export function normalizeStaffName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim().replace(/\s+/g, ' ');
+  return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+/**
+ * Compare a password with STAFF_PASSWORD in constant time
+ * @param {*} password
+ * @returns {boolean}
+ */
+export function checkStaffPassword(password) {
+  if (!process.env.STAFF_PASSWORD || typeof password !== 'string') return false;
+  // Hashed first so both sides have the same length
+  const expected = createHash('sha256').update(process.env.STAFF_PASSWORD).digest();
+  const received = createHash('sha256').update(password).digest();
+  return timingSafeEqual(expected, received);
+}
+
+/**
+ * Issue a token for a team member
+ * @param {string} name - Normalized staff name
+ * @param {number} [now=Date.now()]
+ * @returns {{token: string, expiresAt: number}} expiresAt in milliseconds
+ */
+export function issueStaffToken(name, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const exp = iat + getTtl();
+  const payload = Buffer.from(JSON.stringify({ sub: name, iat, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * Check a staff token
+ * @param {string|undefined} token
+ * @param {number} [now=Date.now()]
+ * @returns {{valid: true, name: string} | {valid: false, reason: 'missing'|'invalid'|'expired'}}
+ */
+export function verifyStaffToken(token, now = Date.now()) {
+  if (typeof token !== 'string' || !token) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const name = normalizeStaffName(claims.sub);
+  if (!name) {
+    return { valid: false, reason: 'invalid' };
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(now / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true, name };
+}
+
+/**
+ * Middleware: require a valid staff token (Authorization: Bearer)
+ * Answers 401 invalid_staff_token (or staff_token_expired) and sets
+ * `req.staff = { name }` on success.
+ * @returns {Function}
+ */
+export function requireStaff() {
+  return async (req, res, next) => {
+    const header = req.headers.authorization;
+    const token = typeof header === 'string' && header.startsWith('Bearer ') ? header.slice(7).trim() : undefined;
+
+    const result = verifyStaffToken(token);
+    if (!result.valid) {
+      if (result.reason !== 'missing') {
+        console.warn(`⚠️ Rejected staff token (${result.reason}) [${req.id}]`);
+      }
+      if (result.reason === 'expired') {
+        throw new ApiError(401, 'staff_token_expired', 'Session expired, sign in again');
+      }
+      throw new ApiError(401, 'invalid_staff_token', 'Missing or invalid staff token');
+    }
+
+    req.staff = { name: result.name };
+    await next();
+  };
+}
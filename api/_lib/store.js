@@ -0,0 +1,453 @@
+/**
+ * Pluggable record store for the API functions
+ * Records are plain objects with an `id`, grouped in named collections
+ * (e.g. "leads"). All methods are async so a hosted database can be plugged
+ * in later without touching the callers.
+ *
+ * Driver selection (STORE_DRIVER):
+ * - json (default): one JSON file per collection in STORE_PATH
+ * - sqlite: single database file STORE_PATH/flexspace.db (requires node:sqlite, Node 22.5+)
+ * - memory: in-process only, lost on restart (tests, demos)
+ * - redis: Redis over its REST API (Upstash, or Vercel's Redis integration),
+ *   shared by every instance. The default when its URL and token are set:
+ *   KV_REST_API_URL / KV_REST_API_TOKEN, or UPSTASH_REDIS_REST_URL / _TOKEN
+ *
+ * STORE_PATH defaults to ./.data locally and /tmp/flexspace-data on Vercel,
+ * whose filesystem is read-only apart from /tmp (and /tmp is not shared
+ * between instances: use redis for production leads).
+ * Features that pass records from one request to another (handoffs, staff
+ * pages, the callback queue) refuse to run there on the other drivers: see
+ * requireSharedStore.
+ */
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { ApiError } from './middleware.js';
+
+const REDIS_URL = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+const REDIS_TOKEN = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+
+const STORE_DRIVER = process.env.STORE_DRIVER || (REDIS_URL && REDIS_TOKEN ? 'redis' : 'json');
+const STORE_PATH = process.env.STORE_PATH
+  || (process.env.VERCEL ? '/tmp/flexspace-data' : path.join(process.cwd(), '.data'));
+
+/** Drivers whose records stay inside the function instance */
+const INSTANCE_DRIVERS = ['memory', 'json', 'sqlite'];
+
+/**
+ * @typedef {Object} StoreRecord
+ * @property {string} id
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {function(string, string): Promise<StoreRecord|null>} get - Record by id
+ * @property {function(string): Promise<StoreRecord[]>} list - All records of a collection
+ * @property {function(string, function(StoreRecord): boolean): Promise<StoreRecord|null>} find - First record matching a predicate
+ * @property {function(string, StoreRecord): Promise<StoreRecord>} put - Insert or replace a record
+ * @property {function(string, string): Promise<boolean>} remove - Delete a record
+ * @property {function(string, function(StoreRecord[]): (StoreRecord|null)): Promise<StoreRecord|null>} update - Atomic
+ *   read-modify-write: the callback gets the collection's current records and
+ *   returns the record to put (or null to write nothing). It must be
+ *   synchronous: nothing else writes to the collection while it runs. An error
+ *   it throws is passed on, with nothing written. It may run again with fresh
+ *   records (redis, after a concurrent write): only change what it is given
+ */
+
+/**
+ * Ensure collection names are safe file/table keys
+ * @param {string} collection
+ */
+function assertCollection(collection) {
+  if (!/^[a-z][a-z0-9_]*$/.test(collection)) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+}
+
+/**
+ * In-memory store
+ * @returns {Store}
+ */
+export function createMemoryStore() {
+  /** @type {Map<string, Map<string, StoreRecord>>} */
+  const collections = new Map();
+
+  const getCollection = (collection) => {
+    assertCollection(collection);
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+
+  return {
+    async get(collection, id) {
+      return structuredClone(getCollection(collection).get(id) ?? null);
+    },
+    async list(collection) {
+      return structuredClone([...getCollection(collection).values()]);
+    },
+    async find(collection, predicate) {
+      const record = [...getCollection(collection).values()].find(predicate);
+      return structuredClone(record ?? null);
+    },
+    async put(collection, record) {
+      getCollection(collection).set(record.id, structuredClone(record));
+      return record;
+    },
+    async remove(collection, id) {
+      return getCollection(collection).delete(id);
+    },
+    async update(collection, mutate) {
+      const records = getCollection(collection);
+      const record = mutate(structuredClone([...records.values()]));
+      if (record) records.set(record.id, structuredClone(record));
+      return record ?? null;
+    }
+  };
+}
+
+/**
+ * JSON file store: STORE_PATH/<collection>.json holding an array of records
+ * Writes go through a temp file + rename and are serialized per collection,
+ * so concurrent requests in one process don't lose updates
+ * @param {string} [dir]
+ * @returns {Store}
+ */
+export function createJsonStore(dir = STORE_PATH) {
+  /** @type {Map<string, Promise<*>>} Pending write chain per collection */
+  const queues = new Map();
+
+  const filePath = (collection) => {
+    assertCollection(collection);
+    return path.join(dir, `${collection}.json`);
+  };
+
+  const read = async (collection) => {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath(collection), 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const write = async (collection, records) => {
+    await fs.mkdir(dir, { recursive: true });
+    const target = filePath(collection);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(records, null, 2));
+    await fs.rename(temp, target);
+  };
+
+  /**
+   * Run a read-modify-write after the previous one on the same collection
+   * @param {string} collection
+   * @param {function(): Promise<*>} task
+   */
+  const enqueue = (collection, task) => {
+    const previous = queues.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(collection, next);
+    return next;
+  };
+
+  return {
+    async get(collection, id) {
+      return (await read(collection)).find(record => record.id === id) ?? null;
+    },
+    async list(collection) {
+      return read(collection);
+    },
+    async find(collection, predicate) {
+      return (await read(collection)).find(predicate) ?? null;
+    },
+    put(collection, record) {
+      return enqueue(collection, async () => {
+        const records = await read(collection);
+        const index = records.findIndex(existing => existing.id === record.id);
+        if (index >= 0) {
+          records[index] = record;
+        } else {
+          records.push(record);
+        }
+        await write(collection, records);
+        return record;
+      });
+    },
+    remove(collection, id) {
+      return enqueue(collection, async () => {
+        const records = await read(collection);
+        const remaining = records.filter(record => record.id !== id);
+        if (remaining.length === records.length) return false;
+        await write(collection, remaining);
+        return true;
+      });
+    },
+    update(collection, mutate) {
+      return enqueue(collection, async () => {
+        const records = await read(collection);
+        const record = mutate(structuredClone(records));
+        if (!record) return null;
+        const index = records.findIndex(existing => existing.id === record.id);
+        if (index >= 0) {
+          records[index] = record;
+        } else {
+          records.push(record);
+        }
+        await write(collection, records);
+        return record;
+      });
+    }
+  };
+}
+
+/**
+ * SQLite store (node:sqlite): one `records` table keyed by collection + id
+ * @param {string} [dir]
+ * @returns {Promise<Store>}
+ */
+export async function createSqliteStore(dir = STORE_PATH) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error('STORE_DRIVER=sqlite requires Node.js 22.5+ (node:sqlite)');
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const db = new DatabaseSync(path.join(dir, 'flexspace.db'));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const selectOne = db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?');
+  const selectAll = db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY updated_at');
+  const upsert = db.prepare(`
+    INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `);
+  const deleteOne = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+
+  const listRecords = (collection) => {
+    assertCollection(collection);
+    return selectAll.all(collection).map(row => JSON.parse(row.data));
+  };
+
+  return {
+    async get(collection, id) {
+      assertCollection(collection);
+      const row = selectOne.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async list(collection) {
+      return listRecords(collection);
+    },
+    async find(collection, predicate) {
+      return listRecords(collection).find(predicate) ?? null;
+    },
+    async put(collection, record) {
+      assertCollection(collection);
+      upsert.run(collection, record.id, JSON.stringify(record), Date.now());
+      return record;
+    },
+    async remove(collection, id) {
+      assertCollection(collection);
+      return deleteOne.run(collection, id).changes > 0;
+    },
+    async update(collection, mutate) {
+      assertCollection(collection);
+      // IMMEDIATE takes the write lock up front, so other processes wait too
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const record = mutate(listRecords(collection));
+        if (record) upsert.run(collection, record.id, JSON.stringify(record), Date.now());
+        db.exec('COMMIT');
+        return record ?? null;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    }
+  };
+}
+
+// Redis keys: a hash per collection (field = record ID, value = JSON) and a
+// version counter that every write bumps, so update() can detect a concurrent write
+const REDIS_KEY_PREFIX = 'flexspace';
+const REDIS_TIMEOUT = 10000;
+const REDIS_UPDATE_ATTEMPTS = 10;
+// Random wait before retrying a conflicting update, doubled on each attempt (ms)
+const REDIS_RETRY_BASE_DELAY = 10;
+
+const REDIS_READ_SCRIPT = `
+return { redis.call('GET', KEYS[2]) or '0', redis.call('HVALS', KEYS[1]) }`;
+
+const REDIS_PUT_SCRIPT = `
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return redis.call('INCR', KEYS[2])`;
+
+const REDIS_REMOVE_SCRIPT = `
+local removed = redis.call('HDEL', KEYS[1], ARGV[1])
+if removed > 0 then redis.call('INCR', KEYS[2]) end
+return removed`;
+
+// Writes only if nothing was written since the version read (ARGV[1])
+const REDIS_PUT_IF_VERSION_SCRIPT = `
+if (redis.call('GET', KEYS[2]) or '0') ~= ARGV[1] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[2], ARGV[3])
+redis.call('INCR', KEYS[2])
+return 1`;
+
+/**
+ * Redis store over the Upstash REST API (one POST per command)
+ * update() reads the collection with its version and writes only if the
+ * version is unchanged, retrying with fresh records otherwise.
+ * @param {Object} [options]
+ * @param {string} [options.url] - REST URL
+ * @param {string} [options.token] - REST token
+ * @returns {Store}
+ */
+export function createRedisStore({ url = REDIS_URL, token = REDIS_TOKEN } = {}) {
+  if (!url || !token) {
+    throw new Error('STORE_DRIVER=redis requires KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)');
+  }
+
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(REDIS_TIMEOUT)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Redis ${args[0]} failed: ${data.error || `HTTP ${response.status}`}`);
+    }
+    return data.result;
+  };
+
+  const keys = (collection) => {
+    assertCollection(collection);
+    const key = `${REDIS_KEY_PREFIX}:${collection}`;
+    return [key, `${key}:version`];
+  };
+
+  const script = (source, collection, ...args) => command('EVAL', source, 2, ...keys(collection), ...args);
+
+  const listRecords = async (collection) => {
+    const [key] = keys(collection);
+    return ((await command('HVALS', key)) || []).map(value => JSON.parse(value));
+  };
+
+  return {
+    async get(collection, id) {
+      const [key] = keys(collection);
+      const value = await command('HGET', key, id);
+      return value ? JSON.parse(value) : null;
+    },
+    async list(collection) {
+      return listRecords(collection);
+    },
+    async find(collection, predicate) {
+      return (await listRecords(collection)).find(predicate) ?? null;
+    },
+    async put(collection, record) {
+      await script(REDIS_PUT_SCRIPT, collection, record.id, JSON.stringify(record));
+      return record;
+    },
+    async remove(collection, id) {
+      return (await script(REDIS_REMOVE_SCRIPT, collection, id)) > 0;
+    },
+    async update(collection, mutate) {
+      for (let attempt = 0; attempt < REDIS_UPDATE_ATTEMPTS; attempt++) {
+        const [version, values] = await script(REDIS_READ_SCRIPT, collection);
+        const record = mutate((values || []).map(value => JSON.parse(value)));
+        if (!record) return null;
+
+        const written = await script(REDIS_PUT_IF_VERSION_SCRIPT, collection, String(version), record.id, JSON.stringify(record));
+        if (written === 1) return record;
+
+        const delay = Math.random() * REDIS_RETRY_BASE_DELAY * 2 ** attempt;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      throw new Error(`Redis update of ${collection} kept conflicting with other writes`);
+    }
+  };
+}
+
+/** @type {Promise<Store>|null} Shared across invocations of a warm function */
+let storePromise = null;
+
+/**
+ * Get the configured store (created once per process)
+ * @returns {Promise<Store>}
+ */
+export function getStore() {
+  if (!storePromise) {
+    switch (STORE_DRIVER) {
+      case 'memory':
+        storePromise = Promise.resolve(createMemoryStore());
+        break;
+      case 'sqlite':
+        storePromise = createSqliteStore();
+        break;
+      case 'json':
+        storePromise = Promise.resolve(createJsonStore());
+        break;
+      case 'redis':
+        storePromise = Promise.resolve().then(() => createRedisStore());
+        break;
+      default:
+        storePromise = Promise.reject(new Error(`Unknown STORE_DRIVER: ${STORE_DRIVER}`));
+    }
+  }
+  return storePromise;
+}
+
+/**
+ * Atomic read-modify-write of one record (see Store.update)
+ * @param {Store} store
+ * @param {string} collection
+ * @param {string} id
+ * @param {function(StoreRecord): (StoreRecord|null)} mutate - Synchronous; gets
+ *   the current record and returns the record to put, or null to write nothing
+ * @returns {Promise<StoreRecord|null>} The record put, or null (missing record, or nothing written)
+ */
+export function updateRecord(store, collection, id, mutate) {
+  return store.update(collection, (records) => {
+    const record = records.find(item => item.id === id);
+    return record ? mutate(record) : null;
+  });
+}
+
+/**
+ * Check if every function instance sees the same records
+ * Locally the API runs in one process; on Vercel each instance has its own
+ * memory and /tmp.
+ * @returns {boolean}
+ */
+export function isSharedStore() {
+  return !process.env.VERCEL || !INSTANCE_DRIVERS.includes(STORE_DRIVER);
+}
+
+/**
+ * Middleware: fail with 500 config_missing unless the store is shared
+ * Otherwise a visitor and the team (or two requests of one visitor) could
+ * reach different instances and never see each other's records.
+ * @returns {Function}
+ */
+export function requireSharedStore() {
+  return async (req, res, next) => {
+    if (!isSharedStore()) {
+      throw new ApiError(500, 'config_missing', `STORE_DRIVER=${STORE_DRIVER} is not shared between instances, use STORE_DRIVER=redis`);
+    }
+    await next();
+  };
+}
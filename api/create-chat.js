@@ -4,62 +4,62 @@
  *
  * NOTE: Each request creates a NEW chat to avoid mixing conversations
  * between different users (no server-side caching of chat IDs)
+ *
+ * Body (all optional):
+ * - locale: French locales ("fr", "fr-CA"...) use the French agent
+ *   (RETELL_AGENT_ID_FR) when configured, otherwise the default agent
+ * - context: page_url, page_title, referrer, utm_* of the page the chat starts from
+ * - visitor: first_name, last_name, email, company_name, user_number known to the host page
+ * Context and visitor fields are forwarded as retell_llm_dynamic_variables
+ * (and context as chat metadata) after whitelisting, see _lib/chatContext.js
+ *
+ * New chats are rate limited per IP and per visitor session (429 rate_limited)
+ *
+ * The response adds `chat_token`, which the widget must send as X-Chat-Token
+ * on every later call for this chat (see _lib/chatToken.js)
  */
+import { buildChatContext } from './_lib/chatContext.js';
+import { getAgentId } from './_lib/agents.js';
+import { retellFetch, retellError } from './_lib/retell.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit, getClientIp, getSessionId } from './_lib/rateLimit.js';
+import { CHAT_TOKEN_HEADER, issueChatToken } from './_lib/chatToken.js';
 
-const RETELL_API_KEY = process.env.RETELL_API_KEY;
-const RETELL_AGENT_ID = process.env.RETELL_AGENT_ID;
-
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+export default createHandler({
+  methods: ['POST'],
+  label: 'creating chat',
+  env: ['RETELL_API_KEY'],
+  use: [
+    rateLimit({ name: 'chats:ip', rateLimit: LIMITS.chatsPerIp, key: getClientIp }),
+    rateLimit({ name: 'chats:session', rateLimit: LIMITS.chatsPerSession, key: getSessionId })
+  ]
+}, async (req, res) => {
+  // Use agent_id from environment (secure), chosen by locale
+  const agent_id = getAgentId(req.body.locale);
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (!agent_id) {
+    throw new ApiError(500, 'config_missing', 'Missing RETELL_AGENT_ID env variable');
   }
 
-  try {
-    // Use agent_id from environment (secure)
-    const agent_id = RETELL_AGENT_ID;
-
-    if (!agent_id) {
-      return res.status(500).json({ error: 'Missing RETELL_AGENT_ID env variable' });
-    }
-
-    if (!RETELL_API_KEY) {
-      return res.status(500).json({ error: 'Missing RETELL_API_KEY env variable' });
-    }
+  const { dynamicVariables, metadata } = buildChatContext(req.body);
 
-    // Always create a NEW chat per request
-    // This prevents mixing conversations between different users
-    const response = await fetch('https://api.retellai.com/create-chat', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${RETELL_API_KEY}`,
-      },
-      body: JSON.stringify({ agent_id }),
-    });
+  // Always create a NEW chat per request
+  // This prevents mixing conversations between different users
+  const response = await retellFetch('/create-chat', {
+    method: 'POST',
+    body: {
+      agent_id,
+      retell_llm_dynamic_variables: dynamicVariables,
+      metadata,
+    },
+  });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(errorText || 'Failed to create chat');
-    }
-
-    const data = await response.json();
-    return res.status(200).json(data);
-  } catch (e) {
-    console.error('❌ Error creating chat:', e);
-    return res.status(500).json({ error: e.message });
+  if (!response.ok) {
+    throw await retellError(response, 'Failed to create chat');
   }
-}
+
+  const data = await response.json();
+  const chat_token = issueChatToken(data.chat_id);
+  res.setHeader(CHAT_TOKEN_HEADER, chat_token);
+  return res.status(200).json({ ...data, chat_token });
+});
@@ -0,0 +1,58 @@
+/**
+ * Vercel Serverless Function
+ * Creates a browser voice call (Retell web call) for the widget's voice mode
+ *
+ * Body (all optional):
+ * - locale: French locales use the French voice agent (RETELL_VOICE_AGENT_ID_FR),
+ *   see _lib/agents.js
+ * - context, visitor: same whitelisted fields as /api/create-chat, forwarded
+ *   as retell_llm_dynamic_variables (see _lib/chatContext.js)
+ * - chat_id: text chat the call continues; requires that chat's X-Chat-Token
+ *   and is recorded as call metadata so both transcripts can be matched
+ *
+ * The response's `access_token` is passed to the Retell Web Client SDK
+ * (startCall) and is only valid for a short time. New calls are rate limited
+ * per IP and per visitor session (429 rate_limited).
+ */
+import { buildChatContext } from './_lib/chatContext.js';
+import { getVoiceAgentId } from './_lib/agents.js';
+import { retellFetch, retellError } from './_lib/retell.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit, getClientIp, getSessionId } from './_lib/rateLimit.js';
+import { requireChatToken } from './_lib/chatToken.js';
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'creating web call',
+  env: ['RETELL_API_KEY'],
+  use: [
+    rateLimit({ name: 'calls:ip', rateLimit: LIMITS.callsPerIp, key: getClientIp }),
+    rateLimit({ name: 'calls:session', rateLimit: LIMITS.callsPerSession, key: getSessionId }),
+    requireChatToken(req => req.body.chat_id, { optional: true })
+  ]
+}, async (req, res) => {
+  const agent_id = getVoiceAgentId(req.body.locale);
+
+  if (!agent_id) {
+    throw new ApiError(500, 'config_missing', 'Missing RETELL_VOICE_AGENT_ID env variable');
+  }
+
+  const { dynamicVariables, metadata } = buildChatContext(req.body);
+  const { chat_id } = req.body;
+
+  const response = await retellFetch('/v2/create-web-call', {
+    method: 'POST',
+    body: {
+      agent_id,
+      retell_llm_dynamic_variables: dynamicVariables,
+      metadata: chat_id ? { ...metadata, chat_id: String(chat_id) } : metadata,
+    },
+  });
+
+  if (!response.ok) {
+    throw await retellError(response, 'Failed to create web call');
+  }
+
+  const { call_id, access_token, agent_id: callAgentId } = await response.json();
+  return res.status(200).json({ call_id, access_token, agent_id: callAgentId });
+});
@@ -0,0 +1,182 @@
+/**
+ * Vercel Serverless Function
+ * Visitor side of a human handoff (see _lib/handoff.js)
+ *
+ * GET ?chat_id&after - Poll: { status, operator, messages, cursor } with the
+ *   team's messages after the `after` cursor
+ * POST { action, chat_id, ... }
+ * - request: ask for a person; { requested_by?, reason?, locale?, variables?, transcript? }.
+ *   Answers status "waiting", or "offline" when nobody from the team is online
+ * - message: send a message to the team; { content }. 409 handoff_closed once
+ *   the handoff is no longer open
+ * - leave_message: leave a message when nobody answered; { content, email?,
+ *   user_number?, first_name? } with an email or a phone. Also saved on the
+ *   chat's lead
+ * - close: the visitor goes back to the agent
+ *
+ * Posts are rate limited like chat messages. Requires the chat's
+ * X-Chat-Token (see _lib/chatToken.js) and a store shared between instances
+ * (500 config_missing otherwise, see _lib/store.js).
+ */
+import { getStore, requireSharedStore } from './_lib/store.js';
+import { upsertLead } from './_lib/leads.js';
+import {
+  HANDOFFS_COLLECTION,
+  OPEN_STATUSES,
+  addHandoffMessage,
+  expireIfUnanswered,
+  isValidChatId,
+  openHandoff,
+  toVisitorView,
+  updateHandoff,
+  validateLeftMessage
+} from './_lib/handoff.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit } from './_lib/rateLimit.js';
+import { requireChatToken } from './_lib/chatToken.js';
+
+const ACTIONS = ['request', 'message', 'leave_message', 'close'];
+
+/**
+ * @param {import('./_lib/store.js').Store} store
+ * @param {string} chatId
+ * @returns {Promise<import('./_lib/handoff.js').Handoff>}
+ */
+async function getHandoff(store, chatId) {
+  const handoff = await store.get(HANDOFFS_COLLECTION, chatId);
+  if (!handoff) {
+    throw new ApiError(404, 'not_found', 'No handoff for this chat');
+  }
+  return handoff;
+}
+
+/**
+ * Change the chat's handoff atomically (see updateHandoff)
+ * @param {import('./_lib/store.js').Store} store
+ * @param {string} chatId
+ * @param {function(import('./_lib/handoff.js').Handoff): (boolean|void)} mutate
+ * @returns {Promise<import('./_lib/handoff.js').Handoff>}
+ */
+async function changeHandoff(store, chatId, mutate) {
+  const handoff = await updateHandoff(store, chatId, mutate);
+  if (!handoff) {
+    throw new ApiError(404, 'not_found', 'No handoff for this chat');
+  }
+  return handoff;
+}
+
+/**
+ * Validate the chat ID and action before anything counts against a limit
+ */
+async function validateRequest(req, res, next) {
+  const chatId = req.method === 'GET' ? req.query.chat_id : req.body.chat_id;
+
+  if (!isValidChatId(chatId)) {
+    throw ApiError.badRequest('chat_id is required');
+  }
+  if (req.method === 'POST' && !ACTIONS.includes(req.body.action)) {
+    throw ApiError.badRequest(`action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  await next();
+}
+
+export default createHandler({
+  methods: ['GET', 'POST'],
+  label: 'handling handoff',
+  use: [
+    requireSharedStore(),
+    validateRequest,
+    requireChatToken(req => (req.method === 'GET' ? req.query.chat_id : req.body.chat_id)),
+    // Polling isn't limited, sending is
+    rateLimit({
+      name: 'handoff:chat',
+      rateLimit: LIMITS.messagesPerChat,
+      key: req => (req.method === 'POST' ? req.body.chat_id : null)
+    })
+  ]
+}, async (req, res) => {
+  const store = await getStore();
+
+  if (req.method === 'GET') {
+    const after = Number.parseInt(req.query.after, 10);
+    const handoff = await expireIfUnanswered(store, await getHandoff(store, req.query.chat_id));
+    return res.status(200).json(toVisitorView(handoff, Number.isFinite(after) ? after : 0));
+  }
+
+  const { action, chat_id } = req.body;
+
+  if (action === 'request') {
+    const handoff = await openHandoff(store, {
+      chat_id,
+      requested_by: req.body.requested_by,
+      reason: req.body.reason,
+      locale: req.body.locale,
+      variables: req.body.variables,
+      transcript: req.body.transcript
+    });
+    // Messages from an earlier handoff were already shown
+    return res.status(200).json(toVisitorView(handoff, handoff.messages.length));
+  }
+
+  if (action === 'leave_message') {
+    const { errors, message } = validateLeftMessage(req.body, LIMITS.maxMessageLength);
+    if (errors.length > 0) {
+      throw ApiError.badRequest(errors.join(', '));
+    }
+
+    const handoff = await changeHandoff(store, chat_id, (current) => {
+      if (current.status === 'active') {
+        throw new ApiError(409, 'handoff_active', 'Someone from the team is already replying');
+      }
+      current.visitor = { ...current.visitor, ...message.contact };
+      current.status = 'message_left';
+      addHandoffMessage(current, 'visitor', message.content);
+    });
+
+    const { email, user_number, ...fields } = message.contact;
+
+    await upsertLead(store, {
+      chat_id,
+      email: email || null,
+      phone: user_number || null,
+      fields,
+      ended: false
+    });
+
+    return res.status(200).json(toVisitorView(handoff, handoff.messages.length));
+  }
+
+  await expireIfUnanswered(store, await getHandoff(store, chat_id));
+
+  if (action === 'close') {
+    const handoff = await changeHandoff(store, chat_id, (current) => {
+      if (!OPEN_STATUSES.includes(current.status)) return false;
+      current.status = 'closed';
+      addHandoffMessage(current, 'system', 'The visitor went back to the agent');
+    });
+    return res.status(200).json(toVisitorView(handoff, handoff.messages.length));
+  }
+
+  // message
+  const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+  if (!content) {
+    throw ApiError.badRequest('content is required');
+  }
+  if (content.length > LIMITS.maxMessageLength) {
+    throw new ApiError(400, 'message_too_long', `Message is longer than ${LIMITS.maxMessageLength} characters`, {
+      max_length: LIMITS.maxMessageLength
+    });
+  }
+
+  let message;
+  const handoff = await changeHandoff(store, chat_id, (current) => {
+    if (!OPEN_STATUSES.includes(current.status)) {
+      throw new ApiError(409, 'handoff_closed', 'Nobody from the team is in this conversation', {
+        status: current.status
+      });
+    }
+    message = addHandoffMessage(current, 'visitor', content);
+  });
+  return res.status(200).json({ seq: message.seq, status: handoff.status, operator: handoff.operator });
+});
@@ -0,0 +1,35 @@
+/**
+ * Vercel Serverless Function
+ * Capture a lead from the chat widget
+ *
+ * POST { chat_id, variables, ended? }
+ * - variables: chat variables (email and/or user_number required, plus
+ *   first_name, last_name, company_name, call_type, primary_service_type)
+ * - ended: true when sent because the chat ended
+ *
+ * Leads are deduplicated by email, then phone; the chat is attached to the
+ * lead with a transcript reference. Responds { lead_id, created }.
+ * Requires the chat's X-Chat-Token (see _lib/chatToken.js).
+ */
+import { getStore } from './_lib/store.js';
+import { validateLead, upsertLead } from './_lib/leads.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { requireChatToken } from './_lib/chatToken.js';
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'saving lead',
+  // Only the browser that owns the chat can attach it to a lead
+  use: [requireChatToken(req => req.body.chat_id)]
+}, async (req, res) => {
+  const { errors, lead } = validateLead(req.body);
+
+  if (errors.length > 0) {
+    throw ApiError.badRequest(errors.join(', '));
+  }
+
+  const store = await getStore();
+  const { lead: saved, created } = await upsertLead(store, lead);
+
+  return res.status(created ? 201 : 200).json({ lead_id: saved.id, created });
+});
@@ -0,0 +1,84 @@
+/**
+ * Vercel Serverless Function
+ * Places the queued callbacks that are due (see _lib/callbacks.js)
+ *
+ * Meant to be run on a schedule (Vercel Cron Job, or any scheduler calling
+ * the URL) with `Authorization: Bearer <CRON_SECRET>`. Outside business
+ * hours it does nothing; otherwise it places up to CALLBACKS_PER_RUN due
+ * callbacks, oldest first. Responds { placed, failed, pending }.
+ * Requires a store shared between instances (see _lib/store.js).
+ */
+import { timingSafeEqual } from 'node:crypto';
+import { getStore, requireSharedStore } from './_lib/store.js';
+import {
+  CALLBACKS_COLLECTION,
+  canPlaceCalls,
+  claimCallback,
+  isDue,
+  isWithinBusinessHours,
+  placeCallback
+} from './_lib/callbacks.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+
+// Calls placed per run, so a backlog doesn't outlast the function timeout
+const CALLBACKS_PER_RUN = 10;
+
+/**
+ * Check the request's bearer token against CRON_SECRET
+ * @param {string|undefined} header - Authorization header
+ * @returns {boolean}
+ */
+function isAuthorized(header) {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const received = Buffer.from(typeof header === 'string' ? header : '');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+export default createHandler({
+  // Vercel Cron Jobs send GET requests
+  methods: ['GET', 'POST'],
+  label: 'processing callbacks',
+  cors: false,
+  parseBody: false,
+  env: ['RETELL_API_KEY', 'CRON_SECRET'],
+  use: [requireSharedStore()]
+}, async (req, res) => {
+  if (!isAuthorized(req.headers.authorization)) {
+    console.warn(`⚠️ Rejected callback queue run without a valid secret [${req.id}]`);
+    throw new ApiError(401, 'unauthorized', 'Missing or invalid authorization');
+  }
+
+  if (!canPlaceCalls()) {
+    throw new ApiError(500, 'config_missing', 'Missing RETELL_FROM_NUMBER env variable');
+  }
+
+  const store = await getStore();
+  const due = (await store.list(CALLBACKS_COLLECTION))
+    .filter(callback => isDue(callback))
+    .sort((a, b) => (a.scheduled_for || a.created_at).localeCompare(b.scheduled_for || b.created_at));
+
+  if (due.length === 0 || !isWithinBusinessHours()) {
+    return res.status(200).json({ placed: 0, failed: 0, pending: due.length });
+  }
+
+  let placed = 0;
+  let failed = 0;
+  // Due callbacks left for a later run, including failed attempts to retry
+  let pending = Math.max(due.length - CALLBACKS_PER_RUN, 0);
+  // One at a time: Retell limits concurrent outbound calls per number
+  for (const callback of due.slice(0, CALLBACKS_PER_RUN)) {
+    // Another run may have taken it since the list was read
+    const claimed = await claimCallback(store, callback.id);
+    if (!claimed) continue;
+
+    const result = await placeCallback(store, claimed);
+    if (result.status === 'calling') {
+      placed++;
+    } else {
+      failed++;
+      if (result.status === 'scheduled') pending++;
+    }
+  }
+
+  return res.status(200).json({ placed, failed, pending });
+});
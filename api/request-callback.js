@@ -0,0 +1,91 @@
+/**
+ * Vercel Serverless Function
+ * A visitor asks to be called back from the chat ("Call me")
+ *
+ * POST { chat_id, phone, preferred_time?, locale?, caller? }
+ * - phone: Canadian or US number, in any common format
+ * - preferred_time: "asap" (default) or an ISO date-time within 30 days
+ * - locale: French locales are called by the French voice agent
+ * - caller: first_name, last_name, company_name, email known to the chat
+ *
+ * An "asap" request made during business hours is called right away through
+ * Retell (outbound phone call from RETELL_FROM_NUMBER); otherwise it is queued
+ * for api/process-callbacks (see _lib/callbacks.js). The phone number is also
+ * saved on the chat's lead. Responds 201 { callback_id, status, scheduled_for }
+ * with status "calling" or "scheduled".
+ * Without the cron (CRON_SECRET) and a store it shares with this function
+ * (see _lib/store.js), nothing would place a queued callback: such requests,
+ * and calls that fail right away, get 503 callbacks_unavailable.
+ * Requires the chat's X-Chat-Token (see _lib/chatToken.js).
+ */
+import { getStore } from './_lib/store.js';
+import { upsertLead, normalizeEmail } from './_lib/leads.js';
+import {
+  CALLBACKS_COLLECTION,
+  validateCallbackRequest,
+  createCallback,
+  canPlaceCalls,
+  canQueueCallbacks,
+  isWithinBusinessHours,
+  placeCallback
+} from './_lib/callbacks.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit, getClientIp } from './_lib/rateLimit.js';
+import { requireChatToken } from './_lib/chatToken.js';
+
+/**
+ * @returns {ApiError} The visitor should use another way to reach us
+ */
+function callbacksUnavailable() {
+  return new ApiError(503, 'callbacks_unavailable', 'Callbacks cannot be scheduled right now');
+}
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'requesting callback',
+  use: [
+    requireChatToken(req => req.body.chat_id),
+    rateLimit({ name: 'callbacks:ip', rateLimit: LIMITS.callbacksPerIp, key: getClientIp }),
+    rateLimit({ name: 'callbacks:chat', rateLimit: LIMITS.callbacksPerChat, key: req => req.body.chat_id })
+  ]
+}, async (req, res) => {
+  const { errors, request } = validateCallbackRequest(req.body);
+
+  if (errors.length > 0) {
+    throw ApiError.badRequest(errors.join(', '));
+  }
+
+  const callNow = !request.scheduled_for && canPlaceCalls() && isWithinBusinessHours();
+  if (!callNow && !canQueueCallbacks()) {
+    throw callbacksUnavailable();
+  }
+
+  const store = await getStore();
+  // Stored as "placing" when dialed now, so a queue run can't dial it too
+  let callback = createCallback(request, { callNow });
+  await store.put(CALLBACKS_COLLECTION, callback);
+
+  const { email, ...fields } = request.caller;
+  await upsertLead(store, {
+    chat_id: request.chat_id,
+    email: normalizeEmail(email),
+    phone: request.phone,
+    fields,
+    ended: false
+  });
+
+  if (callNow) {
+    callback = await placeCallback(store, callback);
+    if (callback.status !== 'calling' && !canQueueCallbacks()) {
+      // Nothing would retry it
+      await store.put(CALLBACKS_COLLECTION, { ...callback, status: 'failed' });
+      throw callbacksUnavailable();
+    }
+  }
+
+  return res.status(201).json({
+    callback_id: callback.id,
+    status: callback.status === 'calling' ? 'calling' : 'scheduled',
+    scheduled_for: callback.scheduled_for
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Vercel Serverless Function
+ * Receives Retell chat webhooks (chat_started, chat_ended, chat_analyzed)
+ *
+ * Configure in the Retell dashboard (agent → Webhook URL):
+ *   https://<your-deployment>/api/retell-webhook
+ *
+ * Each delivery is verified with the x-retell-signature header (HMAC of the
+ * body with RETELL_API_KEY), then merged into the server-side chat record.
+ * When the chat holds contact details, the lead is updated too, so data is
+ * captured even if the visitor closed the tab before the chat ended.
+ */
+import { getStore } from './_lib/store.js';
+import { verifyRetellSignature } from './_lib/retellSignature.js';
+import { CHAT_EVENTS, getChatVariables, recordChatEvent } from './_lib/chats.js';
+import { validateLead, upsertLead } from './_lib/leads.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+
+/**
+ * Get the body as signed by Retell
+ * Uses the raw stream when the runtime hasn't parsed it; otherwise
+ * re-serializes the parsed JSON (what Retell's own examples verify against)
+ * @param {import('http').IncomingMessage & {body?: *}} req
+ * @returns {Promise<string>}
+ */
+async function getRawBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body && typeof req.body === 'object') return JSON.stringify(req.body);
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'handling Retell webhook',
+  // Server-to-server only, and the signature is checked on the raw body
+  cors: false,
+  parseBody: false,
+  env: ['RETELL_API_KEY']
+}, async (req, res) => {
+  const rawBody = await getRawBody(req);
+
+  if (!verifyRetellSignature(rawBody, process.env.RETELL_API_KEY, req.headers['x-retell-signature'])) {
+    console.warn(`⚠️ Rejected Retell webhook with invalid signature [${req.id}]`);
+    throw new ApiError(401, 'invalid_signature', 'Invalid signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    throw ApiError.badRequest('Invalid JSON body');
+  }
+
+  const { event, chat } = payload;
+
+  // Acknowledge other events (e.g. call events) so Retell doesn't retry them
+  if (!CHAT_EVENTS.includes(event)) {
+    return res.status(204).end();
+  }
+
+  if (!chat?.chat_id) {
+    throw ApiError.badRequest('chat.chat_id is required');
+  }
+
+  const store = await getStore();
+  const record = await recordChatEvent(store, event, chat);
+
+  // Contact details can come from the conversation or from post-chat analysis
+  const { lead } = validateLead({
+    chat_id: record.id,
+    variables: getChatVariables(record),
+    ended: record.status !== 'ongoing'
+  });
+  if (lead) {
+    await upsertLead(store, lead);
+  }
+
+  return res.status(204).end();
+});
@@ -1,64 +1,287 @@
 /**
  * Vercel Serverless Function
  * Sends a message and creates chat completion with Retell AI
+ *
+ * Streaming mode: when the client sends `Accept: text/event-stream` (or
+ * `stream: true` in the body) the reply is relayed as Server-Sent Events:
+ *   event: delta  data: {"content": "<text chunk>"}
+ *   event: done   data: <full create-chat-completion response>
+ *   event: error  data: {"error": {"code": "stream_error", "message": "..."}, "request_id": "..."}
+ * If the upstream answers with its own event stream, its events are parsed and
+ * re-emitted in this format; otherwise the JSON completion is split into word
+ * chunks. Clients that don't ask for a stream keep receiving the plain JSON
+ * response.
+ *
+ * Limits: messages longer than MAX_MESSAGE_LENGTH get 400 message_too_long;
+ * too many messages per IP or per chat get 429 rate_limited, and a chat past
+ * MAX_TURNS_PER_CHAT messages gets 429 turn_limit_reached.
+ * Requires the chat's X-Chat-Token (see _lib/chatToken.js).
  */
+import { retellFetch, retellError } from './_lib/retell.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit, getClientIp } from './_lib/rateLimit.js';
+import { requireChatToken } from './_lib/chatToken.js';
 
-export default async function handler(req, res) {
-  // ✅ CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+// Pause between synthesized chunks so text renders progressively (ms)
+const STREAM_CHUNK_DELAY = 25;
+// Approximate number of words per synthesized chunk
+const STREAM_WORDS_PER_CHUNK = 3;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+/**
+ * Validate the message before it counts against any limit
+ */
+async function validateMessage(req, res, next) {
+  const { chat_id, message } = req.body;
+
+  if (!chat_id || !message) {
+    throw ApiError.badRequest('chat_id and message are required');
+  }
+  if (typeof chat_id !== 'string' || typeof message !== 'string') {
+    throw ApiError.badRequest('chat_id and message must be strings');
   }
+  if (message.length > LIMITS.maxMessageLength) {
+    throw new ApiError(400, 'message_too_long', `Message is longer than ${LIMITS.maxMessageLength} characters`, {
+      max_length: LIMITS.maxMessageLength
+    });
+  }
+
+  await next();
+}
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'sending message',
+  env: ['RETELL_API_KEY'],
+  use: [
+    validateMessage,
+    requireChatToken(req => req.body.chat_id),
+    rateLimit({ name: 'messages:ip', rateLimit: LIMITS.messagesPerIp, key: getClientIp }),
+    rateLimit({ name: 'messages:chat', rateLimit: LIMITS.messagesPerChat, key: req => req.body.chat_id }),
+    rateLimit({
+      name: 'turns:chat',
+      rateLimit: LIMITS.turnsPerChat,
+      key: req => req.body.chat_id,
+      code: 'turn_limit_reached',
+      message: 'This chat has reached its message limit'
+    })
+  ]
+}, async (req, res) => {
+  const { chat_id, message, stream } = req.body;
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  const streaming = stream === true || (req.headers.accept || '').includes('text/event-stream');
+
+  // ✅ ENDPOINT CORRECTO SEGÚN DOC
+  const response = await retellFetch('/create-chat-completion', {
+    method: 'POST',
+    headers: {
+      // Upstreams that can stream will answer with text/event-stream
+      'Accept': streaming ? 'text/event-stream, application/json' : 'application/json'
+    },
+    body: {
+      chat_id: chat_id,
+      content: message
+    }
+  });
+
+  if (!response.ok) {
+    throw await retellError(response, 'Failed to send message');
   }
 
-  try {
-    const RETELL_API_KEY = process.env.RETELL_API_KEY;
+  if (!streaming) {
+    const data = await response.json();
+    return res.status(200).json(data);
+  }
 
-    if (!RETELL_API_KEY) {
-      return res.status(500).json({ error: 'Missing RETELL_API_KEY env variable' });
+  openEventStream(res);
+
+  try {
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream') && response.body) {
+      await relayUpstreamStream(response.body, res);
+    } else {
+      const data = await response.json();
+      await writeSynthesizedStream(res, data);
     }
+  } catch (error) {
+    // Headers are already sent once the stream is open: report in-band
+    console.error(`❌ Error streaming message [${req.id}]:`, error);
+    writeEvent(res, 'error', {
+      error: { code: 'stream_error', message: error.message },
+      request_id: req.id
+    });
+  }
+
+  return res.end();
+});
 
-    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { chat_id, message } = body || {};
+/**
+ * Send SSE headers
+ * @param {Object} res
+ */
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering so chunks reach the browser immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Write a single SSE event
+ * @param {Object} res
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Relay an upstream event stream in this endpoint's format
+ * Text chunks become `delta` events. A full completion sent by the upstream
+ * becomes `done` (split into deltas first if no text came before it);
+ * otherwise `done` is built from the chunks.
+ * @param {ReadableStream} body - Upstream response body
+ * @param {Object} res
+ */
+async function relayUpstreamStream(body, res) {
+  let content = '';
+  let completion = null;
 
-    if (!chat_id || !message) {
-      return res.status(400).json({ error: 'chat_id and message are required' });
+  await readUpstreamEvents(body, ({ event, data }) => {
+    if (event === 'error' || data?.error) {
+      throw new Error(data?.error?.message || data?.message || 'Upstream stream failed');
     }
+    if (Array.isArray(data?.messages)) {
+      completion = data;
+      return;
+    }
+    const delta = getDeltaContent(data);
+    if (delta) {
+      content += delta;
+      writeEvent(res, 'delta', { content: delta });
+    }
+  });
+
+  if (completion && !content) {
+    await writeSynthesizedStream(res, completion);
+  } else if (completion || content) {
+    writeEvent(res, 'done', completion || { messages: [{ role: 'agent', content }] });
+  } else {
+    throw new Error('Upstream stream closed without a reply');
+  }
+}
 
-    // ✅ ENDPOINT CORRECTO SEGÚN DOC
-    const response = await fetch('https://api.retellai.com/create-chat-completion', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RETELL_API_KEY}`
-      },
-      body: JSON.stringify({
-        chat_id: chat_id,
-        content: message  
-      })
+/**
+ * Parse an upstream event stream, calling onEvent for each event
+ * Data that isn't JSON (e.g. a `[DONE]` marker) is passed as text.
+ * @param {ReadableStream} body
+ * @param {function({event: string, data: *}): void} onEvent - May throw to stop reading
+ */
+async function readUpstreamEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    rawEvent.split(/\r?\n/).forEach(line => {
+      if (line.startsWith(':')) return; // comment / keep-alive
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') dataLines.push(value);
     });
+    if (dataLines.length === 0) return;
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error('❌ Retell API error:', text);
-      return res.status(response.status).json({ error: text });
+    let data = dataLines.join('\n');
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // Kept as text
     }
+    onEvent({ event, data });
+  };
 
-    const data = await response.json();
-    return res.status(200).json(data);
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
 
-  } catch (error) {
-    console.error('❌ send-message error:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        dispatch(rawEvent);
+      }
+    }
+
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  } finally {
+    // Stop the upstream when reading ends early on an error
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Get the text chunk of an upstream delta event
+ * Accepts `{content}`, `{delta}`, `{delta: {content}}` and chat-completion
+ * style `{choices: [{delta: {content}}]}` payloads.
+ * @param {*} data
+ * @returns {string}
+ */
+function getDeltaContent(data) {
+  const candidates = [
+    data?.content,
+    data?.delta,
+    data?.delta?.content,
+    data?.choices?.[0]?.delta?.content
+  ];
+  return candidates.find(value => typeof value === 'string') || '';
+}
+
+/**
+ * Split a full completion into delta events, then send it whole as `done`
+ * @param {Object} res
+ * @param {Object} data - create-chat-completion response
+ */
+async function writeSynthesizedStream(res, data) {
+  const content = getLastAgentContent(data);
+  const words = content.split(/(\s+)/);
+  const chunkSize = STREAM_WORDS_PER_CHUNK * 2; // words + separators
+
+  for (let i = 0; i < words.length; i += chunkSize) {
+    writeEvent(res, 'delta', { content: words.slice(i, i + chunkSize).join('') });
+    await new Promise(resolve => setTimeout(resolve, STREAM_CHUNK_DELAY));
+  }
+
+  writeEvent(res, 'done', data);
+}
+
+/**
+ * Get the latest agent message text from a completion
+ * @param {Object} data
+ * @returns {string}
+ */
+function getLastAgentContent(data) {
+  if (Array.isArray(data?.messages)) {
+    const lastAgentMsg = [...data.messages]
+      .reverse()
+      .find(msg => msg.role === 'agent' && msg.content);
+    if (lastAgentMsg) return lastAgentMsg.content;
   }
-}
\ No newline at end of file
+  if (typeof data?.response === 'string') return data.response;
+  if (typeof data?.output_text === 'string') return data.output_text;
+  return '';
+}
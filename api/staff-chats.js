@@ -0,0 +1,77 @@
+/**
+ * Vercel Serverless Function
+ * Conversations recorded on the server (see retell-webhook.js), for the staff
+ * dashboard (public/staff/index.html)
+ *
+ * GET - List, newest first: { chats, total, service_types }
+ *   ?status=active|ended&from&to&has_email&service_type&limit&offset
+ *   (see _lib/listFilters.js; dates apply to the chat's start)
+ * GET ?chat_id - One chat in full: { chat, variables, lead, handoff }, with
+ *   the messages exchanged with the team if it was handed off
+ *
+ * Requires a staff token (see _lib/staffAuth.js) and a store shared between
+ * instances (see _lib/store.js).
+ */
+import { getStore, requireSharedStore } from './_lib/store.js';
+import { CHATS_COLLECTION, getChatVariables, toChatSummary } from './_lib/chats.js';
+import { LEADS_COLLECTION, indexLeadsByChat } from './_lib/leads.js';
+import { HANDOFFS_COLLECTION, isValidChatId } from './_lib/handoff.js';
+import { listServiceTypes, matchesListFilters, parseListFilters } from './_lib/listFilters.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { requireStaff } from './_lib/staffAuth.js';
+
+const STATUSES = ['active', 'ended'];
+
+export default createHandler({
+  methods: ['GET'],
+  label: 'listing chats',
+  // Same-origin pages only
+  cors: false,
+  env: ['STAFF_PASSWORD'],
+  use: [requireSharedStore(), requireStaff()]
+}, async (req, res) => {
+  const store = await getStore();
+  const { chat_id, status } = req.query;
+
+  if (chat_id !== undefined) {
+    if (!isValidChatId(chat_id)) {
+      throw ApiError.badRequest('chat_id is invalid');
+    }
+    const chat = await store.get(CHATS_COLLECTION, chat_id);
+    if (!chat) {
+      throw new ApiError(404, 'not_found', 'No recorded chat with this ID');
+    }
+
+    const lead = await store.find(LEADS_COLLECTION, entry => entry.chats.some(c => c.chat_id === chat_id));
+    return res.status(200).json({
+      chat,
+      variables: getChatVariables(chat),
+      lead: lead || null,
+      handoff: await store.get(HANDOFFS_COLLECTION, chat_id)
+    });
+  }
+
+  if (status !== undefined && status !== '' && !STATUSES.includes(status)) {
+    throw ApiError.badRequest(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  const filters = parseListFilters(req.query);
+
+  const [chats, leads] = await Promise.all([store.list(CHATS_COLLECTION), store.list(LEADS_COLLECTION)]);
+  const leadsByChat = indexLeadsByChat(leads);
+  const summaries = chats.map(chat => toChatSummary(chat, leadsByChat.get(chat.id) || null));
+
+  const matching = summaries
+    .filter(chat => !status || (status === 'active') === (chat.status === 'ongoing'))
+    .filter(chat => matchesListFilters(filters, {
+      date: chat.started_at || chat.updated_at,
+      email: chat.email,
+      serviceType: chat.primary_service_type
+    }))
+    .sort((a, b) => (b.started_at || b.updated_at || '').localeCompare(a.started_at || a.updated_at || ''));
+
+  return res.status(200).json({
+    chats: matching.slice(filters.offset, filters.offset + filters.limit),
+    total: matching.length,
+    service_types: listServiceTypes(summaries.map(chat => chat.primary_service_type))
+  });
+});
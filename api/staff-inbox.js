@@ -0,0 +1,157 @@
+/**
+ * Vercel Serverless Function
+ * Team side of human handoffs, used by the staff inbox (public/staff/inbox.html)
+ *
+ * GET ?chat_id&available - Check in and list the handoffs: { me, online,
+ *   handoffs, handoff }. Open handoffs come first; `handoff` is the full
+ *   record of `chat_id` when given. Team members count as online while they
+ *   check in; `available=0` marks them away
+ * POST { action, chat_id?, content? }
+ * - claim: reply to a waiting (or someone else's) conversation
+ * - reply: send `content` to the visitor; claims a waiting conversation
+ * - close: end the conversation (the visitor goes back to the agent), or mark
+ *   a left message as handled
+ * - away: stop receiving handoffs (no chat_id)
+ *
+ * Requires a staff token (see _lib/staffAuth.js) and a store shared between
+ * instances (see _lib/store.js).
+ */
+import { getStore, requireSharedStore } from './_lib/store.js';
+import {
+  HANDOFFS_COLLECTION,
+  OPEN_STATUSES,
+  addHandoffMessage,
+  expireIfUnanswered,
+  isValidChatId,
+  listOnlineOperators,
+  toSummary,
+  touchOperator,
+  updateHandoff
+} from './_lib/handoff.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS } from './_lib/rateLimit.js';
+import { requireStaff } from './_lib/staffAuth.js';
+
+const ACTIONS = ['claim', 'reply', 'close', 'away'];
+
+// Handoffs listed in the inbox
+const MAX_LISTED = 50;
+
+/**
+ * @param {import('./_lib/store.js').Store} store
+ * @param {*} chatId
+ * @returns {Promise<import('./_lib/handoff.js').Handoff>}
+ */
+async function getHandoff(store, chatId) {
+  if (!isValidChatId(chatId)) {
+    throw ApiError.badRequest('chat_id is required');
+  }
+  const handoff = await store.get(HANDOFFS_COLLECTION, chatId);
+  if (!handoff) {
+    throw new ApiError(404, 'not_found', 'No handoff for this chat');
+  }
+  return handoff;
+}
+
+/**
+ * Reply to a conversation as this team member
+ * @param {import('./_lib/handoff.js').Handoff} handoff
+ * @param {string} name
+ */
+function claim(handoff, name) {
+  if (!OPEN_STATUSES.includes(handoff.status)) {
+    throw new ApiError(409, 'handoff_closed', 'This conversation is no longer open', { status: handoff.status });
+  }
+  if (handoff.operator === name) return;
+
+  addHandoffMessage(handoff, 'system', handoff.operator
+    ? `${name} took over from ${handoff.operator}`
+    : `${name} joined`);
+  handoff.operator = name;
+  handoff.status = 'active';
+}
+
+export default createHandler({
+  methods: ['GET', 'POST'],
+  label: 'handling staff inbox',
+  // Same-origin pages only
+  cors: false,
+  env: ['STAFF_PASSWORD'],
+  use: [requireSharedStore(), requireStaff()]
+}, async (req, res) => {
+  const store = await getStore();
+  const { name } = req.staff;
+
+  if (req.method === 'GET') {
+    await touchOperator(store, name, req.query.available !== '0');
+
+    // Expiring re-checks each waiting handoff against the stored record
+    const handoffs = await Promise.all(
+      (await store.list(HANDOFFS_COLLECTION)).map(handoff => expireIfUnanswered(store, handoff))
+    );
+
+    const listed = handoffs
+      .sort((a, b) => {
+        const openA = OPEN_STATUSES.includes(a.status);
+        const openB = OPEN_STATUSES.includes(b.status);
+        if (openA !== openB) return openA ? -1 : 1;
+        return (b.updated_at || '').localeCompare(a.updated_at || '');
+      })
+      .slice(0, MAX_LISTED)
+      .map(toSummary);
+
+    const selected = req.query.chat_id ? await getHandoff(store, req.query.chat_id) : null;
+
+    return res.status(200).json({
+      me: name,
+      online: await listOnlineOperators(store),
+      handoffs: listed,
+      handoff: selected
+    });
+  }
+
+  const { action } = req.body;
+  if (!ACTIONS.includes(action)) {
+    throw ApiError.badRequest(`action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'away') {
+    await touchOperator(store, name, false);
+    return res.status(200).json({ me: name, available: false });
+  }
+
+  if (!isValidChatId(req.body.chat_id)) {
+    throw ApiError.badRequest('chat_id is required');
+  }
+
+  let content = '';
+  if (action === 'reply') {
+    content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    if (!content) {
+      throw ApiError.badRequest('content is required');
+    }
+    if (content.length > LIMITS.maxMessageLength) {
+      throw new ApiError(400, 'message_too_long', `Message is longer than ${LIMITS.maxMessageLength} characters`, {
+        max_length: LIMITS.maxMessageLength
+      });
+    }
+  }
+
+  const handoff = await updateHandoff(store, req.body.chat_id, (current) => {
+    if (action === 'claim') {
+      claim(current, name);
+    } else if (action === 'reply') {
+      claim(current, name);
+      addHandoffMessage(current, 'operator', content, name);
+    } else {
+      if (current.status === 'closed') return false;
+      current.status = 'closed';
+      addHandoffMessage(current, 'system', `${name} ended the conversation`);
+    }
+  });
+  if (!handoff) {
+    throw new ApiError(404, 'not_found', 'No handoff for this chat');
+  }
+
+  return res.status(200).json({ handoff });
+});
@@ -0,0 +1,73 @@
+/**
+ * Vercel Serverless Function
+ * Leads for the staff dashboard (public/staff/index.html)
+ *
+ * GET - List, newest first: { leads, total, service_types }
+ *   ?contacted&from&to&has_email&service_type&limit&offset
+ *   (see _lib/listFilters.js; dates apply to the lead's creation)
+ * GET ?format=csv - Every matching lead as a CSV download
+ * POST { lead_id, contacted } - Mark a lead as contacted (or not): { lead }
+ *
+ * Requires a staff token (see _lib/staffAuth.js) and a store shared between
+ * instances (see _lib/store.js).
+ */
+import { getStore, requireSharedStore, updateRecord } from './_lib/store.js';
+import { LEADS_COLLECTION, leadsToCsv, setLeadContacted } from './_lib/leads.js';
+import { listServiceTypes, matchesListFilters, parseFlag, parseListFilters } from './_lib/listFilters.js';
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { requireStaff } from './_lib/staffAuth.js';
+
+export default createHandler({
+  methods: ['GET', 'POST'],
+  label: 'handling leads',
+  // Same-origin pages only
+  cors: false,
+  env: ['STAFF_PASSWORD'],
+  use: [requireSharedStore(), requireStaff()]
+}, async (req, res) => {
+  const store = await getStore();
+
+  if (req.method === 'POST') {
+    const { lead_id, contacted } = req.body;
+    if (typeof lead_id !== 'string' || !lead_id) {
+      throw ApiError.badRequest('lead_id is required');
+    }
+    if (typeof contacted !== 'boolean') {
+      throw ApiError.badRequest('contacted must be true or false');
+    }
+
+    const lead = await updateRecord(store, LEADS_COLLECTION, lead_id,
+      record => setLeadContacted(record, contacted, req.staff.name));
+    if (!lead) {
+      throw new ApiError(404, 'not_found', 'No lead with this ID');
+    }
+
+    return res.status(200).json({ lead });
+  }
+
+  const filters = parseListFilters(req.query);
+  const contacted = parseFlag(req.query.contacted, 'contacted');
+
+  const leads = await store.list(LEADS_COLLECTION);
+  const matching = leads
+    .filter(lead => contacted === null || Boolean(lead.contacted_at) === contacted)
+    .filter(lead => matchesListFilters(filters, {
+      date: lead.created_at,
+      email: lead.email,
+      serviceType: lead.primary_service_type
+    }))
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+  if (req.query.format === 'csv') {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.csv"`);
+    return res.status(200).send(leadsToCsv(matching));
+  }
+
+  return res.status(200).json({
+    leads: matching.slice(filters.offset, filters.offset + filters.limit),
+    total: matching.length,
+    service_types: listServiceTypes(leads.map(lead => lead.primary_service_type))
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Vercel Serverless Function
+ * Sign a team member in to the staff pages (public/staff/)
+ *
+ * POST { name, password }
+ * - name: shown to visitors when replying from the inbox
+ * - password: STAFF_PASSWORD
+ *
+ * Responds { token, name, expires_at }; the token goes in
+ * `Authorization: Bearer <token>` (see _lib/staffAuth.js). A wrong password
+ * gets 401 invalid_credentials; attempts are rate limited per IP.
+ */
+import { createHandler, ApiError } from './_lib/middleware.js';
+import { LIMITS, rateLimit, getClientIp } from './_lib/rateLimit.js';
+import { checkStaffPassword, issueStaffToken, normalizeStaffName } from './_lib/staffAuth.js';
+
+export default createHandler({
+  methods: ['POST'],
+  label: 'signing in staff',
+  // Same-origin pages only
+  cors: false,
+  env: ['STAFF_PASSWORD'],
+  use: [rateLimit({ name: 'staff:ip', rateLimit: LIMITS.staffLoginsPerIp, key: getClientIp })]
+}, async (req, res) => {
+  const name = normalizeStaffName(req.body.name);
+
+  if (!name) {
+    throw ApiError.badRequest('name is required (60 characters max)');
+  }
+
+  if (!checkStaffPassword(req.body.password)) {
+    console.warn(`⚠️ Failed staff sign-in for "${name}" [${req.id}]`);
+    throw new ApiError(401, 'invalid_credentials', 'Wrong password');
+  }
+
+  const { token, expiresAt } = issueStaffToken(name);
+  return res.status(200).json({ token, name, expires_at: new Date(expiresAt).toISOString() });
+});
@@ -0,0 +1,42 @@
+/**
+ * Flexspace Chat Loader
+ * One-tag embed for any page (classic script, no module support needed in the tag):
+ *
+ *   <script src="https://<chat-host>/loader.js" async
+ *     data-title="Chat with Flexspace"
+ *     data-theme-color="#000000"
+ *     data-starters="What services do you offer?|How much per pallet?"></script>
+ *
+ * Registers <flexspace-chat> and, unless the page already contains one (or
+ * data-auto-mount="false"), appends it to <body> with the script's data-* options.
+ */
+(() => {
+  const script = document.currentScript;
+  if (!script || window.__flexspaceChatLoaded) return;
+  window.__flexspaceChatLoaded = true;
+
+  const baseUrl = new URL('.', script.src);
+  const OPTION_ATTRIBUTES = ['title', 'bot-name', 'starters', 'theme-color', 'api-base-url', 'locale', 'voice', 'callback', 'handoff'];
+
+  const moduleScript = document.createElement('script');
+  moduleScript.type = 'module';
+  moduleScript.src = new URL('src/embed.js', baseUrl).href;
+  document.head.appendChild(moduleScript);
+
+  function mount() {
+    if (script.dataset.autoMount === 'false' || document.querySelector('flexspace-chat')) return;
+
+    const element = document.createElement('flexspace-chat');
+    OPTION_ATTRIBUTES.forEach((name) => {
+      const value = script.getAttribute(`data-${name}`);
+      if (value !== null) element.setAttribute(name, value);
+    });
+    document.body.appendChild(element);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mount);
+  } else {
+    mount();
+  }
+})();
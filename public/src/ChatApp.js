@@ -0,0 +1,181 @@
+/**
+ * ChatApp - Chat Agent Application
+ * Initializes and coordinates chat widget components
+ * Mounted on the page body (index.html) or inside a shadow root (<flexspace-chat>)
+ */
+import { ChatWidget } from './components/ChatWidget/ChatWidget.js';
+import { FloatingChatButton } from './components/FloatingChatButton/FloatingChatButton.js';
+// Using ChatOrchestrator with ChatService alias for backward compatibility
+import { ChatService } from './services/ChatOrchestrator.js';
+import { CrossTabSync } from './services/CrossTabSync.js';
+import { VoiceCallService } from './services/VoiceCallService.js';
+import { CONFIG } from './services/config.js';
+import { i18n } from './i18n/i18n.js';
+
+export class ChatApp {
+  /**
+   * @param {Object} [options]
+   * @param {HTMLElement|ShadowRoot} [options.root=document.body] - Where the widget is mounted
+   */
+  constructor({ root = document.body } = {}) {
+    this.root = root;
+    this.chatService = new ChatService();
+    // One tab owns the live chat, the others mirror it
+    this.tabSync = new CrossTabSync(this.chatService);
+    this.chatService.attachTabSync(this.tabSync);
+    // Voice calls stay in the tab that starts them (it holds the microphone)
+    this.voiceService = CONFIG.voiceEnabled && VoiceCallService.isSupported()
+      ? new VoiceCallService(this.chatService.apiClient)
+      : null;
+    this.chatContainer = null;
+    this.isChatWidgetOpen = false;
+    this.components = {};
+  }
+
+  /**
+   * Initialize the chat application
+   */
+  async init() {
+    i18n.init(CONFIG.locale);
+    this.tabSync.start();
+    this.setupComponents();
+    this.setupChatService();
+    await this.restoreSession();
+  }
+
+  /**
+   * Setup chat UI components
+   */
+  setupComponents() {
+    this.applyTheme();
+
+    // Chat Widget Container (floating)
+    this.chatContainer = document.createElement('div');
+    this.chatContainer.className = 'widget-container chat-widget-container';
+    this.chatContainer.style.display = 'none'; // Hidden by default
+    this.root.appendChild(this.chatContainer);
+
+    // Chat Widget
+    this.components.chatWidget = new ChatWidget(this.chatService, this.voiceService);
+    this.components.chatWidget.mount(this.chatContainer);
+
+    // Floating Chat Button
+    this.components.floatingButton = new FloatingChatButton(
+      (isOpen) => this.toggleFloatingChat(isOpen)
+    );
+    this.components.floatingButton.mount(this.root);
+
+    i18n.onChange(() => this.components.floatingButton.updateTexts());
+  }
+
+  /**
+   * Expose the configured theme colour to the stylesheets
+   * Set on the shadow host when embedded, on <html> otherwise
+   */
+  applyTheme() {
+    const themeTarget = this.root.host || document.documentElement;
+    if (CONFIG.chatThemeColor) {
+      themeTarget.style.setProperty('--chat-theme-color', CONFIG.chatThemeColor);
+    }
+  }
+
+  /**
+   * Setup Chat service callbacks
+   */
+  setupChatService() {
+    // When chat ends (explicitly via endChat()), check if widget is closed to clean up
+    this.chatService.on('chatEnded', () => {
+      // Only cleanup if widget is closed
+      if (!this.isChatWidgetOpen) {
+        this.cleanupChatConversation();
+      }
+    });
+  }
+
+  /**
+   * Resume the conversation from a previous page, if it is still open
+   */
+  async restoreSession() {
+    const session = await this.chatService.restoreSession();
+    if (!session) return;
+
+    this.components.chatWidget.restoreConversation(this.chatService.messages);
+
+    if (session.widgetOpen) {
+      this.components.floatingButton.setOpen(true);
+      await this.toggleFloatingChat(true);
+    }
+  }
+
+  /**
+   * Clean up chat conversation (messages, variables, state)
+   * Only called when conversation explicitly ended AND widget is closed
+   */
+  cleanupChatConversation() {
+    this.components.chatWidget.clearMessages();
+    this.chatService.reset();
+    // Force reset server-side chat cache on next creation
+    this.chatService.shouldResetChat = true;
+  }
+
+  /**
+   * Open the chat widget (no-op if already open)
+   */
+  async open() {
+    if (this.isChatWidgetOpen) return;
+    this.components.floatingButton.setOpen(true);
+    await this.toggleFloatingChat(true);
+  }
+
+  /**
+   * Close the chat widget (no-op if already closed)
+   */
+  async close() {
+    if (!this.isChatWidgetOpen) return;
+    this.components.floatingButton.setOpen(false);
+    await this.toggleFloatingChat(false);
+  }
+
+  /**
+   * Toggle floating chat widget
+   * @param {boolean} isOpen - Is chat open
+   */
+  async toggleFloatingChat(isOpen) {
+    this.isChatWidgetOpen = isOpen;
+    this.chatService.setWidgetOpen(isOpen);
+    this.chatService.emit(isOpen ? 'widgetOpened' : 'widgetClosed');
+
+    if (isOpen) {
+      // Show floating UI
+      this.chatContainer.classList.add('floating');
+      this.chatContainer.style.display = 'flex';
+      
+      // Send initial greeting if no active chat
+      if (!this.chatService.isActiveChat()) {
+        // Small delay to ensure widget is fully rendered
+        setTimeout(() => {
+          this.components.chatWidget.sendInitialGreeting();
+        }, 300);
+      }
+    } else {
+      this.chatContainer.classList.remove('floating');
+      this.chatContainer.style.display = 'none';
+
+      // Always save to history when widget closes (if there are messages)
+      // This ensures conversations are saved even if Retell hasn't marked them as ended
+      if (this.chatService.messages && this.chatService.messages.length > 0) {
+        this.chatService.saveToHistory();
+      }
+
+      // When widget closes, check if chat has ended in Retell AI
+      // This detects automatic chat termination (e.g., after inactivity)
+      if (this.chatService.isActiveChat()) {
+        try {
+          await this.chatService.checkIfChatEnded();
+        } catch (error) {
+          // On error, assume chat is still active
+        }
+      }
+    }
+  }
+}
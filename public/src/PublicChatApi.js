@@ -0,0 +1,235 @@
+/**
+ * PublicChatApi - JavaScript control API for host pages (window.FlexspaceChat)
+ * Facade over ChatApp / ChatOrchestrator: host pages never touch internals
+ *
+ * Calls made before the chat script loads are queued by a stub and replayed:
+ * @example
+ * <script>
+ *   window.FlexspaceChat = window.FlexspaceChat || function () {
+ *     (window.FlexspaceChat.q = window.FlexspaceChat.q || []).push(arguments);
+ *   };
+ *   FlexspaceChat('on', 'leadCaptured', (lead) => console.log(lead));
+ * </script>
+ * <button onclick="FlexspaceChat('send', 'I need a quote')">Get a quote</button>
+ *
+ * Once loaded, methods can also be called directly: FlexspaceChat.open()
+ */
+import { EventBus } from './utils/EventBus.js';
+import { i18n } from './i18n/i18n.js';
+
+/**
+ * Orchestrator events re-emitted to host pages under the same name
+ * @type {string[]}
+ */
+const FORWARDED_EVENTS = ['chatCreated', 'messageSent', 'messageReceived', 'chatEnded'];
+
+/** Variables that identify a lead once known */
+const LEAD_CONTACT_VARS = ['email', 'user_number'];
+
+export class PublicChatApi {
+  /**
+   * @param {import('./ChatApp.js').ChatApp} chatApp
+   */
+  constructor(chatApp) {
+    this.app = chatApp;
+    this.chatService = chatApp.chatService;
+    this.events = new EventBus();
+    /** @type {string|null} Contact value of the last lead reported */
+    this.lastLeadKey = null;
+
+    this.setupForwarding();
+  }
+
+  /**
+   * Re-emit internal events as public events
+   */
+  setupForwarding() {
+    FORWARDED_EVENTS.forEach(event => {
+      this.chatService.on(event, (data) => this.events.emit(event, data));
+    });
+
+    this.chatService.on('widgetOpened', () => this.events.emit('open'));
+    this.chatService.on('widgetClosed', () => this.events.emit('close'));
+
+    const onVariables = () => {
+      const variables = this.chatService.getAllVariables();
+      this.events.emit('variablesUpdated', variables);
+      this.checkLeadCaptured(variables);
+    };
+    this.chatService.on('variablesUpdated', onVariables);
+    this.chatService.on('variableUpdated', onVariables);
+  }
+
+  /**
+   * Emit leadCaptured the first time contact details become known
+   * @param {Object} variables
+   */
+  checkLeadCaptured(variables) {
+    const contactVar = LEAD_CONTACT_VARS.find(name => variables[name]);
+    if (!contactVar) return;
+
+    const leadKey = `${this.chatService.chatId}:${variables[contactVar]}`;
+    if (leadKey === this.lastLeadKey) return;
+
+    this.lastLeadKey = leadKey;
+    this.events.emit('leadCaptured', {
+      chatId: this.chatService.chatId,
+      variables
+    });
+  }
+
+  // ============================================
+  // PUBLIC METHODS
+  // ============================================
+
+  /**
+   * Open the chat widget
+   * @returns {Promise<void>}
+   */
+  open() {
+    return this.app.open();
+  }
+
+  /**
+   * Close the chat widget
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.app.close();
+  }
+
+  /**
+   * Toggle the chat widget
+   * @returns {Promise<void>}
+   */
+  toggle() {
+    return this.app.isChatWidgetOpen ? this.close() : this.open();
+  }
+
+  /**
+   * @returns {boolean} Whether the widget is open
+   */
+  isOpen() {
+    return this.app.isChatWidgetOpen;
+  }
+
+  /**
+   * Open the chat and send a message as the visitor
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async send(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('FlexspaceChat.send(text) requires a non-empty string');
+    }
+    await this.open();
+    await this.app.components.chatWidget.sendExternalMessage(text.trim());
+  }
+
+  /**
+   * Open the chat with a question typed in, leaving the visitor to send it
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async prefill(text) {
+    await this.open();
+    this.app.components.chatWidget.prefill(text || '');
+  }
+
+  /**
+   * Provide visitor details already known to the host page
+   * @param {{email?: string, company_name?: string, first_name?: string, last_name?: string, user_number?: string}} fields
+   */
+  identify(fields) {
+    this.chatService.identify(fields || {});
+  }
+
+  /**
+   * Set conversation variables
+   * @param {Object<string, *>} variables
+   */
+  setVariables(variables) {
+    this.chatService.setVariables(variables || {});
+  }
+
+  /**
+   * @returns {Object} Current conversation variables
+   */
+  getVariables() {
+    return this.chatService.getAllVariables();
+  }
+
+  /**
+   * Change the widget language
+   * @param {string} locale - 'en-CA' or 'fr-CA' (language tags like 'fr' are accepted)
+   * @returns {string} Applied locale
+   */
+  setLocale(locale) {
+    return i18n.setLocale(locale);
+  }
+
+  /**
+   * @returns {string} Current widget language
+   */
+  getLocale() {
+    return i18n.getLocale();
+  }
+
+  /**
+   * Listen to a chat event
+   * Events: ready, open, close, chatCreated, messageSent, messageReceived,
+   * chatEnded, variablesUpdated, leadCaptured
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    return this.events.on(event, callback);
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event
+   * @param {Function} callback
+   */
+  off(event, callback) {
+    this.events.off(event, callback);
+  }
+}
+
+/**
+ * Expose the API as window.FlexspaceChat and replay queued calls
+ * window.FlexspaceChat stays callable: FlexspaceChat('open') === FlexspaceChat.open()
+ * @param {import('./ChatApp.js').ChatApp} chatApp
+ * @returns {PublicChatApi}
+ */
+export function installPublicApi(chatApp) {
+  const api = new PublicChatApi(chatApp);
+  const queued = window.FlexspaceChat?.q || [];
+
+  const methods = ['open', 'close', 'toggle', 'isOpen', 'send', 'prefill',
+    'identify', 'setVariables', 'getVariables', 'setLocale', 'getLocale', 'on', 'off'];
+
+  const facade = (method, ...args) => {
+    if (!methods.includes(method)) {
+      console.warn(`⚠️ FlexspaceChat: unknown method "${method}"`);
+      return undefined;
+    }
+    const result = api[method](...args);
+    // Surface async failures without breaking the host page
+    if (result instanceof Promise) {
+      result.catch(error => console.error(`❌ FlexspaceChat.${method} failed:`, error));
+    }
+    return result;
+  };
+  methods.forEach(method => {
+    facade[method] = (...args) => facade(method, ...args);
+  });
+
+  window.FlexspaceChat = facade;
+
+  Array.from(queued).forEach(args => facade(...Array.from(args)));
+  api.events.emit('ready', api);
+
+  return api;
+}
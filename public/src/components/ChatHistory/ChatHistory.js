@@ -3,6 +3,7 @@
  * Shows list of previous chat conversations
  */
 import { ChatHistoryStore, chatHistoryStore } from '../../services/ChatHistoryStore.js';
+import { t } from '../../i18n/i18n.js';
 
 export class ChatHistory {
   /**
@@ -37,8 +38,8 @@ export class ChatHistory {
 
     this.element.innerHTML = `
       <div class="chat-history-header">
-        <h3>Chat History</h3>
-        <button class="chat-history-close" title="Close">
+        <h3>${t('history.title')}</h3>
+        <button class="chat-history-close" title="${t('history.close')}">
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <line x1="18" y1="6" x2="6" y2="18"></line>
             <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -47,13 +48,13 @@ export class ChatHistory {
       </div>
       <div class="chat-history-list">
         ${chats.length === 0
-          ? '<div class="chat-history-empty">No previous conversations</div>'
+          ? `<div class="chat-history-empty">${t('history.empty')}</div>`
           : chats.map(chat => this.renderChatItem(chat)).join('')
         }
       </div>
       ${chats.length > 0 ? `
         <div class="chat-history-footer">
-          <button class="chat-history-clear">Clear All History</button>
+          <button class="chat-history-clear">${t('history.clearAll')}</button>
         </div>
       ` : ''}
     `;
@@ -76,10 +77,11 @@ export class ChatHistory {
           <div class="chat-history-item-preview">${this.escapeHtml(chat.preview)}</div>
           <div class="chat-history-item-meta">
             <span class="chat-history-item-date">${date}</span>
-            <span class="chat-history-item-count">${messageCount} messages</span>
+            <span class="chat-history-item-count">${t('history.messageCount', { count: messageCount })}</span>
+            ${chat.channel === 'voice' ? `<span class="chat-history-item-channel">${t('history.voiceCall')}</span>` : ''}
           </div>
         </div>
-        <button class="chat-history-item-delete" data-chat-id="${chat.id}" title="Delete">
+        <button class="chat-history-item-delete" data-chat-id="${chat.id}" title="${t('history.delete')}">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="3 6 5 6 21 6"></polyline>
             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -120,7 +122,7 @@ export class ChatHistory {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
         const chatId = btn.dataset.chatId;
-        if (confirm('Delete this conversation?')) {
+        if (confirm(t('history.confirmDelete'))) {
           this.historyStore.deleteChat(chatId);
           this.render();
         }
@@ -131,7 +133,7 @@ export class ChatHistory {
     const clearBtn = this.element.querySelector('.chat-history-clear');
     if (clearBtn) {
       clearBtn.addEventListener('click', () => {
-        if (confirm('Delete all chat history?')) {
+        if (confirm(t('history.confirmClearAll'))) {
           this.historyStore.clearAll();
           this.render();
         }
@@ -150,6 +152,15 @@ export class ChatHistory {
     return div.innerHTML;
   }
 
+  /**
+   * Re-render with the current language
+   */
+  updateTexts() {
+    if (this.element) {
+      this.render();
+    }
+  }
+
   /**
    * Show the panel
    */
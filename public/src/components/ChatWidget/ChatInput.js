@@ -3,6 +3,7 @@
  * Single Responsibility: Only manages input field and send button
  */
 import { CONFIG } from '../../services/config.js';
+import { t } from '../../i18n/i18n.js';
 
 export class ChatInput {
   /**
@@ -19,6 +20,8 @@ export class ChatInput {
     this.inputField = null;
     /** @type {HTMLButtonElement|null} */
     this.sendButton = null;
+    /** @type {string} i18n key of the placeholder shown while disabled */
+    this.disabledPlaceholder = 'input.ended';
   }
 
   /**
@@ -32,12 +35,14 @@ export class ChatInput {
     // Textarea
     this.inputField = document.createElement('textarea');
     this.inputField.className = 'chat-input';
-    this.inputField.placeholder = `Message ${CONFIG.chatBotName}...`;
+    this.inputField.placeholder = t('input.placeholder', { botName: CONFIG.chatBotName });
     this.inputField.rows = 1;
+    this.inputField.maxLength = CONFIG.maxMessageLength;
 
     // Send button
     this.sendButton = document.createElement('button');
     this.sendButton.className = 'chat-send-button';
+    this.sendButton.setAttribute('aria-label', t('input.send'));
     this.sendButton.innerHTML = `
       <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
         <line x1="22" y1="2" x2="11" y2="13"></line>
@@ -106,6 +111,18 @@ export class ChatInput {
     return this.inputField?.value.trim() || '';
   }
 
+  /**
+   * Set input value (e.g. a question pre-filled by the host page)
+   * @param {string} text
+   */
+  setValue(text) {
+    if (this.inputField) {
+      this.inputField.value = text;
+      this.inputField.dispatchEvent(new Event('input'));
+      this.focus();
+    }
+  }
+
   /**
    * Clear input field
    */
@@ -132,7 +149,7 @@ export class ChatInput {
       this.inputField.readOnly = false;
       this.inputField.style.cursor = 'text';
       this.inputField.style.opacity = '1';
-      this.inputField.placeholder = `Message ${CONFIG.chatBotName}...`;
+      this.inputField.placeholder = t('input.placeholder', { botName: CONFIG.chatBotName });
       this.sendButton.disabled = false;
       this.focus();
     }
@@ -140,27 +157,38 @@ export class ChatInput {
 
   /**
    * Disable input (for ended conversation)
+   * @param {string} [placeholder='input.ended'] - i18n key of the placeholder (e.g. 'voice.inputPlaceholder')
    */
-  disable() {
+  disable(placeholder = 'input.ended') {
     if (this.inputField && this.sendButton) {
+      this.disabledPlaceholder = placeholder;
       this.inputField.disabled = true;
       this.inputField.style.cursor = 'not-allowed';
       this.inputField.style.opacity = '0.6';
-      this.inputField.placeholder = 'Conversation ended';
+      this.inputField.placeholder = t(placeholder);
       this.sendButton.disabled = true;
     }
   }
 
+  /**
+   * Re-apply translated texts after a language change
+   */
+  updateTexts() {
+    if (this.inputField && this.sendButton) {
+      this.inputField.placeholder = this.inputField.disabled
+        ? t(this.disabledPlaceholder)
+        : t('input.placeholder', { botName: CONFIG.chatBotName });
+      this.sendButton.setAttribute('aria-label', t('input.send'));
+    }
+  }
+
   /**
    * Set processing state (while waiting for response)
+   * The input stays usable: messages sent meanwhile are queued after the reply
    * @param {boolean} processing
    */
   setProcessing(processing) {
     if (this.inputField && this.sendButton) {
-      this.sendButton.disabled = processing;
-      this.inputField.readOnly = processing;
-      this.inputField.style.cursor = processing ? 'not-allowed' : 'text';
-
       if (processing) {
         this.sendButton.classList.add('processing');
       } else {
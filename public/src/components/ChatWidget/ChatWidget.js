@@ -6,7 +6,10 @@
  * - MessageList: Handles message rendering
  * - ChatInput: Handles user input
  * - TypingIndicator: Shows typing animation
- * - ExampleQuestions: Shows starter suggestions
+ * - ExampleQuestions: Shows starter questions and the agent's suggested replies
+ * - VoiceCallBar: Status of a voice call (when voice calls are available)
+ * - LeadForm (through MessageList): "Call me" callback requests
+ * - HandoffBar: who is replying while the conversation is with the team
  */
 import { CONFIG } from '../../services/config.js';
 import { MessageList } from './MessageList.js';
@@ -14,16 +17,28 @@ import { ChatInput } from './ChatInput.js';
 import { TypingIndicator } from './TypingIndicator.js';
 import { ExampleQuestions } from '../ExampleQuestions/ExampleQuestions.js';
 import { ChatHistory } from '../ChatHistory/ChatHistory.js';
+import { VoiceCallBar } from '../VoiceCallBar/VoiceCallBar.js';
+import { HandoffBar } from '../HandoffBar/HandoffBar.js';
+import { i18n, t } from '../../i18n/i18n.js';
+import { formatPhone } from '../../utils/validators.js';
+import {
+  ChatEndedError, NetworkError, RateLimitError, RequestCancelledError
+} from '../../services/ApiErrors.js';
 
 export class ChatWidget {
   /**
    * @param {Object} chatService - Chat service instance (ChatOrchestrator)
+   * @param {import('../../services/VoiceCallService.js').VoiceCallService|null} [voiceService] - Enables voice calls
    */
-  constructor(chatService) {
+  constructor(chatService, voiceService = null) {
     this.chatService = chatService;
+    this.voiceService = voiceService;
 
     // Sub-components
     this.messageList = new MessageList();
+    this.messageList.onRetry = (messageId) => this.handleRetryMessage(messageId);
+    this.messageList.onQuickReply = (reply) => this.handleSendMessage(reply);
+    this.messageList.onFormSubmit = (messageId, values) => this.handleFormSubmit(messageId, values);
     this.chatInput = new ChatInput(
       (msg) => this.handleSendMessage(msg),
       () => this.hideStarters()
@@ -31,15 +46,40 @@ export class ChatWidget {
     this.typingIndicator = new TypingIndicator();
     this.startersComponent = null;
     this.historyPanel = null;
+    this.voiceCallBar = voiceService ? new VoiceCallBar(() => voiceService.stop()) : null;
+    this.handoffBar = CONFIG.handoffEnabled ? new HandoffBar(() => this.handleEndHandoff()) : null;
 
     // State
     this.element = null;
-    this.startersFixedContainer = null;
+    this.startersFixedContainer = null; // Starters, then the agent's suggested replies
     this.startersShown = false;
+    this.quickReplies = null; // Suggested replies on display (null: none, or the starters)
     this.isChatEnded = false;
     this.isProcessing = false;
+    this.isAgentTyping = false; // A reply is being produced (possibly for a queued message)
+    this.isOnline = this.chatService.isOnline !== false;
     this.conversationEndedBanner = null;
     this.isViewingHistory = false; // Flag to ignore incoming messages when viewing history
+    this.renderedChatId = null; // Chat whose messages are currently displayed
+    this.idleWaiters = []; // Resolvers waiting for the current reply to finish
+    this.header = null;
+    this.voiceCallLive = false; // The current voice call connected (vs. failed to start)
+  }
+
+  /**
+   * Header title: configured title or the localized default
+   * @returns {string}
+   */
+  getTitle() {
+    return CONFIG.chatTitle || t('header.title', { botName: CONFIG.chatBotName });
+  }
+
+  /**
+   * Starter questions: configured list or the localized defaults
+   * @returns {string[]}
+   */
+  getStarters() {
+    return CONFIG.chatStarters || t('starters.default');
   }
 
   /**
@@ -49,41 +89,84 @@ export class ChatWidget {
   create() {
     const widget = document.createElement('div');
     widget.className = 'chat-widget';
+    widget.lang = i18n.getLocale();
 
     // Header
     const header = document.createElement('div');
     header.className = 'chat-header';
     header.innerHTML = `
       <div class="chat-header-left">
-        <button class="chat-history-btn" title="Chat History">
+        <button class="chat-history-btn" title="${t('header.history')}">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="12" cy="12" r="10"></circle>
             <polyline points="12 6 12 12 16 14"></polyline>
           </svg>
         </button>
-        <h3>${CONFIG.chatTitle}</h3>
+        <h3 class="chat-title"></h3>
       </div>
-      <div class="chat-status">
-        <span class="status-dot"></span>
-        <span class="status-text">Online</span>
+      <div class="chat-header-right">
+        <div class="chat-status">
+          <span class="status-dot"></span>
+          <span class="status-text"></span>
+        </div>
+        ${this.voiceService ? `
+          <button type="button" class="chat-voice-btn" aria-pressed="false">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <rect x="9" y="2" width="6" height="12" rx="3"></rect>
+              <path d="M19 10v1a7 7 0 0 1-14 0v-1"></path>
+              <line x1="12" y1="18" x2="12" y2="22"></line>
+            </svg>
+          </button>
+        ` : ''}
+        ${CONFIG.callbackEnabled ? `
+          <button type="button" class="chat-callback-btn" aria-expanded="false">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
+            </svg>
+          </button>
+        ` : ''}
+        ${CONFIG.handoffEnabled ? `
+          <button type="button" class="chat-handoff-btn" aria-pressed="false">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+              <circle cx="12" cy="7" r="4"></circle>
+            </svg>
+          </button>
+        ` : ''}
+        <button class="chat-language-btn" title="${t('language.switch')}">${t('language.switchLabel')}</button>
       </div>
     `;
+    // Set as text: the title may come from host page attributes
+    header.querySelector('.chat-title').textContent = this.getTitle();
+    this.header = header;
+    this.renderConnectionStatus();
 
     // History button event
     const historyBtn = header.querySelector('.chat-history-btn');
     historyBtn.addEventListener('click', () => this.toggleHistory());
 
+    // Language switcher
+    const languageBtn = header.querySelector('.chat-language-btn');
+    languageBtn.addEventListener('click', () => this.handleLanguageSwitch());
+
+    // Voice call toggle
+    header.querySelector('.chat-voice-btn')?.addEventListener('click', () => this.toggleVoiceCall());
+    this.renderVoiceButton();
+
+    // "Call me" form
+    header.querySelector('.chat-callback-btn')?.addEventListener('click', () => this.toggleCallbackForm());
+    this.renderCallbackButton();
+
+    // Talk to a person
+    header.querySelector('.chat-handoff-btn')?.addEventListener('click', () => this.toggleHandoff());
+
     // Messages container
     const messagesContainer = this.messageList.create();
+    this.messageList.setOnline(this.isOnline);
     this.typingIndicator.setContainer(messagesContainer);
 
     // Starters setup
-    if (CONFIG.chatStarters?.length > 0) {
-      this.startersComponent = new ExampleQuestions(
-        CONFIG.chatStarters,
-        (q) => this.handleStarterClick(q)
-      );
-    }
+    this.createStarters();
 
     this.startersFixedContainer = document.createElement('div');
     this.startersFixedContainer.className = 'chat-starters-fixed';
@@ -100,6 +183,12 @@ export class ChatWidget {
 
     // Assemble widget
     widget.appendChild(header);
+    if (this.voiceCallBar) {
+      widget.appendChild(this.voiceCallBar.create());
+    }
+    if (this.handoffBar) {
+      widget.appendChild(this.handoffBar.create());
+    }
     widget.appendChild(messagesContainer);
     widget.appendChild(this.startersFixedContainer);
     widget.appendChild(inputContainer);
@@ -107,14 +196,191 @@ export class ChatWidget {
 
     this.element = widget;
     this.setupServiceListeners();
+    this.renderHandoff();
+    if (this.voiceService) {
+      this.setupVoiceListeners();
+    }
+    i18n.onChange(() => this.updateTexts());
 
     return widget;
   }
 
+  /**
+   * Create the starters component for the current language
+   */
+  createStarters() {
+    const starters = this.getStarters();
+    this.startersComponent = starters?.length > 0
+      ? new ExampleQuestions(starters, (q) => this.handleStarterClick(q))
+      : null;
+  }
+
+  /**
+   * Switch to the other language
+   * A conversation nobody has written in yet is restarted so the agent
+   * for the new language greets the visitor
+   */
+  async handleLanguageSwitch() {
+    i18n.setLocale(i18n.getNextLocale());
+
+    const hasUserMessages = this.chatService.messages.some(msg => msg.role === 'user');
+    if (this.chatService.isActiveChat() && !hasUserMessages &&
+        !this.isProcessing && !this.isViewingHistory && !this.voiceService?.isActive) {
+      await this.handleStartNewConversation();
+    }
+  }
+
+  /**
+   * Re-apply translated texts after a language change
+   */
+  updateTexts() {
+    if (!this.element) return;
+
+    this.element.lang = i18n.getLocale();
+    this.header.querySelector('.chat-title').textContent = this.getTitle();
+    this.header.querySelector('.chat-history-btn').title = t('header.history');
+    this.renderConnectionStatus();
+
+    const languageBtn = this.header.querySelector('.chat-language-btn');
+    languageBtn.textContent = t('language.switchLabel');
+    languageBtn.title = t('language.switch');
+    this.renderVoiceButton();
+    this.voiceCallBar?.updateTexts();
+    this.handoffBar?.updateTexts();
+    this.renderHandoff();
+    if (this.messageList.isCallbackFormShown()) {
+      this.showCallbackForm();
+    }
+
+    this.chatInput.updateTexts();
+    this.messageList.updateTexts();
+    this.historyPanel.updateTexts();
+
+    // Swap visible starters for the new language (suggested replies stay as the agent wrote them)
+    const startersVisible = this.startersFixedContainer.style.display !== 'none' && !this.quickReplies;
+    this.createStarters();
+    if (startersVisible) {
+      this.startersShown = false;
+      this.renderStarters();
+    }
+  }
+
+  /**
+   * Show "Online" or "Offline" in the header
+   */
+  renderConnectionStatus() {
+    if (!this.header) return;
+    this.header.querySelector('.chat-status').classList.toggle('offline', !this.isOnline);
+    this.header.querySelector('.status-text').textContent =
+      t(this.isOnline ? 'header.online' : 'header.offline');
+  }
+
+  /**
+   * Show whether the voice call button starts or ends a call
+   */
+  renderVoiceButton() {
+    const button = this.header?.querySelector('.chat-voice-btn');
+    if (!button) return;
+
+    const inCall = this.voiceService.isActive;
+    const label = t(inCall ? 'voice.stop' : 'voice.start', { botName: CONFIG.chatBotName });
+    button.classList.toggle('active', inCall);
+    button.setAttribute('aria-pressed', String(inCall));
+    button.setAttribute('aria-label', label);
+    button.title = label;
+  }
+
+  /**
+   * Show whether the "Call me" button opens or closes its form
+   */
+  renderCallbackButton() {
+    const button = this.header?.querySelector('.chat-callback-btn');
+    if (!button) return;
+
+    const open = this.messageList.isCallbackFormShown();
+    const label = t(open ? 'callback.cancel' : 'callback.start');
+    button.classList.toggle('active', open);
+    button.setAttribute('aria-expanded', String(open));
+    button.setAttribute('aria-label', label);
+    button.title = label;
+  }
+
+  /**
+   * Show the handoff's state: header button and status bar
+   * Past conversations shown from history have none.
+   */
+  renderHandoff() {
+    const open = !this.isViewingHistory && this.chatService.isHandoffOpen();
+    this.handoffBar?.setHandoff(this.isViewingHistory ? null : this.chatService.handoff);
+
+    const button = this.header?.querySelector('.chat-handoff-btn');
+    if (!button) return;
+
+    const label = t(open ? 'handoff.end' : 'handoff.start');
+    button.classList.toggle('active', open);
+    button.setAttribute('aria-pressed', String(open));
+    button.setAttribute('aria-label', label);
+    button.title = label;
+  }
+
   /**
    * Setup chat service event listeners
    */
   setupServiceListeners() {
+    // A new chat (possibly started from another tab) replaces what is displayed
+    this.chatService.on('chatCreated', ({ chatId }) => {
+      if (this.isViewingHistory || chatId === this.renderedChatId) return;
+      if (this.renderedChatId) {
+        this.clearMessages();
+        this.chatInput.enable();
+      }
+      this.renderedChatId = chatId;
+    });
+
+    // User messages are rendered from the service so every tab shows them
+    this.chatService.on('messageSent', (message) => {
+      if (this.isViewingHistory) return;
+      this.hideStarters();
+      this.messageList.addUserMessage(message.content, { id: message.id, status: message.status });
+      this.typingIndicator.moveToEnd();
+    });
+
+    // Offline, messages are queued and sent once the connection is back
+    this.chatService.on('connectionChanged', ({ online }) => {
+      this.isOnline = online;
+      this.renderConnectionStatus();
+      this.messageList.setOnline(online);
+    });
+
+    // Delivery status (queued, sending, sent, failed) of user messages
+    this.chatService.on('messageStatusChanged', (message) => {
+      if (this.isViewingHistory) return;
+      this.messageList.setMessageStatus(message.id, message.status);
+    });
+
+    // Typing state of replies requested by any tab
+    this.chatService.on('agentTyping', ({ isTyping }) => {
+      this.isAgentTyping = isTyping;
+      if (this.isViewingHistory) return;
+      if (isTyping && !this.messageList.isStreaming()) {
+        this.typingIndicator.show();
+      } else if (!isTyping && !this.isProcessing) {
+        this.typingIndicator.hide();
+      }
+    });
+
+    // Streamed replies replace the typing indicator with a growing bubble
+    this.chatService.on('messageStreamStarted', () => {
+      if (this.isViewingHistory) return;
+      this.typingIndicator.hide();
+      this.messageList.startStreamingMessage();
+    });
+
+    this.chatService.on('messageChunk', ({ content }) => {
+      if (this.isViewingHistory) return;
+      this.messageList.updateStreamingMessage(content);
+    });
+
     this.chatService.on('messageReceived', (message) => {
       // Ignore messages if viewing history (prevents race conditions)
       if (this.isViewingHistory) {
@@ -124,32 +390,258 @@ export class ChatWidget {
       }
 
       this.typingIndicator.hide();
-      this.messageList.addBotMessage(message.content);
+      if (this.messageList.isStreaming()) {
+        this.messageList.finishStreamingMessage(message.content, message);
+      } else {
+        this.messageList.addBotMessage(message.content, message);
+      }
       this.setProcessing(false);
 
-      // Show starters after first bot message
-      if (this.startersComponent && !this.startersShown) {
+      // Chips follow the latest reply: the agent's suggestions, or the
+      // starters after the first reply when it suggested none
+      this.hideStarters();
+      if (message.suggestions?.length > 0) {
+        this.renderQuickReplies(message.suggestions);
+      } else if (this.startersComponent && !this.startersShown) {
         this.renderStarters();
       }
     });
 
+    // A contact form sent from any tab
+    this.chatService.on('formSubmitted', ({ messageId }) => {
+      if (this.isViewingHistory) return;
+      this.messageList.setFormSubmitted(messageId);
+    });
+
     this.chatService.on('error', (error) => {
       // Ignore errors if viewing history
       if (this.isViewingHistory) {
         this.setProcessing(false);
         return;
       }
-      this.messageList.showError(error.message);
+      this.messageList.discardStreamingMessage();
+      this.messageList.showError(this.getErrorMessage(error, t('message.sendFailed')));
       this.setProcessing(false);
     });
 
-    this.chatService.on('chatEnded', () => {
+    // Someone from the team joined, or the conversation went back to the agent
+    this.chatService.on('handoffChanged', ({ status, operator, previous }) => {
+      this.renderHandoff();
+      if (this.isViewingHistory) return;
+
+      const wasOpen = previous?.status === 'waiting' || previous?.status === 'active';
+      if (status === 'active' && operator && operator !== previous?.operator) {
+        this.messageList.showNotice(t('handoff.joined', { name: operator }));
+      } else if (status === 'closed' && wasOpen && !this.isChatEnded) {
+        this.messageList.showNotice(t('handoff.ended', { botName: CONFIG.chatBotName }));
+      }
+    });
+
+    this.chatService.on('chatEnded', ({ undelivered } = {}) => {
       // Ignore chatEnded if viewing history
       if (this.isViewingHistory) return;
-      this.handleChatEnded();
+      this.handleChatEnded(undelivered);
     });
   }
 
+  /**
+   * Setup voice call listeners
+   * The live transcript is shown with the chat's messages; typing waits
+   * until the call is over.
+   */
+  setupVoiceListeners() {
+    this.voiceService.on('statusChanged', ({ status }) => {
+      this.voiceCallBar.setStatus(status);
+      this.renderVoiceButton();
+
+      if (status === 'connecting') {
+        this.voiceCallLive = false;
+        this.hideStarters();
+        this.chatInput.disable('voice.inputPlaceholder');
+      } else if (status === 'active') {
+        this.voiceCallLive = true;
+        if (!this.isViewingHistory) this.messageList.showNotice(t('voice.started'));
+      } else if (status === 'idle') {
+        this.voiceCallBar.setAgentTalking(false);
+        if (this.isChatEnded) {
+          this.chatInput.disable();
+        } else {
+          this.chatInput.enable();
+        }
+      }
+    });
+
+    this.voiceService.on('agentTalking', ({ isTalking }) => {
+      this.voiceCallBar.setAgentTalking(isTalking);
+    });
+
+    this.voiceService.on('transcriptUpdated', ({ lines }) => {
+      if (this.isViewingHistory) return;
+      this.messageList.renderTranscript(lines);
+    });
+
+    this.voiceService.on('callEnded', ({ duration }) => {
+      this.messageList.endTranscript();
+      if (this.isViewingHistory || !this.voiceCallLive) return;
+      this.messageList.showNotice(t('voice.ended', { duration: VoiceCallBar.formatDuration(duration) }));
+    });
+
+    this.voiceService.on('error', (error) => {
+      let message;
+      if (error?.name === 'NotAllowedError') {
+        message = t('voice.micDenied', { botName: CONFIG.chatBotName });
+      } else if (this.voiceCallLive) {
+        message = t('voice.dropped');
+      } else {
+        message = this.getErrorMessage(error, t('voice.failed'));
+      }
+      this.messageList.showError(message);
+    });
+  }
+
+  /**
+   * Start a voice call with the agent, or hang up the current one
+   * The call continues the current chat: the agent receives the details
+   * collected so far. From a past or ended conversation it starts afresh.
+   */
+  async toggleVoiceCall() {
+    if (this.voiceService.isActive) {
+      this.voiceService.stop();
+      return;
+    }
+
+    if (this.isViewingHistory || this.isChatEnded) {
+      this.isViewingHistory = false;
+      this.clearMessages();
+      this.chatService.reset();
+      this.chatService.shouldResetChat = true;
+      this.renderedChatId = null;
+      this.renderHandoff();
+    }
+
+    try {
+      await this.voiceService.start({
+        chatId: this.chatService.isActiveChat() ? this.chatService.chatId : null,
+        visitor: { ...this.chatService.visitor, ...this.chatService.variables }
+      });
+    } catch (error) {
+      // Shown by the 'error' listener
+    }
+  }
+
+  /**
+   * Open the "Call me" form, or close it
+   * The request belongs to a conversation: from a past or ended one, a new
+   * conversation is started first.
+   */
+  async toggleCallbackForm() {
+    if (this.messageList.isCallbackFormShown()) {
+      this.messageList.hideCallbackForm();
+      this.renderCallbackButton();
+      return;
+    }
+
+    if (this.isViewingHistory || this.isChatEnded) {
+      await this.handleStartNewConversation();
+    }
+    this.showCallbackForm();
+  }
+
+  /**
+   * Render the "Call me" form (phone number, prefilled when known, and time)
+   */
+  showCallbackForm() {
+    this.hideStarters();
+    this.messageList.showCallbackForm({
+      fields: ['user_number', 'preferred_time'],
+      required: ['user_number'],
+      title: t('callback.title'),
+      submitLabel: t('callback.submit'),
+      submittedText: t('callback.submitted')
+    }, (values) => this.handleCallbackSubmit(values));
+
+    const phone = this.chatService.getVariable('user_number');
+    const input = this.messageList.callbackElement?.querySelector('input[name="user_number"]');
+    if (phone && input) {
+      input.value = formatPhone(phone);
+    }
+    this.renderCallbackButton();
+  }
+
+  /**
+   * Request the callback; the confirmation arrives as an agent message
+   * @param {{user_number: string, preferred_time?: string}} values - Normalized form values
+   * @returns {Promise<void>}
+   */
+  async handleCallbackSubmit(values) {
+    try {
+      await this.chatService.requestCallback({
+        phone: values.user_number,
+        preferredTime: values.preferred_time || null
+      });
+    } catch (error) {
+      // The form shows a generic failure; limits and a missing queue deserve their own notice
+      if (error instanceof RateLimitError) {
+        this.messageList.showError(this.getErrorMessage(error, t('form.submitFailed')));
+      } else if (error?.code === 'callbacks_unavailable') {
+        this.messageList.showError(t('callback.unavailable'));
+      }
+      throw error;
+    }
+    this.messageList.hideCallbackForm();
+    this.renderCallbackButton();
+  }
+
+  /**
+   * Ask for a person from the team, or go back to the agent
+   * From a past or ended conversation, a new conversation is started first.
+   */
+  async toggleHandoff() {
+    if (!this.isViewingHistory && this.chatService.isHandoffOpen()) {
+      await this.handleEndHandoff();
+      return;
+    }
+    if (this.voiceService?.isActive) return;
+
+    if (this.isViewingHistory || this.isChatEnded) {
+      await this.handleStartNewConversation();
+    }
+    // A conversation still starting would be created twice
+    await this.waitUntilIdle();
+
+    const button = this.header.querySelector('.chat-handoff-btn');
+    button.disabled = true;
+    this.hideStarters();
+    try {
+      await this.chatService.requestHandoff();
+    } catch (error) {
+      if (error?.code === 'config_missing') {
+        // The server can't do handoffs: don't offer them again
+        button.hidden = true;
+        this.messageList.showError(t('handoff.unavailable'));
+      } else if (!(error instanceof RequestCancelledError)) {
+        this.messageList.showError(this.getErrorMessage(error, t('handoff.failed')));
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Go back to the agent
+   * @returns {Promise<void>}
+   */
+  async handleEndHandoff() {
+    this.handoffBar?.setBusy(true);
+    try {
+      await this.chatService.endHandoff();
+    } catch (error) {
+      this.messageList.showError(this.getErrorMessage(error, t('handoff.endFailed')));
+    } finally {
+      this.handoffBar?.setBusy(false);
+    }
+  }
+
   /**
    * Send initial greeting when widget opens
    */
@@ -159,9 +651,9 @@ export class ChatWidget {
     try {
       this.setProcessing(true);
       const shouldReset = this.chatService.shouldResetChat || false;
-      await this.chatService.createChat(shouldReset);
+      await this.chatService.startConversation(shouldReset);
       this.chatService.shouldResetChat = false;
-      await this.chatService.sendMessage('Hello', true);
+      this.setProcessing(false);
     } catch (error) {
       console.error('Error sending initial greeting:', error);
       this.setProcessing(false);
@@ -170,13 +662,33 @@ export class ChatWidget {
 
   /**
    * Handle send message
+   * While a reply is on its way the message is queued by the service and
+   * sent after it (shown as a queued bubble meanwhile).
    * @param {string} message
    */
   async handleSendMessage(message) {
-    if (!message || this.isProcessing || this.isChatEnded) return;
+    // Typing is off during a voice call; chips and cards wait for it too
+    if (!message || this.isChatEnded || this.voiceService?.isActive) return;
 
     this.hideStarters();
-    this.messageList.addUserMessage(message);
+
+    // The conversation is still starting: it needs a chat to queue into
+    if (this.isProcessing && !this.chatService.isActiveChat()) {
+      await this.waitUntilIdle();
+      if (this.isChatEnded) return;
+    }
+
+    if (this.isProcessing) {
+      try {
+        await this.chatService.sendMessage(message);
+      } catch (error) {
+        if (!(error instanceof ChatEndedError) && !(error instanceof RequestCancelledError)) {
+          this.messageList.showError(this.getErrorMessage(error, t('message.sendFailed')));
+        }
+      }
+      return;
+    }
+
     this.setProcessing(true);
 
     try {
@@ -184,14 +696,72 @@ export class ChatWidget {
         await this.chatService.createChat();
       }
       await this.chatService.sendMessage(message);
+      this.setProcessing(false);
     } catch (error) {
-      if (!error.message?.includes('Chat has ended')) {
-        this.messageList.showError('Failed to send message. Please try again.');
+      // Ended chats show the ended banner; cancelled sends aren't failures
+      if (!(error instanceof ChatEndedError) && !(error instanceof RequestCancelledError)) {
+        this.messageList.showError(this.getErrorMessage(error, t('message.sendFailed')));
       }
       this.setProcessing(false);
     }
   }
 
+  /**
+   * Resend a message that failed to deliver
+   * @param {string} messageId
+   */
+  async handleRetryMessage(messageId) {
+    if (this.isChatEnded) return;
+
+    // Queued behind the reply on its way, if any
+    const wasProcessing = this.isProcessing;
+    if (!wasProcessing) this.setProcessing(true);
+    try {
+      await this.chatService.retryMessage(messageId);
+    } catch (error) {
+      if (!(error instanceof ChatEndedError) && !(error instanceof RequestCancelledError)) {
+        this.messageList.showError(this.getErrorMessage(error, t('message.sendFailed')));
+      }
+    } finally {
+      if (!wasProcessing) this.setProcessing(false);
+    }
+  }
+
+  /**
+   * Friendly notice for a failed API call
+   * @param {Error} error
+   * @param {string} fallback - Message for other errors
+   * @returns {string}
+   */
+  getErrorMessage(error, fallback) {
+    if (error instanceof RateLimitError) {
+      return error.isTurnLimit
+        ? t('message.turnLimit')
+        : t('message.rateLimited', { seconds: error.retryAfter || 30 });
+    }
+    if (error instanceof NetworkError) {
+      return error.timedOut ? t('message.timeout') : t('message.networkError');
+    }
+    if (error?.code === 'message_too_long') {
+      return t('message.tooLong', { max: CONFIG.maxMessageLength });
+    }
+    return fallback;
+  }
+
+  /**
+   * Send a contact form's values (as variables and a message to the agent)
+   * @param {string} messageId - Agent message carrying the form
+   * @param {Object<string, string>} values
+   * @returns {Promise<void>}
+   */
+  async handleFormSubmit(messageId, values) {
+    if (this.isChatEnded) {
+      throw new Error('The conversation has ended');
+    }
+    this.hideStarters();
+    await this.chatService.submitForm(messageId, values);
+  }
+
   /**
    * Handle starter question click
    * @param {string} question
@@ -204,13 +774,21 @@ export class ChatWidget {
 
   /**
    * Handle chat ended
+   * @param {string[]} [undelivered=[]] - Messages the chat never received
    */
-  handleChatEnded() {
+  handleChatEnded(undelivered = []) {
     this.isChatEnded = true;
     this.chatInput.disable();
+    this.messageList.disableActions();
     this.conversationEndedBanner = this.messageList.showEndedBanner(
       () => this.handleStartNewConversation()
     );
+
+    // Hand them back so they can be sent in a new conversation
+    if (undelivered.length > 0) {
+      this.chatInput.setValue(undelivered.join('\n'));
+      this.messageList.showError(t('message.undelivered'));
+    }
   }
 
   /**
@@ -219,12 +797,14 @@ export class ChatWidget {
   async handleStartNewConversation() {
     // Reset viewing history flag to accept new messages
     this.isViewingHistory = false;
+    this.voiceService?.stop();
 
     this.clearMessages();
     this.isChatEnded = false;
     this.chatInput.enable();
     this.chatService.reset();
     this.chatService.shouldResetChat = true;
+    this.renderHandoff();
     await this.sendInitialGreeting();
   }
 
@@ -234,16 +814,54 @@ export class ChatWidget {
    */
   setProcessing(processing) {
     this.isProcessing = processing;
+    if (!processing) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
     if (!this.isChatEnded) {
       this.chatInput.setProcessing(processing);
     }
-    if (processing) {
+    // The team's replies come whenever they are written: no typing indicator
+    if (processing && !this.chatService.isHandoffOpen()) {
       this.typingIndicator.show();
-    } else {
+    } else if (!this.isAgentTyping) {
+      // Keep it while a queued message is being answered
       this.typingIndicator.hide();
     }
   }
 
+  /**
+   * Wait until the widget is not waiting for a reply
+   * @returns {Promise<void>}
+   */
+  waitUntilIdle() {
+    if (!this.isProcessing) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Send a message on behalf of the host page
+   * Starts (or restarts) the conversation first and waits for any pending reply
+   * @param {string} message
+   */
+  async sendExternalMessage(message) {
+    if (this.isChatEnded) {
+      await this.handleStartNewConversation();
+    } else if (!this.chatService.isActiveChat()) {
+      await this.sendInitialGreeting();
+    }
+
+    await this.waitUntilIdle();
+    await this.handleSendMessage(message);
+  }
+
+  /**
+   * Put text in the input without sending it
+   * @param {string} text
+   */
+  prefill(text) {
+    this.chatInput.setValue(text);
+  }
+
   renderStarters() {
     // Don't show starters if chat is ended or viewing history
     if (!this.startersComponent || this.startersShown || this.isChatEnded) return;
@@ -253,7 +871,26 @@ export class ChatWidget {
     this.startersShown = true;
   }
 
+  /**
+   * Show the replies the agent suggested after its latest message
+   * @param {string[]} replies
+   */
+  renderQuickReplies(replies) {
+    if (this.isChatEnded || this.isViewingHistory) return;
+    const chips = new ExampleQuestions(replies, (reply) => this.handleSendMessage(reply), { title: null });
+    this.startersFixedContainer.innerHTML = '';
+    this.startersFixedContainer.appendChild(chips.render());
+    this.startersFixedContainer.style.display = 'block';
+    this.quickReplies = replies;
+    // Static starters are only the fallback for the first reply
+    this.startersShown = true;
+  }
+
+  /**
+   * Hide starters or suggested replies (the visitor typed or sent something)
+   */
   hideStarters() {
+    this.quickReplies = null;
     if (this.startersFixedContainer) {
       this.startersFixedContainer.style.display = 'none';
       this.startersFixedContainer.innerHTML = '';
@@ -269,6 +906,7 @@ export class ChatWidget {
 
     // Clear all messages from the list
     this.messageList.clear();
+    this.renderCallbackButton();
 
     // Reset starters state
     this.startersShown = false;
@@ -309,13 +947,9 @@ export class ChatWidget {
     this.chatInput.disable();
 
     // Display the historical messages (read-only)
-    chat.messages.forEach(msg => {
-      if (msg.role === 'user') {
-        this.messageList.addUserMessage(msg.content);
-      } else {
-        this.messageList.addBotMessage(msg.content);
-      }
-    });
+    this.messageList.disableActions();
+    this.renderMessages(chat.messages);
+    this.renderHandoff();
 
     // Show ended banner since this is a past conversation
     this.conversationEndedBanner = this.messageList.showEndedBanner(
@@ -323,6 +957,38 @@ export class ChatWidget {
     );
   }
 
+  /**
+   * Render a list of stored messages
+   * @param {Array} messages - Messages with role and content
+   */
+  renderMessages(messages) {
+    messages.forEach(msg => {
+      if (msg.role === 'user') {
+        this.messageList.addUserMessage(msg.content, { id: msg.id, status: msg.status });
+      } else {
+        this.messageList.addBotMessage(msg.content, msg);
+      }
+    });
+  }
+
+  /**
+   * Show a conversation resumed after a page reload
+   * @param {Array} messages - Messages of the restored session
+   */
+  restoreConversation(messages) {
+    this.clearMessages();
+    this.renderedChatId = this.chatService.chatId;
+    this.renderMessages(messages);
+    this.renderHandoff();
+    // The conversation is already under way: don't offer starters again
+    this.startersShown = true;
+
+    const lastMessage = messages[messages.length - 1];
+    if (lastMessage?.role === 'agent' && lastMessage.suggestions?.length > 0) {
+      this.renderQuickReplies(lastMessage.suggestions);
+    }
+  }
+
   mount(parent) {
     parent.appendChild(this.create());
   }
@@ -0,0 +1,332 @@
+/**
+ * MarkdownFormatter - Renders the Markdown used in agent replies
+ *
+ * Runs on text that is already HTML-escaped (tags from earlier formatters,
+ * e.g. the Outlook button, are kept as-is), so it only ever adds its own
+ * markup. MessageFormatter sanitizes the result afterwards.
+ *
+ * Supported: headings, paragraphs and line breaks, **bold**, *italic*,
+ * ~~strikethrough~~, `code`, fenced code blocks, bullet and numbered lists
+ * (nested by indentation), blockquotes, tables, horizontal rules and
+ * [links](https://example.com).
+ */
+
+// Placeholder for protected fragments (tags, code, links) during inline parsing
+const TOKEN = '\u0000';
+const TOKEN_PATTERN = /\u0000(\d+)\u0000/g;
+
+const FENCE_PATTERN = /^\s{0,3}(```|~~~)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+// ">" arrives escaped
+const QUOTE_PATTERN = /^\s{0,3}&gt;\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/** @typedef {{indent: number, ordered: boolean, number: number, lines: string[]}} ListItem */
+
+export class MarkdownFormatter {
+  /**
+   * @param {string} text - Escaped text
+   * @returns {boolean}
+   */
+  canHandle(text) {
+    return /\n|[*_`~#|]|&gt;|^\s*(\d+[.)]|[-+])\s/m.test(text);
+  }
+
+  /**
+   * @param {string} text - Escaped text
+   * @returns {string} HTML
+   */
+  format(text) {
+    const lines = text.replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    return this.renderBlocks(lines);
+  }
+
+  // ============================================
+  // BLOCKS
+  // ============================================
+
+  /**
+   * @param {string[]} lines
+   * @returns {string}
+   */
+  renderBlocks(lines) {
+    const blocks = [];
+    let paragraph = [];
+
+    const closeParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push(`<p>${paragraph.map(line => this.renderInline(line.trim())).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        closeParagraph();
+        i++;
+        continue;
+      }
+
+      const fence = FENCE_PATTERN.exec(line);
+      if (fence) {
+        closeParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Closing fence (or end of a reply still streaming)
+        blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        continue;
+      }
+
+      const heading = HEADING_PATTERN.exec(line);
+      if (heading) {
+        closeParagraph();
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (RULE_PATTERN.test(line)) {
+        closeParagraph();
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (QUOTE_PATTERN.test(line)) {
+        closeParagraph();
+        const quoted = [];
+        while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+          quoted.push(QUOTE_PATTERN.exec(lines[i])[1]);
+          i++;
+        }
+        blocks.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+        continue;
+      }
+
+      if (LIST_ITEM_PATTERN.test(line)) {
+        closeParagraph();
+        const { items, next } = this.collectListItems(lines, i);
+        blocks.push(this.renderLists(items));
+        i = next;
+        continue;
+      }
+
+      const delimiter = lines[i + 1];
+      if (line.includes('|') && delimiter?.includes('|') && TABLE_DELIMITER_PATTERN.test(delimiter)) {
+        closeParagraph();
+        const rows = [line];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+          rows.push(lines[i]);
+          i++;
+        }
+        blocks.push(this.renderTable(rows, delimiter));
+        continue;
+      }
+
+      paragraph.push(line);
+      i++;
+    }
+
+    closeParagraph();
+    return blocks.join('');
+  }
+
+  /**
+   * Read consecutive list items (with their continuation lines)
+   * @param {string[]} lines
+   * @param {number} start
+   * @returns {{items: ListItem[], next: number}}
+   */
+  collectListItems(lines, start) {
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const match = LIST_ITEM_PATTERN.exec(lines[i]);
+      if (match) {
+        items.push({
+          indent: match[1].replace(/\t/g, '    ').length,
+          ordered: match[3] !== undefined,
+          number: match[3] !== undefined ? Number(match[3]) : 1,
+          lines: [match[4]]
+        });
+        i++;
+        continue;
+      }
+
+      const current = items[items.length - 1];
+      if (lines[i].trim() === '') {
+        // A blank line only ends the list if no item follows
+        const nextLine = lines.slice(i + 1).find(line => line.trim() !== '');
+        if (nextLine === undefined || !LIST_ITEM_PATTERN.test(nextLine)) break;
+        i++;
+        continue;
+      }
+
+      // Indented text continues the previous item
+      if (/^\s{2,}\S/.test(lines[i]) && !FENCE_PATTERN.test(lines[i])) {
+        current.lines.push(lines[i].trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    return { items, next: i };
+  }
+
+  /**
+   * Render list items as (possibly several, nested) lists
+   * @param {ListItem[]} items
+   * @returns {string}
+   */
+  renderLists(items) {
+    let html = '';
+    let i = 0;
+    while (i < items.length) {
+      const list = this.renderList(items, i);
+      html += list.html;
+      i = list.next;
+    }
+    return html;
+  }
+
+  /**
+   * Render one list starting at `index`; deeper items become nested lists
+   * @param {ListItem[]} items
+   * @param {number} index
+   * @returns {{html: string, next: number}}
+   */
+  renderList(items, index) {
+    const { indent, ordered, number } = items[index];
+    const open = ordered
+      ? `<ol${number !== 1 ? ` start="${number}"` : ''}>`
+      : '<ul>';
+
+    let html = open;
+    let i = index;
+    while (i < items.length && items[i].indent >= indent) {
+      const item = items[i];
+      // A marker of the other kind at the same level starts a new list
+      if (item.indent === indent && item.ordered !== ordered && i > index) break;
+
+      let content = item.lines.map(line => this.renderInline(line)).join('<br>');
+      i++;
+      while (i < items.length && items[i].indent > indent) {
+        const nested = this.renderList(items, i);
+        content += nested.html;
+        i = nested.next;
+      }
+      html += `<li>${content}</li>`;
+    }
+
+    return { html: html + (ordered ? '</ol>' : '</ul>'), next: i };
+  }
+
+  /**
+   * @param {string[]} rows - Header row and body rows
+   * @param {string} delimiter - The |---|:---:| line (column alignment)
+   * @returns {string}
+   */
+  renderTable(rows, delimiter) {
+    const alignments = this.splitRow(delimiter).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      return null;
+    });
+
+    const renderRow = (row, cellTag) => {
+      const cells = this.splitRow(row);
+      return `<tr>${alignments.map((align, index) => {
+        const attributes = align ? ` class="align-${align}"` : '';
+        return `<${cellTag}${attributes}>${this.renderInline(cells[index] || '')}</${cellTag}>`;
+      }).join('')}</tr>`;
+    };
+
+    const [header, ...body] = rows;
+    const bodyHtml = body.length > 0 ? `<tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+
+    // Wrapped so wide tables scroll inside the bubble
+    return `<div class="message-table"><table><thead>${renderRow(header, 'th')}</thead>${bodyHtml}</table></div>`;
+  }
+
+  /**
+   * @param {string} row - e.g. "| Plan | Price |"
+   * @returns {string[]} Trimmed cells
+   */
+  splitRow(row) {
+    return row.trim()
+      .replace(/\\\|/g, TOKEN) // An escaped \| is part of the cell
+      .replace(/^\||\|$/g, '')
+      .split('|')
+      .map(cell => cell.trim().replace(/\u0000/g, '|'));
+  }
+
+  // ============================================
+  // INLINE
+  // ============================================
+
+  /**
+   * Inline formatting for one line of escaped text
+   * Tags, code, links and URLs are swapped for placeholders first so
+   * emphasis never applies inside them.
+   * @param {string} text
+   * @returns {string}
+   */
+  renderInline(text) {
+    const tokens = [];
+    const protect = (html) => `${TOKEN}${tokens.push(html) - 1}${TOKEN}`;
+
+    let result = text
+      // Markup from earlier formatters
+      .replace(/<[^>]+>/g, protect)
+      // `code`
+      .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`))
+      // \* and friends are literal
+      .replace(/\\([\\`*_{}[\]()#+\-.!|~])/g, (match, char) => protect(char))
+      // [text](https://...)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if (!/^(https?:\/\/|mailto:|tel:)/i.test(url)) return match;
+        const href = url.replace(/"/g, '&quot;');
+        return protect(
+          `<a href="${href}" target="_blank" rel="noopener noreferrer" class="message-link">${this.renderEmphasis(label)}</a>`
+        );
+      })
+      // Bare URLs are linked later (LinkFormatter): keep their _ and * intact
+      .replace(/(https?:\/\/[^\s<]+|www\.[^\s<]+)/gi, protect);
+
+    result = this.renderEmphasis(result);
+
+    // Restore placeholders (a link label may contain some)
+    while (result.includes(TOKEN)) {
+      result = result.replace(TOKEN_PATTERN, (match, index) => tokens[Number(index)]);
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  renderEmphasis(text) {
+    return text
+      .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(\S(?:.*?\S)?)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(\S(?:[^*]*?\S)?)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(\S(?:[^_]*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+  }
+}
@@ -1,7 +1,17 @@
 /**
  * MessageFormatter - Strategy pattern for message formatting
  * Open/Closed Principle: Add new formatters without modifying existing code
+ *
+ * Pipeline: escape (or Outlook buttons) → Markdown → links → sanitizer.
+ * Every formatter works on escaped text, and the allowlist sanitizer is the
+ * last step, so message text can never inject markup.
+ *
+ * Card blocks (```card JSON, see MessageCards) are cut out of the text
+ * first and rendered by the card registry.
  */
+import { MarkdownFormatter } from './MarkdownFormatter.js';
+import { CardRegistry, CARD_TAGS } from '../MessageCards/MessageCards.js';
+import { HtmlSanitizer } from '../../utils/HtmlSanitizer.js';
 
 /**
  * @interface IFormatter
@@ -83,10 +93,17 @@ class LinkFormatter {
     // Split by HTML tags, process only text between tags
     const htmlTagPattern = /(<[^>]+>)/g;
     const parts = text.split(htmlTagPattern);
+    // Text inside links and code stays as-is
+    let skipDepth = 0;
 
     return parts.map(part => {
       // If this part is an HTML tag, keep it as is
       if (part.startsWith('<') && part.endsWith('>')) {
+        if (/^<(a|code|pre)[\s>]/i.test(part)) skipDepth++;
+        if (/^<\/(a|code|pre)>/i.test(part)) skipDepth = Math.max(0, skipDepth - 1);
+        return part;
+      }
+      if (skipDepth > 0) {
         return part;
       }
 
@@ -98,7 +115,7 @@ class LinkFormatter {
           return url;
         }
 
-        const href = url.startsWith('www.') ? `https://${url}` : url;
+        const href = (url.startsWith('www.') ? `https://${url}` : url).replace(/"/g, '&quot;');
         return `<a href="${href}" target="_blank" rel="noopener noreferrer" class="message-link">${url}</a>`;
       });
     }).join('');
@@ -139,18 +156,45 @@ export class MessageFormatter {
      */
     this.formatters = [
       new OutlookFormatter(),
+      new MarkdownFormatter(),
       new LinkFormatter()
     ];
 
     this.plainTextFormatter = new PlainTextFormatter();
+    this.sanitizer = new HtmlSanitizer();
+
+    /** @type {CardRegistry} Structured blocks in agent replies */
+    this.cards = new CardRegistry();
+    this.cardSanitizer = new HtmlSanitizer({ extraTags: CARD_TAGS });
   }
 
   /**
    * Format message text
    * @param {string} text - Raw message text
-   * @returns {string} Formatted HTML
+   * @param {Object} [options]
+   * @param {boolean} [options.markdown=true] - Render Markdown (agent replies; off for visitor text)
+   * @returns {string} Formatted, sanitized HTML
    */
-  format(text) {
+  format(text, { markdown = true } = {}) {
+    if (!text) return '';
+
+    if (markdown && this.cards.hasCards(text)) {
+      return this.cards.split(text)
+        .map(segment => (segment.card ? this.formatCards([segment.card]) : this.formatText(segment.text)))
+        .join('');
+    }
+
+    return this.formatText(text, { markdown });
+  }
+
+  /**
+   * Run the text pipeline (no card blocks)
+   * @param {string} text - Raw message text
+   * @param {Object} [options]
+   * @param {boolean} [options.markdown=true]
+   * @returns {string} Formatted, sanitized HTML
+   */
+  formatText(text, { markdown = true } = {}) {
     if (!text) return '';
 
     let result = text;
@@ -164,13 +208,39 @@ export class MessageFormatter {
       result = this.plainTextFormatter.format(text);
     }
 
+    // Markdown on the escaped text
+    const markdownFormatter = this.formatters.find(f => f instanceof MarkdownFormatter);
+    if (markdown && markdownFormatter && markdownFormatter.canHandle(result)) {
+      result = markdownFormatter.format(result);
+    }
+
     // Then process links (works on already-processed text)
     const linkFormatter = this.formatters.find(f => f instanceof LinkFormatter);
     if (linkFormatter && linkFormatter.canHandle(result)) {
       result = linkFormatter.format(result);
     }
 
-    return result;
+    // Only allowlisted markup reaches the page
+    return this.sanitizer.sanitize(result);
+  }
+
+  /**
+   * Render structured cards (unknown types are skipped)
+   * @param {Array<{type: string}>} cards
+   * @returns {string} Sanitized HTML
+   */
+  formatCards(cards) {
+    if (!Array.isArray(cards)) return '';
+    return this.cardSanitizer.sanitize(cards.map(card => this.cards.render(card)).join(''));
+  }
+
+  /**
+   * Add or replace a card type (OCP compliant)
+   * @param {string} type - Value of the card's "type" field
+   * @param {function(Object, CardRegistry): string} renderer - Returns HTML built from escaped values
+   */
+  registerCard(type, renderer) {
+    this.cards.register(type, renderer);
   }
 
   /**
@@ -196,4 +266,4 @@ export class MessageFormatter {
 }
 
 // Export individual formatters for testing/extension
-export { OutlookFormatter, LinkFormatter, PlainTextFormatter };
+export { OutlookFormatter, MarkdownFormatter, LinkFormatter, PlainTextFormatter, CardRegistry };
@@ -4,6 +4,8 @@
  */
 import { CONFIG } from '../../services/config.js';
 import { MessageFormatter } from './MessageFormatter.js';
+import { LeadForm } from '../LeadForm/LeadForm.js';
+import { t } from '../../i18n/i18n.js';
 
 export class MessageList {
   /**
@@ -11,8 +13,26 @@ export class MessageList {
    */
   constructor(formatter = new MessageFormatter()) {
     this.formatter = formatter;
+    /** @type {function(string): void|null} Called with the ID of a failed message to resend */
+    this.onRetry = null;
+    /** @type {function(string): void|null} Called with the reply a card button sends */
+    this.onQuickReply = null;
+    /** @type {function(string, Object<string, string>): Promise<void>|null} Called with a form's message ID and values */
+    this.onFormSubmit = null;
+    /** @type {Map<string, LeadForm>} Contact forms displayed, by agent message ID */
+    this.forms = new Map();
+    /** @type {boolean} Offer "Retry" and card buttons (off once the chat ended) */
+    this.actionsEnabled = true;
+    /** @type {boolean} Queued messages wait for a reply (online) or for the connection */
+    this.online = true;
     /** @type {HTMLElement|null} */
     this.container = null;
+    /** @type {HTMLElement|null} Bot bubble currently receiving streamed text */
+    this.streamingElement = null;
+    /** @type {HTMLElement[]} Transcript lines of the voice call in progress */
+    this.voiceElements = [];
+    /** @type {HTMLElement|null} "Call me" form on display */
+    this.callbackElement = null;
   }
 
   /**
@@ -22,39 +42,168 @@ export class MessageList {
   create() {
     this.container = document.createElement('div');
     this.container.className = 'chat-messages';
+    this.container.addEventListener('click', (event) => {
+      const button = event.target.closest('.message-card-button[data-reply]');
+      if (button) this.handleQuickReply(button);
+    });
     return this.container;
   }
 
   /**
    * Add user message to chat
    * @param {string} text - Message content
+   * @param {Object} [options]
+   * @param {string} [options.id] - Message ID (needed to update its status)
+   * @param {'queued'|'pending'|'sent'|'failed'} [options.status='sent']
    */
-  addUserMessage(text) {
+  addUserMessage(text, { id = null, status = 'sent' } = {}) {
     if (!this.container) return;
 
+    const msgElement = this.createUserMessageElement(text);
+    if (id) msgElement.dataset.messageId = id;
+    this.renderStatus(msgElement, status);
+    this.container.appendChild(msgElement);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Create a user message element
+   * @param {string} text - Message content (shown as plain text)
+   * @returns {HTMLElement}
+   */
+  createUserMessageElement(text) {
     const msgElement = document.createElement('div');
     msgElement.className = 'chat-message user-message';
     msgElement.innerHTML = `
       <div class="message-content">
-        <div class="message-sender">You</div>
-        <div class="message-text">${this.formatter.format(text)}</div>
+        <div class="message-sender">${t('message.you')}</div>
+        <div class="message-text">${this.formatter.format(text, { markdown: false })}</div>
+        <div class="message-status" aria-live="polite"></div>
       </div>
       <div class="message-avatar user-avatar">
-        <span>Y</span>
+        <span>${t('message.you').charAt(0)}</span>
       </div>
     `;
+    return msgElement;
+  }
 
-    this.container.appendChild(msgElement);
-    this.scrollToBottom();
+  /**
+   * Update the delivery status shown under a user message
+   * @param {string} id - Message ID
+   * @param {'queued'|'pending'|'sent'|'failed'} status
+   */
+  setMessageStatus(id, status) {
+    const msgElement = this.findMessage(id);
+    if (msgElement) {
+      this.renderStatus(msgElement, status);
+    }
+  }
+
+  /**
+   * Update queued messages' status line for the connection state
+   * @param {boolean} online
+   */
+  setOnline(online) {
+    this.online = online;
+    this.container?.querySelectorAll('.user-message[data-status="queued"]').forEach(el => {
+      this.renderStatus(el, 'queued');
+    });
+  }
+
+  /**
+   * Stop offering "Retry", card buttons and forms (e.g. the conversation ended)
+   */
+  disableActions() {
+    this.actionsEnabled = false;
+    this.forms.forEach(form => form.disable());
+    this.container?.querySelectorAll('.message-retry').forEach(button => button.remove());
+    this.container?.querySelectorAll('.message-card-button').forEach(button => {
+      button.disabled = true;
+    });
+  }
+
+  /**
+   * Send a card button's reply; the other buttons of that card are disabled
+   * @param {HTMLButtonElement} button
+   */
+  handleQuickReply(button) {
+    if (!this.actionsEnabled || !this.onQuickReply || button.disabled) return;
+
+    button.closest('.message-card').querySelectorAll('.message-card-button').forEach(el => {
+      el.disabled = true;
+    });
+    button.setAttribute('aria-pressed', 'true');
+    this.onQuickReply(button.dataset.reply);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {HTMLElement|null}
+   */
+  findMessage(id) {
+    return [...(this.container?.querySelectorAll('.user-message[data-message-id]') || [])]
+      .find(element => element.dataset.messageId === id) || null;
+  }
+
+  /**
+   * Render a status line: "Queued" (or "Waiting for connection…" offline),
+   * "Sending…", nothing once sent, or "Not delivered · Retry"
+   * @param {HTMLElement} msgElement
+   * @param {'queued'|'pending'|'sent'|'failed'} status
+   */
+  renderStatus(msgElement, status) {
+    const statusElement = msgElement.querySelector('.message-status');
+    msgElement.dataset.status = status;
+    statusElement.innerHTML = '';
+
+    if (status === 'queued') {
+      statusElement.textContent = t(this.online ? 'message.queued' : 'message.waitingForConnection');
+    } else if (status === 'pending') {
+      statusElement.textContent = t('message.sending');
+    } else if (status === 'failed') {
+      const label = document.createElement('span');
+      label.className = 'message-status-label';
+      label.textContent = t('message.failed');
+      statusElement.appendChild(label);
+
+      if (this.actionsEnabled && this.onRetry && msgElement.dataset.messageId) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'message-retry';
+        retryButton.textContent = t('message.retry');
+        retryButton.addEventListener('click', () => this.onRetry(msgElement.dataset.messageId));
+        statusElement.appendChild(retryButton);
+      }
+    }
   }
 
   /**
    * Add bot message to chat
    * @param {string} text - Message content
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.cards] - Cards sent as message metadata
+   * @param {string} [options.id] - Message ID (needed to submit its form)
+   * @param {import('../../services/VariableExtractor.js').LeadFormRequest} [options.form] - Contact form to show
+   * @param {string} [options.author] - Team member who wrote it (human handoff)
    */
-  addBotMessage(text) {
+  addBotMessage(text, { cards = [], id = null, form = null, author = null } = {}) {
     if (!this.container) return;
 
+    const msgElement = this.createBotMessageElement(text, author);
+    this.renderCards(msgElement, cards);
+    this.renderForm(msgElement, id, form);
+    this.container.appendChild(msgElement);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Create a bot message element
+   * A team member's message shows their name and is displayed as plain text.
+   * @param {string} text - Message content
+   * @param {string|null} [author] - Team member who wrote it
+   * @returns {HTMLElement}
+   */
+  createBotMessageElement(text, author = null) {
     const msgElement = document.createElement('div');
     msgElement.className = 'chat-message bot-message';
     msgElement.innerHTML = `
@@ -63,21 +212,240 @@ export class MessageList {
       </div>
       <div class="message-content">
         <div class="message-sender">${CONFIG.chatBotName}</div>
-        <div class="message-text">${this.formatter.format(text)}</div>
+        <div class="message-text">${this.formatter.format(text, { markdown: !author })}</div>
       </div>
     `;
+    if (author) {
+      // Set as text: names are typed by the team
+      msgElement.classList.add('operator-message');
+      msgElement.querySelector('.message-avatar span').textContent = author.charAt(0);
+      msgElement.querySelector('.message-sender').textContent = author;
+    }
+    return msgElement;
+  }
+
+  /**
+   * Show metadata cards under a bot message's text
+   * @param {HTMLElement} msgElement
+   * @param {Array<Object>} cards
+   */
+  renderCards(msgElement, cards) {
+    // A reply made only of cards (or suggested replies) has no text bubble
+    const textElement = msgElement.querySelector('.message-text');
+    textElement.hidden = textElement.innerHTML.trim() === '';
+
+    const html = cards?.length > 0 ? this.formatter.formatCards(cards) : '';
+    if (!html) return;
+
+    const cardsElement = document.createElement('div');
+    cardsElement.className = 'message-cards';
+    cardsElement.innerHTML = html;
+    if (!this.actionsEnabled) {
+      cardsElement.querySelectorAll('.message-card-button').forEach(button => {
+        button.disabled = true;
+      });
+    }
+    msgElement.querySelector('.message-content').appendChild(cardsElement);
+  }
+
+  /**
+   * Show a contact form under a bot message
+   * @param {HTMLElement} msgElement
+   * @param {string|null} id - Message ID
+   * @param {import('../../services/VariableExtractor.js').LeadFormRequest|null} form
+   */
+  renderForm(msgElement, id, form) {
+    if (!form || !id) return;
+
+    const leadForm = new LeadForm(form, (values) => (
+      this.onFormSubmit ? this.onFormSubmit(id, values) : Promise.reject(new Error('Forms are not available'))
+    ));
+    msgElement.querySelector('.message-content').appendChild(leadForm.render());
+    if (!this.actionsEnabled) {
+      leadForm.disable();
+    }
+    this.forms.set(id, leadForm);
+  }
+
+  /**
+   * Show a form as sent (e.g. submitted in another tab)
+   * @param {string} id - Message ID
+   */
+  setFormSubmitted(id) {
+    this.forms.get(id)?.setSubmitted();
+  }
+
+  /**
+   * Show the "Call me" form as an agent bubble at the end of the chat
+   * It isn't part of the conversation (nor of the stored messages).
+   * @param {import('../../services/VariableExtractor.js').LeadFormRequest} form
+   * @param {function(Object<string, string>): Promise<void>} onSubmit - Receives normalized values
+   */
+  showCallbackForm(form, onSubmit) {
+    if (!this.container) return;
+    this.hideCallbackForm();
+
+    const msgElement = this.createBotMessageElement('');
+    msgElement.classList.add('callback-message');
+    msgElement.querySelector('.message-text').hidden = true;
+
+    const callbackForm = new LeadForm(form, onSubmit);
+    msgElement.querySelector('.message-content').appendChild(callbackForm.render());
 
     this.container.appendChild(msgElement);
+    this.callbackElement = msgElement;
+    callbackForm.focus();
+    this.scrollToBottom();
+  }
+
+  /**
+   * Remove the "Call me" form, if shown
+   */
+  hideCallbackForm() {
+    this.callbackElement?.remove();
+    this.callbackElement = null;
+  }
+
+  /**
+   * Check if the "Call me" form is shown
+   * @returns {boolean}
+   */
+  isCallbackFormShown() {
+    return !!this.callbackElement;
+  }
+
+  /**
+   * Start a bot message that is filled in while the reply streams
+   */
+  startStreamingMessage() {
+    if (!this.container) return;
+
+    this.discardStreamingMessage();
+    this.streamingElement = this.createBotMessageElement('');
+    this.streamingElement.classList.add('streaming');
+    this.container.appendChild(this.streamingElement);
     this.scrollToBottom();
   }
 
+  /**
+   * Replace the streaming message text with the content received so far
+   * @param {string} text - Accumulated content
+   */
+  updateStreamingMessage(text) {
+    if (!this.streamingElement) return;
+
+    this.streamingElement.querySelector('.message-text').innerHTML = this.formatter.format(text);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Complete the streaming message with its final content
+   * @param {string} text - Final message content
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.cards] - Cards sent as message metadata
+   * @param {string} [options.id] - Message ID (needed to submit its form)
+   * @param {import('../../services/VariableExtractor.js').LeadFormRequest} [options.form] - Contact form to show
+   */
+  finishStreamingMessage(text, { cards = [], id = null, form = null } = {}) {
+    if (!this.streamingElement) return;
+
+    this.updateStreamingMessage(text);
+    this.renderCards(this.streamingElement, cards);
+    this.renderForm(this.streamingElement, id, form);
+    this.streamingElement.classList.remove('streaming');
+    this.streamingElement = null;
+  }
+
+  /**
+   * Show the live transcript of a voice call
+   * Called with the whole transcript on every update: lines already shown
+   * are updated in place (the last one grows while it is spoken).
+   * @param {Array<{role: 'agent'|'user', content: string}>} lines
+   */
+  renderTranscript(lines) {
+    if (!this.container) return;
+
+    lines.forEach((line, index) => {
+      const role = line.role === 'user' ? 'user' : 'agent';
+      let msgElement = this.voiceElements[index];
+
+      if (msgElement?.dataset.role !== role) {
+        const replacement = role === 'user'
+          ? this.createUserMessageElement('')
+          : this.createBotMessageElement('');
+        replacement.classList.add('voice-message');
+        replacement.dataset.role = role;
+        if (msgElement) {
+          msgElement.replaceWith(replacement);
+        } else {
+          this.container.appendChild(replacement);
+        }
+        msgElement = replacement;
+        this.voiceElements[index] = msgElement;
+      }
+
+      if (msgElement.dataset.content !== line.content) {
+        msgElement.dataset.content = line.content;
+        msgElement.querySelector('.message-text').innerHTML =
+          this.formatter.format(line.content, { markdown: false });
+      }
+    });
+
+    this.voiceElements.splice(lines.length).forEach(element => element.remove());
+    this.scrollToBottom();
+  }
+
+  /**
+   * The voice call is over: its lines stay as they are
+   */
+  endTranscript() {
+    this.voiceElements = [];
+  }
+
+  /**
+   * Show an informational line between messages (e.g. "Voice call started")
+   * @param {string} text
+   */
+  showNotice(text) {
+    if (!this.container) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'chat-notice';
+    notice.textContent = text;
+    this.container.appendChild(notice);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Remove an unfinished streaming message (e.g. stream failed midway)
+   */
+  discardStreamingMessage() {
+    if (this.streamingElement) {
+      this.streamingElement.remove();
+      this.streamingElement = null;
+    }
+  }
+
+  /**
+   * Check if a bot message is currently streaming
+   * @returns {boolean}
+   */
+  isStreaming() {
+    return !!this.streamingElement;
+  }
+
   /**
    * Show error message
+   * The same notice reported twice (service event + failed send) is shown once
    * @param {string} message
    */
   showError(message) {
     if (!this.container) return;
 
+    const duplicate = [...this.container.querySelectorAll('.chat-error')]
+      .some(element => element.textContent === message);
+    if (duplicate) return;
+
     const errorElement = document.createElement('div');
     errorElement.className = 'chat-error';
     errorElement.textContent = message;
@@ -107,15 +475,15 @@ export class MessageList {
           </svg>
         </div>
         <div class="conversation-ended-text">
-          <div class="conversation-ended-title">Conversation Ended</div>
-          <div class="conversation-ended-subtitle">This conversation has been completed</div>
+          <div class="conversation-ended-title">${t('ended.title')}</div>
+          <div class="conversation-ended-subtitle">${t('ended.subtitle')}</div>
         </div>
         <button class="start-new-conversation-btn">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <polyline points="23 4 23 10 17 10"></polyline>
             <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
           </svg>
-          Start New Conversation
+          <span class="start-new-conversation-label">${t('ended.startNew')}</span>
         </button>
       </div>
     `;
@@ -129,10 +497,39 @@ export class MessageList {
     return banner;
   }
 
+  /**
+   * Re-apply translated labels to messages already displayed
+   */
+  updateTexts() {
+    if (!this.container) return;
+
+    this.container.querySelectorAll('.user-message .message-sender').forEach(el => {
+      el.textContent = t('message.you');
+    });
+    this.container.querySelectorAll('.user-avatar span').forEach(el => {
+      el.textContent = t('message.you').charAt(0);
+    });
+    this.container.querySelectorAll('.user-message[data-status]').forEach(el => {
+      this.renderStatus(el, el.dataset.status);
+    });
+
+    const banner = this.container.querySelector('.conversation-ended-banner');
+    if (banner) {
+      banner.querySelector('.conversation-ended-title').textContent = t('ended.title');
+      banner.querySelector('.conversation-ended-subtitle').textContent = t('ended.subtitle');
+      banner.querySelector('.start-new-conversation-label').textContent = t('ended.startNew');
+    }
+  }
+
   /**
    * Clear all messages
    */
   clear() {
+    this.streamingElement = null;
+    this.voiceElements = [];
+    this.callbackElement = null;
+    this.actionsEnabled = true;
+    this.forms.clear();
     if (this.container) {
       this.container.innerHTML = '';
     }
@@ -62,6 +62,15 @@ export class TypingIndicator {
     }
   }
 
+  /**
+   * Keep the indicator below newly added messages
+   */
+  moveToEnd() {
+    if (this.element && this.element.parentNode === this.container) {
+      this.container.appendChild(this.element);
+    }
+  }
+
   /**
    * Check if indicator is visible
    * @returns {boolean}
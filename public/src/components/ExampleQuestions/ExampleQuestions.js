@@ -1,18 +1,21 @@
 /**
  * ExampleQuestions Component
- * Displays a list of example questions as clickable chips
+ * Displays a list of example questions (or the agent's suggested replies)
+ * as clickable chips
  */
+import { t } from '../../i18n/i18n.js';
+
 export class ExampleQuestions {
-  constructor(questions, onQuestionClick) {
-    this.questions = questions || [
-      'What services do you offer?',
-      'How much per pallet?',
-      'Where are your warehouses?',
-      'Can I tour the facility?',
-      'Do you offer delivery?',
-      'How fast can I move in?'
-    ];
+  /**
+   * @param {string[]} [questions] - Chips to show (localized examples by default)
+   * @param {function(string): void} [onQuestionClick]
+   * @param {Object} [options]
+   * @param {string|null} [options.title] - Heading above the chips (null for none)
+   */
+  constructor(questions, onQuestionClick, { title = t('starters.title') } = {}) {
+    this.questions = questions || t('starters.examples');
     this.onQuestionClick = onQuestionClick;
+    this.title = title;
     this.element = null;
   }
 
@@ -20,15 +23,14 @@ export class ExampleQuestions {
     const container = document.createElement('div');
     container.className = 'example-questions';
 
-    const title = document.createElement('div');
-    title.className = 'example-questions-title';
-    title.textContent = 'Try asking:';
-
     const chipsContainer = document.createElement('div');
     chipsContainer.className = 'question-chips';
+    chipsContainer.setAttribute('role', 'group');
+    chipsContainer.setAttribute('aria-label', this.title || t('suggestions.label'));
 
     this.questions.forEach(question => {
       const chip = document.createElement('button');
+      chip.type = 'button';
       chip.className = 'question-chip';
       chip.textContent = question;
       chip.dataset.question = question;
@@ -42,7 +44,12 @@ export class ExampleQuestions {
       chipsContainer.appendChild(chip);
     });
 
-    container.appendChild(title);
+    if (this.title) {
+      const title = document.createElement('div');
+      title.className = 'example-questions-title';
+      title.textContent = this.title;
+      container.appendChild(title);
+    }
     container.appendChild(chipsContainer);
 
     this.element = container;
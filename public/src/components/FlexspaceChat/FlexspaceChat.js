@@ -0,0 +1,141 @@
+/**
+ * FlexspaceChat Component
+ * <flexspace-chat> custom element: mounts the chat (widget + floating button)
+ * inside a shadow root so its CSS neither leaks into nor inherits from the host page
+ *
+ * Attributes (all optional):
+ * - title: Widget header title
+ * - bot-name: Agent display name
+ * - starters: Starter questions separated by "|"
+ * - theme-color: Theme colour (CSS colour)
+ * - api-base-url: Base URL of the /api functions (defaults to where the script is served)
+ * - locale: Widget language, "en-CA" or "fr-CA" (defaults to the page/browser language)
+ * - voice: "false" hides the voice call button
+ * - callback: "false" hides the "Call me" button
+ * - handoff: "false" hides the "Talk to a person" button
+ *
+ * @example
+ * <flexspace-chat title="Ask Flexspace" theme-color="#1d4ed8"
+ *   starters="Pallet pricing?|Where are you located?"></flexspace-chat>
+ */
+import { ChatApp } from '../../ChatApp.js';
+import { installPublicApi } from '../../PublicChatApi.js';
+import { configure } from '../../services/config.js';
+import { STYLESHEETS } from '../../styles/stylesheets.js';
+import { i18n } from '../../i18n/i18n.js';
+
+// Resolve stylesheets and the default API origin from where this module is served
+const SRC_BASE_URL = new URL('../../', import.meta.url);
+
+/** @type {Promise<string>|null} Combined CSS, fetched once per page */
+let stylesPromise = null;
+
+/**
+ * Fetch all chat stylesheets and scope them to the shadow root
+ * @returns {Promise<string>}
+ */
+function loadStyles() {
+  if (!stylesPromise) {
+    stylesPromise = Promise.all(
+      STYLESHEETS.map(async (path) => {
+        const response = await fetch(new URL(path, SRC_BASE_URL));
+        if (!response.ok) {
+          throw new Error(`Failed to load stylesheet ${path}`);
+        }
+        return response.text();
+      })
+    ).then(sheets => sheets.join('\n').replace(/:root\b/g, ':host'));
+  }
+  return stylesPromise;
+}
+
+export class FlexspaceChat extends HTMLElement {
+  static get observedAttributes() {
+    return ['title', 'bot-name', 'starters', 'theme-color', 'api-base-url', 'locale', 'voice', 'callback', 'handoff'];
+  }
+
+  constructor() {
+    super();
+    this.app = null;
+    /** @type {import('../../PublicChatApi.js').PublicChatApi|null} */
+    this.api = null;
+    this.isMounted = false;
+  }
+
+  /**
+   * Read widget options from attributes
+   * @returns {Object} Options for configure()
+   */
+  getOptions() {
+    const starters = this.getAttribute('starters');
+    const voice = this.getAttribute('voice');
+    const callback = this.getAttribute('callback');
+    const handoff = this.getAttribute('handoff');
+
+    return {
+      chatTitle: this.getAttribute('title') || this.dataset.chatTitle || undefined,
+      chatBotName: this.getAttribute('bot-name') || undefined,
+      chatThemeColor: this.getAttribute('theme-color') || undefined,
+      chatStarters: starters
+        ? starters.split('|').map(q => q.trim()).filter(Boolean)
+        : undefined,
+      apiBaseUrl: this.getAttribute('api-base-url') ?? SRC_BASE_URL.origin,
+      locale: this.getAttribute('locale') || undefined,
+      voiceEnabled: voice === null ? undefined : voice !== 'false',
+      callbackEnabled: callback === null ? undefined : callback !== 'false',
+      handoffEnabled: handoff === null ? undefined : handoff !== 'false'
+    };
+  }
+
+  async connectedCallback() {
+    if (this.isMounted) return;
+    this.isMounted = true;
+
+    configure(this.getOptions());
+
+    // A title attribute would otherwise show as a native tooltip over the whole widget
+    if (this.hasAttribute('title')) {
+      this.dataset.chatTitle = this.getAttribute('title');
+      this.removeAttribute('title');
+    }
+
+    const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+
+    try {
+      const style = document.createElement('style');
+      style.textContent = await loadStyles();
+      shadow.appendChild(style);
+    } catch (error) {
+      console.error('❌ Error loading chat styles:', error);
+    }
+
+    this.app = new ChatApp({ root: shadow });
+    await this.app.init();
+    // window.FlexspaceChat controls the first chat mounted on the page
+    if (!window.FlexspaceChat?.isOpen) {
+      this.api = installPublicApi(this.app);
+    }
+    this.dispatchEvent(new CustomEvent('flexspace-chat:ready', { bubbles: true }));
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Only the theme and language can change live; other options apply when the element mounts
+    if (!this.app || !newValue) return;
+
+    if (name === 'theme-color') {
+      configure({ chatThemeColor: newValue });
+      this.app.applyTheme();
+    } else if (name === 'locale') {
+      i18n.setLocale(newValue, { persist: false });
+    }
+  }
+}
+
+/**
+ * Register the <flexspace-chat> element (safe to call more than once)
+ */
+export function defineFlexspaceChat() {
+  if (!customElements.get('flexspace-chat')) {
+    customElements.define('flexspace-chat', FlexspaceChat);
+  }
+}
@@ -2,6 +2,8 @@
  * FloatingChatButton Component
  * Floating button to toggle chat widget
  */
+import { t } from '../../i18n/i18n.js';
+
 export class FloatingChatButton {
   /**
    * @param {Function} onClick - Callback when button is clicked
@@ -19,7 +21,7 @@ export class FloatingChatButton {
   create() {
     const button = document.createElement('button');
     button.className = 'floating-chat-button';
-    button.setAttribute('aria-label', 'Chat with a live agent');
+    button.setAttribute('aria-label', t('floating.label'));
 
     // Button content with text and icons
     button.innerHTML = `
@@ -31,7 +33,7 @@ export class FloatingChatButton {
           <line x1="8" y1="16" x2="8" y2="16"></line>
           <line x1="16" y1="16" x2="16" y2="16"></line>
         </svg>
-        <span class="button-text">Get instant answers from a live agent</span>
+        <span class="button-text">${t('floating.text')}</span>
       </div>
       <svg class="close-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
         <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -70,6 +72,16 @@ export class FloatingChatButton {
     }
   }
 
+  /**
+   * Re-apply translated texts after a language change
+   */
+  updateTexts() {
+    if (this.element) {
+      this.element.setAttribute('aria-label', t('floating.label'));
+      this.element.querySelector('.button-text').textContent = t('floating.text');
+    }
+  }
+
   /**
    * Set open state programmatically
    * @param {boolean} open - Open state
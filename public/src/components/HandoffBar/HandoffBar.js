@@ -0,0 +1,75 @@
+/**
+ * HandoffBar Component
+ * Status strip shown under the chat header while the conversation is with
+ * the team: waiting for someone, or who is replying, and a button to go back
+ * to the agent
+ */
+import { t } from '../../i18n/i18n.js';
+
+export class HandoffBar {
+  /**
+   * @param {function(): void} onEnd
+   */
+  constructor(onEnd) {
+    this.onEnd = onEnd;
+    /** @type {import('../../services/ChatStateStore.js').HandoffState|null} */
+    this.handoff = null;
+    /** @type {HTMLElement|null} */
+    this.element = null;
+  }
+
+  /**
+   * @returns {HTMLElement}
+   */
+  create() {
+    const bar = document.createElement('div');
+    bar.className = 'handoff-bar';
+    bar.hidden = true;
+    bar.innerHTML = `
+      <span class="handoff-indicator" aria-hidden="true"></span>
+      <span class="handoff-status" aria-live="polite"></span>
+      <button type="button" class="handoff-end"></button>
+    `;
+    bar.querySelector('.handoff-end').addEventListener('click', () => this.onEnd());
+
+    this.element = bar;
+    this.updateTexts();
+    return bar;
+  }
+
+  /**
+   * Show the handoff's progress; hidden unless it is waiting or active
+   * @param {import('../../services/ChatStateStore.js').HandoffState|null} handoff
+   */
+  setHandoff(handoff) {
+    this.handoff = handoff;
+    if (!this.element) return;
+
+    const status = handoff?.status;
+    this.element.hidden = status !== 'waiting' && status !== 'active';
+    this.element.dataset.status = status || 'none';
+    this.updateTexts();
+  }
+
+  /**
+   * @param {boolean} busy - Going back to the agent
+   */
+  setBusy(busy) {
+    if (this.element) {
+      this.element.querySelector('.handoff-end').disabled = busy;
+    }
+  }
+
+  /**
+   * Re-apply translated texts
+   */
+  updateTexts() {
+    if (!this.element) return;
+    const operator = this.handoff?.status === 'active' ? this.handoff.operator : null;
+    // Set as text: names are typed by the team
+    this.element.querySelector('.handoff-status').textContent = operator
+      ? t('handoff.status.active', { name: operator })
+      : t('handoff.status.waiting');
+    this.element.querySelector('.handoff-end').textContent = t('handoff.end');
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * LeadForm Component
+ * Inline contact form shown with an agent message (see MessageList.renderForm),
+ * also used for callback requests (MessageList.showCallbackForm) and for
+ * messages left for the team (`message` field)
+ *
+ * Values are checked and normalized before they are submitted: emails are
+ * lowercased, phone numbers become E.164 (+15145550100), postal codes
+ * "H2X 1Y4" and callback times ISO. Built with DOM methods, so nothing typed
+ * is parsed as HTML.
+ */
+import { CONFIG } from '../../services/config.js';
+import { t } from '../../i18n/i18n.js';
+import {
+  MAX_CALLBACK_DAYS, normalizeEmail, normalizePhone, normalizePostalCode, normalizeCallbackTime, toDateTimeLocal
+} from '../../utils/validators.js';
+
+/**
+ * Input settings per variable
+ * normalize returns null for an invalid value, which shows `error`; `hint`
+ * is shown under the input
+ * @type {Object<string, {type: string, autocomplete: string, normalize?: function(string): string|null, error?: string, hint?: string}>}
+ */
+const FIELDS = {
+  first_name: { type: 'text', autocomplete: 'given-name' },
+  last_name: { type: 'text', autocomplete: 'family-name' },
+  email: { type: 'email', autocomplete: 'email', normalize: normalizeEmail, error: 'form.error.email' },
+  company_name: { type: 'text', autocomplete: 'organization' },
+  user_number: { type: 'tel', autocomplete: 'tel', normalize: normalizePhone, error: 'form.error.phone' },
+  postal_code: { type: 'text', autocomplete: 'postal-code', normalize: normalizePostalCode, error: 'form.error.postalCode' },
+  preferred_time: {
+    type: 'datetime-local',
+    autocomplete: 'off',
+    normalize: normalizeCallbackTime,
+    error: 'form.error.callbackTime',
+    hint: 'form.hint.preferred_time'
+  },
+  message: { type: 'textarea', autocomplete: 'off' }
+};
+
+let formCount = 0;
+
+export class LeadForm {
+  /**
+   * @param {import('../../services/VariableExtractor.js').LeadFormRequest} form
+   * @param {function(Object<string, string>): Promise<void>} onSubmit - Receives normalized values
+   */
+  constructor(form, onSubmit) {
+    this.form = form;
+    this.onSubmit = onSubmit;
+    this.id = `lead-form-${++formCount}`;
+    /** @type {HTMLFormElement|null} */
+    this.element = null;
+  }
+
+  /**
+   * @returns {HTMLFormElement}
+   */
+  render() {
+    const formElement = document.createElement('form');
+    formElement.className = 'lead-form';
+    formElement.noValidate = true;
+
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.className = 'lead-form-title';
+    legend.textContent = this.form.title || t('form.title');
+    fieldset.appendChild(legend);
+
+    this.form.fields.filter(name => FIELDS[name]).forEach(name => {
+      fieldset.appendChild(this.renderField(name));
+    });
+
+    const status = document.createElement('div');
+    status.className = 'lead-form-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'lead-form-submit';
+    submitButton.textContent = this.form.submitLabel || t('form.submit');
+
+    fieldset.appendChild(submitButton);
+    fieldset.appendChild(status);
+    formElement.appendChild(fieldset);
+    formElement.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleSubmit();
+    });
+
+    this.element = formElement;
+    if (this.form.submitted) {
+      this.setSubmitted();
+    }
+    return formElement;
+  }
+
+  /**
+   * @param {string} name - Variable name
+   * @returns {HTMLElement}
+   */
+  renderField(name) {
+    const { type, autocomplete, hint } = FIELDS[name];
+    const required = this.form.required.includes(name);
+    const inputId = `${this.id}-${name}`;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'lead-form-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = inputId;
+    label.textContent = t(`form.field.${name}`);
+    if (required) {
+      const marker = document.createElement('span');
+      marker.className = 'lead-form-required';
+      marker.setAttribute('aria-hidden', 'true');
+      marker.textContent = ' *';
+      label.appendChild(marker);
+    }
+
+    const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+    input.id = inputId;
+    input.name = name;
+    if (type === 'textarea') {
+      input.rows = 3;
+      input.maxLength = CONFIG.maxMessageLength;
+    } else {
+      input.type = type;
+    }
+    input.autocomplete = autocomplete;
+    input.required = required;
+    input.setAttribute('aria-describedby', hint ? `${inputId}-hint ${inputId}-error` : `${inputId}-error`);
+    input.addEventListener('input', () => this.setFieldError(input, null));
+    if (type === 'datetime-local') {
+      const now = new Date();
+      input.min = toDateTimeLocal(now);
+      input.max = toDateTimeLocal(new Date(now.getTime() + MAX_CALLBACK_DAYS * 24 * 60 * 60 * 1000));
+    }
+
+    const error = document.createElement('div');
+    error.id = `${inputId}-error`;
+    error.className = 'lead-form-error';
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    if (hint) {
+      const hintElement = document.createElement('div');
+      hintElement.id = `${inputId}-hint`;
+      hintElement.className = 'lead-form-hint';
+      hintElement.textContent = t(hint);
+      wrapper.appendChild(hintElement);
+    }
+    wrapper.appendChild(error);
+    return wrapper;
+  }
+
+  /**
+   * Check every field
+   * @returns {{values: Object<string, string>, valid: boolean}}
+   */
+  validate() {
+    const values = {};
+    let valid = true;
+
+    this.element.querySelectorAll('input, textarea').forEach(input => {
+      const value = input.value.trim();
+      const { normalize, error } = FIELDS[input.name];
+      let message = null;
+
+      if (!value) {
+        if (input.required) message = t('form.error.required');
+      } else if (normalize) {
+        const normalized = normalize(value);
+        if (normalized === null) {
+          message = t(error);
+        } else {
+          values[input.name] = normalized;
+        }
+      } else {
+        values[input.name] = value;
+      }
+
+      this.setFieldError(input, message);
+      if (message) valid = false;
+    });
+
+    return { values, valid };
+  }
+
+  /**
+   * @param {HTMLInputElement|HTMLTextAreaElement} input
+   * @param {string|null} message
+   */
+  setFieldError(input, message) {
+    const error = this.element.querySelector(`#${input.id}-error`);
+    error.textContent = message || '';
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  async handleSubmit() {
+    const { values, valid } = this.validate();
+    if (!valid) {
+      this.element.querySelector('[aria-invalid="true"]')?.focus();
+      return;
+    }
+
+    this.setBusy(true);
+    try {
+      await this.onSubmit(values);
+      this.setSubmitted();
+    } catch (error) {
+      console.error('❌ Error submitting form:', error);
+      this.setBusy(false);
+      this.setStatus(t('form.submitFailed'));
+    }
+  }
+
+  /**
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    this.element.querySelector('fieldset').disabled = busy;
+    this.setStatus(busy ? t('message.sending') : '');
+  }
+
+  /**
+   * @param {string} text
+   */
+  setStatus(text) {
+    this.element.querySelector('.lead-form-status').textContent = text;
+  }
+
+  /**
+   * The form was sent (from this tab or another): keep it read-only
+   */
+  setSubmitted() {
+    if (!this.element) return;
+    this.element.classList.add('submitted');
+    this.element.querySelector('fieldset').disabled = true;
+    this.element.querySelector('.lead-form-submit')?.remove();
+    this.setStatus(this.form.submittedText || t('form.submitted'));
+  }
+
+  /**
+   * Move the focus to the first field
+   */
+  focus() {
+    this.element?.querySelector('input, textarea')?.focus();
+  }
+
+  /**
+   * Stop accepting input (e.g. the conversation ended)
+   */
+  disable() {
+    if (this.element) {
+      this.element.querySelector('fieldset').disabled = true;
+    }
+  }
+}
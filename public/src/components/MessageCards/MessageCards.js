@@ -0,0 +1,323 @@
+/**
+ * MessageCards - Structured blocks in agent replies
+ *
+ * The agent sends a card as a fenced block in its message (```card, or a
+ * ```json block whose object has a registered "type"):
+ *
+ *   ```card
+ *   { "type": "location", "name": "Laval", "address": "2500 Boul. Industriel" }
+ *   ```
+ *
+ * or as message metadata (a `show_card` tool call, or `metadata.cards`; see
+ * VariableExtractor.extractCards). Built-in types: quote, location,
+ * quick_replies and image. MessageFormatter renders them and sanitizes the
+ * result with CARD_TAGS allowed; add types with
+ * MessageFormatter.registerCard().
+ *
+ * @example
+ * messageList.formatter.registerCard('notice', (card, cards) =>
+ *   `<section class="message-card"><p>${cards.escape(card.text)}</p></section>`);
+ */
+import { t, i18n } from '../../i18n/i18n.js';
+
+/**
+ * @typedef {Object} CardPayload
+ * @property {string} type - Registered card type
+ */
+
+/**
+ * @callback CardRenderer
+ * @param {CardPayload} card
+ * @param {CardRegistry} registry - For escape() and formatMoney()
+ * @returns {string} HTML (every card value escaped)
+ */
+
+/** Elements cards may use on top of the message allowlist */
+export const CARD_TAGS = {
+  section: ['class', 'aria-label'],
+  p: ['class'],
+  h4: ['class'],
+  address: [],
+  dl: ['class'],
+  dt: [],
+  dd: [],
+  figure: ['class'],
+  figcaption: [],
+  img: ['src', 'alt', 'loading'],
+  button: ['type', 'class', 'data-reply'],
+  tfoot: [],
+  tr: ['class'],
+  th: ['class', 'scope', 'colspan'],
+  small: []
+};
+
+// ```card / ```json blocks on their own lines
+const CARD_BLOCK_PATTERN = /^[ \t]*```(card|json)[ \t]*\n([\s\S]*?)\n[ \t]*```[ \t]*$/gm;
+// A ```card block still streaming in (no closing fence yet)
+const OPEN_CARD_PATTERN = /^[ \t]*```card[ \t]*(\n[\s\S]*)?$/m;
+
+export class CardRegistry {
+  constructor() {
+    /** @type {Map<string, CardRenderer>} */
+    this.renderers = new Map();
+
+    Object.entries(DEFAULT_RENDERERS).forEach(([type, renderer]) => this.register(type, renderer));
+  }
+
+  /**
+   * Add or replace a card type
+   * @param {string} type
+   * @param {CardRenderer} renderer
+   */
+  register(type, renderer) {
+    if (!type || typeof renderer !== 'function') {
+      throw new Error('Card type and renderer function are required');
+    }
+    this.renderers.set(type, renderer);
+  }
+
+  /**
+   * @param {*} card
+   * @returns {boolean}
+   */
+  canRender(card) {
+    return !!card && typeof card === 'object' && this.renderers.has(card.type);
+  }
+
+  /**
+   * @param {CardPayload} card
+   * @returns {string} HTML, or '' for an invalid card
+   */
+  render(card) {
+    if (!this.canRender(card)) return '';
+    try {
+      return this.renderers.get(card.type)(card, this);
+    } catch (error) {
+      console.warn(`⚠️ Could not render ${card.type} card:`, error);
+      return '';
+    }
+  }
+
+  /**
+   * @param {string} text - Raw message text
+   * @returns {boolean} Whether the text may contain card blocks
+   */
+  hasCards(text) {
+    return text.includes('```');
+  }
+
+  /**
+   * Split message text into text and card segments
+   * Blocks that aren't valid JSON or have an unknown type stay in the text
+   * (rendered as code); an unfinished ```card block is hidden until it closes.
+   * @param {string} text - Raw message text
+   * @returns {Array<{text: string}|{card: CardPayload}>}
+   */
+  split(text) {
+    const segments = [];
+    let lastIndex = 0;
+
+    text.replace(CARD_BLOCK_PATTERN, (match, kind, json, offset) => {
+      const card = this.parse(json);
+      if (card) {
+        segments.push({ text: text.slice(lastIndex, offset) });
+        segments.push({ card });
+        lastIndex = offset + match.length;
+      }
+      return match;
+    });
+
+    let rest = text.slice(lastIndex);
+    const open = OPEN_CARD_PATTERN.exec(rest);
+    if (open) {
+      rest = rest.slice(0, open.index);
+    }
+    segments.push({ text: rest });
+
+    return segments.filter(segment => segment.card || segment.text.trim() !== '');
+  }
+
+  /**
+   * @param {string} json
+   * @returns {CardPayload|null}
+   */
+  parse(json) {
+    try {
+      const card = JSON.parse(json);
+      return this.canRender(card) ? card : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string} Escaped text ('' for null/undefined)
+   */
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * @param {number|string} amount
+   * @param {string} [currency='CAD']
+   * @returns {string} e.g. "$1,250.00" (en-CA) or "1 250,00 $" (fr-CA)
+   */
+  formatMoney(amount, currency = 'CAD') {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) return this.escape(amount);
+    try {
+      return this.escape(new Intl.NumberFormat(i18n.getLocale(), { style: 'currency', currency }).format(value));
+    } catch {
+      // Unknown currency code
+      return this.escape(`${value.toFixed(2)} ${currency}`);
+    }
+  }
+}
+
+// ============================================
+// BUILT-IN CARDS
+// ============================================
+
+/**
+ * Pallet quote: line items with CAD totals
+ * { type: 'quote', title?, reference?, currency?, items: [{ description, quantity, unit?, unit_price, total? }],
+ *   subtotal?, taxes?: [{ label, amount }], total?, valid_until?, note? }
+ * @type {CardRenderer}
+ */
+function renderQuoteCard(card, cards) {
+  const currency = typeof card.currency === 'string' ? card.currency : 'CAD';
+  const money = (amount) => cards.formatMoney(amount, currency);
+  const items = Array.isArray(card.items) ? card.items : [];
+  const taxes = Array.isArray(card.taxes) ? card.taxes : [];
+  const title = card.title || t('card.quote.title');
+
+  let computedSubtotal = 0;
+  const rows = items.map(item => {
+    const quantity = Number(item.quantity ?? 1);
+    const unitPrice = Number(item.unit_price ?? item.price ?? 0);
+    const lineTotal = Number(item.total ?? quantity * unitPrice);
+    computedSubtotal += lineTotal;
+    const unit = item.unit ? ` ${cards.escape(item.unit)}` : '';
+    return `<tr><th scope="row">${cards.escape(item.description ?? item.name)}</th>` +
+      `<td class="align-right">${cards.escape(quantity)}${unit}</td>` +
+      `<td class="align-right">${money(unitPrice)}</td>` +
+      `<td class="align-right">${money(lineTotal)}</td></tr>`;
+  }).join('');
+
+  const subtotal = Number(card.subtotal ?? computedSubtotal);
+  const total = Number(card.total ?? taxes.reduce((sum, tax) => sum + Number(tax.amount || 0), subtotal));
+  const footerRow = (label, amount, className = '') =>
+    `<tr${className ? ` class="${className}"` : ''}><th scope="row" colspan="3">${label}</th>` +
+    `<td class="align-right">${money(amount)}</td></tr>`;
+
+  const footer = [
+    taxes.length > 0 ? footerRow(t('card.quote.subtotal'), subtotal) : '',
+    ...taxes.map(tax => footerRow(cards.escape(tax.label), tax.amount)),
+    footerRow(t('card.quote.total', { currency: cards.escape(currency) }), total, 'message-card-total')
+  ].join('');
+
+  const reference = card.reference
+    ? `<p class="message-card-subtitle">${t('card.quote.reference', { reference: cards.escape(card.reference) })}</p>`
+    : '';
+  const validUntil = card.valid_until
+    ? `<p class="message-card-note">${t('card.quote.validUntil', { date: cards.escape(card.valid_until) })}</p>`
+    : '';
+  const note = card.note ? `<p class="message-card-note">${cards.escape(card.note)}</p>` : '';
+
+  return `<section class="message-card message-card-quote" aria-label="${cards.escape(title)}">` +
+    `<h4 class="message-card-title">${cards.escape(title)}</h4>${reference}` +
+    '<div class="message-table"><table>' +
+    `<thead><tr><th scope="col">${t('card.quote.item')}</th>` +
+    `<th scope="col" class="align-right">${t('card.quote.quantity')}</th>` +
+    `<th scope="col" class="align-right">${t('card.quote.unitPrice')}</th>` +
+    `<th scope="col" class="align-right">${t('card.quote.amount')}</th></tr></thead>` +
+    `<tbody>${rows}</tbody><tfoot>${footer}</tfoot></table></div>` +
+    `${validUntil}${note}</section>`;
+}
+
+/**
+ * Warehouse location
+ * { type: 'location', name, address, hours?: [{ days, hours }] | { [days]: hours }, phone?, map_url? }
+ * @type {CardRenderer}
+ */
+function renderLocationCard(card, cards) {
+  const name = card.name || t('card.location.title');
+  const addressLines = Array.isArray(card.address) ? card.address : String(card.address ?? '').split('\n');
+  const address = addressLines.filter(Boolean).map(line => cards.escape(line)).join('<br>');
+
+  const hourEntries = Array.isArray(card.hours)
+    ? card.hours.map(entry => [entry.days, entry.hours])
+    : Object.entries(card.hours && typeof card.hours === 'object' ? card.hours : {});
+  const hours = hourEntries.length > 0
+    ? `<p class="message-card-label">${t('card.location.hours')}</p><dl class="message-card-hours">` +
+      hourEntries.map(([days, time]) => `<dt>${cards.escape(days)}</dt><dd>${cards.escape(time)}</dd>`).join('') +
+      '</dl>'
+    : '';
+
+  const actions = [];
+  if (card.phone) {
+    const tel = String(card.phone).replace(/[^\d+]/g, '');
+    actions.push(`<a class="message-card-action" href="tel:${tel}">${cards.escape(card.phone)}</a>`);
+  }
+  const mapUrl = card.map_url ||
+    (addressLines.length > 0 && `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(addressLines.join(', '))}`);
+  if (mapUrl) {
+    actions.push(`<a class="message-card-action" href="${cards.escape(mapUrl)}">${t('card.location.directions')}</a>`);
+  }
+
+  return `<section class="message-card message-card-location" aria-label="${cards.escape(name)}">` +
+    `<h4 class="message-card-title">${cards.escape(name)}</h4>` +
+    (address ? `<address>${address}</address>` : '') +
+    hours +
+    (actions.length > 0 ? `<p class="message-card-actions">${actions.join('')}</p>` : '') +
+    '</section>';
+}
+
+/**
+ * Buttons that send a reply when clicked (see MessageList.onQuickReply)
+ * { type: 'quick_replies', prompt?, options: ['Yes', { label: 'Get a quote', value: 'Send me a quote' }] }
+ * @type {CardRenderer}
+ */
+function renderQuickRepliesCard(card, cards) {
+  const options = (Array.isArray(card.options) ? card.options : [])
+    .map(option => (typeof option === 'string' ? { label: option, value: option } : option))
+    .filter(option => option && (option.label || option.value));
+  if (options.length === 0) return '';
+
+  const buttons = options.map(option => {
+    const label = option.label || option.value;
+    return `<button type="button" class="message-card-button" data-reply="${cards.escape(option.value || label)}">` +
+      `${cards.escape(label)}</button>`;
+  }).join('');
+  const prompt = card.prompt ? `<p>${cards.escape(card.prompt)}</p>` : '';
+
+  return `<section class="message-card message-card-replies" aria-label="${t('card.replies.label')}">` +
+    `${prompt}<div class="message-card-buttons">${buttons}</div></section>`;
+}
+
+/**
+ * Image (https only)
+ * { type: 'image', url, alt?, caption? }
+ * @type {CardRenderer}
+ */
+function renderImageCard(card, cards) {
+  if (!/^https:\/\//i.test(card.url || '')) return '';
+  const caption = card.caption ? `<figcaption>${cards.escape(card.caption)}</figcaption>` : '';
+  return '<figure class="message-card message-card-image">' +
+    `<img src="${cards.escape(card.url)}" alt="${cards.escape(card.alt ?? card.caption)}" loading="lazy">` +
+    `${caption}</figure>`;
+}
+
+/** @type {Object<string, CardRenderer>} */
+const DEFAULT_RENDERERS = {
+  quote: renderQuoteCard,
+  location: renderLocationCard,
+  quick_replies: renderQuickRepliesCard,
+  image: renderImageCard
+};
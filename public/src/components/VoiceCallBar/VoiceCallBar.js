@@ -0,0 +1,116 @@
+/**
+ * VoiceCallBar Component
+ * Status strip shown under the chat header during a voice call:
+ * call status, elapsed time and a hang-up button
+ */
+import { t } from '../../i18n/i18n.js';
+
+export class VoiceCallBar {
+  /**
+   * @param {function(): void} onHangUp
+   */
+  constructor(onHangUp) {
+    this.onHangUp = onHangUp;
+    /** @type {'idle'|'connecting'|'active'|'ending'} */
+    this.status = 'idle';
+    /** @type {number|null} When the call connected */
+    this.startedAt = null;
+    /** @type {number|null} */
+    this.timer = null;
+    /** @type {HTMLElement|null} */
+    this.element = null;
+  }
+
+  /**
+   * Format elapsed seconds as m:ss (h:mm:ss past an hour)
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * @returns {HTMLElement}
+   */
+  create() {
+    const bar = document.createElement('div');
+    bar.className = 'voice-call-bar';
+    bar.hidden = true;
+    bar.innerHTML = `
+      <span class="voice-call-indicator" aria-hidden="true"></span>
+      <span class="voice-call-status" aria-live="polite"></span>
+      <span class="voice-call-timer"></span>
+      <button type="button" class="voice-call-hangup"></button>
+    `;
+    bar.querySelector('.voice-call-hangup').addEventListener('click', () => this.onHangUp());
+
+    this.element = bar;
+    this.updateTexts();
+    return bar;
+  }
+
+  /**
+   * Show the call's progress; hidden when idle
+   * @param {'idle'|'connecting'|'active'|'ending'} status
+   */
+  setStatus(status) {
+    this.status = status;
+    if (!this.element) return;
+
+    this.element.hidden = status === 'idle';
+    this.element.dataset.status = status;
+    this.element.querySelector('.voice-call-hangup').disabled = status === 'ending';
+
+    if (status === 'active') {
+      this.startTimer();
+    } else {
+      this.stopTimer();
+    }
+    this.updateTexts();
+  }
+
+  /**
+   * @param {boolean} isTalking - The agent is speaking
+   */
+  setAgentTalking(isTalking) {
+    this.element?.classList.toggle('agent-talking', isTalking);
+  }
+
+  startTimer() {
+    if (this.timer) return;
+    this.startedAt = Date.now();
+    this.renderTimer();
+    this.timer = setInterval(() => this.renderTimer(), 1000);
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.status === 'idle') {
+      this.startedAt = null;
+      this.renderTimer();
+    }
+  }
+
+  renderTimer() {
+    const seconds = this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0;
+    this.element.querySelector('.voice-call-timer').textContent =
+      this.startedAt ? VoiceCallBar.formatDuration(seconds) : '';
+  }
+
+  /**
+   * Re-apply translated texts
+   */
+  updateTexts() {
+    if (!this.element) return;
+    const status = this.status === 'idle' ? 'connecting' : this.status;
+    this.element.querySelector('.voice-call-status').textContent = t(`voice.status.${status}`);
+    this.element.querySelector('.voice-call-hangup').textContent = t('voice.hangUp');
+  }
+}
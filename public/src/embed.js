@@ -0,0 +1,9 @@
+/**
+ * Embeddable Chat Entry
+ * Registers the <flexspace-chat> custom element for host pages.
+ * Loaded by public/loader.js, or directly:
+ * <script type="module" src="https://<chat-host>/src/embed.js"></script>
+ */
+import { defineFlexspaceChat } from './components/FlexspaceChat/FlexspaceChat.js';
+
+defineFlexspaceChat();
@@ -0,0 +1,176 @@
+/**
+ * I18n - Widget localization (en-CA / fr-CA)
+ *
+ * Locale resolution order:
+ * 1. Language picked with the header switcher (remembered in localStorage)
+ * 2. Locale configured by the host page (CONFIG.locale / locale attribute)
+ * 3. <html lang>
+ * 4. navigator.languages / navigator.language
+ * 5. en-CA
+ *
+ * @example
+ * import { t, i18n } from '../../i18n/i18n.js';
+ * t('input.placeholder', { botName: 'Flexspace' }); // "Message Flexspace..."
+ * i18n.onChange((locale) => rerender());
+ */
+import { EventBus } from '../utils/EventBus.js';
+import enCA from './locales/en-CA.js';
+import frCA from './locales/fr-CA.js';
+
+const STORAGE_KEY = 'flexspace_locale';
+export const DEFAULT_LOCALE = 'en-CA';
+
+/** @type {Object<string, Object<string, string|string[]>>} */
+const CATALOGUES = {
+  'en-CA': enCA,
+  'fr-CA': frCA
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+
+export class I18n {
+  constructor() {
+    this.locale = DEFAULT_LOCALE;
+    this.events = new EventBus();
+
+    // Follow a language change made in another tab
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY && event.newValue) {
+          this.setLocale(event.newValue, { persist: false });
+        }
+      });
+    }
+  }
+
+  /**
+   * Map any language tag to a supported locale ("fr", "fr-FR" → "fr-CA")
+   * @param {string|null|undefined} tag
+   * @returns {string|null} Supported locale or null
+   */
+  static normalize(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+    const lower = tag.toLowerCase();
+
+    const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === lower);
+    if (exact) return exact;
+
+    const language = lower.split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.find(locale => locale.toLowerCase().startsWith(`${language}-`)) || null;
+  }
+
+  /**
+   * Pick the initial locale (see resolution order above) and apply it
+   * @param {string} [configuredLocale] - Locale set by the host page
+   * @returns {string} Applied locale
+   */
+  init(configuredLocale) {
+    const candidates = [
+      this.loadStoredLocale(),
+      configuredLocale,
+      typeof document !== 'undefined' ? document.documentElement.lang : null,
+      ...(typeof navigator !== 'undefined'
+        ? (navigator.languages?.length ? navigator.languages : [navigator.language])
+        : [])
+    ];
+
+    const locale = candidates.map(tag => I18n.normalize(tag)).find(Boolean) || DEFAULT_LOCALE;
+    this.setLocale(locale, { persist: false });
+    return this.locale;
+  }
+
+  /**
+   * Read the language the visitor picked, if any
+   * @returns {string|null}
+   */
+  loadStoredLocale() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Change the active locale
+   * @param {string} tag - Locale or language tag
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Remember as the visitor's choice
+   * @returns {string} Applied locale
+   */
+  setLocale(tag, { persist = true } = {}) {
+    const locale = I18n.normalize(tag);
+    if (!locale) {
+      console.warn(`⚠️ Unsupported locale "${tag}", keeping ${this.locale}`);
+      return this.locale;
+    }
+
+    if (persist) {
+      try {
+        localStorage.setItem(STORAGE_KEY, locale);
+      } catch (error) {
+        console.error('❌ Error saving locale:', error);
+      }
+    }
+
+    if (locale !== this.locale) {
+      this.locale = locale;
+      this.events.emit('localeChanged', locale);
+    }
+    return this.locale;
+  }
+
+  /**
+   * @returns {string} Active locale
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * @returns {string} Next supported locale (for the two-language switcher)
+   */
+  getNextLocale() {
+    const index = SUPPORTED_LOCALES.indexOf(this.locale);
+    return SUPPORTED_LOCALES[(index + 1) % SUPPORTED_LOCALES.length];
+  }
+
+  /**
+   * Translate a key, falling back to English, then to the key itself
+   * @param {string} key
+   * @param {Object<string, string|number>} [params] - Values for {placeholders}
+   * @returns {string|string[]}
+   */
+  t(key, params = {}) {
+    const value = CATALOGUES[this.locale][key] ?? CATALOGUES[DEFAULT_LOCALE][key];
+    if (value === undefined) {
+      console.warn(`⚠️ Missing translation: ${key}`);
+      return key;
+    }
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] !== undefined ? String(params[name]) : match
+    ));
+  }
+
+  /**
+   * Listen for locale changes
+   * @param {Function} callback - Receives the new locale
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    return this.events.on('localeChanged', callback);
+  }
+}
+
+// Singleton instance shared by all components
+export const i18n = new I18n();
+
+/**
+ * Translate a key with the active locale
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @returns {string|string[]}
+ */
+export const t = (key, params) => i18n.t(key, params);
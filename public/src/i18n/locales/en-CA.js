@@ -0,0 +1,146 @@
+/**
+ * English (Canada) catalogue
+ * Placeholders use {name} syntax and are filled in by t()
+ */
+export default {
+  // Header switcher: shows the language it switches to
+  'language.switchLabel': 'FR',
+  'language.switch': 'Passer au français',
+
+  'header.title': 'Chat with {botName}',
+  'header.history': 'Chat History',
+  'header.online': 'Online',
+  'header.offline': 'Offline',
+
+  'floating.label': 'Chat with a live agent',
+  'floating.text': 'Get instant answers from a live agent',
+
+  'input.placeholder': 'Message {botName}...',
+  'input.ended': 'Conversation ended',
+  'input.send': 'Send message',
+
+  'message.you': 'You',
+  'message.queued': 'Queued',
+  'message.waitingForConnection': 'Waiting for connection…',
+  'message.sending': 'Sending…',
+  'message.failed': 'Not delivered',
+  'message.retry': 'Retry',
+  'message.undelivered': 'The conversation ended before your messages could be sent. They are back in the message box.',
+  'message.sendFailed': 'Failed to send message. Please try again.',
+  'message.rateLimited': 'You’re sending messages a little too fast. Please wait {seconds} seconds and try again.',
+  'message.turnLimit': 'This conversation has reached its message limit. Please start a new conversation.',
+  'message.tooLong': 'Your message is too long (max {max} characters). Please shorten it and try again.',
+  'message.networkError': 'We couldn’t reach the chat service. Check your connection and try again.',
+  'message.timeout': 'The assistant is taking too long to answer. Please try again.',
+
+  'card.quote.title': 'Quote',
+  'card.quote.reference': 'Quote #{reference}',
+  'card.quote.item': 'Item',
+  'card.quote.quantity': 'Qty',
+  'card.quote.unitPrice': 'Unit price',
+  'card.quote.amount': 'Amount',
+  'card.quote.subtotal': 'Subtotal',
+  'card.quote.total': 'Total ({currency})',
+  'card.quote.validUntil': 'Valid until {date}',
+  'card.location.title': 'Location',
+  'card.location.hours': 'Hours',
+  'card.location.directions': 'Get directions',
+  'card.replies.label': 'Suggested replies',
+
+  'form.title': 'Your contact details',
+  'form.field.first_name': 'First name',
+  'form.field.last_name': 'Last name',
+  'form.field.email': 'Email',
+  'form.field.company_name': 'Company',
+  'form.field.user_number': 'Phone',
+  'form.field.postal_code': 'Postal code',
+  'form.field.preferred_time': 'Preferred time',
+  'form.field.message': 'Message',
+  'form.submit': 'Send',
+  'form.submitted': 'Thanks! Your details were sent.',
+  'form.submitFailed': 'We couldn’t send your details. Please try again.',
+  'form.hint.preferred_time': 'Leave empty to be called as soon as possible.',
+  'form.error.required': 'This field is required.',
+  'form.error.email': 'Enter a valid email address, e.g. name@company.com.',
+  'form.error.phone': 'Enter a 10-digit phone number, e.g. 514-555-0123.',
+  'form.error.postalCode': 'Enter a Canadian postal code, e.g. H2X 1Y4.',
+  'form.error.callbackTime': 'Choose a time within the next 30 days.',
+
+  'callback.start': 'Call me',
+  'callback.cancel': 'Cancel call request',
+  'callback.title': 'We’ll call you back',
+  'callback.submit': 'Call me',
+  'callback.submitted': 'Call requested.',
+  'callback.confirmCalling': 'We’re calling you now at {phone}.',
+  'callback.confirmScheduled': 'Thanks! We’ll call you at {phone} on {time}.',
+  'callback.confirmQueued': 'Thanks! We’ll call you at {phone} as soon as possible during business hours.',
+  'callback.unavailable': 'We can’t schedule a call right now. Please try again during business hours, or leave your details here.',
+
+  'handoff.start': 'Talk to a person',
+  'handoff.end': 'Back to the assistant',
+  'handoff.status.waiting': 'Waiting for someone from our team…',
+  'handoff.status.active': '{name} is replying',
+  'handoff.waiting': 'I’m getting someone from our team. They’ll reply right here in a moment.',
+  'handoff.offline': 'Nobody from our team is available right now. Leave us a message and we’ll get back to you.',
+  'handoff.leaveMessageTitle': 'Leave us a message',
+  'handoff.leaveMessageSubmit': 'Send message',
+  'handoff.leaveMessageSent': 'Thanks! Your message was sent to our team.',
+  'handoff.joined': '{name} joined the conversation',
+  'handoff.ended': 'You’re back with {botName}',
+  'handoff.failed': 'We couldn’t reach our team. Please try again.',
+  'handoff.unavailable': 'Talking to someone from our team isn’t available right now.',
+  'handoff.endFailed': 'We couldn’t end the conversation with our team. Please try again.',
+
+  'voice.start': 'Talk to {botName}',
+  'voice.stop': 'End voice call',
+  'voice.status.connecting': 'Connecting…',
+  'voice.status.active': 'Voice call',
+  'voice.status.ending': 'Ending call…',
+  'voice.hangUp': 'Hang up',
+  'voice.inputPlaceholder': 'Voice call in progress',
+  'voice.started': 'Voice call started',
+  'voice.ended': 'Voice call ended · {duration}',
+  'voice.failed': 'We couldn’t start the voice call. Please try again.',
+  'voice.micDenied': 'Allow microphone access to talk to {botName}.',
+  'voice.dropped': 'The voice call was interrupted.',
+
+  'ended.title': 'Conversation Ended',
+  'ended.subtitle': 'This conversation has been completed',
+  'ended.startNew': 'Start New Conversation',
+
+  'starters.title': 'Try asking:',
+  'starters.default': [
+    'What services do you offer?',
+    'How much per pallet?',
+    'Where are your warehouses?'
+  ],
+  'starters.examples': [
+    'What services do you offer?',
+    'How much per pallet?',
+    'Where are your warehouses?',
+    'Can I tour the facility?',
+    'Do you offer delivery?',
+    'How fast can I move in?'
+  ],
+  'suggestions.label': 'Suggested replies',
+
+  'history.title': 'Chat History',
+  'history.close': 'Close',
+  'history.empty': 'No previous conversations',
+  'history.clearAll': 'Clear All History',
+  'history.messageCount': '{count} messages',
+  'history.delete': 'Delete',
+  'history.confirmDelete': 'Delete this conversation?',
+  'history.confirmClearAll': 'Delete all chat history?',
+  'history.voiceCall': 'Voice call',
+
+  'date.justNow': 'Just now',
+  'date.minutesAgo': '{count}m ago',
+  'date.hoursAgo': '{count}h ago',
+  'date.daysAgo': '{count}d ago',
+
+  // Hidden first message that prompts the agent's greeting
+  'agent.greetingTrigger': 'Hello',
+  // First line of the message sending the contact form's values to the agent
+  'agent.formSubmitted': 'Contact details:'
+};
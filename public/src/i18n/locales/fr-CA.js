@@ -0,0 +1,146 @@
+/**
+ * French (Canada) catalogue
+ * Placeholders use {name} syntax and are filled in by t()
+ */
+export default {
+  // Header switcher: shows the language it switches to
+  'language.switchLabel': 'EN',
+  'language.switch': 'Switch to English',
+
+  'header.title': 'Clavardez avec {botName}',
+  'header.history': 'Historique des conversations',
+  'header.online': 'En ligne',
+  'header.offline': 'Hors ligne',
+
+  'floating.label': 'Clavarder avec un agent',
+  'floating.text': 'Obtenez des réponses instantanées d’un agent',
+
+  'input.placeholder': 'Écrire à {botName}...',
+  'input.ended': 'Conversation terminée',
+  'input.send': 'Envoyer le message',
+
+  'message.you': 'Vous',
+  'message.queued': 'En file d’attente',
+  'message.waitingForConnection': 'En attente de connexion…',
+  'message.sending': 'Envoi…',
+  'message.failed': 'Non envoyé',
+  'message.retry': 'Réessayer',
+  'message.undelivered': 'La conversation s’est terminée avant l’envoi de vos messages. Ils ont été remis dans la zone de saisie.',
+  'message.sendFailed': 'Échec de l’envoi du message. Veuillez réessayer.',
+  'message.rateLimited': 'Vous envoyez des messages un peu trop vite. Veuillez patienter {seconds} secondes et réessayer.',
+  'message.turnLimit': 'Cette conversation a atteint sa limite de messages. Veuillez démarrer une nouvelle conversation.',
+  'message.tooLong': 'Votre message est trop long ({max} caractères maximum). Veuillez le raccourcir et réessayer.',
+  'message.networkError': 'Impossible de joindre le service de clavardage. Vérifiez votre connexion et réessayez.',
+  'message.timeout': 'L’assistant met trop de temps à répondre. Veuillez réessayer.',
+
+  'card.quote.title': 'Soumission',
+  'card.quote.reference': 'Soumission no {reference}',
+  'card.quote.item': 'Article',
+  'card.quote.quantity': 'Qté',
+  'card.quote.unitPrice': 'Prix unitaire',
+  'card.quote.amount': 'Montant',
+  'card.quote.subtotal': 'Sous-total',
+  'card.quote.total': 'Total ({currency})',
+  'card.quote.validUntil': 'Valide jusqu’au {date}',
+  'card.location.title': 'Emplacement',
+  'card.location.hours': 'Heures d’ouverture',
+  'card.location.directions': 'Itinéraire',
+  'card.replies.label': 'Réponses suggérées',
+
+  'form.title': 'Vos coordonnées',
+  'form.field.first_name': 'Prénom',
+  'form.field.last_name': 'Nom',
+  'form.field.email': 'Courriel',
+  'form.field.company_name': 'Entreprise',
+  'form.field.user_number': 'Téléphone',
+  'form.field.postal_code': 'Code postal',
+  'form.field.preferred_time': 'Moment préféré',
+  'form.field.message': 'Message',
+  'form.submit': 'Envoyer',
+  'form.submitted': 'Merci! Vos coordonnées ont été envoyées.',
+  'form.submitFailed': 'Nous n’avons pas pu envoyer vos coordonnées. Veuillez réessayer.',
+  'form.hint.preferred_time': 'Laissez vide pour être appelé dès que possible.',
+  'form.error.required': 'Ce champ est obligatoire.',
+  'form.error.email': 'Entrez une adresse courriel valide, p. ex. nom@entreprise.com.',
+  'form.error.phone': 'Entrez un numéro à 10 chiffres, p. ex. 514-555-0123.',
+  'form.error.postalCode': 'Entrez un code postal canadien, p. ex. H2X 1Y4.',
+  'form.error.callbackTime': 'Choisissez un moment dans les 30 prochains jours.',
+
+  'callback.start': 'Appelez-moi',
+  'callback.cancel': 'Annuler la demande d’appel',
+  'callback.title': 'Nous vous rappelons',
+  'callback.submit': 'Appelez-moi',
+  'callback.submitted': 'Appel demandé.',
+  'callback.confirmCalling': 'Nous vous appelons maintenant au {phone}.',
+  'callback.confirmScheduled': 'Merci! Nous vous appellerons au {phone} le {time}.',
+  'callback.confirmQueued': 'Merci! Nous vous appellerons au {phone} dès que possible pendant nos heures d’ouverture.',
+  'callback.unavailable': 'Nous ne pouvons pas planifier d’appel pour le moment. Veuillez réessayer pendant nos heures d’ouverture, ou laissez-nous vos coordonnées ici.',
+
+  'handoff.start': 'Parler à une personne',
+  'handoff.end': 'Revenir à l’assistant',
+  'handoff.status.waiting': 'En attente d’un membre de notre équipe…',
+  'handoff.status.active': '{name} vous répond',
+  'handoff.waiting': 'Je fais appel à un membre de notre équipe. Il vous répondra ici dans un instant.',
+  'handoff.offline': 'Personne de notre équipe n’est disponible pour le moment. Laissez-nous un message et nous vous recontacterons.',
+  'handoff.leaveMessageTitle': 'Laissez-nous un message',
+  'handoff.leaveMessageSubmit': 'Envoyer le message',
+  'handoff.leaveMessageSent': 'Merci! Votre message a été transmis à notre équipe.',
+  'handoff.joined': '{name} s’est joint à la conversation',
+  'handoff.ended': 'Vous êtes de retour avec {botName}',
+  'handoff.failed': 'Nous n’avons pas pu joindre notre équipe. Veuillez réessayer.',
+  'handoff.unavailable': 'Il n’est pas possible de parler à notre équipe pour le moment.',
+  'handoff.endFailed': 'Nous n’avons pas pu terminer la conversation avec notre équipe. Veuillez réessayer.',
+
+  'voice.start': 'Parler à {botName}',
+  'voice.stop': 'Terminer l’appel vocal',
+  'voice.status.connecting': 'Connexion…',
+  'voice.status.active': 'Appel vocal',
+  'voice.status.ending': 'Fin de l’appel…',
+  'voice.hangUp': 'Raccrocher',
+  'voice.inputPlaceholder': 'Appel vocal en cours',
+  'voice.started': 'Appel vocal commencé',
+  'voice.ended': 'Appel vocal terminé · {duration}',
+  'voice.failed': 'Nous n’avons pas pu commencer l’appel vocal. Veuillez réessayer.',
+  'voice.micDenied': 'Autorisez l’accès au microphone pour parler à {botName}.',
+  'voice.dropped': 'L’appel vocal a été interrompu.',
+
+  'ended.title': 'Conversation terminée',
+  'ended.subtitle': 'Cette conversation est terminée',
+  'ended.startNew': 'Nouvelle conversation',
+
+  'starters.title': 'Essayez de demander :',
+  'starters.default': [
+    'Quels services offrez-vous?',
+    'Combien coûte une palette?',
+    'Où sont situés vos entrepôts?'
+  ],
+  'starters.examples': [
+    'Quels services offrez-vous?',
+    'Combien coûte une palette?',
+    'Où sont situés vos entrepôts?',
+    'Puis-je visiter l’installation?',
+    'Offrez-vous la livraison?',
+    'En combien de temps puis-je emménager?'
+  ],
+  'suggestions.label': 'Réponses suggérées',
+
+  'history.title': 'Historique des conversations',
+  'history.close': 'Fermer',
+  'history.empty': 'Aucune conversation précédente',
+  'history.clearAll': 'Effacer tout l’historique',
+  'history.messageCount': '{count} messages',
+  'history.delete': 'Supprimer',
+  'history.confirmDelete': 'Supprimer cette conversation?',
+  'history.confirmClearAll': 'Supprimer tout l’historique des conversations?',
+  'history.voiceCall': 'Appel vocal',
+
+  'date.justNow': 'À l’instant',
+  'date.minutesAgo': 'il y a {count} min',
+  'date.hoursAgo': 'il y a {count} h',
+  'date.daysAgo': 'il y a {count} j',
+
+  // Hidden first message that prompts the agent's greeting
+  'agent.greetingTrigger': 'Bonjour',
+  // First line of the message sending the contact form's values to the agent
+  'agent.formSubmitted': 'Coordonnées :'
+};
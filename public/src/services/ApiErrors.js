@@ -0,0 +1,175 @@
+/**
+ * ApiErrors - Typed errors raised by RetellApiClient
+ * Callers branch on the class (instanceof) instead of matching messages:
+ *
+ * - NetworkError: the request never got an answer (offline, DNS, timeout)
+ * - RateLimitError: 429, too many requests or the chat's message cap
+ * - ChatEndedError: the chat can't continue (ended, expired or lost token)
+ * - UpstreamError: Retell or the API function failed (5xx)
+ * - RequestCancelledError: cancelled by the caller (not a failure)
+ * - ApiError: any other non-2xx response (base class)
+ */
+
+/**
+ * Error response from the /api functions
+ * Envelope: { error: { code, message, ... }, request_id }
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status
+   * @param {string|null} [details.code] - API error code, e.g. 'invalid_request'
+   * @param {string|null} [details.requestId] - X-Request-Id, to find the server logs
+   * @param {number|null} [details.retryAfter] - Seconds to wait before retrying
+   */
+  constructor(message, { status = null, code = null, requestId = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.retryAfter = retryAfter;
+  }
+
+  /** @returns {boolean} Whether repeating the same request may succeed */
+  get isTransient() {
+    return false;
+  }
+}
+
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {boolean} [details.timedOut=false] - No answer within the request timeout
+   */
+  constructor(message, { timedOut = false, ...details } = {}) {
+    super(message, { code: timedOut ? 'timeout' : 'network_error', ...details });
+    this.timedOut = timedOut;
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+export class RateLimitError extends ApiError {
+  /** @returns {boolean} The chat reached its message cap (waiting won't help) */
+  get isTurnLimit() {
+    return this.code === 'turn_limit_reached';
+  }
+
+  get isTransient() {
+    return !this.isTurnLimit;
+  }
+}
+
+export class ChatEndedError extends ApiError {}
+
+export class UpstreamError extends ApiError {
+  get isTransient() {
+    return [500, 502, 503, 504].includes(this.status);
+  }
+}
+
+export class RequestCancelledError extends ApiError {
+  constructor(message = 'Request cancelled') {
+    super(message, { code: 'cancelled' });
+  }
+}
+
+/** API codes meaning this browser can no longer use the chat */
+const CHAT_ENDED_CODES = ['chat_ended', 'invalid_chat_token', 'chat_token_expired'];
+
+const ERROR_CLASSES = {
+  ApiError, NetworkError, RateLimitError, ChatEndedError, UpstreamError, RequestCancelledError
+};
+
+/**
+ * Pick the error class for an API error response
+ * @param {number} status
+ * @param {string|null} code
+ * @returns {typeof ApiError}
+ */
+function classify(status, code) {
+  if (status === 429) return RateLimitError;
+  if (CHAT_ENDED_CODES.includes(code)) return ChatEndedError;
+  if (status >= 500) return UpstreamError;
+  return ApiError;
+}
+
+/**
+ * Build a typed error from a failed response
+ * @param {Response} response
+ * @param {string} fallbackMessage
+ * @returns {Promise<ApiError>}
+ */
+export async function errorFromResponse(response, fallbackMessage) {
+  const text = await response.text().catch(() => '');
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON (e.g. a proxy error page)
+  }
+
+  const envelope = body?.error;
+  const message = (typeof envelope === 'string' ? envelope : envelope?.message) || text || fallbackMessage;
+  const code = envelope?.code || null;
+  const ErrorClass = classify(response.status, code);
+
+  return new ErrorClass(message, {
+    status: response.status,
+    code,
+    requestId: body?.request_id || response.headers.get('X-Request-Id'),
+    retryAfter: Number(envelope?.retry_after || response.headers.get('Retry-After')) || null
+  });
+}
+
+/**
+ * Build a typed error from an in-band stream `error` event
+ * @param {Object} data - { error: { code, message }, request_id }
+ * @returns {ApiError}
+ */
+export function errorFromStreamEvent(data) {
+  const envelope = data?.error;
+  const message = (typeof envelope === 'string' ? envelope : envelope?.message) || 'Streaming failed';
+  const code = envelope?.code || null;
+  // The stream broke after the reply started: treat like an upstream failure
+  const ErrorClass = classify(502, code);
+  return new ErrorClass(message, { status: 502, code, requestId: data?.request_id || null });
+}
+
+/**
+ * Plain-object form of an error, to send to another tab
+ * @param {Error} error
+ * @returns {Object}
+ */
+export function serializeError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || 'Request failed',
+    status: error?.status ?? null,
+    code: error?.code ?? null,
+    requestId: error?.requestId ?? null,
+    retryAfter: error?.retryAfter ?? null,
+    timedOut: error?.timedOut ?? false
+  };
+}
+
+/**
+ * Rebuild a typed error sent by another tab
+ * @param {Object} data - From serializeError
+ * @returns {Error}
+ */
+export function deserializeError(data) {
+  const ErrorClass = ERROR_CLASSES[data?.name];
+  if (!ErrorClass) {
+    return new Error(data?.message || 'Request failed');
+  }
+  if (ErrorClass === RequestCancelledError) {
+    return new RequestCancelledError(data.message);
+  }
+  return new ErrorClass(data.message, data);
+}
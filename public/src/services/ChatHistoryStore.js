@@ -1,7 +1,11 @@
 /**
  * ChatHistoryStore - Persists chat history to localStorage
  * Allows users to view their previous conversations
+ *
+ * Several tabs share the same storage key, so every write re-reads the stored
+ * list and merges per chat instead of overwriting it with this tab's copy.
  */
+import { i18n, t } from '../i18n/i18n.js';
 
 const STORAGE_KEY = 'flexspace_chat_history';
 const MAX_CHATS = 50; // Keep last 50 chats
@@ -9,6 +13,15 @@ const MAX_CHATS = 50; // Keep last 50 chats
 export class ChatHistoryStore {
   constructor() {
     this.history = this.load();
+
+    // Keep the in-memory copy current when another tab writes
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) {
+          this.history = this.load();
+        }
+      });
+    }
   }
 
   /**
@@ -43,20 +56,29 @@ export class ChatHistoryStore {
    * @param {string} chatId - Chat ID from Retell
    * @param {Array} messages - Array of messages
    * @param {Object} variables - Extracted variables
+   * @param {Object} [options]
+   * @param {'chat'|'voice'} [options.channel='chat'] - Text chat or voice call transcript
    */
-  saveChat(chatId, messages, variables = {}) {
+  saveChat(chatId, messages, variables = {}, { channel = 'chat' } = {}) {
     if (!messages || messages.length === 0) return;
 
+    // Merge into the latest stored list (another tab may have written since)
+    this.history = this.load();
+
     const chatSession = {
       id: chatId || `local_${Date.now()}`,
       timestamp: Date.now(),
       date: new Date().toISOString(),
-      messages: messages.map(m => ({
+      // A message that only carried a form has nothing left to show
+      messages: messages.filter(m => m.content || m.cards).map(m => ({
         role: m.role,
         content: m.content,
-        timestamp: m.timestamp
+        timestamp: m.timestamp,
+        ...(m.cards ? { cards: m.cards } : {}),
+        ...(m.author ? { author: m.author } : {})
       })),
       variables,
+      ...(channel !== 'chat' ? { channel } : {}),
       // Preview: first user message or first agent message
       preview: this.getPreview(messages)
     };
@@ -64,6 +86,10 @@ export class ChatHistoryStore {
     // Check if chat already exists (update it)
     const existingIndex = this.history.findIndex(c => c.id === chatId);
     if (existingIndex >= 0) {
+      // Never replace a transcript with an older, shorter copy
+      if (this.history[existingIndex].messages.length > chatSession.messages.length) {
+        return this.history[existingIndex];
+      }
       this.history[existingIndex] = chatSession;
     } else {
       this.history.push(chatSession);
@@ -121,7 +147,7 @@ export class ChatHistoryStore {
    * @param {string} chatId
    */
   deleteChat(chatId) {
-    this.history = this.history.filter(c => c.id !== chatId);
+    this.history = this.load().filter(c => c.id !== chatId);
     this.save();
   }
 
@@ -142,7 +168,7 @@ export class ChatHistoryStore {
   }
 
   /**
-   * Format date for display
+   * Format date for display in the active locale
    * @param {number} timestamp
    * @returns {string}
    */
@@ -154,12 +180,12 @@ export class ChatHistoryStore {
     const diffHours = Math.floor(diffMs / 3600000);
     const diffDays = Math.floor(diffMs / 86400000);
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays < 7) return `${diffDays}d ago`;
+    if (diffMins < 1) return t('date.justNow');
+    if (diffMins < 60) return t('date.minutesAgo', { count: diffMins });
+    if (diffHours < 24) return t('date.hoursAgo', { count: diffHours });
+    if (diffDays < 7) return t('date.daysAgo', { count: diffDays });
 
-    return date.toLocaleDateString();
+    return date.toLocaleDateString(i18n.getLocale());
   }
 }
 
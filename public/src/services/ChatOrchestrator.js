@@ -7,13 +7,35 @@
  * - ChatStateStore: State management
  * - EventBus: Event pub/sub
  * - VariableExtractor: Response parsing
+ * - ChatSessionStore: Live session persistence (resume after reload)
+ * - ConnectivityMonitor: Online/offline state (messages written offline are
+ *   queued and delivered in order once the connection is back)
+ *
+ * Optional: CrossTabSync (attachTabSync) - in follower tabs, state-changing
+ * calls are forwarded to the leader tab that owns the live chat.
+ *
+ * Human handoff: once a person from the team is asked for (requestHandoff),
+ * visitor messages go to the team's inbox instead of the agent, and the
+ * leader tab polls /api/handoff for their replies until the handoff ends.
  */
 import { EventBus } from '../utils/EventBus.js';
 import { RetellApiClient } from './RetellApiClient.js';
+import { ChatEndedError, NetworkError, RequestCancelledError } from './ApiErrors.js';
 import { ChatStateStore } from './ChatStateStore.js';
 import { VariableExtractor } from './VariableExtractor.js';
 import { chatHistoryStore } from './ChatHistoryStore.js';
+import { chatSessionStore } from './ChatSessionStore.js';
+import { connectivity } from './ConnectivityMonitor.js';
 import { CONFIG } from './config.js';
+import { i18n, t } from '../i18n/i18n.js';
+import { collectPageContext } from '../utils/PageContext.js';
+import { formatPhone } from '../utils/validators.js';
+
+// Wait before checking the connection again while offline (ms), last value repeats
+const RECONNECT_DELAYS = [5000, 10000, 20000, 30000, 60000];
+
+// Handoff statuses in which the team receives the visitor's messages
+const HANDOFF_OPEN_STATUSES = ['waiting', 'active'];
 
 export class ChatOrchestrator {
   /**
@@ -21,17 +43,57 @@ export class ChatOrchestrator {
    * @param {ChatStateStore} [stateStore]
    * @param {EventBus} [eventBus]
    * @param {VariableExtractor} [extractor]
+   * @param {import('./ChatSessionStore.js').ChatSessionStore} [sessionStore]
+   * @param {import('./ConnectivityMonitor.js').ConnectivityMonitor} [connectivityMonitor]
    */
   constructor(
     apiClient = new RetellApiClient(),
     stateStore = new ChatStateStore(),
     eventBus = new EventBus(),
-    extractor = new VariableExtractor()
+    extractor = new VariableExtractor(),
+    sessionStore = chatSessionStore,
+    connectivityMonitor = connectivity
   ) {
     this.apiClient = apiClient;
     this.state = stateStore;
     this.events = eventBus;
     this.extractor = extractor;
+    this.sessionStore = sessionStore;
+    this.connectivity = connectivityMonitor;
+
+    /** @type {boolean} Widget open state, persisted with the session */
+    this.widgetOpen = false;
+
+    /** @type {import('./CrossTabSync.js').CrossTabSync|null} */
+    this.tabSync = null;
+
+    /** @type {Promise<string>|null} Conversation start in progress */
+    this.startPromise = null;
+
+    /** @type {Object<string, string>} Visitor details supplied by the host page */
+    this.visitor = {};
+
+    /** @type {string|null} Lead data last sent to the server (skip unchanged resends) */
+    this.lastLeadSignature = null;
+
+    /** @type {number} Completions in progress (later messages wait in the queue) */
+    this.pendingReplies = 0;
+
+    /** @type {boolean} Queued messages are being delivered */
+    this.flushing = false;
+
+    /** @type {number|null} Next connection check while offline */
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+
+    /** @type {number|null} Next check for the team's replies during a handoff */
+    this.handoffTimer = null;
+
+    this.connectivity.onChange((online) => this.handleConnectivityChange(online));
+
+    // Contact details reach sales as soon as they are known
+    this.events.on('variablesUpdated', () => this.syncLead());
+    this.events.on('variableUpdated', () => this.syncLead());
   }
 
   // ============================================
@@ -59,71 +121,179 @@ export class ChatOrchestrator {
   /**
    * Create a new chat session
    * @param {boolean} [resetChat=false] - Force reset server-side cache
+   * @param {Object} [pageContext] - Page the chat starts from (collected in the calling tab)
    * @returns {Promise<string>} Chat ID
    */
-  async createChat(resetChat = false) {
+  async createChat(resetChat = false, pageContext = collectPageContext()) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('createChat', [resetChat, pageContext]);
+    }
+
     try {
-      const data = await this.apiClient.createChat(resetChat);
+      // The server forwards context and known visitor details to the agent;
+      // the locale also selects the agent (English or French)
+      const data = await this.apiClient.createChat(resetChat, {
+        locale: i18n.getLocale(),
+        context: pageContext,
+        visitor: this.visitor
+      });
 
       this.state.initChat(data.chat_id);
+      // Known visitor details carry over to every new conversation
+      Object.entries(this.visitor).forEach(([key, value]) => {
+        this.state.setVariable(key, value);
+      });
+      this.persistSession();
       this.events.emit('chatCreated', { chatId: data.chat_id });
       return data.chat_id;
 
     } catch (error) {
-      console.error('❌ Error creating chat:', error);
-      this.events.emit('error', error);
+      if (error instanceof NetworkError && !error.timedOut) {
+        this.connectivity.reportFailure();
+      }
+      if (!(error instanceof RequestCancelledError)) {
+        console.error('❌ Error creating chat:', error);
+        this.events.emit('error', error);
+      }
       throw error;
     }
   }
 
   /**
    * Send a message and get response
+   * The user message is recorded as 'pending', then marked 'sent' or 'failed'
+   * (messageStatusChanged); a failed message can be resent with retryMessage().
+   * While a reply is on its way, offline, or behind messages still waiting, it
+   * is recorded as 'queued' and delivered by flushQueue() after the reply, or
+   * once the connection is back.
    * @param {string} message - User message
    * @param {boolean} [skipUserMessage=false] - Skip adding user message to history
-   * @returns {Promise<Object>} Chat completion response
+   * @returns {Promise<Object|null>} Chat completion response, or null when queued
    */
   async sendMessage(message, skipUserMessage = false) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('sendMessage', [message, skipUserMessage]);
+    }
+
+    if (!this.state.isActiveChat()) {
+      throw new Error('No active chat session. Create a chat first.');
+    }
+
+    // Add user message to local history
+    let messageId = null;
+    if (!skipUserMessage && message.trim() !== '') {
+      // Keep the order: one completion at a time, and never overtake queued messages
+      const queue = this.pendingReplies > 0 || this.flushing ||
+        this.state.getQueuedMessages().length > 0 ||
+        (CONFIG.queueOfflineMessages && !this.connectivity.online);
+
+      const userMessage = this.state.addMessage('user', message, queue ? 'queued' : 'pending');
+      messageId = userMessage.id;
+      this.persistSession();
+      this.events.emit('messageSent', userMessage);
+
+      if (queue) {
+        this.flushQueue();
+        return null;
+      }
+    }
+
+    return this.deliverMessage(message, messageId);
+  }
+
+  /**
+   * Resend a user message that failed to deliver, without adding it again
+   * While a reply is on its way it is queued behind it.
+   * @param {string} messageId
+   * @returns {Promise<Object|null>} Chat completion response, or null when queued
+   */
+  async retryMessage(messageId) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('retryMessage', [messageId]);
+    }
+
     if (!this.state.isActiveChat()) {
       throw new Error('No active chat session. Create a chat first.');
     }
 
+    const message = this.state.getMessage(messageId);
+    if (!message || message.role !== 'user' || message.status !== 'failed') {
+      throw new Error(`Message ${messageId} can't be retried`);
+    }
+
+    if (this.pendingReplies > 0 || this.flushing) {
+      this.updateMessageStatus(messageId, 'queued');
+      return null;
+    }
+
+    this.updateMessageStatus(messageId, 'pending');
+    return this.deliverMessage(message.content, messageId);
+  }
+
+  /**
+   * Get the agent's reply to a message already in history
+   * If it fails, messages queued behind it are failed too rather than sent ahead.
+   * @param {string} message - Message content
+   * @param {string|null} messageId - User message to mark sent/failed (null for hidden messages)
+   * @returns {Promise<Object|null>} Chat completion response, or null when queued (connection lost)
+   */
+  async deliverMessage(message, messageId) {
+    if (messageId && this.isHandoffOpen()) {
+      return this.deliverHandoffMessage(message, messageId);
+    }
+
+    let failed = false;
+    this.pendingReplies += 1;
     try {
-      // Add user message to local history
-      if (!skipUserMessage && message.trim() !== '') {
-        const userMessage = this.state.addMessage('user', message);
-        this.events.emit('messageSent', userMessage);
+      this.events.emit('agentTyping', { isTyping: true });
+
+      // Send to API (streamed when supported)
+      const { data, streamed } = await this.requestCompletion(message);
+      this.connectivity.reportSuccess();
+
+      if (messageId) {
+        this.updateMessageStatus(messageId, 'sent');
       }
 
-      // Send to API
-      const data = await this.apiClient.sendMessage(this.state.chatId, message);
+      // Extract variables (before the end check so the final ones are saved)
+      this.applyExtractedVariables(data);
 
       // Check if chat ended
       if (this.extractor.isChatEnded(data)) {
-        this.saveToHistory(); // Save before marking as ended
-        this.state.setEnded();
-        this.events.emit('chatEnded', { chatId: this.state.chatId, autoEnded: true });
-      }
-
-      // Extract variables
-      const vars = this.extractor.extract(data);
-      if (vars) {
-        Object.entries(vars).forEach(([key, value]) => {
-          this.state.setVariable(key, value);
-        });
-        this.events.emit('variablesUpdated', this.state.variables);
+        this.markChatEnded();
       }
 
-      // Extract bot response
-      const botContent = this.extractor.extractBotResponse(data);
-      const botMessage = this.state.addMessage('agent', botContent);
+      // Extract bot response, with cards and suggested replies
+      const reply = this.extractor.splitSuggestions(this.extractor.extractBotResponse(data));
+      const cards = this.extractor.extractCards(data);
+      const suggestions = reply.suggestions.length > 0
+        ? reply.suggestions
+        : this.extractor.extractSuggestions(data);
+      // The agent asked for contact details, or they're still missing after a few turns
+      const form = this.state.isActive
+        ? this.extractor.extractFormRequest(data) || this.getDueLeadForm()
+        : null;
+      const botMessage = this.state.addMessage('agent', reply.content, 'sent', { cards, suggestions, form });
+      this.persistSession();
 
       // Apply configured delay before showing response (simulates natural typing)
-      const delay = CONFIG.responseDelay || 0;
+      // Streamed replies have already been rendered progressively
+      const delay = streamed ? 0 : (CONFIG.responseDelay || 0);
       if (delay > 0) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
 
-      this.events.emit('messageReceived', botMessage);
+      this.events.emit('messageReceived', { ...botMessage, streamed });
+
+      // The agent handed the conversation over to the team
+      const handoff = CONFIG.handoffEnabled && this.state.isActive
+        ? this.extractor.extractHandoffRequest(data)
+        : null;
+      if (handoff) {
+        this.requestHandoff({ requestedBy: 'agent', reason: handoff.reason }).catch(error => {
+          console.warn('⚠️ Error handing the conversation over to the team:', error);
+        });
+      }
 
       // Proactive check for chat end (with delay)
       setTimeout(() => {
@@ -137,19 +307,233 @@ export class ChatOrchestrator {
       return data;
 
     } catch (error) {
+      if (error instanceof RequestCancelledError) {
+        // Cancelled on purpose (reset, new conversation): nothing to report
+        throw error;
+      }
+
+      // Never reached the server (a timeout may have): wait for the connection
+      if (error instanceof NetworkError && !error.timedOut) {
+        this.connectivity.reportFailure();
+        if (messageId && CONFIG.queueOfflineMessages) {
+          console.warn('⚠️ Connection lost, message queued:', error.message);
+          this.updateMessageStatus(messageId, 'queued');
+          return null;
+        }
+      }
+
       console.error('❌ Error sending message:', error);
+      failed = true;
 
-      // Check if this is a "chat ended" error
-      if (this.extractor.isChatEnded(error.message || '')) {
-        this.saveToHistory(); // Save before marking as ended
-        this.state.setEnded();
-        this.events.emit('chatEnded', { chatId: this.state.chatId, autoEnded: true });
+      if (messageId) {
+        this.updateMessageStatus(messageId, 'failed');
+      }
+
+      // The chat ended, or its token expired or was lost: it can't be continued
+      if (error instanceof ChatEndedError) {
+        this.markChatEnded({ undelivered: messageId ? [message] : [] });
       } else {
+        // Messages written during the reply must not overtake this one: they
+        // fail with it and are retried in order
+        this.failQueuedMessages();
         this.events.emit('error', error);
       }
 
       throw error;
+    } finally {
+      this.pendingReplies -= 1;
+      this.events.emit('agentTyping', { isTyping: false });
+      // Messages written during the reply go next
+      if (!failed) this.flushQueue();
+    }
+  }
+
+  /**
+   * Change a message's delivery status, persist it and notify listeners
+   * @param {string} messageId
+   * @param {'pending'|'sent'|'failed'} status
+   */
+  updateMessageStatus(messageId, status) {
+    const message = this.state.setMessageStatus(messageId, status);
+    if (!message) return;
+    this.persistSession();
+    this.events.emit('messageStatusChanged', message);
+  }
+
+  // ============================================
+  // MESSAGE QUEUE
+  // ============================================
+
+  /** @returns {boolean} Whether the API is believed reachable */
+  get isOnline() {
+    return this.connectivity.online;
+  }
+
+  /**
+   * Deliver queued messages in order, one reply at a time
+   * Stops when the connection drops again; if a message fails for another
+   * reason, the ones after it are marked failed so they can be retried.
+   * @returns {Promise<void>}
+   */
+  async flushQueue() {
+    if (this.isFollowerTab() || this.flushing || this.pendingReplies > 0) return;
+
+    this.flushing = true;
+    try {
+      let next;
+      while (this.connectivity.online && this.state.isActiveChat() &&
+             (next = this.state.getQueuedMessages()[0])) {
+        this.updateMessageStatus(next.id, 'pending');
+        try {
+          await this.deliverMessage(next.content, next.id);
+        } catch (error) {
+          this.failQueuedMessages();
+          return;
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Mark queued messages as failed, persist and notify listeners
+   * @returns {import('./ChatStateStore.js').Message[]} The failed messages
+   */
+  failQueuedMessages() {
+    const failed = this.state.failQueuedMessages();
+    if (failed.length > 0) {
+      this.persistSession();
+      failed.forEach(message => this.events.emit('messageStatusChanged', message));
     }
+    return failed;
+  }
+
+  /**
+   * @param {boolean} online
+   */
+  handleConnectivityChange(online) {
+    this.events.emit('connectionChanged', { online });
+
+    if (online) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.reconnectAttempt = 0;
+      this.flushQueue();
+    } else {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Check the connection again later
+   * The browser doesn't fire "online" after an outage it never noticed
+   * (e.g. Wi-Fi up but no route), so the leader checks back with a backoff.
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.isFollowerTab()) return;
+
+    const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+    this.reconnectAttempt += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.checkConnection();
+    }, delay);
+  }
+
+  /**
+   * Probe the API while offline; back online flushes the queue
+   * The live chat is fetched, so a chat that ended meanwhile is detected first.
+   * @returns {Promise<void>}
+   */
+  async checkConnection() {
+    // Offline for the browser too: its "online" event will follow
+    if (this.connectivity.online || !this.connectivity.browserOnline) return;
+
+    if (!this.state.isActiveChat()) {
+      this.connectivity.reportSuccess();
+      return;
+    }
+
+    try {
+      const chatDetails = await this.apiClient.getChatDetails(this.state.chatId);
+      if (this.extractor.isChatEnded(chatDetails)) {
+        this.markChatEnded();
+      }
+      this.connectivity.reportSuccess();
+    } catch (error) {
+      if (error instanceof NetworkError) {
+        this.scheduleReconnect();
+        return;
+      }
+      // The server answered: the connection is back
+      if (error instanceof ChatEndedError) {
+        this.markChatEnded();
+      }
+      this.connectivity.reportSuccess();
+    }
+  }
+
+  /**
+   * Start a conversation: create a chat and send the greeting
+   * Concurrent calls (e.g. from several tabs) share the same chat
+   * @param {boolean} [resetChat=false] - Force reset server-side cache
+   * @param {Object} [pageContext] - Page the chat starts from (collected in the calling tab)
+   * @returns {Promise<string>} Chat ID
+   */
+  async startConversation(resetChat = false, pageContext = collectPageContext()) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('startConversation', [resetChat, pageContext]);
+    }
+
+    if (this.startPromise) return this.startPromise;
+    if (this.state.isActiveChat()) return this.state.chatId;
+
+    this.startPromise = (async () => {
+      const chatId = await this.createChat(resetChat, pageContext);
+      await this.sendMessage(t('agent.greetingTrigger'), true);
+      return chatId;
+    })();
+
+    try {
+      return await this.startPromise;
+    } finally {
+      this.startPromise = null;
+    }
+  }
+
+  /**
+   * Request a completion, streaming the reply when enabled
+   * Emits messageStreamStarted once and messageChunk for every text chunk
+   * @param {string} message - Message content
+   * @returns {Promise<{data: Object, streamed: boolean}>}
+   */
+  async requestCompletion(message) {
+    const canStream = CONFIG.streamResponses &&
+      typeof this.apiClient.sendMessageStream === 'function';
+
+    if (!canStream) {
+      const data = await this.apiClient.sendMessage(this.state.chatId, message);
+      return { data, streamed: false };
+    }
+
+    let content = '';
+    const result = await this.apiClient.sendMessageStream(
+      this.state.chatId,
+      message,
+      (delta) => {
+        if (!content) {
+          this.events.emit('messageStreamStarted', { chatId: this.state.chatId });
+        }
+        content += delta;
+        // [[Reply]] chips at the end are shown as quick replies, not text
+        const { content: visible } = this.extractor.splitSuggestions(content, { streaming: true });
+        this.events.emit('messageChunk', { delta, content: visible });
+      }
+    );
+
+    // A stream that produced no text is treated like a regular reply
+    return { data: result.data, streamed: result.streamed && content.length > 0 };
   }
 
   /**
@@ -174,7 +558,8 @@ export class ChatOrchestrator {
    * @returns {Promise<boolean>}
    */
   async checkIfChatEnded() {
-    if (!this.state.chatId || !this.state.isActive) {
+    // The leader tab polls; followers receive chatEnded from it
+    if (!this.state.chatId || !this.state.isActive || this.isFollowerTab()) {
       return false;
     }
 
@@ -186,10 +571,11 @@ export class ChatOrchestrator {
     try {
       const chatDetails = await this.apiClient.getChatDetails(this.state.chatId);
 
+      // Completions don't carry variables collected by the agent: pick them up here
+      this.applyExtractedVariables(chatDetails);
+
       if (this.extractor.isChatEnded(chatDetails)) {
-        this.saveToHistory(); // Save before marking as ended
-        this.state.setEnded();
-        this.events.emit('chatEnded', { chatId: this.state.chatId, autoEnded: true });
+        this.markChatEnded();
         return true;
       }
 
@@ -200,20 +586,73 @@ export class ChatOrchestrator {
     }
   }
 
+  /**
+   * Store variables found in a Retell response
+   * Emits variablesUpdated only when a value actually changed
+   * @param {Object} data - Completion or chat details
+   */
+  applyExtractedVariables(data) {
+    const vars = this.extractor.extract(data);
+    if (!vars) return;
+
+    const current = this.state.variables;
+    const changed = Object.entries(vars).filter(([key, value]) => current[key] !== value);
+    if (changed.length === 0) return;
+
+    changed.forEach(([key, value]) => this.state.setVariable(key, value));
+    this.events.emit('variablesUpdated', this.state.variables);
+  }
+
+  /**
+   * Mark the chat as ended by Retell, save it to history and notify listeners
+   * Messages it will never receive (rejected or still queued) are listed in
+   * the event's `undelivered`, so the widget can hand them back to the visitor.
+   * @param {Object} [options]
+   * @param {string[]} [options.undelivered=[]] - Messages the ended chat rejected
+   */
+  markChatEnded({ undelivered = [] } = {}) {
+    const dropped = this.failQueuedMessages().map(message => message.content);
+    if (this.isHandoffOpen()) {
+      this.abandonHandoff();
+      this.updateHandoff({ status: 'closed' });
+    }
+    this.syncLead({ ended: true });
+    this.saveToHistory(); // Save before marking as ended
+    this.state.setEnded();
+    this.sessionStore.clear();
+    this.events.emit('chatEnded', {
+      chatId: this.state.chatId,
+      autoEnded: true,
+      undelivered: [...undelivered, ...dropped]
+    });
+  }
+
   /**
    * End the current chat session
    * @returns {Promise<void>}
    */
   async endChat() {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('endChat');
+    }
+
     if (!this.state.chatId || !this.state.isActive) {
       console.warn('⚠️ No active chat to end');
       return;
     }
 
     try {
-      await this.apiClient.endChat(this.state.chatId);
+      try {
+        await this.apiClient.endChat(this.state.chatId);
+      } catch (error) {
+        // Already over on Retell's side: just finish locally
+        if (!(error instanceof ChatEndedError)) throw error;
+      }
+      this.abandonHandoff();
+      this.syncLead({ ended: true });
       const chatId = this.state.chatId;
       this.state.reset();
+      this.sessionStore.clear();
       this.events.emit('chatEnded', { chatId });
 
     } catch (error) {
@@ -237,6 +676,11 @@ export class ChatOrchestrator {
     return this.state.isActive;
   }
 
+  /** @returns {import('./ChatStateStore.js').HandoffState|null} */
+  get handoff() {
+    return this.state.handoff;
+  }
+
   /** @returns {Array} */
   get messages() {
     return this.state.messages;
@@ -296,15 +740,74 @@ export class ChatOrchestrator {
    * @param {*} value
    */
   setVariable(name, value) {
+    if (this.isFollowerTab()) {
+      this.tabSync.request('setVariable', [name, value]).catch(error => {
+        console.warn('⚠️ Error forwarding variable to chat tab:', error);
+      });
+      return;
+    }
+
     this.state.setVariable(name, value);
+    this.persistSession();
     this.events.emit('variableUpdated', { name, value });
   }
 
+  /**
+   * Set several variables at once
+   * @param {Object<string, *>} variables
+   */
+  setVariables(variables) {
+    if (this.isFollowerTab()) {
+      this.tabSync.request('setVariables', [variables]).catch(error => {
+        console.warn('⚠️ Error forwarding variables to chat tab:', error);
+      });
+      return;
+    }
+
+    Object.entries(variables || {}).forEach(([key, value]) => {
+      this.state.setVariable(key, value);
+    });
+    this.persistSession();
+    this.events.emit('variablesUpdated', this.state.variables);
+  }
+
+  /**
+   * Record details the host page already knows about the visitor
+   * Kept across conversations and applied as variables
+   * @param {Object<string, string>} fields - e.g. { email, company_name }
+   */
+  identify(fields) {
+    if (this.isFollowerTab()) {
+      this.tabSync.request('identify', [fields]).catch(error => {
+        console.warn('⚠️ Error forwarding identity to chat tab:', error);
+      });
+      return;
+    }
+
+    const known = {};
+    Object.entries(fields || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') {
+        known[key] = value;
+      }
+    });
+
+    this.visitor = { ...this.visitor, ...known };
+    this.setVariables(known);
+  }
+
   /**
    * Clear all variables
    */
   clearVariables() {
+    if (this.isFollowerTab()) {
+      this.tabSync.request('clearVariables').catch(error => {
+        console.warn('⚠️ Error forwarding to chat tab:', error);
+      });
+      return;
+    }
+
     this.state.clearVariables();
+    this.persistSession();
     this.events.emit('variablesCleared');
   }
 
@@ -312,9 +815,608 @@ export class ChatOrchestrator {
    * Reset the service state
    */
   reset() {
+    if (this.isFollowerTab()) {
+      this.state.reset();
+      this.tabSync.request('reset').catch(error => {
+        console.warn('⚠️ Error forwarding reset to chat tab:', error);
+      });
+      return;
+    }
+
+    // A reply still on its way belongs to the old conversation
+    this.apiClient.cancel();
+    this.state.failQueuedMessages();
+    this.abandonHandoff();
+
     // Save to history before resetting (if there are messages)
     this.saveToHistory();
     this.state.reset();
+    this.sessionStore.clear();
+  }
+
+  // ============================================
+  // SESSION PERSISTENCE
+  // ============================================
+
+  /**
+   * Persist the live session so it can be resumed after a reload
+   */
+  persistSession() {
+    if (!this.state.isActiveChat() || this.isFollowerTab()) return;
+
+    this.sessionStore.save({
+      ...this.state.toSnapshot(),
+      widgetOpen: this.widgetOpen
+    });
+  }
+
+  /**
+   * Record whether the widget is open (restored together with the session)
+   * @param {boolean} open
+   */
+  setWidgetOpen(open) {
+    this.widgetOpen = open;
+    this.persistSession();
+  }
+
+  /**
+   * Resume a persisted session if Retell confirms the chat is still open
+   * Ended or unverifiable sessions are moved to history instead
+   * @returns {Promise<import('./ChatSessionStore.js').ChatSessionSnapshot|null>} Restored session
+   */
+  async restoreSession() {
+    const session = this.sessionStore.load();
+    if (!session || session.isActive === false) {
+      if (!this.isFollowerTab()) this.sessionStore.clear();
+      return null;
+    }
+
+    // The leader tab keeps the stored session current: mirror it as-is
+    if (this.isFollowerTab()) {
+      this.state.restore(session);
+      this.widgetOpen = !!session.widgetOpen;
+      this.events.emit('sessionRestored', {
+        chatId: session.chatId,
+        messages: this.state.messages,
+        variables: this.state.variables,
+        widgetOpen: this.widgetOpen
+      });
+      return session;
+    }
+
+    try {
+      const chatDetails = await this.apiClient.getChatDetails(session.chatId);
+
+      if (this.extractor.isChatEnded(chatDetails)) {
+        this.archiveSession(session);
+        return null;
+      }
+
+      this.resumeSession(session);
+      return session;
+
+    } catch (error) {
+      // Offline: resume as saved; queued messages reveal an ended chat once back online
+      if (error instanceof NetworkError) {
+        console.warn('⚠️ Offline, resuming chat session without checking it:', error.message);
+        this.connectivity.reportFailure();
+        this.resumeSession(session);
+        return session;
+      }
+
+      console.error('❌ Error restoring chat session:', error);
+      this.archiveSession(session);
+      return null;
+    }
+  }
+
+  /**
+   * Load a persisted session as the live chat (leader tab)
+   * @param {import('./ChatSessionStore.js').ChatSessionSnapshot} session
+   */
+  resumeSession(session) {
+    this.state.restore(session);
+    // A send interrupted by the reload never got its reply: offer it for retry
+    this.state.failPendingMessages();
+    this.widgetOpen = !!session.widgetOpen;
+    this.persistSession();
+    this.events.emit('sessionRestored', {
+      chatId: session.chatId,
+      messages: this.state.messages,
+      variables: this.state.variables,
+      widgetOpen: this.widgetOpen
+    });
+    this.flushQueue();
+    this.resumeHandoff();
+  }
+
+  /**
+   * Move a persisted session that can't be resumed to history
+   * @param {import('./ChatSessionStore.js').ChatSessionSnapshot} session
+   */
+  archiveSession(session) {
+    // Messages still waiting were never delivered
+    const messages = (session.messages || []).map(message => (
+      message.status === 'queued' ? { ...message, status: 'failed' } : message
+    ));
+    chatHistoryStore.saveChat(session.chatId, messages, session.variables);
+    this.sessionStore.clear();
+  }
+
+  // ============================================
+  // CROSS-TAB SYNC
+  // ============================================
+
+  /**
+   * Coordinate this orchestrator with other tabs
+   * @param {import('./CrossTabSync.js').CrossTabSync} tabSync
+   */
+  attachTabSync(tabSync) {
+    this.tabSync = tabSync;
+  }
+
+  /**
+   * Check if another tab owns the live chat
+   * @returns {boolean}
+   */
+  isFollowerTab() {
+    return !!this.tabSync && !this.tabSync.isLeader;
+  }
+
+  /**
+   * Mirror an event emitted by the leader tab
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   * @param {Object|null} snapshot - Leader state after the event
+   */
+  applyRemoteEvent(event, data, snapshot) {
+    if (snapshot) {
+      this.state.restore(snapshot);
+    }
+    this.events.emit(event, data);
+  }
+
+  /**
+   * Run a call forwarded by a follower tab
+   * @param {string} method - Method name
+   * @param {Array} [args]
+   * @returns {Promise<*>}
+   */
+  async handleRemoteRequest(method, args = []) {
+    const allowed = [
+      'createChat', 'startConversation', 'sendMessage', 'retryMessage', 'submitForm', 'requestCallback',
+      'requestHandoff', 'endHandoff', 'endChat', 'setVariable', 'setVariables', 'identify', 'clearVariables', 'reset'
+    ];
+    if (!allowed.includes(method)) {
+      throw new Error(`Unsupported cross-tab request: ${method}`);
+    }
+    return this[method](...args);
+  }
+
+  // ============================================
+  // LEAD CAPTURE
+  // ============================================
+
+  /**
+   * Send the visitor's details to /api/leads
+   * Only once contact details (email or phone) are known, and only when
+   * priority variables changed since the last send (or the chat ended).
+   * Runs in the background: a failure never interrupts the conversation.
+   * @param {Object} [options]
+   * @param {boolean} [options.ended=false] - Sent because the chat ended
+   */
+  syncLead({ ended = false } = {}) {
+    if (!CONFIG.captureLeads || this.isFollowerTab() || !this.state.chatId) return;
+
+    const variables = this.state.variables;
+    if (!variables.email && !variables.user_number) return;
+
+    const leadData = {};
+    VariableExtractor.PRIORITY_VARS.forEach(name => {
+      if (variables[name]) leadData[name] = variables[name];
+    });
+
+    const signature = JSON.stringify([this.state.chatId, leadData, ended]);
+    if (signature === this.lastLeadSignature) return;
+    this.lastLeadSignature = signature;
+
+    this.apiClient.saveLead(this.state.chatId, leadData, ended).catch(error => {
+      // Allow a retry with the next variable update
+      this.lastLeadSignature = null;
+      console.warn('⚠️ Error saving lead:', error);
+    });
+  }
+
+  /**
+   * Contact form to show once CONFIG.leadFormAfterTurns visitor messages were
+   * sent and priority details are still missing (at most once per chat)
+   * @returns {import('./VariableExtractor.js').LeadFormRequest|null}
+   */
+  getDueLeadForm() {
+    const afterTurns = CONFIG.leadFormAfterTurns;
+    const messages = this.state.messages;
+    if (!afterTurns || messages.some(msg => msg.form)) return null;
+
+    const turns = messages.filter(msg => msg.role === 'user').length;
+    if (turns < afterTurns) return null;
+
+    const variables = this.state.variables;
+    const missing = VariableExtractor.FORM_FIELDS.filter(name => (
+      this.extractor.isPriorityVar(name) && !variables[name]
+    ));
+    return missing.length > 0 ? this.extractor.normalizeForm({ fields: missing }) : null;
+  }
+
+  /**
+   * Submit a contact form shown with an agent message
+   * The values become variables (and reach /api/leads), and the agent
+   * receives them as a message it can read. A 'leave_message' form goes to
+   * the team instead (see leaveHandoffMessage).
+   * @param {string} messageId - Agent message carrying the form
+   * @param {Object<string, string>} values - Validated, normalized values by variable name
+   * @returns {Promise<void>}
+   */
+  async submitForm(messageId, values) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('submitForm', [messageId, values]);
+    }
+
+    const message = this.state.getMessage(messageId);
+    if (!message?.form || message.form.submitted) {
+      throw new Error(`Form ${messageId} can't be submitted`);
+    }
+
+    if (message.form.action === 'leave_message') {
+      return this.leaveHandoffMessage(messageId, values);
+    }
+
+    const fields = {};
+    message.form.fields.forEach(name => {
+      if (values?.[name]) fields[name] = values[name];
+    });
+
+    this.state.setFormSubmitted(messageId);
+    this.setVariables(fields);
+    this.events.emit('formSubmitted', { messageId, values: fields });
+
+    // The reply comes through the usual events; a failed send can be retried
+    this.sendMessage(this.describeForm(fields)).catch(error => {
+      console.warn('⚠️ Error sending form to the agent:', error);
+    });
+  }
+
+  /**
+   * Message telling the agent what the visitor entered in the form
+   * @param {Object<string, string>} fields
+   * @returns {string} e.g. "Contact details:\nfirst_name: Jane\nemail: jane@example.com" (first line localized)
+   */
+  describeForm(fields) {
+    const lines = Object.entries(fields).map(([name, value]) => `${name}: ${value}`);
+    return [t('agent.formSubmitted'), ...lines].join('\n');
+  }
+
+  // ============================================
+  // CALLBACKS
+  // ============================================
+
+  /**
+   * Ask to be called back by phone ("Call me")
+   * The request belongs to the current chat (one is created if needed). The
+   * number becomes the user_number variable, and a confirmation is added to
+   * the transcript as an agent message.
+   * @param {Object} details - Validated, normalized values
+   * @param {string} details.phone - E.164 number
+   * @param {string|null} [details.preferredTime] - ISO time; null = as soon as possible
+   * @returns {Promise<{callback_id: string, status: 'calling'|'scheduled', scheduled_for: string|null}>}
+   */
+  async requestCallback({ phone, preferredTime = null }) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('requestCallback', [{ phone, preferredTime }]);
+    }
+
+    if (!this.state.isActiveChat()) {
+      await this.createChat();
+    }
+
+    const variables = this.state.variables;
+    const caller = {};
+    ['first_name', 'last_name', 'company_name', 'email'].forEach(name => {
+      if (variables[name]) caller[name] = variables[name];
+    });
+
+    const result = await this.apiClient.requestCallback(this.state.chatId, {
+      phone,
+      preferredTime,
+      locale: i18n.getLocale(),
+      caller
+    });
+
+    this.setVariables({ user_number: phone });
+
+    const message = this.state.addMessage('agent', this.describeCallback(phone, result));
+    this.persistSession();
+    this.events.emit('messageReceived', { ...message });
+    return result;
+  }
+
+  /**
+   * Confirmation shown once a callback was requested
+   * @param {string} phone - E.164 number
+   * @param {{status: string, scheduled_for: string|null}} result - /api/request-callback response
+   * @returns {string}
+   */
+  describeCallback(phone, { status, scheduled_for }) {
+    const number = formatPhone(phone);
+    if (status === 'calling') {
+      return t('callback.confirmCalling', { phone: number });
+    }
+    if (scheduled_for) {
+      const time = new Intl.DateTimeFormat(i18n.getLocale(), { dateStyle: 'full', timeStyle: 'short' })
+        .format(new Date(scheduled_for));
+      return t('callback.confirmScheduled', { phone: number, time });
+    }
+    return t('callback.confirmQueued', { phone: number });
+  }
+
+  // ============================================
+  // HUMAN HANDOFF
+  // ============================================
+
+  /**
+   * Check if a person from the team has the conversation (or is being waited for)
+   * @returns {boolean}
+   */
+  isHandoffOpen() {
+    return HANDOFF_OPEN_STATUSES.includes(this.state.handoff?.status);
+  }
+
+  /**
+   * Hand the conversation over to a person from the team
+   * The team sees the conversation so far and the details collected. When
+   * nobody is online, the visitor is offered to leave a message instead.
+   * @param {Object} [options]
+   * @param {'visitor'|'agent'} [options.requestedBy='visitor']
+   * @param {string} [options.reason] - Why the agent handed over
+   * @returns {Promise<import('./ChatStateStore.js').HandoffState>}
+   */
+  async requestHandoff({ requestedBy = 'visitor', reason = '' } = {}) {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('requestHandoff', [{ requestedBy, reason }]);
+    }
+
+    if (this.isHandoffOpen()) {
+      return this.state.handoff;
+    }
+    if (!this.state.isActiveChat()) {
+      await this.createChat();
+    }
+
+    const transcript = this.state.messages
+      .filter(msg => msg.content)
+      .map(({ role, content }) => ({ role, content }));
+
+    const view = await this.apiClient.requestHandoff(this.state.chatId, {
+      requestedBy,
+      reason,
+      locale: i18n.getLocale(),
+      variables: this.state.variables,
+      transcript
+    });
+    this.applyHandoffView(view);
+    return this.state.handoff;
+  }
+
+  /**
+   * Go back to the agent
+   * @returns {Promise<void>}
+   */
+  async endHandoff() {
+    if (this.isFollowerTab()) {
+      return this.tabSync.request('endHandoff');
+    }
+    if (!this.isHandoffOpen()) return;
+
+    await this.apiClient.closeHandoff(this.state.chatId);
+    this.stopHandoffPolling();
+    this.updateHandoff({ status: 'closed' });
+  }
+
+  /**
+   * Send a visitor message to the team
+   * Like deliverMessage: 'sent' once the team has it, queued while offline.
+   * If the team ended the handoff meanwhile, the agent answers it instead.
+   * @param {string} message
+   * @param {string} messageId
+   * @returns {Promise<Object|null>}
+   */
+  async deliverHandoffMessage(message, messageId) {
+    let toAgent = false;
+    let failed = false;
+    this.pendingReplies += 1;
+    try {
+      const result = await this.apiClient.sendHandoffMessage(this.state.chatId, message);
+      this.connectivity.reportSuccess();
+      this.updateMessageStatus(messageId, 'sent');
+      this.updateHandoff({ status: result.status, operator: result.operator });
+      return result;
+
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+
+      if (error instanceof NetworkError && !error.timedOut) {
+        this.connectivity.reportFailure();
+        if (CONFIG.queueOfflineMessages) {
+          console.warn('⚠️ Connection lost, message queued:', error.message);
+          this.updateMessageStatus(messageId, 'queued');
+          return null;
+        }
+      }
+
+      if (error.code !== 'handoff_closed') {
+        console.error('❌ Error sending message to the team:', error);
+        failed = true;
+        this.updateMessageStatus(messageId, 'failed');
+        if (error instanceof ChatEndedError) {
+          this.markChatEnded({ undelivered: [message] });
+        } else {
+          this.failQueuedMessages();
+          this.events.emit('error', error);
+        }
+        throw error;
+      }
+
+      this.stopHandoffPolling();
+      this.updateHandoff({ status: 'closed' });
+      toAgent = true;
+    } finally {
+      this.pendingReplies -= 1;
+      if (!toAgent && !failed) this.flushQueue();
+    }
+
+    return this.deliverMessage(message, messageId);
+  }
+
+  /**
+   * Leave a message for the team (nobody was available)
+   * The contact details also become variables.
+   * @param {string} messageId - Agent message carrying the form
+   * @param {Object<string, string>} values - Validated values, with `message`
+   * @returns {Promise<void>}
+   */
+  async leaveHandoffMessage(messageId, values) {
+    const { message: content, ...contact } = values;
+    await this.apiClient.leaveHandoffMessage(this.state.chatId, { content, ...contact });
+
+    this.state.setFormSubmitted(messageId);
+    this.setVariables(contact);
+    this.events.emit('formSubmitted', { messageId, values });
+    this.updateHandoff({ status: 'message_left' });
+  }
+
+  /**
+   * Apply the handoff status and the team's new messages (/api/handoff)
+   * A request that is waiting gets a notice; one nobody can answer gets the
+   * form to leave a message.
+   * @param {{status: string, operator?: string|null, messages?: Array<{author: string, content: string}>, cursor?: number}} view
+   */
+  applyHandoffView({ status, operator = null, messages = [], cursor = 0 }) {
+    const previous = this.state.handoff;
+    this.updateHandoff({ status, operator, cursor });
+
+    if (status !== previous?.status) {
+      if (status === 'waiting') {
+        this.addAgentNotice(t('handoff.waiting'));
+      } else if (status === 'offline') {
+        this.addAgentNotice(t('handoff.offline'), {
+          fields: ['first_name', 'email', 'user_number', 'message'],
+          required: ['email', 'message'],
+          title: t('handoff.leaveMessageTitle'),
+          submitLabel: t('handoff.leaveMessageSubmit'),
+          submittedText: t('handoff.leaveMessageSent'),
+          action: 'leave_message'
+        });
+      }
+    }
+
+    messages.forEach(msg => {
+      const message = this.state.addMessage('agent', msg.content, 'sent', { author: msg.author });
+      this.persistSession();
+      this.events.emit('messageReceived', { ...message });
+    });
+
+    if (this.isHandoffOpen()) {
+      this.resumeHandoff();
+    } else {
+      this.stopHandoffPolling();
+    }
+  }
+
+  /**
+   * Add a message on the agent's side that the agent didn't write
+   * @param {string} content
+   * @param {import('./VariableExtractor.js').LeadFormRequest|null} [form]
+   */
+  addAgentNotice(content, form = null) {
+    const message = this.state.addMessage('agent', content, 'sent', { form });
+    this.persistSession();
+    this.events.emit('messageReceived', { ...message });
+  }
+
+  /**
+   * Update the handoff state; emits handoffChanged when the status or the
+   * team member replying changed
+   * @param {Partial<import('./ChatStateStore.js').HandoffState>} changes
+   */
+  updateHandoff(changes) {
+    const previous = this.state.handoff;
+    const handoff = { status: 'closed', operator: null, cursor: 0, ...previous, ...changes };
+    this.state.setHandoff(handoff);
+    this.persistSession();
+
+    if (handoff.status !== previous?.status || handoff.operator !== previous?.operator) {
+      this.events.emit('handoffChanged', { ...handoff, previous });
+    }
+  }
+
+  /**
+   * Check for the team's replies every CONFIG.handoffPollInterval while the
+   * handoff is open (leader tab only)
+   */
+  resumeHandoff() {
+    if (this.handoffTimer || this.isFollowerTab() || !this.isHandoffOpen()) return;
+
+    this.handoffTimer = setTimeout(async () => {
+      await this.pollHandoff();
+      this.handoffTimer = null;
+      this.resumeHandoff();
+    }, CONFIG.handoffPollInterval);
+  }
+
+  stopHandoffPolling() {
+    clearTimeout(this.handoffTimer);
+    this.handoffTimer = null;
+  }
+
+  /**
+   * Fetch the team's new messages and the handoff status
+   * @returns {Promise<void>}
+   */
+  async pollHandoff() {
+    const chatId = this.state.chatId;
+    if (!this.isHandoffOpen() || this.isFollowerTab() || !this.connectivity.online) return;
+
+    try {
+      const view = await this.apiClient.getHandoff(chatId, this.state.handoff.cursor);
+      // The conversation changed or the handoff ended meanwhile
+      if (this.state.chatId !== chatId || !this.isHandoffOpen()) return;
+      this.applyHandoffView(view);
+
+    } catch (error) {
+      if (this.state.chatId !== chatId) return;
+
+      if (error instanceof NetworkError) {
+        if (!error.timedOut) this.connectivity.reportFailure();
+      } else if (error instanceof ChatEndedError) {
+        this.markChatEnded();
+      } else if (error.status === 404) {
+        this.updateHandoff({ status: 'closed' });
+      } else {
+        console.warn('⚠️ Error checking for replies from the team:', error);
+      }
+    }
+  }
+
+  /**
+   * Stop following the handoff and let the team know, in the background
+   * (the conversation is over or replaced)
+   */
+  abandonHandoff() {
+    this.stopHandoffPolling();
+    if (!this.isHandoffOpen() || this.isFollowerTab()) return;
+
+    this.apiClient.closeHandoff(this.state.chatId).catch(error => {
+      console.warn('⚠️ Error ending the conversation with the team:', error);
+    });
   }
 
   // ============================================
@@ -325,6 +1427,9 @@ export class ChatOrchestrator {
    * Save current chat to history
    */
   saveToHistory() {
+    // Only the tab owning the chat writes it, so tabs don't overwrite each other
+    if (this.isFollowerTab()) return;
+
     if (this.state.messages.length > 0) {
       chatHistoryStore.saveChat(
         this.state.chatId,
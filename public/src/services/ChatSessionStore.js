@@ -0,0 +1,71 @@
+/**
+ * ChatSessionStore - Persists the live chat session to localStorage
+ * Lets a conversation survive page reloads and navigation across the site
+ */
+
+const STORAGE_KEY = 'flexspace_active_chat';
+const SESSION_TTL = 30 * 60 * 1000; // Drop sessions idle for more than 30 minutes
+
+/**
+ * @typedef {Object} ChatSessionSnapshot
+ * @property {string} chatId - Retell chat ID
+ * @property {Array} messages - Messages exchanged so far
+ * @property {Object} variables - Extracted variables
+ * @property {number|null} createdAt - Chat creation timestamp
+ * @property {import('./ChatStateStore.js').HandoffState|null} [handoff] - Handoff to the team, if requested
+ * @property {boolean} widgetOpen - Whether the widget was open
+ * @property {number} savedAt - Last save timestamp
+ */
+
+export class ChatSessionStore {
+  /**
+   * Load the persisted session
+   * @returns {ChatSessionSnapshot|null} Session or null if missing/expired
+   */
+  load() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEY);
+      if (!data) return null;
+
+      const session = JSON.parse(data);
+      if (!session?.chatId || Date.now() - (session.savedAt || 0) > SESSION_TTL) {
+        this.clear();
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      console.error('Error loading chat session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the live session
+   * @param {Omit<ChatSessionSnapshot, 'savedAt'>} session
+   */
+  save(session) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        ...session,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      console.error('Error saving chat session:', error);
+    }
+  }
+
+  /**
+   * Remove the persisted session
+   */
+  clear() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing chat session:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const chatSessionStore = new ChatSessionStore();
@@ -2,11 +2,33 @@
  * ChatStateStore - Centralized state management for chat
  * Single Responsibility: Only manages chat state, no side effects
  *
+ * @typedef {'queued'|'pending'|'sent'|'failed'} MessageStatus
+ * 'queued': written while offline, sent once the connection is back
+ *
  * @typedef {Object} Message
+ * @property {string} id
  * @property {'user'|'agent'} role
  * @property {string} content
  * @property {number} timestamp
+ * @property {MessageStatus} status - Delivery status (agent messages are always 'sent')
+ * @property {Array<Object>} [cards] - Structured cards sent with an agent message
+ * @property {string[]} [suggestions] - Replies the agent suggested after its message
+ * @property {import('./VariableExtractor.js').LeadFormRequest} [form] - Contact form shown with an agent message
+ * @property {string} [author] - Team member who wrote an agent message (human handoff)
+ *
+ * @typedef {Object} HandoffState
+ * @property {'waiting'|'active'|'offline'|'message_left'|'closed'} status
+ * @property {string|null} operator - Team member replying
+ * @property {number} cursor - Last handoff message received (see /api/handoff)
+ */
+
+/**
+ * @returns {string} Unique message ID
  */
+function createMessageId() {
+  return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
 export class ChatStateStore {
   constructor() {
     /** @type {string|null} */
@@ -26,6 +48,9 @@ export class ChatStateStore {
 
     /** @type {boolean} */
     this._shouldResetChat = false;
+
+    /** @type {HandoffState|null} Handoff to a person from the team, if requested */
+    this._handoff = null;
   }
 
   // --- Getters (read-only access) ---
@@ -35,7 +60,7 @@ export class ChatStateStore {
   }
 
   get messages() {
-    return [...this._messages]; // Return copy for immutability
+    return this._messages.map(msg => ({ ...msg })); // Return copy for immutability
   }
 
   get isActive() {
@@ -54,6 +79,10 @@ export class ChatStateStore {
     return this._shouldResetChat;
   }
 
+  get handoff() {
+    return this._handoff ? { ...this._handoff } : null;
+  }
+
   // --- Setters ---
 
   set shouldResetChat(value) {
@@ -71,22 +100,104 @@ export class ChatStateStore {
     this._isActive = true;
     this._messages = [];
     this._createdAt = Date.now();
+    this._handoff = null;
   }
 
   /**
    * Add a message to history
    * @param {'user'|'agent'} role
    * @param {string} content
+   * @param {MessageStatus} [status='sent'] - 'pending' or 'queued' for a user message not yet delivered
+   * @param {Object} [extra]
+   * @param {Array<Object>} [extra.cards] - Cards sent with an agent message
+   * @param {string[]} [extra.suggestions] - Replies suggested by the agent
+   * @param {import('./VariableExtractor.js').LeadFormRequest|null} [extra.form] - Contact form to show
+   * @param {string|null} [extra.author] - Team member who wrote an agent message
    * @returns {Message} The created message
    */
-  addMessage(role, content) {
+  addMessage(role, content, status = 'sent', { cards = [], suggestions = [], form = null, author = null } = {}) {
     const message = {
+      id: createMessageId(),
       role,
       content,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      status
     };
+    if (cards.length > 0) {
+      message.cards = cards;
+    }
+    if (suggestions.length > 0) {
+      message.suggestions = suggestions;
+    }
+    if (form) {
+      message.form = form;
+    }
+    if (author) {
+      message.author = author;
+    }
     this._messages.push(message);
-    return message;
+    return { ...message };
+  }
+
+  /**
+   * Get a message by ID
+   * @param {string} id
+   * @returns {Message|null} Copy of the message
+   */
+  getMessage(id) {
+    const message = this._messages.find(msg => msg.id === id);
+    return message ? { ...message } : null;
+  }
+
+  /**
+   * Update a message's delivery status
+   * @param {string} id
+   * @param {MessageStatus} status
+   * @returns {Message|null} Updated copy, or null if not found
+   */
+  setMessageStatus(id, status) {
+    const message = this._messages.find(msg => msg.id === id);
+    if (!message) return null;
+    message.status = status;
+    return { ...message };
+  }
+
+  /**
+   * Mark a message's contact form as sent
+   * @param {string} id
+   * @returns {Message|null} Updated copy, or null if the message has no form
+   */
+  setFormSubmitted(id) {
+    const message = this._messages.find(msg => msg.id === id);
+    if (!message?.form) return null;
+    message.form = { ...message.form, submitted: true };
+    return { ...message };
+  }
+
+  /**
+   * Mark messages still pending as failed (their send was interrupted, e.g. by a reload)
+   * @returns {Message[]} Copies of the messages that changed
+   */
+  failPendingMessages() {
+    return this._messages
+      .filter(msg => msg.status === 'pending')
+      .map(msg => this.setMessageStatus(msg.id, 'failed'));
+  }
+
+  /**
+   * Messages waiting for the connection, oldest first
+   * @returns {Message[]} Copies
+   */
+  getQueuedMessages() {
+    return this._messages.filter(msg => msg.status === 'queued').map(msg => ({ ...msg }));
+  }
+
+  /**
+   * Mark queued messages as failed (they can no longer be delivered)
+   * @returns {Message[]} Copies of the messages that changed
+   */
+  failQueuedMessages() {
+    return this.getQueuedMessages().map(msg => this.setMessageStatus(msg.id, 'failed'));
   }
 
   /**
@@ -112,6 +223,14 @@ export class ChatStateStore {
     this._variables = {};
   }
 
+  /**
+   * Set the handoff state
+   * @param {HandoffState|null} handoff
+   */
+  setHandoff(handoff) {
+    this._handoff = handoff ? { ...handoff } : null;
+  }
+
   /**
    * Check if chat is active with valid ID
    * @returns {boolean}
@@ -129,6 +248,39 @@ export class ChatStateStore {
     return this._createdAt && (Date.now() - this._createdAt) < withinMs;
   }
 
+  /**
+   * Serialize the session state for persistence
+   * @returns {{chatId: string|null, messages: Message[], variables: Object, createdAt: number|null, isActive: boolean, handoff: HandoffState|null}}
+   */
+  toSnapshot() {
+    return {
+      chatId: this._chatId,
+      messages: this.messages,
+      variables: this.variables,
+      createdAt: this._createdAt,
+      isActive: this._isActive,
+      handoff: this.handoff
+    };
+  }
+
+  /**
+   * Restore state from a persisted snapshot
+   * @param {{chatId: string, messages?: Message[], variables?: Object, createdAt?: number, isActive?: boolean, handoff?: HandoffState|null}} snapshot
+   */
+  restore(snapshot) {
+    this._chatId = snapshot.chatId;
+    // Sessions saved by older versions have no IDs or statuses
+    this._messages = (Array.isArray(snapshot.messages) ? snapshot.messages : []).map(msg => ({
+      ...msg,
+      id: msg.id || createMessageId(),
+      status: msg.status || 'sent'
+    }));
+    this._variables = { ...(snapshot.variables || {}) };
+    this._createdAt = snapshot.createdAt || null;
+    this._isActive = snapshot.isActive !== false;
+    this._handoff = snapshot.handoff ? { ...snapshot.handoff } : null;
+  }
+
   /**
    * Reset all state
    */
@@ -138,5 +290,6 @@ export class ChatStateStore {
     this._isActive = false;
     this._variables = {};
     this._createdAt = null;
+    this._handoff = null;
   }
 }
@@ -0,0 +1,76 @@
+/**
+ * ConnectivityMonitor - Tracks whether the widget can reach the API
+ *
+ * The browser's online/offline events catch a dropped connection; failed
+ * sends catch the rest (patchy Wi-Fi often still reports navigator.onLine).
+ * After a failure the monitor stays offline until the browser fires "online"
+ * or a later request succeeds.
+ *
+ * @example
+ * import { connectivity } from './ConnectivityMonitor.js';
+ * connectivity.onChange((online) => render(online));
+ * connectivity.reportFailure(); // a request never got an answer
+ */
+import { EventBus } from '../utils/EventBus.js';
+
+export class ConnectivityMonitor {
+  constructor() {
+    this.events = new EventBus();
+
+    /** @type {boolean} */
+    this._online = typeof navigator === 'undefined' || navigator.onLine !== false;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.setOnline(true));
+      window.addEventListener('offline', () => this.setOnline(false));
+    }
+  }
+
+  /** @returns {boolean} Whether the API is believed reachable */
+  get online() {
+    return this._online;
+  }
+
+  /**
+   * @returns {boolean} Whether the browser itself reports a connection
+   * (false means waiting for the "online" event is enough)
+   */
+  get browserOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * A request failed to reach the server
+   */
+  reportFailure() {
+    this.setOnline(false);
+  }
+
+  /**
+   * A request reached the server
+   */
+  reportSuccess() {
+    this.setOnline(true);
+  }
+
+  /**
+   * @param {boolean} online
+   */
+  setOnline(online) {
+    if (online === this._online) return;
+    this._online = online;
+    this.events.emit('change', online);
+  }
+
+  /**
+   * Listen for connectivity changes
+   * @param {function(boolean): void} callback - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    return this.events.on('change', callback);
+  }
+}
+
+// Singleton instance
+export const connectivity = new ConnectivityMonitor();
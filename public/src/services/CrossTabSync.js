@@ -0,0 +1,358 @@
+/**
+ * CrossTabSync - Keeps one live chat across all open tabs of the site
+ *
+ * One tab (the leader) owns the Retell chat: it performs every API call and
+ * persists the session. Other tabs (followers) mirror the leader's events and
+ * state, and forward their own actions (send, start, end...) to the leader.
+ * Leadership is a lease in localStorage renewed by a heartbeat; when the leader
+ * tab closes or stops responding, a follower takes over with the mirrored state.
+ * The leader acknowledges a forwarded action before running it; only actions
+ * no leader acknowledged are forwarded again to the next one, so a message
+ * is never sent twice.
+ */
+import { TabChannel } from '../utils/TabChannel.js';
+import { serializeError, deserializeError } from './ApiErrors.js';
+
+const CHANNEL_NAME = 'flexspace_chat_sync';
+const LEADER_KEY = 'flexspace_chat_leader';
+const HEARTBEAT_INTERVAL = 2000;
+const LEADER_TIMEOUT = 5000;
+// Forwarded requests include a full agent reply, so allow plenty of time
+const REQUEST_TIMEOUT = 60000;
+
+/**
+ * Orchestrator events mirrored from the leader to follower tabs
+ * @type {string[]}
+ */
+const SYNCED_EVENTS = [
+  'chatCreated', 'messageSent', 'messageStatusChanged', 'messageStreamStarted', 'messageChunk',
+  'messageReceived', 'agentTyping', 'chatEnded', 'connectionChanged', 'formSubmitted',
+  'variablesUpdated', 'variableUpdated', 'variablesCleared', 'handoffChanged'
+];
+
+/** Events sent without a state snapshot (high frequency, state unchanged) */
+const EVENTS_WITHOUT_SNAPSHOT = ['messageChunk', 'agentTyping', 'connectionChanged'];
+
+export class CrossTabSync {
+  /**
+   * @param {import('./ChatOrchestrator.js').ChatOrchestrator} orchestrator
+   * @param {TabChannel} [channel]
+   */
+  constructor(orchestrator, channel = new TabChannel(CHANNEL_NAME)) {
+    this.orchestrator = orchestrator;
+    this.channel = channel;
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+    /** @type {boolean} */
+    this._isLeader = false;
+
+    /**
+     * Forwarded calls awaiting an answer; `leader` is the tab that acknowledged the call
+     * @type {Map<string, {method: string, args: Array, resolve: Function, reject: Function, timer: number, leader: string|null}>}
+     */
+    this.pendingRequests = new Map();
+
+    this.heartbeatTimer = null;
+  }
+
+  /** @returns {boolean} Whether this tab owns the live chat */
+  get isLeader() {
+    return this._isLeader;
+  }
+
+  /**
+   * Join the tab group: elect a leader and start mirroring
+   */
+  start() {
+    this.channel.onMessage((message) => this.handleMessage(message));
+
+    SYNCED_EVENTS.forEach(event => {
+      this.orchestrator.on(event, (data) => this.broadcastEvent(event, data));
+    });
+
+    this.tryClaimLeadership();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+
+    // Hand over immediately instead of waiting for the lease to expire
+    window.addEventListener('pagehide', () => this.stop());
+    // Rejoin when the page comes back from the back/forward cache
+    window.addEventListener('pageshow', (event) => {
+      if (!event.persisted) return;
+      this.tryClaimLeadership();
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    });
+  }
+
+  /**
+   * Leave the tab group, releasing leadership if held
+   */
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    if (this._isLeader) {
+      localStorage.removeItem(LEADER_KEY);
+      this._isLeader = false;
+      this.channel.post({ type: 'leaderResigned', from: this.tabId });
+    }
+  }
+
+  // ============================================
+  // LEADERSHIP
+  // ============================================
+
+  /**
+   * Read the current leader lease
+   * @returns {{tabId: string, expiresAt: number}|null}
+   */
+  readLease() {
+    try {
+      const lease = JSON.parse(localStorage.getItem(LEADER_KEY));
+      return lease && lease.expiresAt > Date.now() ? lease : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write (or renew) the lease for this tab
+   */
+  writeLease() {
+    localStorage.setItem(LEADER_KEY, JSON.stringify({
+      tabId: this.tabId,
+      expiresAt: Date.now() + LEADER_TIMEOUT
+    }));
+  }
+
+  /**
+   * Become leader if no other tab holds a valid lease
+   * @returns {boolean} Whether this tab is now the leader
+   */
+  tryClaimLeadership() {
+    const lease = this.readLease();
+    if (lease && lease.tabId !== this.tabId) {
+      this._isLeader = false;
+      return false;
+    }
+
+    this.writeLease();
+    // Another tab may have claimed in the same instant: last write wins
+    const confirmed = this.readLease()?.tabId === this.tabId;
+
+    if (confirmed && !this._isLeader) {
+      this._isLeader = true;
+      this.channel.post({ type: 'leaderChanged', from: this.tabId });
+      this.flushPendingRequestsLocally();
+      // Messages the previous leader queued while offline are now ours to send
+      this.orchestrator.flushQueue();
+      // ...and the team's replies ours to fetch
+      this.orchestrator.resumeHandoff();
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * Renew the lease as leader, or take over when the leader went away
+   */
+  heartbeat() {
+    const lease = this.readLease();
+
+    if (this._isLeader) {
+      if (lease && lease.tabId !== this.tabId) {
+        // Another tab took over (e.g. this tab was frozen in the background)
+        this._isLeader = false;
+        return;
+      }
+      this.writeLease();
+      return;
+    }
+
+    if (!lease || lease.tabId === this.tabId) {
+      this.tryClaimLeadership();
+    }
+  }
+
+  // ============================================
+  // MESSAGING
+  // ============================================
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) return;
+
+    switch (message.type) {
+      case 'event':
+        if (!this._isLeader) {
+          this.orchestrator.applyRemoteEvent(message.event, message.data, message.snapshot);
+        }
+        break;
+
+      case 'request':
+        if (this._isLeader) {
+          this.handleRequest(message);
+        }
+        break;
+
+      case 'ack':
+        if (message.to === this.tabId) {
+          this.acknowledgeRequest(message);
+        }
+        break;
+
+      case 'response':
+        if (message.to === this.tabId) {
+          this.settleRequest(message);
+        }
+        break;
+
+      case 'leaderResigned':
+        this.abandonRequests(message.from);
+        // Small jitter so followers don't all claim in the same tick
+        setTimeout(() => this.tryClaimLeadership(), Math.random() * 100);
+        break;
+
+      case 'leaderChanged':
+        // Two tabs may claim at once: the lease decides who stays leader
+        if (this.readLease()?.tabId !== this.tabId) {
+          this._isLeader = false;
+          this.resendPendingRequests();
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Mirror a local orchestrator event to follower tabs
+   * @param {string} event
+   * @param {*} data
+   */
+  broadcastEvent(event, data) {
+    if (!this._isLeader) return;
+
+    this.channel.post({
+      type: 'event',
+      from: this.tabId,
+      event,
+      data: data ?? null,
+      snapshot: EVENTS_WITHOUT_SNAPSHOT.includes(event)
+        ? null
+        : this.orchestrator.state.toSnapshot()
+    });
+  }
+
+  /**
+   * Forward an orchestrator call to the leader tab
+   * @param {string} method - Orchestrator method name
+   * @param {Array} [args]
+   * @returns {Promise<*>} Result of the call in the leader tab
+   */
+  request(method, args = []) {
+    const id = `${this.tabId}_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error('Chat tab did not respond'));
+      }, REQUEST_TIMEOUT);
+
+      this.pendingRequests.set(id, { method, args, resolve, reject, timer, leader: null });
+      this.channel.post({ type: 'request', from: this.tabId, id, method, args });
+    });
+  }
+
+  /**
+   * Run a forwarded call as leader and answer the requesting tab
+   * @param {{from: string, id: string, method: string, args: Array}} message
+   */
+  async handleRequest({ from, id, method, args }) {
+    this.channel.post({ type: 'ack', from: this.tabId, to: from, id });
+    try {
+      const result = await this.orchestrator.handleRemoteRequest(method, args);
+      this.channel.post({ type: 'response', from: this.tabId, to: from, id, result: result ?? null });
+    } catch (error) {
+      this.channel.post({
+        type: 'response',
+        from: this.tabId,
+        to: from,
+        id,
+        error: serializeError(error)
+      });
+    }
+  }
+
+  /**
+   * Note which leader took a forwarded call
+   * @param {{from: string, id: string}} message
+   */
+  acknowledgeRequest({ from, id }) {
+    const pending = this.pendingRequests.get(id);
+    if (pending) {
+      pending.leader = from;
+    }
+  }
+
+  /**
+   * Resolve or reject a forwarded call with the leader's response
+   * @param {{id: string, result?: *, error?: Object}} message - error from serializeError
+   */
+  settleRequest({ id, result, error }) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+
+    if (error) {
+      // Rebuilt as the same error class, so this tab can branch on it too
+      pending.reject(deserializeError(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Re-send requests no leader took to a newly elected leader
+   * Acknowledged ones may already have reached Retell: their leader still
+   * answers them, or they fail (abandonRequests, timeout).
+   */
+  resendPendingRequests() {
+    this.pendingRequests.forEach(({ method, args, leader }, id) => {
+      if (leader) return;
+      this.channel.post({ type: 'request', from: this.tabId, id, method, args });
+    });
+  }
+
+  /**
+   * Fail the requests a closing leader took without answering
+   * @param {string} leader - Tab ID
+   */
+  abandonRequests(leader) {
+    this.pendingRequests.forEach(({ reject, timer, leader: takenBy }, id) => {
+      if (takenBy !== leader) return;
+      clearTimeout(timer);
+      this.pendingRequests.delete(id);
+      reject(new Error('Chat tab closed before answering'));
+    });
+  }
+
+  /**
+   * Run requests no leader took locally after this tab became leader
+   */
+  flushPendingRequestsLocally() {
+    this.pendingRequests.forEach(async ({ method, args, resolve, reject, timer, leader }, id) => {
+      if (leader) return;
+      clearTimeout(timer);
+      this.pendingRequests.delete(id);
+      try {
+        resolve(await this.orchestrator.handleRemoteRequest(method, args));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
@@ -1,68 +1,407 @@
 /**
  * RetellApiClient - HTTP client for Retell AI API
  * Single Responsibility: Only handles HTTP communication with backend
+ *
+ * Every call has a timeout; idempotent calls (get-chat, end-chat, leads) are
+ * retried with exponential backoff on network errors and 5xx; message sends
+ * can be aborted with cancel(). Failures are typed errors from ApiErrors.js.
  */
+import { isEventStream, readEventStream } from '../utils/EventStreamReader.js';
+import {
+  ApiError, NetworkError, UpstreamError, RequestCancelledError,
+  errorFromResponse, errorFromStreamEvent
+} from './ApiErrors.js';
+import { CONFIG } from './config.js';
+
+const SESSION_ID_KEY = 'flexspace_session_id';
+const CHAT_TOKENS_KEY = 'flexspace_chat_tokens';
+// Tokens kept for recent chats (the live one is always the newest)
+const MAX_CHAT_TOKENS = 5;
+
+// AbortController reasons, to tell a timeout from a cancel()
+const ABORT_TIMEOUT = 'timeout';
+const ABORT_CANCELLED = 'cancelled';
+
+// Retry backoff: 500ms, 1s, 2s... (± 25% jitter); longer waits aren't retried
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+
 export class RetellApiClient {
+  constructor() {
+    /** @type {string|null} Visitor session ID, sent so the API can rate limit per visitor */
+    this.sessionId = null;
+
+    /** @type {Set<AbortController>} In-flight sends, aborted by cancel() */
+    this.pendingRequests = new Set();
+  }
+
+  /**
+   * Get (or create) the visitor session ID, shared by the site's tabs
+   * @returns {string}
+   */
+  getSessionId() {
+    if (this.sessionId) return this.sessionId;
+
+    try {
+      this.sessionId = localStorage.getItem(SESSION_ID_KEY);
+    } catch {
+      // Storage unavailable (privacy mode): keep an in-memory ID
+    }
+
+    if (!this.sessionId) {
+      this.sessionId = crypto.randomUUID?.()
+        || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+      try {
+        localStorage.setItem(SESSION_ID_KEY, this.sessionId);
+      } catch {
+        // Ignore: the ID still lasts for this page
+      }
+    }
+
+    return this.sessionId;
+  }
+
+  /**
+   * Chat tokens by chat ID, shared by the site's tabs so any tab can take over the chat
+   * @returns {Object<string, string>}
+   */
+  loadChatTokens() {
+    try {
+      return JSON.parse(localStorage.getItem(CHAT_TOKENS_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Get the token proving this browser created a chat
+   * @param {string} chatId
+   * @returns {string|null}
+   */
+  getChatToken(chatId) {
+    return this.loadChatTokens()[chatId] || null;
+  }
+
+  /**
+   * Remember a chat token (issued on creation, refreshed by every call)
+   * @param {string} chatId
+   * @param {string|null} token
+   */
+  setChatToken(chatId, token) {
+    if (!chatId || !token) return;
+
+    const tokens = this.loadChatTokens();
+    delete tokens[chatId];
+    tokens[chatId] = token;
+
+    const recent = Object.entries(tokens).slice(-MAX_CHAT_TOKENS);
+    try {
+      localStorage.setItem(CHAT_TOKENS_KEY, JSON.stringify(Object.fromEntries(recent)));
+    } catch (error) {
+      console.warn('⚠️ Could not store chat token:', error);
+    }
+  }
+
+  /**
+   * Request headers for the backend functions
+   * @param {Object} [extra]
+   * @param {string|null} [chatId] - Chat the call is about (adds its X-Chat-Token)
+   * @returns {Object}
+   */
+  headers(extra = {}, chatId = null) {
+    const chatToken = chatId ? this.getChatToken(chatId) : null;
+    return {
+      'Content-Type': 'application/json',
+      'X-Session-Id': this.getSessionId(),
+      ...(chatToken && { 'X-Chat-Token': chatToken }),
+      ...extra
+    };
+  }
+
+  /**
+   * Build the URL of a backend function
+   * @param {string} path - Path under the API base, e.g. '/api/create-chat'
+   * @returns {string}
+   */
+  endpoint(path) {
+    return `${(CONFIG.apiBaseUrl || '').replace(/\/$/, '')}${path}`;
+  }
+
+  /**
+   * Fetch a backend function with a timeout, retries and cancellation
+   * @param {string} path - e.g. '/api/get-chat?chat_id=...'
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.body] - JSON body
+   * @param {string|null} [options.chatId] - Chat the call is about (sends and refreshes its token)
+   * @param {Object} [options.headers] - Extra headers
+   * @param {number} [options.timeout=CONFIG.requestTimeout] - Max wait for the response (ms)
+   * @param {number} [options.retries=0] - Retries on transient failures (idempotent calls only)
+   * @param {boolean} [options.cancellable=false] - Aborted by cancel()
+   * @param {AbortController} [options.controller] - Caller-owned controller (streams:
+   *   the caller keeps it to abort while reading the body, and releases it)
+   * @param {AbortSignal|null} [options.signal] - Aborting it cancels the call (RequestCancelledError)
+   * @param {string} [options.errorMessage='Request failed'] - Message when the response has none
+   * @returns {Promise<Response>} A successful (2xx) response
+   * @throws {ApiError} Typed error (see ApiErrors.js)
+   */
+  async request(path, {
+    method = 'GET',
+    body,
+    chatId = null,
+    headers = {},
+    timeout = CONFIG.requestTimeout,
+    retries = 0,
+    cancellable = false,
+    controller: ownController = null,
+    signal = null,
+    errorMessage = 'Request failed'
+  } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = ownController || new AbortController();
+      if (cancellable) this.pendingRequests.add(controller);
+      const timer = setTimeout(() => controller.abort(ABORT_TIMEOUT), timeout);
+      const onAbort = () => controller.abort(ABORT_CANCELLED);
+      if (signal?.aborted) onAbort();
+      signal?.addEventListener('abort', onAbort);
+
+      try {
+        let response;
+        try {
+          response = await fetch(this.endpoint(path), {
+            method,
+            headers: body !== undefined ? this.headers(headers, chatId) : this.chatHeaders(headers, chatId),
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+          });
+        } catch (error) {
+          throw this.toRequestError(error, controller);
+        }
+
+        if (chatId) {
+          this.setChatToken(chatId, response.headers.get('X-Chat-Token'));
+        }
+        if (!response.ok) {
+          throw await errorFromResponse(response, errorMessage);
+        }
+        return response;
+
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        if (attempt >= retries || delay === null) throw error;
+        console.warn(`⚠️ ${method} ${path.split('?')[0]} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (!ownController) this.pendingRequests.delete(controller);
+      }
+    }
+  }
+
+  /**
+   * Headers for requests without a body (no Content-Type, so simple GETs stay simple)
+   * @param {Object} extra
+   * @param {string|null} chatId
+   * @returns {Object}
+   */
+  chatHeaders(extra, chatId) {
+    const chatToken = chatId ? this.getChatToken(chatId) : null;
+    return { ...(chatToken && { 'X-Chat-Token': chatToken }), ...extra };
+  }
+
+  /**
+   * Typed error for a fetch or body read that threw
+   * @param {Error} error
+   * @param {AbortController} controller
+   * @returns {ApiError}
+   */
+  toRequestError(error, controller) {
+    if (error instanceof ApiError) return error;
+
+    const reason = controller.signal.aborted ? controller.signal.reason : null;
+    if (reason === ABORT_CANCELLED) {
+      return new RequestCancelledError();
+    }
+    if (reason === ABORT_TIMEOUT) {
+      return new NetworkError('The server took too long to respond', { timedOut: true });
+    }
+    return new NetworkError(error?.message || 'Network request failed');
+  }
+
+  /**
+   * Backoff before retrying, or null when the error isn't worth retrying
+   * @param {Error} error
+   * @param {number} attempt - 0 for the first retry
+   * @returns {number|null} Delay in ms
+   */
+  getRetryDelay(error, attempt) {
+    if (!(error instanceof ApiError) || !error.isTransient) return null;
+
+    const backoff = RETRY_BASE_DELAY * 2 ** attempt;
+    const jitter = backoff * (Math.random() * 0.5 - 0.25);
+    const delay = Math.max(backoff + jitter, (error.retryAfter || 0) * 1000);
+    return delay <= RETRY_MAX_DELAY ? Math.round(delay) : null;
+  }
+
+  /**
+   * Abort in-flight message sends (e.g. the visitor started over)
+   * The pending calls reject with RequestCancelledError.
+   */
+  cancel() {
+    this.pendingRequests.forEach(controller => controller.abort(ABORT_CANCELLED));
+    this.pendingRequests.clear();
+  }
+
   /**
    * Create a new chat session
+   * Not retried: a retry could create a second chat.
    * @param {boolean} [resetChat=false] - Force reset server-side cache
-   * @returns {Promise<{chat_id: string}>}
+   * @param {Object} [options]
+   * @param {string|null} [options.locale] - Widget locale, selects the agent language
+   * @param {Object} [options.context] - Page context (URL, title, referrer, UTM)
+   * @param {Object} [options.visitor] - Visitor details known to the host page
+   * @returns {Promise<{chat_id: string, chat_token: string}>}
    */
-  async createChat(resetChat = false) {
-    const response = await fetch('/api/create-chat', {
+  async createChat(resetChat = false, { locale = null, context = {}, visitor = {} } = {}) {
+    const response = await this.request('/api/create-chat', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ reset_chat: resetChat })
+      body: { reset_chat: resetChat, locale, context, visitor },
+      errorMessage: 'Failed to create chat session'
     });
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(text || 'Failed to create chat session');
-    }
+    const data = await response.json();
+    this.setChatToken(data.chat_id, data.chat_token);
+    return data;
+  }
+
+  /**
+   * Create a browser voice call (see VoiceCallService)
+   * @param {Object} [options]
+   * @param {string|null} [options.locale] - Picks the voice agent's language
+   * @param {Object} [options.context] - Page context
+   * @param {Object} [options.visitor] - Details already known about the visitor
+   * @param {string|null} [options.chatId] - Text chat the call continues (sends its token)
+   * @param {AbortSignal|null} [options.signal] - Abort when the visitor hangs up first
+   * @returns {Promise<{call_id: string, access_token: string}>}
+   */
+  async createWebCall({ locale = null, context = {}, visitor = {}, chatId = null, signal = null } = {}) {
+    const response = await this.request('/api/create-web-call', {
+      method: 'POST',
+      body: { locale, context, visitor, ...(chatId && { chat_id: chatId }) },
+      chatId,
+      signal,
+      errorMessage: 'Failed to start voice call'
+    });
 
     return response.json();
   }
 
   /**
    * Send message and get completion
+   * Not retried (the agent would answer twice); cancellable with cancel().
    * @param {string} chatId - Chat session ID
    * @param {string} message - Message content
    * @returns {Promise<Object>} API response with messages array
    */
   async sendMessage(chatId, message) {
-    const response = await fetch('/api/send-message', {
+    const response = await this.request('/api/send-message', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ chat_id: chatId, message })
+      body: { chat_id: chatId, message },
+      chatId,
+      timeout: CONFIG.replyTimeout,
+      cancellable: true,
+      errorMessage: 'Failed to send message'
     });
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(text || 'Failed to send message');
-    }
-
     return response.json();
   }
 
+  /**
+   * Send message and stream the reply as it is produced
+   * Falls back to the plain JSON response when the server or browser can't stream.
+   * The reply timeout applies to the first response and to every gap between chunks.
+   * @param {string} chatId - Chat session ID
+   * @param {string} message - Message content
+   * @param {function(string): void} onDelta - Called with each text chunk
+   * @returns {Promise<{data: Object, streamed: boolean}>} Final completion response
+   */
+  async sendMessageStream(chatId, message, onDelta) {
+    const controller = new AbortController();
+    this.pendingRequests.add(controller);
+
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(ABORT_TIMEOUT), CONFIG.replyTimeout);
+    };
+
+    try {
+      const response = await this.request('/api/send-message', {
+        method: 'POST',
+        body: { chat_id: chatId, message, stream: true },
+        headers: { 'Accept': 'text/event-stream' },
+        chatId,
+        timeout: CONFIG.replyTimeout,
+        controller,
+        errorMessage: 'Failed to send message'
+      });
+
+      if (!isEventStream(response)) {
+        return { data: await response.json(), streamed: false };
+      }
+
+      let finalData = null;
+      let streamError = null;
+
+      resetIdleTimer();
+      try {
+        await readEventStream(response, ({ event, data }) => {
+          resetIdleTimer();
+          if (event === 'delta' && data?.content) {
+            onDelta(data.content);
+          } else if (event === 'done') {
+            finalData = data;
+          } else if (event === 'error') {
+            streamError = errorFromStreamEvent(data);
+          }
+        });
+      } catch (error) {
+        throw this.toRequestError(error, controller);
+      }
+
+      if (streamError) throw streamError;
+      if (!finalData) throw new UpstreamError('Stream closed before the reply completed', { status: 502 });
+
+      return { data: finalData, streamed: true };
+
+    } finally {
+      clearTimeout(idleTimer);
+      this.pendingRequests.delete(controller);
+    }
+  }
+
   /**
    * Get chat details/status
    * @param {string} chatId - Chat session ID
    * @returns {Promise<Object>} Chat details
    */
   async getChatDetails(chatId) {
-    const response = await fetch(`/api/get-chat?chat_id=${chatId}`, {
-      method: 'GET'
-    });
-
-    if (!response.ok) {
+    try {
+      const response = await this.request(`/api/get-chat?chat_id=${encodeURIComponent(chatId)}`, {
+        chatId,
+        retries: CONFIG.maxRetries,
+        errorMessage: 'Failed to get chat details'
+      });
+      return response.json();
+    } catch (error) {
       // Return ended status for 404 (chat was deleted/ended)
-      if (response.status === 404) {
+      if (error.status === 404) {
         return { status: 'ended', ended: true, chat_status: 'ended' };
       }
-      throw new Error('Failed to get chat details');
+      throw error;
     }
-
-    return response.json();
   }
 
   /**
@@ -71,15 +410,145 @@ export class RetellApiClient {
    * @returns {Promise<Object>}
    */
   async endChat(chatId) {
-    const response = await fetch('/api/end-chat', {
+    const response = await this.request('/api/end-chat', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ chat_id: chatId })
+      body: { chat_id: chatId },
+      chatId,
+      retries: CONFIG.maxRetries,
+      errorMessage: 'Failed to end chat'
     });
 
-    if (!response.ok) {
-      throw new Error('Failed to end chat');
-    }
+    return response.json();
+  }
+
+  /**
+   * Ask to be called back by phone
+   * @param {string} chatId - Chat the request is made from
+   * @param {Object} details
+   * @param {string} details.phone - Canadian or US number
+   * @param {string|null} [details.preferredTime] - ISO time; null = as soon as possible
+   * @param {string|null} [details.locale]
+   * @param {Object<string, string>} [details.caller] - Name, company, email known to the chat
+   * @returns {Promise<{callback_id: string, status: 'calling'|'scheduled', scheduled_for: string|null}>}
+   */
+  async requestCallback(chatId, { phone, preferredTime = null, locale = null, caller = {} }) {
+    const response = await this.request('/api/request-callback', {
+      method: 'POST',
+      body: { chat_id: chatId, phone, preferred_time: preferredTime || 'asap', locale, caller },
+      chatId,
+      errorMessage: 'Failed to request callback'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Ask for a person from the team (human handoff)
+   * @param {string} chatId
+   * @param {Object} request
+   * @param {'visitor'|'agent'} [request.requestedBy='visitor']
+   * @param {string} [request.reason]
+   * @param {string|null} [request.locale]
+   * @param {Object} [request.variables] - Details known to the chat, shown to the team
+   * @param {Array<{role: string, content: string}>} [request.transcript] - Conversation so far
+   * @returns {Promise<{status: string, operator: string|null, messages: Array, cursor: number}>}
+   *   status "waiting", or "offline" when nobody from the team is available
+   */
+  async requestHandoff(chatId, { requestedBy = 'visitor', reason = '', locale = null, variables = {}, transcript = [] }) {
+    const response = await this.request('/api/handoff', {
+      method: 'POST',
+      body: { action: 'request', chat_id: chatId, requested_by: requestedBy, reason, locale, variables, transcript },
+      chatId,
+      errorMessage: 'Failed to reach the team'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Send a visitor message to the team member in the conversation
+   * Fails with code handoff_closed once the handoff is over.
+   * @param {string} chatId
+   * @param {string} content
+   * @returns {Promise<{seq: number, status: string, operator: string|null}>}
+   */
+  async sendHandoffMessage(chatId, content) {
+    const response = await this.request('/api/handoff', {
+      method: 'POST',
+      body: { action: 'message', chat_id: chatId, content },
+      chatId,
+      cancellable: true,
+      errorMessage: 'Failed to send message'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Get the handoff status and the team's messages after a cursor
+   * @param {string} chatId
+   * @param {number} [after=0] - Last message already received
+   * @returns {Promise<{status: string, operator: string|null, messages: Array<{seq: number, author: string, content: string}>, cursor: number}>}
+   */
+  async getHandoff(chatId, after = 0) {
+    const query = `chat_id=${encodeURIComponent(chatId)}&after=${after}`;
+    const response = await this.request(`/api/handoff?${query}`, {
+      chatId,
+      errorMessage: 'Failed to check for replies'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Leave a message for the team when nobody was available
+   * @param {string} chatId
+   * @param {{content: string, email?: string, user_number?: string, first_name?: string}} message
+   * @returns {Promise<Object>}
+   */
+  async leaveHandoffMessage(chatId, message) {
+    const response = await this.request('/api/handoff', {
+      method: 'POST',
+      body: { action: 'leave_message', chat_id: chatId, ...message },
+      chatId,
+      errorMessage: 'Failed to leave message'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * End the handoff: the agent answers again
+   * @param {string} chatId
+   * @returns {Promise<Object>}
+   */
+  async closeHandoff(chatId) {
+    const response = await this.request('/api/handoff', {
+      method: 'POST',
+      body: { action: 'close', chat_id: chatId },
+      chatId,
+      retries: CONFIG.maxRetries,
+      errorMessage: 'Failed to end the conversation with the team'
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Save the visitor as a lead (deduplicated by email/phone on the server)
+   * @param {string} chatId - Chat the details were captured in
+   * @param {Object} variables - Chat variables (email and/or user_number required)
+   * @param {boolean} [ended=false] - Sent because the chat ended
+   * @returns {Promise<{lead_id: string, created: boolean}>}
+   */
+  async saveLead(chatId, variables, ended = false) {
+    const response = await this.request('/api/leads', {
+      method: 'POST',
+      body: { chat_id: chatId, variables, ended },
+      chatId,
+      retries: CONFIG.maxRetries,
+      errorMessage: 'Failed to save lead'
+    });
 
     return response.json();
   }
@@ -2,6 +2,18 @@
  * VariableExtractor - Extracts variables from Retell API responses
  * Single Responsibility: Only handles parsing and extraction logic
  */
+/**
+ * @typedef {Object} LeadFormRequest
+ * @property {string[]} fields - Variables to ask for (VariableExtractor.FORM_FIELDS)
+ * @property {string[]} required - Fields that must be filled in
+ * @property {string} [title] - Heading chosen by the agent
+ * @property {boolean} [submitted] - Set once the visitor sent the form
+ * @property {string} [submitLabel] - Submit button text (default "Send")
+ * @property {string} [submittedText] - Shown once sent (default "Thanks! Your details were sent.")
+ * @property {'leave_message'} [action] - Where the values go instead of the agent:
+ *   'leave_message' is a message for the team (human handoff), with a `message` field
+ */
+
 export class VariableExtractor {
   /**
    * Priority variables for personalization
@@ -12,6 +24,56 @@ export class VariableExtractor {
     'user_number', 'call_type', 'primary_service_type'
   ];
 
+  /**
+   * Agent tool whose calls carry cards to display
+   * @type {string}
+   */
+  static CARD_TOOL = 'show_card';
+
+  /**
+   * Agent tool whose calls carry suggested replies
+   * @type {string}
+   */
+  static SUGGESTIONS_TOOL = 'suggest_replies';
+
+  /**
+   * Agent tool that asks the visitor for contact details with a form
+   * @type {string}
+   */
+  static FORM_TOOL = 'request_contact_details';
+
+  /**
+   * Agent tool that hands the conversation over to a person from the team
+   * @type {string}
+   */
+  static HANDOFF_TOOL = 'transfer_to_human';
+
+  /**
+   * Variables the contact form can collect, in display order
+   * @type {string[]}
+   */
+  static FORM_FIELDS = [
+    'first_name', 'last_name', 'email', 'company_name', 'user_number', 'postal_code'
+  ];
+
+  /**
+   * Fields required unless the agent says otherwise
+   * @type {string[]}
+   */
+  static FORM_REQUIRED = ['first_name', 'email'];
+
+  /**
+   * [[Reply]] chips ending a message
+   * @type {RegExp}
+   */
+  static SUGGESTIONS_PATTERN = /(?:\s*\[\[[^[\]\n]+\]\])+\s*$/;
+
+  /**
+   * Same, allowing the last chip to be unfinished (streamed text)
+   * @type {RegExp}
+   */
+  static PARTIAL_SUGGESTIONS_PATTERN = /(?:\s*\[\[[^[\]\n]*(?:\]\]?)?)+\s*$/;
+
   /**
    * Extract variables from API response
    * Checks multiple possible locations in Retell AI response
@@ -68,6 +130,11 @@ export class VariableExtractor {
       return data.state.variables;
     }
 
+    // Path 5: Retell chat object (get-chat)
+    if (data.collected_dynamic_variables && typeof data.collected_dynamic_variables === 'object') {
+      return data.collected_dynamic_variables;
+    }
+
     return null;
   }
 
@@ -95,6 +162,12 @@ export class VariableExtractor {
       if (lastAgentMsg) {
         return lastAgentMsg.content;
       }
+
+      // The agent answered with cards, suggested replies, a form or a handoff only
+      if (this.extractCards(data).length > 0 || this.extractSuggestions(data).length > 0 ||
+          this.extractFormRequest(data) || this.extractHandoffRequest(data)) {
+        return '';
+      }
     }
 
     // Path 2: Direct response string
@@ -111,6 +184,211 @@ export class VariableExtractor {
     return 'No response received';
   }
 
+  /**
+   * Extract structured cards sent as message metadata
+   * Cards come from `show_card` tool calls (arguments: a card, an array of
+   * cards or { cards: [...] }) and from `metadata.cards` on agent messages.
+   * @param {Object} data - API response
+   * @returns {Array<Object>} Cards with a type, in message order
+   */
+  extractCards(data) {
+    if (!Array.isArray(data?.messages)) {
+      return [];
+    }
+
+    const cards = [];
+    data.messages.forEach(msg => {
+      if (msg.role === 'tool_call_invocation' && msg.name === VariableExtractor.CARD_TOOL) {
+        cards.push(...this.parseCards(msg.arguments));
+      } else if (msg.role === 'agent' && msg.metadata?.cards) {
+        cards.push(...this.parseCards(msg.metadata.cards));
+      }
+    });
+    return cards;
+  }
+
+  /**
+   * @param {string|Object|Array} value - Card(s), possibly as a JSON string
+   * @returns {Array<Object>}
+   */
+  parseCards(value) {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        console.warn('⚠️ Invalid card arguments:', value);
+        return [];
+      }
+    }
+
+    const list = Array.isArray(parsed) ? parsed : (parsed?.cards || [parsed]);
+    return (Array.isArray(list) ? list : [])
+      .filter(card => card && typeof card === 'object' && typeof card.type === 'string');
+  }
+
+  /**
+   * Extract suggested replies sent as message metadata
+   * From `suggest_replies` tool calls (arguments: a list or { options: [...] })
+   * and `metadata.suggestions` on agent messages; the latest turn wins.
+   * @param {Object} data - API response
+   * @returns {string[]}
+   */
+  extractSuggestions(data) {
+    if (!Array.isArray(data?.messages)) {
+      return [];
+    }
+
+    let suggestions = [];
+    data.messages.forEach(msg => {
+      if (msg.role === 'tool_call_invocation' && msg.name === VariableExtractor.SUGGESTIONS_TOOL) {
+        suggestions = this.parseSuggestions(msg.arguments);
+      } else if (msg.role === 'agent' && msg.metadata?.suggestions) {
+        suggestions = this.parseSuggestions(msg.metadata.suggestions);
+      }
+    });
+    return suggestions;
+  }
+
+  /**
+   * @param {string|Object|Array} value - Replies, possibly as a JSON string
+   * @returns {string[]}
+   */
+  parseSuggestions(value) {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        console.warn('⚠️ Invalid suggested replies:', value);
+        return [];
+      }
+    }
+
+    const list = Array.isArray(parsed) ? parsed : (parsed?.options || parsed?.suggestions);
+    return this.cleanSuggestions(Array.isArray(list) ? list : []);
+  }
+
+  /**
+   * Extract a contact form request
+   * From a `request_contact_details` tool call (arguments: { fields?, required?, title? })
+   * or `metadata.form` on an agent message (true or the same object).
+   * @param {Object} data - API response
+   * @returns {LeadFormRequest|null}
+   */
+  extractFormRequest(data) {
+    if (!Array.isArray(data?.messages)) {
+      return null;
+    }
+
+    let request = null;
+    data.messages.forEach(msg => {
+      if (msg.role === 'tool_call_invocation' && msg.name === VariableExtractor.FORM_TOOL) {
+        request = this.parseArguments(msg.arguments) || {};
+      } else if (msg.role === 'agent' && msg.metadata?.form) {
+        request = msg.metadata.form === true ? {} : msg.metadata.form;
+      }
+    });
+    return request ? this.normalizeForm(request) : null;
+  }
+
+  /**
+   * Extract a request to hand the conversation over to a person
+   * From a `transfer_to_human` tool call (arguments: { reason? }) or
+   * `metadata.handoff` on an agent message (true or the same object).
+   * @param {Object} data - API response
+   * @returns {{reason: string}|null}
+   */
+  extractHandoffRequest(data) {
+    if (!Array.isArray(data?.messages)) {
+      return null;
+    }
+
+    let request = null;
+    data.messages.forEach(msg => {
+      if (msg.role === 'tool_call_invocation' && msg.name === VariableExtractor.HANDOFF_TOOL) {
+        request = this.parseArguments(msg.arguments) || {};
+      } else if (msg.role === 'agent' && msg.metadata?.handoff) {
+        request = msg.metadata.handoff === true ? {} : msg.metadata.handoff;
+      }
+    });
+    if (!request) {
+      return null;
+    }
+    return { reason: typeof request.reason === 'string' ? request.reason.trim() : '' };
+  }
+
+  /**
+   * Keep known fields (all of them by default) and the required ones among them
+   * @param {Object} request - { fields?, required?, title? }
+   * @returns {LeadFormRequest|null} null when no known field is left
+   */
+  normalizeForm(request) {
+    const known = VariableExtractor.FORM_FIELDS;
+    const fields = Array.isArray(request.fields)
+      ? known.filter(name => request.fields.includes(name))
+      : [...known];
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const required = Array.isArray(request.required) ? request.required : VariableExtractor.FORM_REQUIRED;
+    const form = { fields, required: fields.filter(name => required.includes(name)) };
+    if (typeof request.title === 'string' && request.title.trim()) {
+      form.title = request.title.trim();
+    }
+    return form;
+  }
+
+  /**
+   * @param {string|Object} value - Tool call arguments (JSON string)
+   * @returns {Object|null}
+   */
+  parseArguments(value) {
+    if (value && typeof value === 'object') return value;
+    try {
+      const parsed = JSON.parse(value || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+      console.warn('⚠️ Invalid tool call arguments:', value);
+      return null;
+    }
+  }
+
+  /**
+   * Split suggested replies written at the end of the content:
+   * "Want a quote? [[Yes, book a call]] [[Send me a quote]]"
+   * @param {string} content - Agent message
+   * @param {Object} [options]
+   * @param {boolean} [options.streaming=false] - Also hide replies still being written
+   * @returns {{content: string, suggestions: string[]}}
+   */
+  splitSuggestions(content, { streaming = false } = {}) {
+    const pattern = streaming ? VariableExtractor.PARTIAL_SUGGESTIONS_PATTERN : VariableExtractor.SUGGESTIONS_PATTERN;
+    const match = typeof content === 'string' ? pattern.exec(content) : null;
+    if (!match) {
+      return { content, suggestions: [] };
+    }
+
+    const suggestions = [...match[0].matchAll(/\[\[([^[\]\n]+)\]\]/g)].map(chip => chip[1]);
+    return {
+      content: content.slice(0, match.index).trimEnd(),
+      suggestions: this.cleanSuggestions(suggestions)
+    };
+  }
+
+  /**
+   * @param {Array} suggestions
+   * @returns {string[]} Trimmed, non-empty, unique replies
+   */
+  cleanSuggestions(suggestions) {
+    const replies = suggestions
+      .map(reply => (typeof reply === 'string' ? reply : reply?.label || reply?.value || ''))
+      .map(reply => String(reply).trim())
+      .filter(Boolean);
+    return [...new Set(replies)];
+  }
+
   /**
    * Check if response indicates chat has ended
    * @param {Object} data - API response or error text
@@ -0,0 +1,309 @@
+/**
+ * VoiceCallService - Live voice calls with the agent (Retell web calls)
+ *
+ * The call is created by /api/create-web-call and carried over WebRTC by the
+ * Retell Web Client SDK, loaded from CONFIG.retellWebSdkUrl the first time a
+ * call starts. The call belongs to the tab that started it (it holds the
+ * microphone), so nothing here is shared with other tabs.
+ *
+ * Events:
+ * - statusChanged { status }            'idle' | 'connecting' | 'active' | 'ending'
+ * - transcriptUpdated { lines }         Whole transcript so far
+ * - agentTalking { isTalking }
+ * - callEnded { callId, lines, duration } Saved to history when it has lines
+ * - error                                Error (the call is over)
+ *
+ * @example
+ * const voice = new VoiceCallService();
+ * voice.on('transcriptUpdated', ({ lines }) => render(lines));
+ * await voice.start({ chatId, visitor });
+ * voice.stop();
+ */
+import { EventBus } from '../utils/EventBus.js';
+import { RetellApiClient } from './RetellApiClient.js';
+import { chatHistoryStore } from './ChatHistoryStore.js';
+import { CONFIG } from './config.js';
+import { i18n } from '../i18n/i18n.js';
+import { collectPageContext } from '../utils/PageContext.js';
+
+/**
+ * @typedef {Object} TranscriptLine
+ * @property {'agent'|'user'} role
+ * @property {string} content
+ * @property {number} timestamp - When the line first appeared
+ */
+
+/**
+ * Merge a transcript update into the lines received so far
+ * Retell may send the whole transcript or only its latest utterances, and
+ * the last utterance keeps growing while it is spoken: the update is aligned
+ * on the earliest position where it continues the known lines.
+ * @param {TranscriptLine[]} lines
+ * @param {Array<{role: string, content: string}>} update
+ * @param {number} now
+ * @returns {TranscriptLine[]}
+ */
+export function mergeTranscript(lines, update, now = Date.now()) {
+  const continues = (offset) => lines.slice(offset).every((line, i, tail) => (
+    i < update.length &&
+    line.role === update[i].role &&
+    (i === tail.length - 1 || line.content === update[i].content)
+  ));
+
+  let offset = lines.length;
+  for (let candidate = Math.max(0, lines.length - update.length); candidate < lines.length; candidate++) {
+    if (continues(candidate)) {
+      offset = candidate;
+      break;
+    }
+  }
+
+  return [
+    ...lines.slice(0, offset),
+    ...update.map((line, i) => ({
+      role: line.role,
+      content: line.content,
+      timestamp: lines[offset + i]?.timestamp || now
+    }))
+  ];
+}
+
+export class VoiceCallService {
+  /**
+   * @param {RetellApiClient} [apiClient]
+   * @param {EventBus} [eventBus]
+   * @param {import('./ChatHistoryStore.js').ChatHistoryStore} [historyStore]
+   */
+  constructor(apiClient = new RetellApiClient(), eventBus = new EventBus(), historyStore = chatHistoryStore) {
+    this.apiClient = apiClient;
+    this.events = eventBus;
+    this.historyStore = historyStore;
+
+    /** @type {'idle'|'connecting'|'active'|'ending'} */
+    this.status = 'idle';
+    /** @type {Object|null} RetellWebClient of the current call */
+    this.client = null;
+    /** @type {string|null} */
+    this.callId = null;
+    /** @type {number|null} When the call connected */
+    this.startedAt = null;
+    /** @type {TranscriptLine[]} */
+    this.lines = [];
+    /** @type {Object<string, string>} Visitor details sent with the call (kept with its history) */
+    this.variables = {};
+    /** @type {Promise<Function>|null} RetellWebClient class, once loaded */
+    this.sdkPromise = null;
+    /** @type {number} Incremented per call, so a hung-up start doesn't resume */
+    this.attempt = 0;
+    /** @type {AbortController|null} Cancels the call being created */
+    this.startController = null;
+
+    // Leaving the page hangs up, which also saves the transcript
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => this.stop());
+    }
+  }
+
+  /**
+   * Check if the browser can place a voice call (microphone access needs HTTPS)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && window.isSecureContext !== false &&
+      typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    return this.events.on(event, callback);
+  }
+
+  /** @returns {boolean} A call is starting, live or ending */
+  get isActive() {
+    return this.status !== 'idle';
+  }
+
+  /**
+   * Seconds since the call connected
+   * @returns {number}
+   */
+  get duration() {
+    return this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0;
+  }
+
+  /**
+   * Load the Retell Web Client SDK (once)
+   * @returns {Promise<Function>} RetellWebClient class
+   */
+  loadSdk() {
+    if (!this.sdkPromise) {
+      this.sdkPromise = import(CONFIG.retellWebSdkUrl)
+        .then(module => {
+          const RetellWebClient = module.RetellWebClient || module.default?.RetellWebClient;
+          if (!RetellWebClient) {
+            throw new Error('RetellWebClient not found in the Retell Web SDK');
+          }
+          return RetellWebClient;
+        })
+        .catch(error => {
+          this.sdkPromise = null;
+          throw error;
+        });
+    }
+    return this.sdkPromise;
+  }
+
+  /**
+   * Start a voice call with the agent
+   * The browser asks for the microphone when the call connects.
+   * @param {Object} [options]
+   * @param {string|null} [options.chatId] - Text chat the call continues
+   * @param {Object<string, string>} [options.visitor] - Details already collected
+   * @returns {Promise<void>} Resolves once the call is connected (rejects if it couldn't start)
+   */
+  async start({ chatId = null, visitor = {} } = {}) {
+    if (this.isActive) return;
+
+    this.lines = [];
+    this.callId = null;
+    this.startedAt = null;
+    this.variables = { ...visitor };
+    const attempt = ++this.attempt;
+    const controller = new AbortController();
+    this.startController = controller;
+    this.setStatus('connecting');
+
+    try {
+      const RetellWebClient = await this.loadSdk();
+      const { call_id, access_token } = await this.apiClient.createWebCall({
+        locale: i18n.getLocale(),
+        context: collectPageContext(),
+        visitor,
+        chatId,
+        signal: controller.signal
+      });
+
+      // Hung up while connecting
+      if (attempt !== this.attempt) return;
+
+      this.callId = call_id;
+      this.client = new RetellWebClient();
+      this.attachClient(this.client);
+      await this.client.startCall({ accessToken: access_token });
+    } catch (error) {
+      if (attempt !== this.attempt) return;
+      console.error('❌ Error starting voice call:', error);
+      this.client = null;
+      this.setStatus('idle');
+      this.events.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hang up (or cancel a call still connecting)
+   */
+  stop() {
+    if (this.status === 'idle' || this.status === 'ending') return;
+
+    // Still creating the call: the pending start() gives up
+    if (!this.client) {
+      this.attempt++;
+      this.startController?.abort();
+      this.setStatus('idle');
+      return;
+    }
+
+    this.setStatus('ending');
+    try {
+      this.client.stopCall();
+    } catch (error) {
+      console.warn('⚠️ Error stopping voice call:', error);
+    }
+    // call_ended normally follows; don't rely on it
+    this.finish();
+  }
+
+  /**
+   * Listen to the SDK's call events
+   * @param {Object} client - RetellWebClient
+   */
+  attachClient(client) {
+    client.on('call_started', () => {
+      if (client !== this.client) return;
+      this.startedAt = Date.now();
+      this.setStatus('active');
+    });
+
+    client.on('call_ended', () => {
+      if (client === this.client) this.finish();
+    });
+
+    client.on('agent_start_talking', () => {
+      if (client === this.client) this.events.emit('agentTalking', { isTalking: true });
+    });
+
+    client.on('agent_stop_talking', () => {
+      if (client === this.client) this.events.emit('agentTalking', { isTalking: false });
+    });
+
+    client.on('update', (update) => {
+      if (client === this.client) this.handleUpdate(update);
+    });
+
+    client.on('error', (error) => {
+      if (client !== this.client) return;
+      console.error('❌ Voice call error:', error);
+      this.events.emit('error', error instanceof Error ? error : new Error(String(error)));
+      this.stop();
+    });
+  }
+
+  /**
+   * Apply a transcript update from the SDK
+   * @param {{transcript?: Array<{role: string, content: string}>}} update
+   */
+  handleUpdate(update) {
+    if (!Array.isArray(update?.transcript)) return;
+
+    const transcript = update.transcript
+      .filter(line => (line.role === 'agent' || line.role === 'user') && line.content?.trim())
+      .map(line => ({ role: line.role, content: line.content.trim() }));
+    if (transcript.length === 0) return;
+
+    this.lines = mergeTranscript(this.lines, transcript);
+    this.events.emit('transcriptUpdated', { lines: this.lines });
+  }
+
+  /**
+   * Close the call: save its transcript and report it
+   */
+  finish() {
+    if (!this.client) return;
+
+    const callEnded = { callId: this.callId, lines: this.lines, duration: this.duration };
+    this.attempt++;
+    this.client = null;
+    this.startedAt = null;
+    this.setStatus('idle');
+
+    if (this.lines.length > 0) {
+      this.historyStore.saveChat(this.callId, this.lines, this.variables, { channel: 'voice' });
+    }
+    this.events.emit('callEnded', callEnded);
+  }
+
+  /**
+   * @param {'idle'|'connecting'|'active'|'ending'} status
+   */
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.events.emit('statusChanged', { status });
+  }
+}
@@ -6,15 +6,62 @@ export const CONFIG = {
   // Chat Agent Configuration
   // NOTE: chatAgentId moved to backend .env.local for security
   chatApiUrl: 'https://api.retellai.com/v2',
+  // Base URL of the /api functions ('' = same origin as the page)
+  apiBaseUrl: '',
   chatBotName: 'Flexspace',
-  chatTitle: 'Chat with Flexspace',
+  // null = localized default ("Chat with Flexspace" / "Clavardez avec Flexspace")
+  chatTitle: null,
+  // Widget language ('en-CA' | 'fr-CA'); null = detect from the page and browser
+  locale: null,
   chatThemeColor: '#000000',
   chatAutoOpen: false,
-  // Delay before showing bot response (ms) - simulates natural typing
+  // Stream agent replies as they are produced (falls back to full replies)
+  streamResponses: true,
+  // Max wait for an API call (ms); calls that time out fail with a NetworkError
+  requestTimeout: 15000,
+  // Max wait for the agent's reply, and between streamed chunks (ms)
+  replyTimeout: 45000,
+  // Retries for idempotent calls on network errors and 5xx (exponential backoff)
+  maxRetries: 2,
+  // Keep messages written while offline and send them, in order, once the connection is back
+  queueOfflineMessages: true,
+  // Max characters per message (the API rejects longer ones, see MAX_MESSAGE_LENGTH)
+  maxMessageLength: 2000,
+  // Send contact details to /api/leads when they change and when the chat ends
+  captureLeads: true,
+  // Delay before showing a non-streamed bot response (ms) - simulates natural typing
   responseDelay: 2000,
-  chatStarters: [
-    'What services do you offer?',
-    'How much per pallet?',
-    'Where are your warehouses?'
-  ]
+  // Show the contact form after this many visitor messages when priority
+  // details (name, email, company, phone) are still missing; 0 = only when the agent asks
+  leadFormAfterTurns: 3,
+  // Microphone button in the header for live voice calls with the agent
+  // (needs HTTPS and a Retell voice agent, see RETELL_VOICE_AGENT_ID)
+  voiceEnabled: true,
+  // ES module build of the Retell Web Client SDK, loaded on the first voice call
+  // (self-hosted copy of retell-client-js-sdk@2.0.7, see public/vendor)
+  retellWebSdkUrl: new URL('../../vendor/retell-web-sdk.js', import.meta.url).href,
+  // "Call me" button in the header: visitors leave a number to be phoned back
+  // (see /api/request-callback and RETELL_FROM_NUMBER)
+  callbackEnabled: true,
+  // "Talk to a person" button in the header: the conversation is handed over to
+  // the team's inbox (public/staff/inbox.html), or a message is left when nobody is online
+  handoffEnabled: true,
+  // How often the team's replies are checked during a handoff (ms)
+  handoffPollInterval: 3000,
+  // Shown after the first reply when the agent suggests no replies
+  // null = localized default starters; a custom list is shown as-is in every language
+  chatStarters: null
 };
+
+/**
+ * Override configuration values (e.g. from <flexspace-chat> attributes)
+ * Undefined values are ignored so defaults are kept
+ * @param {Partial<typeof CONFIG>} options
+ */
+export function configure(options = {}) {
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      CONFIG[key] = value;
+    }
+  });
+}
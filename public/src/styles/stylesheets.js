@@ -0,0 +1,19 @@
+/**
+ * Chat stylesheets, relative to public/src/
+ * Loaded into the shadow root by <flexspace-chat>; keep in sync with the
+ * <link> tags in index.html when adding component styles
+ */
+export const STYLESHEETS = [
+  'styles/variables.css',
+  'styles/animations.css',
+  'styles/global.css',
+  'components/ExampleQuestions/ExampleQuestions.css',
+  'components/ChatWidget/ChatWidget.css',
+  'components/MessageCards/MessageCards.css',
+  'components/LeadForm/LeadForm.css',
+  'components/VoiceCallBar/VoiceCallBar.css',
+  'components/HandoffBar/HandoffBar.css',
+  'components/ChatHistory/ChatHistory.css',
+  'components/FloatingChatButton/FloatingChatButton.css',
+  'components/FlexspaceChat/FlexspaceChat.css'
+];
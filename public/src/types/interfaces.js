@@ -15,19 +15,37 @@
 
 /**
  * @typedef {Object} Message
+ * @property {string} id - Message ID
  * @property {'user'|'agent'} role - Message sender role
  * @property {string} content - Message content
  * @property {number} timestamp - Unix timestamp
+ * @property {'queued'|'pending'|'sent'|'failed'} status - Delivery status (user messages; 'queued' = waiting for the connection)
+ * @property {Array<Object>} [cards] - Structured cards sent with an agent message (see MessageCards)
+ * @property {string[]} [suggestions] - Replies the agent suggested after its message
+ * @property {Object} [form] - Contact form shown with an agent message ({ fields, required, title?, submitted? })
+ * @property {string} [author] - Team member who wrote an agent-role message during a human handoff
  */
 
 /**
- * @typedef {'chatCreated'|'messageSent'|'messageReceived'|'chatEnded'|'error'|'variablesUpdated'|'variableUpdated'|'variablesCleared'} ChatEvent
+ * @typedef {'chatCreated'|'messageSent'|'messageStatusChanged'|'messageStreamStarted'|'messageChunk'|'messageReceived'|'agentTyping'|'chatEnded'|'connectionChanged'|'formSubmitted'|'sessionRestored'|'error'|'variablesUpdated'|'variableUpdated'|'variablesCleared'|'widgetOpened'|'widgetClosed'} ChatEvent
+ */
+
+/**
+ * @typedef {Object} MessageChunkPayload
+ * @property {string} delta - Text received in this chunk
+ * @property {string} content - Accumulated reply text so far
  */
 
 /**
  * @typedef {Object} ChatEndedPayload
  * @property {string} chatId - The chat ID that ended
  * @property {boolean} [autoEnded] - Whether chat ended automatically
+ * @property {string[]} [undelivered] - User messages the chat never received (queued or rejected)
+ */
+
+/**
+ * @typedef {Object} ConnectionChangedPayload
+ * @property {boolean} online - Whether the API is reachable
  */
 
 // ============================================
@@ -39,19 +57,51 @@
  * Chat service interface for Dependency Inversion
  *
  * @property {function(string, Function): void} on - Register event listener
- * @property {function(boolean=): Promise<string>} createChat - Create new chat session
- * @property {function(string, boolean=): Promise<Object>} sendMessage - Send message
+ * @property {function(boolean=, Object=): Promise<string>} createChat - Create new chat session (optional page context)
+ * @property {function(boolean=, Object=): Promise<string>} startConversation - Create chat and send greeting (deduplicated)
+ * @property {function(string, boolean=): Promise<Object|null>} sendMessage - Send message (null when queued behind a reply or offline)
+ * @property {function(): Promise<void>} flushQueue - Deliver queued messages in order
+ * @property {function(string): Promise<Object|null>} retryMessage - Resend a failed user message by ID (null when queued)
+ * @property {function(string, Object): Promise<void>} submitForm - Send a contact form's values as variables and as a message to the agent
+ * @property {function({phone: string, preferredTime?: string}): Promise<Object>} requestCallback - Ask to be phoned back; adds a confirmation to the transcript
+ * @property {function({requestedBy?: string, reason?: string}=): Promise<Object>} requestHandoff - Ask for someone from the team to take over the chat
+ * @property {function(): Promise<void>} endHandoff - Go back to the agent
  * @property {function(): Promise<Object>} getChatDetails - Get chat details
  * @property {function(): Promise<boolean>} checkIfChatEnded - Check if chat ended
  * @property {function(): Promise<void>} endChat - End chat session
  * @property {function(): boolean} isActiveChat - Check if chat is active
  * @property {function(): void} reset - Reset service state
+ * @property {function(): Promise<Object|null>} restoreSession - Resume persisted session if still open
+ * @property {function(boolean): void} setWidgetOpen - Record widget open state
+ * @property {function(Object): void} attachTabSync - Coordinate with other tabs (CrossTabSync)
+ * @property {function(Object): void} setVariables - Set several variables at once
+ * @property {function(Object): void} identify - Set visitor details kept across new chats
  * @property {string|null} chatId - Current chat ID
  * @property {boolean} isActive - Chat active status
+ * @property {boolean} isOnline - Whether the API is believed reachable
  * @property {Message[]} messages - Message history
  * @property {boolean} shouldResetChat - Flag to reset server cache
  */
 
+/**
+ * @interface IPublicChatApi
+ * Host page API exposed as window.FlexspaceChat
+ *
+ * @property {function(): Promise<void>} open - Open the widget
+ * @property {function(): Promise<void>} close - Close the widget
+ * @property {function(): Promise<void>} toggle - Toggle the widget
+ * @property {function(): boolean} isOpen - Widget open state
+ * @property {function(string): Promise<void>} send - Open and send a message as the visitor
+ * @property {function(string): Promise<void>} prefill - Open with text typed in the input
+ * @property {function(Object): void} identify - Provide known visitor details
+ * @property {function(Object): void} setVariables - Set conversation variables
+ * @property {function(): Object} getVariables - Current conversation variables
+ * @property {function(string): string} setLocale - Change the widget language
+ * @property {function(): string} getLocale - Current widget language
+ * @property {function(string, Function): Function} on - Subscribe to a public event, returns unsubscribe fn
+ * @property {function(string, Function): void} off - Unsubscribe from a public event
+ */
+
 /**
  * @interface IEventBus
  * Event bus interface for pub/sub
@@ -67,10 +117,17 @@
  * @interface IApiClient
  * API client interface for HTTP communication
  *
- * @property {function(boolean=): Promise<{chat_id: string}>} createChat - Create chat
+ * @property {function(boolean=, {locale?: string, context?: Object, visitor?: Object}=): Promise<{chat_id: string, chat_token: string}>} createChat - Create chat with locale, page context and visitor details; keeps the chat token sent on later calls
  * @property {function(string, string): Promise<Object>} sendMessage - Send message
+ * @property {function(string, string, function(string): void): Promise<{data: Object, streamed: boolean}>} sendMessageStream - Send message, streaming the reply
  * @property {function(string): Promise<Object>} getChatDetails - Get chat details
  * @property {function(string): Promise<Object>} endChat - End chat
+ * @property {function(string, Object, boolean=): Promise<{lead_id: string, created: boolean}>} saveLead - Save visitor as a lead
+ * @property {function(string, {phone: string, preferredTime?: string, locale?: string, caller?: Object}): Promise<{callback_id: string, status: string, scheduled_for: string|null}>} requestCallback - Request a phone callback for a chat
+ * @property {function({locale?: string, context?: Object, visitor?: Object, chatId?: string}=): Promise<{call_id: string, access_token: string}>} createWebCall - Create a browser voice call (continuing chatId when given)
+ * @property {function(): void} cancel - Abort in-flight message sends (they reject with RequestCancelledError)
+ *
+ * Failures reject with the typed errors of services/ApiErrors.js
  */
 
 /**
@@ -82,18 +139,22 @@
  * @property {boolean} isActive - Active status
  * @property {Object} variables - Extracted variables (copy)
  * @property {function(string): void} initChat - Initialize new chat
- * @property {function(string, string): Message} addMessage - Add message
+ * @property {function(string, string, string=, Object=): Message} addMessage - Add message ({ cards } for agent cards)
  * @property {function(): void} setEnded - Mark chat as ended
  * @property {function(): void} reset - Reset all state
  * @property {function(): boolean} isActiveChat - Check active with valid ID
+ * @property {function(): Object} toSnapshot - Serialize state for persistence
+ * @property {function(Object): void} restore - Restore state from snapshot
  */
 
 /**
  * @interface IMessageFormatter
  * Message formatter interface for text processing
  *
- * @property {function(string): string} format - Format message text to HTML
+ * @property {function(string, Object=): string} format - Format message text to sanitized HTML ({ markdown: false } for visitor text)
  * @property {function(Object, number=): void} addFormatter - Add custom formatter
+ * @property {function(Array<Object>): string} formatCards - Render structured cards to sanitized HTML
+ * @property {function(string, Function): void} registerCard - Add or replace a card type
  * @property {function(string): string} escapeHtml - Escape HTML for XSS protection
  */
 
@@ -112,9 +173,30 @@
  * @property {function(Object): Object|null} extract - Extract variables from response
  * @property {function(string): boolean} isPriorityVar - Check if priority variable
  * @property {function(Object): string} extractBotResponse - Extract bot message
+ * @property {function(Object): Array<Object>} extractCards - Extract cards sent as metadata (show_card tool, metadata.cards)
+ * @property {function(Object): string[]} extractSuggestions - Extract suggested replies sent as metadata (suggest_replies tool, metadata.suggestions)
+ * @property {function(string, Object=): {content: string, suggestions: string[]}} splitSuggestions - Split [[Reply]] chips off the end of a message
+ * @property {function(Object): Object|null} extractFormRequest - Extract a contact form request (request_contact_details tool, metadata.form)
  * @property {function(Object|string): boolean} isChatEnded - Check if chat ended
  */
 
+/**
+ * @typedef {'statusChanged'|'transcriptUpdated'|'agentTalking'|'callEnded'|'error'} VoiceCallEvent
+ */
+
+/**
+ * @interface IVoiceCallService
+ * Voice call service interface (Retell web calls, see VoiceCallService)
+ *
+ * @property {function(string, Function): Function} on - Register event listener, returns unsubscribe fn
+ * @property {function({chatId?: string, visitor?: Object}=): Promise<void>} start - Start a call with the agent
+ * @property {function(): void} stop - Hang up (saves the transcript to history)
+ * @property {'idle'|'connecting'|'active'|'ending'} status - Call status
+ * @property {boolean} isActive - A call is starting, live or ending
+ * @property {number} duration - Seconds since the call connected
+ * @property {Array<{role: 'agent'|'user', content: string, timestamp: number}>} lines - Transcript so far
+ */
+
 // ============================================
 // COMPONENT INTERFACES
 // ============================================
@@ -125,7 +207,19 @@
  *
  * @property {function(): HTMLElement} create - Create container element
  * @property {function(string): void} addUserMessage - Add user message
- * @property {function(string): void} addBotMessage - Add bot message
+ * @property {function(string, Object=): void} addBotMessage - Add bot message ({ cards, id, form })
+ * @property {function(): void} startStreamingMessage - Start a streamed bot message
+ * @property {function(string): void} updateStreamingMessage - Update streamed text
+ * @property {function(string, Object=): void} finishStreamingMessage - Complete streamed message ({ cards, id, form })
+ * @property {function(string): void} setFormSubmitted - Show a contact form as sent
+ * @property {function(Array<Object>): void} renderTranscript - Show a voice call's transcript so far
+ * @property {function(): void} endTranscript - Keep the finished call's transcript as it is
+ * @property {function(string): void} showNotice - Show an informational line
+ * @property {function(Object, Function): void} showCallbackForm - Show the "Call me" form (replaces one already shown)
+ * @property {function(): void} hideCallbackForm - Remove the "Call me" form
+ * @property {function(): boolean} isCallbackFormShown - Check if the "Call me" form is shown
+ * @property {function(): void} disableActions - Stop offering retry and card buttons
+ * @property {function(): void} discardStreamingMessage - Drop unfinished streamed message
  * @property {function(string): void} showError - Show error message
  * @property {function(Function): HTMLElement} showEndedBanner - Show ended banner
  * @property {function(): void} clear - Clear all messages
@@ -141,7 +235,7 @@
  * @property {function(): void} clear - Clear input
  * @property {function(): void} focus - Focus input
  * @property {function(): void} enable - Enable input
- * @property {function(): void} disable - Disable input
+ * @property {function(string=): void} disable - Disable input (optional placeholder i18n key)
  * @property {function(boolean): void} setProcessing - Set processing state
  * @property {function(HTMLElement): void} mount - Mount to parent
  */
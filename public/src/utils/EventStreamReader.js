@@ -0,0 +1,82 @@
+/**
+ * EventStreamReader - Parses a Server-Sent Events response body
+ * Works on fetch() responses so requests can use POST bodies (EventSource can't)
+ *
+ * @example
+ * const response = await fetch('/api/send-message', { method: 'POST', ... });
+ * await readEventStream(response, ({ event, data }) => console.log(event, data));
+ */
+
+/**
+ * Check whether a fetch response is an event stream that can be read incrementally
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isEventStream(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('text/event-stream') && !!response.body?.getReader;
+}
+
+/**
+ * Read all events from an event stream response
+ * @param {Response} response - fetch response with text/event-stream body
+ * @param {function({event: string, data: *}): void} onEvent - Called per event
+ * @returns {Promise<void>} Resolves when the stream closes
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      dispatch(rawEvent, onEvent);
+    }
+  }
+
+  // Flush a trailing event without a final blank line
+  if (buffer.trim()) {
+    dispatch(buffer, onEvent);
+  }
+}
+
+/**
+ * Parse one raw event block and hand it to the callback
+ * @param {string} rawEvent
+ * @param {Function} onEvent
+ */
+function dispatch(rawEvent, onEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  rawEvent.split(/\r?\n/).forEach(line => {
+    if (line.startsWith(':')) return; // comment / keep-alive
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+  });
+
+  if (dataLines.length === 0) return;
+
+  const rawData = dataLines.join('\n');
+  let data = rawData;
+  try {
+    data = JSON.parse(rawData);
+  } catch {
+    // Non-JSON payloads are passed through as text
+  }
+
+  onEvent({ event, data });
+}
@@ -0,0 +1,138 @@
+/**
+ * HtmlSanitizer - Allowlist sanitizer for message HTML
+ *
+ * Formatters build HTML from escaped text; this is the last step before it
+ * reaches innerHTML, so a formatter bug can't turn message text into markup:
+ * - elements not in the allowlist are unwrapped (their text is kept), and
+ *   dangerous ones (script, iframe...) are dropped with their content
+ * - attributes not allowed for the element are removed
+ * - links only keep http(s), mailto and tel URLs, and always open in a new tab
+ *
+ * Callers that render richer markup (e.g. message cards) allow extra
+ * elements with `extraTags`; images then only load over https.
+ *
+ * @example
+ * new HtmlSanitizer().sanitize('<strong onclick="x()">Hi</strong><script>x()</script>');
+ * // '<strong>Hi</strong>'
+ */
+
+/** Allowed elements and the attributes each may keep */
+const ALLOWED_TAGS = {
+  a: ['href', 'target', 'rel', 'class'],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  div: ['class', 'id'],
+  em: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  li: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  span: ['class'],
+  strong: [],
+  table: [],
+  tbody: [],
+  td: ['class'],
+  th: ['class'],
+  thead: [],
+  tr: [],
+  ul: []
+};
+
+/** Elements removed together with their content */
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+  'svg', 'math', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select',
+  'img', 'video', 'audio', 'source', 'picture'
+];
+
+/** Attribute value checks; attributes failing them are removed */
+const ATTRIBUTE_PATTERNS = {
+  class: /^[\w\s-]*$/,
+  id: /^[\w-]+$/,
+  start: /^\d{1,9}$/,
+  target: /^_blank$/,
+  type: /^button$/,
+  scope: /^(col|row)$/,
+  colspan: /^\d{1,2}$/,
+  loading: /^lazy$/,
+  href: /^(https?:|mailto:|tel:)/i,
+  src: /^https:/i
+};
+
+export class HtmlSanitizer {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string[]>} [options.extraTags] - More allowed elements and their attributes
+   */
+  constructor({ extraTags = {} } = {}) {
+    /** @type {Object<string, string[]>} */
+    this.allowedTags = { ...ALLOWED_TAGS, ...extraTags };
+  }
+
+  /**
+   * @param {string} html
+   * @returns {string} HTML with only allowlisted markup
+   */
+  sanitize(html) {
+    if (!html) return '';
+
+    // Parsing into a template runs no scripts and loads nothing
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.sanitizeChildren(template.content);
+    return template.innerHTML;
+  }
+
+  /**
+   * @param {Node} parent
+   */
+  sanitizeChildren(parent) {
+    [...parent.childNodes].forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove(); // Comments, processing instructions...
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const allowed = Object.hasOwn(this.allowedTags, tag);
+      if (!allowed && DROPPED_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      this.sanitizeChildren(node);
+
+      if (!allowed) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      this.sanitizeAttributes(node, this.allowedTags[tag]);
+    });
+  }
+
+  /**
+   * @param {Element} element
+   * @param {string[]} allowed - Attributes the element may keep
+   */
+  sanitizeAttributes(element, allowed) {
+    [...element.attributes].forEach(({ name, value }) => {
+      const pattern = ATTRIBUTE_PATTERNS[name];
+      const keep = allowed.includes(name) && (!pattern || pattern.test(value.trim()));
+      if (!keep) {
+        element.removeAttribute(name);
+      }
+    });
+
+    if (element.tagName === 'A') {
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * PageContext - Describes the page the visitor is chatting from
+ * Sent when a chat is created so the agent can tailor its answers
+ *
+ * UTM parameters usually only appear on the landing page, so the first ones
+ * seen in the browsing session are kept (sessionStorage) for later pages.
+ */
+
+const UTM_STORAGE_KEY = 'flexspace_utm';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Read UTM parameters from the URL, falling back to the ones saved this session
+ * @param {URLSearchParams} searchParams
+ * @returns {Object<string, string>}
+ */
+function getUtmParams(searchParams) {
+  const fromUrl = {};
+  UTM_PARAMS.forEach(name => {
+    const value = searchParams.get(name);
+    if (value) fromUrl[name] = value;
+  });
+
+  try {
+    if (Object.keys(fromUrl).length > 0) {
+      sessionStorage.setItem(UTM_STORAGE_KEY, JSON.stringify(fromUrl));
+      return fromUrl;
+    }
+    return JSON.parse(sessionStorage.getItem(UTM_STORAGE_KEY)) || {};
+  } catch {
+    return fromUrl;
+  }
+}
+
+/**
+ * Collect the current page context
+ * @returns {{page_url: string, page_title: string, referrer: string, utm_source?: string, utm_medium?: string, utm_campaign?: string, utm_term?: string, utm_content?: string}}
+ */
+export function collectPageContext() {
+  const url = new URL(window.location.href);
+
+  return {
+    // Drop the fragment: it never matters to the agent and may hold tokens
+    page_url: `${url.origin}${url.pathname}${url.search}`,
+    page_title: document.title || '',
+    referrer: document.referrer || '',
+    ...getUtmParams(url.searchParams)
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * TabChannel - Message channel between browser tabs of the same origin
+ * Uses BroadcastChannel when available, falling back to localStorage `storage` events
+ *
+ * @example
+ * const channel = new TabChannel('my_channel');
+ * const unsubscribe = channel.onMessage((msg) => console.log(msg));
+ * channel.post({ type: 'ping' });
+ */
+export class TabChannel {
+  /**
+   * @param {string} name - Channel name (shared by all tabs)
+   */
+  constructor(name) {
+    this.name = name;
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+    this.channel = null;
+    this.storageKey = `${name}__message`;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(name);
+      this.channel.onmessage = (event) => this.dispatch(event.data);
+    } else {
+      this.handleStorage = (event) => {
+        if (event.key !== this.storageKey || !event.newValue) return;
+        try {
+          this.dispatch(JSON.parse(event.newValue).message);
+        } catch (error) {
+          console.error('TabChannel: Invalid message in storage event:', error);
+        }
+      };
+      window.addEventListener('storage', this.handleStorage);
+    }
+  }
+
+  /**
+   * Post a message to all other tabs (not delivered to the sender)
+   * @param {Object} message - JSON-serializable message
+   */
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // The nonce makes repeated identical messages still fire a storage event
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        message,
+        nonce: `${Date.now()}_${Math.random().toString(36).slice(2)}`
+      }));
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('TabChannel: Error posting message:', error);
+    }
+  }
+
+  /**
+   * Listen for messages from other tabs
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  onMessage(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Deliver a message to listeners
+   * @param {Object} message
+   */
+  dispatch(message) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(message);
+      } catch (error) {
+        console.error('TabChannel: Error in message listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Close the channel and remove listeners
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+    } else {
+      window.removeEventListener('storage', this.handleStorage);
+    }
+    this.listeners.clear();
+  }
+}
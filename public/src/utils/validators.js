@@ -0,0 +1,141 @@
+/**
+ * Validators - Checks and normalizes contact details typed by visitors
+ * Each normalize function returns the canonical form, or null when invalid.
+ *
+ * @example
+ * normalizePhone('(514) 555-0100'); // '+15145550100'
+ * normalizePostalCode('h2x1y4');    // 'H2X 1Y4'
+ * normalizeCallbackTime('2026-10-20T14:30'); // ISO time, if within the next 30 days
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// NANP: area code and exchange start with 2-9; N11 codes are service numbers
+const NANP_PATTERN = /^([2-9]\d{2})([2-9]\d{2})(\d{4})$/;
+const SERVICE_CODE_PATTERN = /^[2-9]11$/;
+
+// Callbacks can be booked this far ahead (the API enforces the same limit)
+export const MAX_CALLBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Canada Post: no D, F, I, O, Q or U; W and Z never start a code
+const POSTAL_CODE_PATTERN = /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)$/;
+
+/**
+ * @param {string} value
+ * @returns {string|null} Trimmed, lowercased email
+ */
+export function normalizeEmail(value) {
+  const email = String(value ?? '').trim().toLowerCase();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+    return null;
+  }
+  return email;
+}
+
+/**
+ * North American (NANP) phone number, with or without the leading 1
+ * @param {string} value - e.g. "514-555-0100", "+1 (514) 555 0100"
+ * @returns {string|null} E.164 number, e.g. "+15145550100"
+ */
+export function normalizePhone(value) {
+  const text = String(value ?? '').trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) {
+    return null;
+  }
+
+  let digits = text.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+
+  const match = NANP_PATTERN.exec(digits);
+  if (!match || SERVICE_CODE_PATTERN.test(match[1]) || SERVICE_CODE_PATTERN.test(match[2])) {
+    return null;
+  }
+  return `+1${digits}`;
+}
+
+/**
+ * Display form of a normalized North American number
+ * @param {string} phone - E.164, e.g. "+15145550100"
+ * @returns {string} e.g. "(514) 555-0100"; other values are returned as given
+ */
+export function formatPhone(phone) {
+  const match = /^\+1(\d{3})(\d{3})(\d{4})$/.exec(phone || '');
+  return match ? `(${match[1]}) ${match[2]}-${match[3]}` : phone;
+}
+
+/**
+ * Canadian postal code
+ * @param {string} value - e.g. "h2x1y4", "H2X 1Y4"
+ * @returns {string|null} Uppercase with a space, e.g. "H2X 1Y4"
+ */
+export function normalizePostalCode(value) {
+  const match = POSTAL_CODE_PATTERN.exec(String(value ?? '').trim().toUpperCase());
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Preferred time of a callback, as typed in a datetime-local input
+ * @param {string} value - Local time, e.g. "2026-10-20T14:30"
+ * @param {number} [now]
+ * @returns {string|null} ISO time, or null unless it's within the next MAX_CALLBACK_DAYS days
+ */
+export function normalizeCallbackTime(value, now = Date.now()) {
+  const text = String(value ?? '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) {
+    return null;
+  }
+
+  // Without a zone, Date parses date-times as local time
+  const time = new Date(text).getTime();
+  if (!Number.isFinite(time) || time <= now || time > now + MAX_CALLBACK_DAYS * DAY_MS) {
+    return null;
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Format a date for a datetime-local input (local time, minutes)
+ * @param {Date} date
+ * @returns {string} e.g. "2026-10-20T14:30"
+ */
+export function toDateTimeLocal(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidEmail(value) {
+  return normalizeEmail(value) !== null;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidPhone(value) {
+  return normalizePhone(value) !== null;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidPostalCode(value) {
+  return normalizePostalCode(value) !== null;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidCallbackTime(value) {
+  return normalizeCallbackTime(value) !== null;
+}
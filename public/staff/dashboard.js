@@ -0,0 +1,577 @@
+/**
+ * Staff dashboard - Conversations recorded on the server and the leads they
+ * produced (api/staff-chats, api/staff-leads)
+ * Conversations show their full transcript with the extracted variables;
+ * leads can be marked as contacted and exported as CSV.
+ */
+import { StaffApi } from './staffApi.js';
+import { el, formatTime, renderNav, renderSignIn } from './staffUi.js';
+
+const PAGE_SIZE = 50;
+
+const CHAT_STATUS_LABELS = {
+  ongoing: 'Active',
+  ended: 'Ended',
+  error: 'Error'
+};
+
+const HANDOFF_STATUS_LABELS = {
+  waiting: 'Waiting',
+  active: 'Active',
+  offline: 'Missed',
+  message_left: 'Message left',
+  closed: 'Closed'
+};
+
+const ROLE_LABELS = {
+  user: 'Visitor',
+  agent: 'Agent'
+};
+
+/**
+ * @param {{first_name?: string, last_name?: string, email?: string|null, phone?: string|null}} person
+ * @returns {string}
+ */
+function personName(person) {
+  const name = [person.first_name, person.last_name].filter(Boolean).join(' ');
+  return name || person.email || person.phone || 'Visitor';
+}
+
+/**
+ * Local day from a date input, as the API's ISO bound
+ * @param {string} value - YYYY-MM-DD
+ * @param {number} [addDays=0]
+ * @returns {string}
+ */
+function dayBound(value, addDays = 0) {
+  if (!value) return '';
+  const date = new Date(`${value}T00:00:00`);
+  date.setDate(date.getDate() + addDays);
+  return date.toISOString();
+}
+
+/**
+ * @param {string} label
+ * @param {HTMLElement} control
+ * @returns {HTMLLabelElement}
+ */
+function field(label, control) {
+  const wrapper = el('label', 'staff-field');
+  wrapper.append(el('span', 'staff-field-label', label), control);
+  return wrapper;
+}
+
+/**
+ * @param {Array<[string, string]>} options - [value, label]
+ * @param {string} value
+ * @returns {HTMLSelectElement}
+ */
+function select(options, value) {
+  const element = el('select', 'staff-input');
+  options.forEach(([optionValue, label]) => {
+    const option = el('option', null, label);
+    option.value = optionValue;
+    element.append(option);
+  });
+  element.value = value;
+  return element;
+}
+
+class StaffDashboard {
+  /**
+   * @param {HTMLElement} root
+   */
+  constructor(root) {
+    this.root = root;
+    this.api = new StaffApi();
+    this.api.onSignedOut = () => this.showSignIn('Your session expired. Please sign in again.');
+
+    /** @type {'chats'|'leads'} */
+    this.tab = 'chats';
+    // Form values, kept across tabs; status applies to chats, contacted to leads
+    this.filters = { from: '', to: '', status: '', contacted: '', has_email: '', service_type: '' };
+    this.offset = 0;
+    this.serviceTypes = [];
+    /** @type {string|null} */
+    this.selectedChatId = null;
+    // Ignore answers to requests overtaken by newer ones
+    this.loadId = 0;
+  }
+
+  start() {
+    if (this.api.isSignedIn) {
+      this.showDashboard();
+    } else {
+      this.showSignIn();
+    }
+  }
+
+  /**
+   * @param {string} [notice]
+   */
+  showSignIn(notice = '') {
+    renderSignIn(this.root, this.api, {
+      title: 'Conversations & leads',
+      notice,
+      onSignedIn: () => this.showDashboard()
+    });
+  }
+
+  showDashboard() {
+    this.root.replaceChildren();
+
+    const header = el('header', 'staff-header');
+    const signOutBtn = el('button', 'staff-btn', 'Sign out');
+    signOutBtn.type = 'button';
+    signOutBtn.addEventListener('click', () => {
+      this.api.signOut();
+      this.showSignIn();
+    });
+
+    const actions = el('div', 'staff-header-actions');
+    actions.append(el('span', 'staff-me', this.api.name), signOutBtn);
+    header.append(el('h1', 'staff-title', 'Conversations & leads'), renderNav('dashboard'), actions);
+
+    this.tabsEl = el('div', 'staff-tabs');
+    this.tabsEl.setAttribute('role', 'tablist');
+    [['chats', 'Conversations'], ['leads', 'Leads']].forEach(([tab, label]) => {
+      const button = el('button', 'staff-tab', label);
+      button.type = 'button';
+      button.dataset.tab = tab;
+      button.setAttribute('role', 'tab');
+      button.addEventListener('click', () => this.switchTab(tab));
+      this.tabsEl.append(button);
+    });
+
+    this.filtersEl = el('form', 'staff-filters');
+    this.filtersEl.addEventListener('submit', (event) => event.preventDefault());
+    this.listEl = el('div', 'staff-table-wrap');
+    this.pagerEl = el('div', 'staff-pager');
+    this.detailEl = el('section', 'staff-detail staff-chat-detail');
+
+    const listPane = el('div', 'staff-list-pane');
+    listPane.append(this.filtersEl, this.listEl, this.pagerEl);
+
+    const main = el('main', 'staff-dashboard');
+    main.append(listPane, this.detailEl);
+
+    this.root.append(header, this.tabsEl, main);
+    this.switchTab(this.tab);
+  }
+
+  /**
+   * @param {'chats'|'leads'} tab
+   */
+  switchTab(tab) {
+    this.tab = tab;
+    this.offset = 0;
+    this.serviceTypes = [];
+    this.tabsEl.querySelectorAll('.staff-tab').forEach(button => {
+      button.setAttribute('aria-selected', String(button.dataset.tab === tab));
+    });
+    this.root.classList.toggle('is-leads', tab === 'leads');
+    this.renderFilters();
+    this.renderChatDetail(null);
+    this.load();
+  }
+
+  // ==================== FILTERS ====================
+
+  renderFilters() {
+    this.filtersEl.replaceChildren();
+
+    const from = el('input', 'staff-input');
+    from.type = 'date';
+    from.value = this.filters.from;
+    const to = el('input', 'staff-input');
+    to.type = 'date';
+    to.value = this.filters.to;
+
+    const status = this.tab === 'chats'
+      ? field('Status', select([['', 'All'], ['active', 'Active'], ['ended', 'Ended']], this.filters.status))
+      : field('Contacted', select([['', 'All'], ['0', 'Not yet'], ['1', 'Contacted']], this.filters.contacted));
+
+    const hasEmail = select([['', 'All'], ['1', 'With email'], ['0', 'Without email']], this.filters.has_email);
+
+    this.serviceSelect = select([['', 'All']], '');
+    this.renderServiceTypes();
+
+    const controls = [
+      [field('From', from), 'from'],
+      [field('To', to), 'to'],
+      [status, this.tab === 'chats' ? 'status' : 'contacted'],
+      [field('Email', hasEmail), 'has_email'],
+      [field('Service', this.serviceSelect), 'service_type']
+    ];
+    controls.forEach(([wrapper, name]) => {
+      wrapper.querySelector('input, select').addEventListener('change', (event) => {
+        this.filters[name] = event.target.value;
+        this.offset = 0;
+        this.load();
+      });
+      this.filtersEl.append(wrapper);
+    });
+
+    const refresh = el('button', 'staff-btn', 'Refresh');
+    refresh.type = 'button';
+    refresh.addEventListener('click', () => this.load());
+    this.filtersEl.append(refresh);
+
+    if (this.tab === 'leads') {
+      const exportBtn = el('button', 'staff-btn staff-btn-primary', 'Export CSV');
+      exportBtn.type = 'button';
+      exportBtn.addEventListener('click', () => this.exportLeads(exportBtn));
+      this.filtersEl.append(exportBtn);
+    }
+  }
+
+  renderServiceTypes() {
+    const current = this.filters.service_type;
+    const types = current && !this.serviceTypes.includes(current)
+      ? [current, ...this.serviceTypes]
+      : this.serviceTypes;
+    this.serviceSelect.replaceChildren();
+    [['', 'All'], ...types.map(type => [type, type])].forEach(([value, label]) => {
+      const option = el('option', null, label);
+      option.value = value;
+      this.serviceSelect.append(option);
+    });
+    this.serviceSelect.value = current;
+  }
+
+  /**
+   * @returns {Object} API filters for the current tab
+   */
+  getQuery() {
+    const { from, to, status, contacted, has_email, service_type } = this.filters;
+    return {
+      from: dayBound(from),
+      // Through the end of the chosen day
+      to: dayBound(to, 1),
+      has_email,
+      service_type,
+      ...(this.tab === 'chats' ? { status } : { contacted }),
+      limit: PAGE_SIZE,
+      offset: this.offset
+    };
+  }
+
+  // ==================== LISTS ====================
+
+  async load() {
+    const loadId = ++this.loadId;
+    const tab = this.tab;
+    this.listEl.replaceChildren(el('p', 'staff-empty', 'Loading…'));
+    this.pagerEl.replaceChildren();
+
+    try {
+      const result = tab === 'chats'
+        ? await this.api.listChats(this.getQuery())
+        : await this.api.listLeads(this.getQuery());
+      if (loadId !== this.loadId) return;
+
+      this.serviceTypes = result.service_types;
+      this.renderServiceTypes();
+      if (tab === 'chats') {
+        this.renderChats(result.chats);
+      } else {
+        this.renderLeads(result.leads);
+      }
+      this.renderPager(result.total);
+    } catch (error) {
+      if (loadId !== this.loadId || !this.api.isSignedIn) return;
+      console.error('❌ Could not load the list:', error.message);
+      this.listEl.replaceChildren(el('p', 'staff-error', `Could not load the list: ${error.message}`));
+    }
+  }
+
+  /**
+   * @param {string[]} headings
+   * @returns {{table: HTMLTableElement, body: HTMLTableSectionElement}}
+   */
+  createTable(headings) {
+    const table = el('table', 'staff-table');
+    const head = el('thead');
+    const row = el('tr');
+    headings.forEach(heading => row.append(el('th', null, heading)));
+    head.append(row);
+    const body = el('tbody');
+    table.append(head, body);
+    return { table, body };
+  }
+
+  /**
+   * @param {Object[]} chats - Summaries
+   */
+  renderChats(chats) {
+    if (chats.length === 0) {
+      this.listEl.replaceChildren(el('p', 'staff-empty', 'No conversations match these filters.'));
+      return;
+    }
+
+    const { table, body } = this.createTable(['Started', 'Visitor', 'Service', 'Status', 'Messages', 'Contacted']);
+    chats.forEach(chat => {
+      const row = el('tr', 'staff-row');
+      row.tabIndex = 0;
+      row.dataset.chatId = chat.id;
+      row.classList.toggle('selected', chat.id === this.selectedChatId);
+
+      const visitor = el('td');
+      visitor.append(el('span', 'staff-row-name', personName(chat)));
+      if (chat.last_message) visitor.append(el('span', 'staff-row-preview', chat.last_message));
+
+      row.append(
+        el('td', null, formatTime(chat.started_at || chat.updated_at)),
+        visitor,
+        el('td', null, chat.primary_service_type || ''),
+        el('td', null, CHAT_STATUS_LABELS[chat.status] || chat.status),
+        el('td', null, String(chat.message_count)),
+        el('td', null, chat.contacted_at ? formatTime(chat.contacted_at) : chat.lead_id ? 'Not yet' : '')
+      );
+
+      const open = () => this.openChat(chat.id);
+      row.addEventListener('click', open);
+      row.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') open();
+      });
+      body.append(row);
+    });
+    this.listEl.replaceChildren(table);
+  }
+
+  /**
+   * @param {Object[]} leads
+   */
+  renderLeads(leads) {
+    if (leads.length === 0) {
+      this.listEl.replaceChildren(el('p', 'staff-empty', 'No leads match these filters.'));
+      return;
+    }
+
+    const { table, body } = this.createTable(['Created', 'Name', 'Email', 'Phone', 'Company', 'Service', 'Chats', 'Contacted']);
+    leads.forEach(lead => {
+      const row = el('tr');
+      const contacted = el('td');
+      contacted.append(this.contactedControl(lead, () => this.load()));
+
+      row.append(
+        el('td', null, formatTime(lead.created_at)),
+        el('td', null, [lead.first_name, lead.last_name].filter(Boolean).join(' ')),
+        el('td', null, lead.email || ''),
+        el('td', null, lead.phone || ''),
+        el('td', null, lead.company_name || ''),
+        el('td', null, lead.primary_service_type || ''),
+        el('td', null, String(lead.chats.length)),
+        contacted
+      );
+      body.append(row);
+    });
+    this.listEl.replaceChildren(table);
+  }
+
+  /**
+   * @param {number} total
+   */
+  renderPager(total) {
+    this.pagerEl.replaceChildren();
+    if (total === 0) return;
+
+    const last = Math.min(this.offset + PAGE_SIZE, total);
+    const previous = el('button', 'staff-btn', 'Previous');
+    previous.type = 'button';
+    previous.disabled = this.offset === 0;
+    previous.addEventListener('click', () => {
+      this.offset = Math.max(0, this.offset - PAGE_SIZE);
+      this.load();
+    });
+
+    const next = el('button', 'staff-btn', 'Next');
+    next.type = 'button';
+    next.disabled = last >= total;
+    next.addEventListener('click', () => {
+      this.offset += PAGE_SIZE;
+      this.load();
+    });
+
+    this.pagerEl.append(previous, el('span', null, `${this.offset + 1}–${last} of ${total}`), next);
+  }
+
+  /**
+   * "Mark as contacted" button, or who contacted the lead and when
+   * @param {Object} lead
+   * @param {function(Object): void} onChange - Called with the updated lead
+   * @returns {HTMLElement}
+   */
+  contactedControl(lead, onChange) {
+    const wrapper = el('span', 'staff-contacted');
+    const contacted = Boolean(lead.contacted_at);
+
+    if (contacted) {
+      wrapper.append(el('span', null, `${formatTime(lead.contacted_at)} · ${lead.contacted_by || ''}`));
+    }
+    const button = el('button', contacted ? 'staff-btn staff-btn-link' : 'staff-btn', contacted ? 'Undo' : 'Mark as contacted');
+    button.type = 'button';
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        const result = await this.api.setLeadContacted(lead.id, !contacted);
+        onChange(result.lead);
+      } catch (error) {
+        if (!this.api.isSignedIn) return;
+        console.error('❌ Could not update the lead:', error.message);
+        window.alert(`Could not update the lead: ${error.message}`);
+        button.disabled = false;
+      }
+    });
+    wrapper.append(button);
+    return wrapper;
+  }
+
+  /**
+   * @param {HTMLButtonElement} button
+   */
+  async exportLeads(button) {
+    button.disabled = true;
+    try {
+      const { limit, offset, ...filters } = this.getQuery();
+      const blob = await this.api.exportLeads(filters);
+      const url = URL.createObjectURL(blob);
+      const link = el('a');
+      link.href = url;
+      link.download = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.append(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      if (this.api.isSignedIn) {
+        console.error('❌ Could not export the leads:', error.message);
+        window.alert(`Could not export the leads: ${error.message}`);
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ==================== CONVERSATION ====================
+
+  /**
+   * @param {string} chatId
+   */
+  async openChat(chatId) {
+    this.selectedChatId = chatId;
+    this.listEl.querySelectorAll('.staff-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.chatId === chatId);
+    });
+    this.detailEl.replaceChildren(el('p', 'staff-empty', 'Loading…'));
+
+    try {
+      const detail = await this.api.getChat(chatId);
+      if (chatId !== this.selectedChatId) return;
+      this.renderChatDetail(detail);
+    } catch (error) {
+      if (chatId !== this.selectedChatId || !this.api.isSignedIn) return;
+      console.error('❌ Could not load the conversation:', error.message);
+      this.detailEl.replaceChildren(el('p', 'staff-error', `Could not load the conversation: ${error.message}`));
+    }
+  }
+
+  /**
+   * @param {{chat: Object, variables: Object, lead: Object|null, handoff: Object|null}|null} detail
+   */
+  renderChatDetail(detail) {
+    if (!detail) {
+      this.selectedChatId = null;
+      this.detailEl.hidden = this.tab === 'leads';
+      this.detailEl.replaceChildren(el('p', 'staff-empty', 'Select a conversation.'));
+      return;
+    }
+
+    const { chat, variables, lead, handoff } = detail;
+    this.detailEl.hidden = false;
+
+    const head = el('div', 'staff-detail-head');
+    const heading = el('div');
+    heading.append(
+      el('h2', 'staff-detail-title', personName({
+        first_name: variables.first_name || lead?.first_name,
+        last_name: variables.last_name || lead?.last_name,
+        email: variables.email || lead?.email,
+        phone: variables.user_number || lead?.phone
+      })),
+      el('span', `staff-status status-${chat.status === 'ongoing' ? 'active' : 'closed'}`,
+        [CHAT_STATUS_LABELS[chat.status] || chat.status, formatTime(chat.started_at), chat.metadata?.locale]
+          .filter(Boolean).join(' · '))
+    );
+    const close = el('button', 'staff-btn', 'Close');
+    close.type = 'button';
+    close.addEventListener('click', () => {
+      this.listEl.querySelectorAll('.staff-row').forEach(row => row.classList.remove('selected'));
+      this.renderChatDetail(null);
+    });
+    head.append(heading, close);
+    this.detailEl.replaceChildren(head);
+
+    if (lead) {
+      const leadBox = el('div', 'staff-lead');
+      leadBox.append(
+        el('strong', null, 'Lead'),
+        el('span', null, [lead.email, lead.phone].filter(Boolean).join(' · ')),
+        this.contactedControl(lead, (updated) => {
+          this.renderChatDetail({ ...detail, lead: updated });
+          if (this.tab === 'chats') this.load();
+        })
+      );
+      this.detailEl.append(leadBox);
+    }
+
+    if (chat.analysis?.chat_summary) {
+      this.detailEl.append(el('p', 'staff-summary', chat.analysis.chat_summary));
+    }
+
+    const entries = Object.entries(variables).filter(([, value]) => value !== '' && value !== null && value !== undefined);
+    if (entries.length > 0) {
+      const list = el('dl', 'staff-visitor');
+      entries.forEach(([name, value]) => {
+        list.append(el('dt', null, name), el('dd', null, typeof value === 'string' ? value : JSON.stringify(value)));
+      });
+      this.detailEl.append(list);
+    }
+
+    const thread = el('div', 'staff-thread');
+    if (chat.messages.length === 0) {
+      thread.append(el('p', 'staff-system', chat.transcript || 'No messages recorded yet.'));
+    }
+    chat.messages.forEach(msg => {
+      thread.append(this.messageElement(msg.role === 'user' ? 'visitor' : 'agent', ROLE_LABELS[msg.role] || msg.role, msg.content));
+    });
+
+    if (handoff) {
+      thread.append(el('p', 'staff-system',
+        `Handed off to the team · ${HANDOFF_STATUS_LABELS[handoff.status] || handoff.status}`));
+      handoff.messages.forEach(msg => {
+        if (msg.from === 'system') {
+          thread.append(el('p', 'staff-system', `${msg.content} · ${formatTime(msg.created_at)}`));
+        } else {
+          const who = msg.from === 'visitor' ? 'Visitor' : msg.author || 'Team';
+          thread.append(this.messageElement(msg.from, `${who} · ${formatTime(msg.created_at)}`, msg.content));
+        }
+      });
+    }
+    this.detailEl.append(thread);
+  }
+
+  /**
+   * @param {'visitor'|'agent'|'operator'} from
+   * @param {string} meta
+   * @param {string} content
+   * @returns {HTMLElement}
+   */
+  messageElement(from, meta, content) {
+    const message = el('div', `staff-message from-${from}`);
+    message.append(el('span', 'staff-message-meta', meta), el('p', 'staff-message-text', content));
+    return message;
+  }
+}
+
+new StaffDashboard(document.getElementById('staff-app')).start();
@@ -0,0 +1,460 @@
+/**
+ * Staff inbox - Reply to visitors who asked for a person
+ * Lists the handoffs (api/staff-inbox) and checks in every few seconds, which
+ * keeps this team member online for new requests.
+ */
+import { StaffApi } from './staffApi.js';
+import { el, formatTime, renderNav, renderSignIn } from './staffUi.js';
+import { NetworkError } from '../src/services/ApiErrors.js';
+import { CONFIG } from '../src/services/config.js';
+
+const POLL_INTERVAL = 4000;
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  active: 'Active',
+  offline: 'Missed',
+  message_left: 'Message left',
+  closed: 'Closed'
+};
+
+const OPEN_STATUSES = ['waiting', 'active'];
+
+const VISITOR_LABELS = {
+  first_name: 'First name',
+  last_name: 'Last name',
+  email: 'Email',
+  user_number: 'Phone',
+  company_name: 'Company',
+  primary_service_type: 'Service'
+};
+
+/**
+ * @param {Object} handoff
+ * @returns {string} Visitor's name, email or phone
+ */
+function visitorName(handoff) {
+  const visitor = handoff.visitor || {};
+  const name = [visitor.first_name, visitor.last_name].filter(Boolean).join(' ');
+  return name || visitor.email || visitor.user_number || 'Visitor';
+}
+
+class StaffInbox {
+  /**
+   * @param {HTMLElement} root
+   */
+  constructor(root) {
+    this.root = root;
+    this.api = new StaffApi();
+    this.api.onSignedOut = () => this.showSignIn('Your session expired. Please sign in again.');
+
+    this.available = true;
+    /** @type {string|null} */
+    this.selectedId = null;
+    /** @type {Object|null} */
+    this.selected = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.pollAgain = false;
+    // Skip re-rendering the conversation when nothing changed (keeps the scroll position)
+    this.renderedKey = null;
+  }
+
+  start() {
+    if (this.api.isSignedIn) {
+      this.showInbox();
+    } else {
+      this.showSignIn();
+    }
+
+    // Stop offering handoffs to this team member once the page closes
+    window.addEventListener('pagehide', () => {
+      if (this.api.isSignedIn && this.available) {
+        this.api.goAway(true).catch(() => {});
+      }
+    });
+  }
+
+  // ==================== SIGN IN ====================
+
+  /**
+   * @param {string} [notice]
+   */
+  showSignIn(notice = '') {
+    this.stopPolling();
+    renderSignIn(this.root, this.api, { title: 'Staff inbox', notice, onSignedIn: () => this.showInbox() });
+  }
+
+  // ==================== INBOX ====================
+
+  showInbox() {
+    this.root.replaceChildren();
+    this.renderedKey = null;
+
+    const header = el('header', 'staff-header');
+    const title = el('h1', 'staff-title', 'Staff inbox');
+    this.onlineEl = el('span', 'staff-online');
+    this.connectionEl = el('span', 'staff-connection');
+    this.connectionEl.hidden = true;
+
+    this.awayBtn = el('button', 'staff-btn');
+    this.awayBtn.type = 'button';
+    this.awayBtn.addEventListener('click', () => this.toggleAway());
+
+    const signOutBtn = el('button', 'staff-btn', 'Sign out');
+    signOutBtn.type = 'button';
+    signOutBtn.addEventListener('click', () => this.signOut());
+
+    const actions = el('div', 'staff-header-actions');
+    actions.append(this.connectionEl, el('span', 'staff-me', this.api.name), this.awayBtn, signOutBtn);
+    header.append(title, renderNav('inbox'), this.onlineEl, actions);
+
+    this.listEl = el('ul', 'staff-list');
+    this.detailEl = el('section', 'staff-detail');
+
+    const main = el('main', 'staff-main');
+    main.append(this.listEl, this.detailEl);
+
+    this.root.append(header, main);
+    this.renderAway();
+    this.renderDetail();
+    this.poll();
+  }
+
+  async signOut() {
+    this.stopPolling();
+    if (this.available) {
+      await this.api.goAway().catch(() => {});
+    }
+    this.api.signOut();
+    this.selectedId = null;
+    this.selected = null;
+    this.showSignIn();
+  }
+
+  async toggleAway() {
+    this.available = !this.available;
+    this.renderAway();
+    if (!this.available) {
+      // Right away, instead of waiting for the check-in to time out
+      await this.api.goAway().catch(error => console.warn('⚠️ Could not mark as away:', error.message));
+    }
+    this.poll();
+  }
+
+  renderAway() {
+    this.awayBtn.textContent = this.available ? 'Set as away' : 'Back online';
+    this.awayBtn.classList.toggle('active', !this.available);
+    this.root.classList.toggle('is-away', !this.available);
+  }
+
+  // ==================== POLLING ====================
+
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async poll() {
+    this.stopPolling();
+    if (!this.api.isSignedIn) return;
+    if (this.isPolling) {
+      // Picked up right after the current one (e.g. another conversation was selected)
+      this.pollAgain = true;
+      return;
+    }
+    this.isPolling = true;
+    this.pollAgain = false;
+    const chatId = this.selectedId;
+
+    try {
+      const inbox = await this.api.getInbox({ chatId, available: this.available });
+      this.connectionEl.hidden = true;
+      this.renderOnline(inbox.online);
+      this.renderList(inbox.handoffs);
+      if (chatId === this.selectedId) {
+        this.selected = inbox.handoff;
+        this.renderDetail();
+      }
+    } catch (error) {
+      if (!this.api.isSignedIn) return;
+      if (error.status === 404 && chatId && chatId === this.selectedId) {
+        this.selectedId = null;
+        this.selected = null;
+        this.renderDetail();
+      } else {
+        console.error('❌ Inbox poll failed:', error.message);
+        this.connectionEl.textContent = error instanceof NetworkError ? 'Offline' : 'Not updating';
+        this.connectionEl.hidden = false;
+      }
+    } finally {
+      this.isPolling = false;
+    }
+
+    if (!this.api.isSignedIn) return;
+    if (this.pollAgain) {
+      this.poll();
+    } else {
+      this.pollTimer = setTimeout(() => this.poll(), POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * @param {string[]} online
+   */
+  renderOnline(online) {
+    this.onlineEl.textContent = online.length > 0
+      ? `Online: ${online.join(', ')}`
+      : 'Nobody online: visitors are asked to leave a message';
+  }
+
+  /**
+   * @param {Object[]} handoffs - Summaries, open ones first
+   */
+  renderList(handoffs) {
+    this.listEl.replaceChildren();
+
+    if (handoffs.length === 0) {
+      this.listEl.append(el('li', 'staff-empty', 'No conversations yet.'));
+      return;
+    }
+
+    handoffs.forEach(handoff => {
+      const item = el('li', `staff-list-item status-${handoff.status}`);
+      item.classList.toggle('selected', handoff.id === this.selectedId);
+      item.tabIndex = 0;
+      item.setAttribute('role', 'button');
+
+      const top = el('div', 'staff-list-top');
+      top.append(
+        el('span', 'staff-list-name', visitorName(handoff)),
+        el('span', `staff-status status-${handoff.status}`, STATUS_LABELS[handoff.status] || handoff.status)
+      );
+
+      const preview = handoff.last_message?.content || handoff.reason || '';
+      const meta = [
+        handoff.operator,
+        handoff.locale === 'fr-CA' ? 'FR' : 'EN',
+        formatTime(handoff.updated_at)
+      ].filter(Boolean).join(' · ');
+
+      item.append(top, el('p', 'staff-list-preview', preview), el('span', 'staff-list-meta', meta));
+
+      const select = () => this.select(handoff.id);
+      item.addEventListener('click', select);
+      item.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          select();
+        }
+      });
+      this.listEl.append(item);
+    });
+  }
+
+  /**
+   * @param {string} chatId
+   */
+  select(chatId) {
+    if (chatId === this.selectedId) return;
+    this.selectedId = chatId;
+    this.selected = null;
+    this.renderedKey = null;
+    this.listEl.querySelectorAll('.staff-list-item').forEach(item => item.classList.remove('selected'));
+    this.renderDetail();
+    this.poll();
+  }
+
+  // ==================== CONVERSATION ====================
+
+  renderDetail() {
+    const handoff = this.selected;
+
+    if (!handoff) {
+      this.renderedKey = null;
+      this.replyInput = null;
+      this.detailEl.replaceChildren(el('p', 'staff-empty', this.selectedId
+        ? 'Loading…'
+        : 'Select a conversation.'));
+      return;
+    }
+
+    const key = `${handoff.id}:${handoff.status}:${handoff.operator}:${handoff.messages.length}`;
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+
+    // Keep what was being typed across updates
+    const draft = this.replyInput?.value || '';
+
+    const isOpen = OPEN_STATUSES.includes(handoff.status);
+    const isMine = handoff.operator === this.api.name;
+
+    const head = el('div', 'staff-detail-head');
+    const heading = el('div');
+    heading.append(
+      el('h2', 'staff-detail-title', visitorName(handoff)),
+      el('span', `staff-status status-${handoff.status}`, handoff.operator && isOpen
+        ? `${STATUS_LABELS[handoff.status]} · ${handoff.operator}`
+        : STATUS_LABELS[handoff.status] || handoff.status)
+    );
+
+    const actions = el('div', 'staff-detail-actions');
+    if (isOpen && !isMine) {
+      actions.append(this.actionButton(handoff.operator ? 'Take over' : 'Claim', 'claim', 'staff-btn-primary'));
+    }
+    if (handoff.status !== 'closed') {
+      actions.append(this.actionButton(isOpen ? 'End' : 'Mark handled', 'close'));
+    }
+    head.append(heading, actions);
+
+    const details = el('dl', 'staff-visitor');
+    Object.entries(VISITOR_LABELS).forEach(([field, label]) => {
+      const value = handoff.visitor?.[field];
+      if (value) details.append(el('dt', null, label), el('dd', null, value));
+    });
+    details.append(
+      el('dt', null, 'Asked by'),
+      el('dd', null, handoff.requested_by === 'agent' ? 'The agent' : 'The visitor'),
+      el('dt', null, 'Language'),
+      el('dd', null, handoff.locale === 'fr-CA' ? 'French' : 'English')
+    );
+    if (handoff.reason) {
+      details.append(el('dt', null, 'Reason'), el('dd', null, handoff.reason));
+    }
+
+    const thread = el('div', 'staff-thread');
+
+    if (handoff.context?.length > 0) {
+      const context = el('details', 'staff-context');
+      context.append(el('summary', null, `Conversation with the agent (${handoff.context.length})`));
+      handoff.context.forEach(msg => {
+        context.append(this.messageElement(msg.role === 'user' ? 'visitor' : 'agent', msg.content));
+      });
+      thread.append(context);
+    }
+
+    handoff.messages.forEach(msg => {
+      if (msg.from === 'system') {
+        thread.append(el('p', 'staff-system', `${msg.content} · ${formatTime(msg.created_at)}`));
+      } else {
+        thread.append(this.messageElement(msg.from, msg.content, msg.author, msg.created_at));
+      }
+    });
+
+    this.detailEl.replaceChildren(head, details, thread);
+
+    if (isOpen) {
+      this.detailEl.append(this.replyForm(draft));
+    } else {
+      this.replyInput = null;
+    }
+
+    thread.scrollTop = thread.scrollHeight;
+  }
+
+  /**
+   * @param {'visitor'|'operator'|'agent'} from
+   * @param {string} content
+   * @param {string|null} [author]
+   * @param {string} [createdAt]
+   * @returns {HTMLElement}
+   */
+  messageElement(from, content, author = null, createdAt = null) {
+    const message = el('div', `staff-message from-${from}`);
+    const who = from === 'visitor' ? 'Visitor' : from === 'agent' ? 'Agent' : author || 'Team';
+    message.append(
+      el('span', 'staff-message-meta', createdAt ? `${who} · ${formatTime(createdAt)}` : who),
+      el('p', 'staff-message-text', content)
+    );
+    return message;
+  }
+
+  /**
+   * @param {string} draft - Text to restore
+   * @returns {HTMLFormElement}
+   */
+  replyForm(draft) {
+    const form = el('form', 'staff-reply');
+    const input = el('textarea', 'staff-input');
+    input.rows = 3;
+    input.maxLength = CONFIG.maxMessageLength;
+    input.placeholder = 'Reply to the visitor (Enter to send, Shift+Enter for a new line)';
+    input.value = draft;
+
+    const send = el('button', 'staff-btn staff-btn-primary', 'Send');
+    send.type = 'submit';
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
+        form.requestSubmit();
+      }
+    });
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const content = input.value.trim();
+      if (!content) return;
+
+      send.disabled = true;
+      const sent = await this.act('reply', content);
+      send.disabled = false;
+      if (sent) this.replyInput?.focus();
+    });
+
+    form.append(input, send);
+    this.replyInput = input;
+    return form;
+  }
+
+  /**
+   * @param {string} label
+   * @param {'claim'|'close'} action
+   * @param {string} [variant]
+   * @returns {HTMLButtonElement}
+   */
+  actionButton(label, action, variant = '') {
+    const button = el('button', `staff-btn ${variant}`.trim(), label);
+    button.type = 'button';
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      await this.act(action);
+      button.disabled = false;
+    });
+    return button;
+  }
+
+  /**
+   * Act on the selected handoff and show the result
+   * @param {'claim'|'reply'|'close'} action
+   * @param {string} [content]
+   * @returns {Promise<boolean>} Whether it went through
+   */
+  async act(action, content) {
+    if (!this.selectedId) return false;
+
+    try {
+      const { handoff } = await this.api.updateHandoff(action, this.selectedId, content);
+      if (handoff.id === this.selectedId) {
+        // Keep the draft out of the re-render: it was just sent
+        if (action === 'reply' && this.replyInput) this.replyInput.value = '';
+        this.selected = handoff;
+        this.renderDetail();
+      }
+      this.poll();
+      return true;
+    } catch (error) {
+      if (!this.api.isSignedIn) return false;
+      console.error(`❌ Could not ${action}:`, error.message);
+      window.alert(error.code === 'handoff_closed'
+        ? 'This conversation is no longer open.'
+        : error instanceof NetworkError
+          ? 'Could not reach the server. Please try again.'
+          : `Could not ${action === 'reply' ? 'send the reply' : action}: ${error.message}`);
+      this.poll();
+      return false;
+    }
+  }
+}
+
+new StaffInbox(document.getElementById('staff-app')).start();
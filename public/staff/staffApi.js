@@ -0,0 +1,224 @@
+/**
+ * StaffApi - Client for the staff endpoints (api/staff-*)
+ * Signs a team member in and sends the staff token with every request. The
+ * token lives in sessionStorage: closing the tab signs out.
+ */
+import { NetworkError, errorFromResponse } from '../src/services/ApiErrors.js';
+
+const SESSION_KEY = 'flexspace_staff_session';
+const REQUEST_TIMEOUT = 15000;
+
+/** API codes meaning the team member has to sign in again */
+const SIGNED_OUT_CODES = ['invalid_staff_token', 'staff_token_expired'];
+
+/**
+ * @typedef {Object} StaffSession
+ * @property {string} token
+ * @property {string} name
+ * @property {string} expires_at
+ */
+
+/**
+ * @param {Object} params - Empty values are left out
+ * @returns {string} Query string, with its "?"
+ */
+function toQuery(params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+  });
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+export class StaffApi {
+  /**
+   * @param {string} [baseUrl=''] - API origin (same origin by default)
+   */
+  constructor(baseUrl = '') {
+    this.baseUrl = baseUrl;
+    /** @type {StaffSession|null} */
+    this.session = this.loadSession();
+    /** @type {Function|null} Called when the session is rejected */
+    this.onSignedOut = null;
+  }
+
+  /**
+   * @returns {StaffSession|null} Stored session, unless expired
+   */
+  loadSession() {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+      if (session?.token && Date.parse(session.expires_at) > Date.now()) {
+        return session;
+      }
+    } catch {
+      // Unreadable or unavailable storage
+    }
+    return null;
+  }
+
+  /** @returns {boolean} */
+  get isSignedIn() {
+    return this.session !== null;
+  }
+
+  /** @returns {string|null} */
+  get name() {
+    return this.session?.name || null;
+  }
+
+  /**
+   * Sign in with the team password
+   * @param {string} name - Shown to visitors when replying
+   * @param {string} password
+   * @returns {Promise<StaffSession>}
+   */
+  async signIn(name, password) {
+    const session = await this.request('/api/staff-login', {
+      method: 'POST',
+      body: { name, password },
+      auth: false
+    });
+    this.session = session;
+    try {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch {
+      // Storage unavailable: signed in for this page only
+    }
+    return session;
+  }
+
+  signOut() {
+    this.session = null;
+    try {
+      sessionStorage.removeItem(SESSION_KEY);
+    } catch {
+      // Storage unavailable
+    }
+  }
+
+  /**
+   * Call a staff endpoint
+   * @param {string} path
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.body]
+   * @param {boolean} [options.auth=true] - Send the staff token
+   * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+   * @param {boolean} [options.blob=false] - Return the body as a Blob (downloads)
+   * @returns {Promise<Object|Blob>} Parsed JSON body
+   */
+  async request(path, { method = 'GET', body, auth = true, keepalive = false, blob = false } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (auth && this.session) headers.Authorization = `Bearer ${this.session.token}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+        keepalive
+      });
+    } catch (error) {
+      throw new NetworkError(error.message || 'Network error', { timedOut: controller.signal.aborted });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const error = await errorFromResponse(response, 'Request failed');
+      if (auth && SIGNED_OUT_CODES.includes(error.code)) {
+        this.signOut();
+        this.onSignedOut?.(error);
+      }
+      throw error;
+    }
+
+    return blob ? response.blob() : response.json();
+  }
+
+  /**
+   * Check in and list the handoffs
+   * @param {Object} [options]
+   * @param {string|null} [options.chatId] - Also return this handoff in full
+   * @param {boolean} [options.available=true] - false while away
+   * @returns {Promise<{me: string, online: string[], handoffs: Object[], handoff: Object|null}>}
+   */
+  getInbox({ chatId = null, available = true } = {}) {
+    return this.request(`/api/staff-inbox${toQuery({ chat_id: chatId, available: available ? null : '0' })}`);
+  }
+
+  /**
+   * Act on a handoff
+   * @param {'claim'|'reply'|'close'} action
+   * @param {string} chatId
+   * @param {string} [content] - Reply text
+   * @returns {Promise<{handoff: Object}>}
+   */
+  updateHandoff(action, chatId, content) {
+    return this.request('/api/staff-inbox', {
+      method: 'POST',
+      body: { action, chat_id: chatId, ...(content !== undefined && { content }) }
+    });
+  }
+
+  /**
+   * Stop receiving handoffs (also sent when the page closes)
+   * @param {boolean} [keepalive=false]
+   * @returns {Promise<Object>}
+   */
+  goAway(keepalive = false) {
+    return this.request('/api/staff-inbox', { method: 'POST', body: { action: 'away' }, keepalive });
+  }
+
+  /**
+   * Recorded conversations
+   * @param {Object} [filters] - status, from, to, has_email, service_type, limit, offset
+   * @returns {Promise<{chats: Object[], total: number, service_types: string[]}>}
+   */
+  listChats(filters = {}) {
+    return this.request(`/api/staff-chats${toQuery(filters)}`);
+  }
+
+  /**
+   * One conversation in full
+   * @param {string} chatId
+   * @returns {Promise<{chat: Object, variables: Object, lead: Object|null, handoff: Object|null}>}
+   */
+  getChat(chatId) {
+    return this.request(`/api/staff-chats${toQuery({ chat_id: chatId })}`);
+  }
+
+  /**
+   * @param {Object} [filters] - contacted, from, to, has_email, service_type, limit, offset
+   * @returns {Promise<{leads: Object[], total: number, service_types: string[]}>}
+   */
+  listLeads(filters = {}) {
+    return this.request(`/api/staff-leads${toQuery(filters)}`);
+  }
+
+  /**
+   * Leads matching the filters as a CSV file
+   * @param {Object} [filters]
+   * @returns {Promise<Blob>}
+   */
+  exportLeads(filters = {}) {
+    return this.request(`/api/staff-leads${toQuery({ ...filters, format: 'csv' })}`, { blob: true });
+  }
+
+  /**
+   * @param {string} leadId
+   * @param {boolean} contacted
+   * @returns {Promise<{lead: Object}>}
+   */
+  setLeadContacted(leadId, contacted) {
+    return this.request('/api/staff-leads', { method: 'POST', body: { lead_id: leadId, contacted } });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Shared pieces of the staff pages: DOM helpers and the sign-in form
+ * Everything is built with textContent: visitors typed most of what is shown.
+ */
+
+/**
+ * Create an element
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+export function el(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * @param {string} iso
+ * @returns {string} Local time, with the date when not today
+ */
+export function formatTime(iso) {
+  const date = new Date(iso);
+  if (!iso || Number.isNaN(date.getTime())) return '';
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Show the sign-in form in place of the page
+ * @param {HTMLElement} root
+ * @param {import('./staffApi.js').StaffApi} api
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.notice] - e.g. why the previous session ended
+ * @param {function(): void} options.onSignedIn
+ */
+export function renderSignIn(root, api, { title, notice = '', onSignedIn }) {
+  root.replaceChildren();
+
+  const form = el('form', 'staff-signin');
+  form.noValidate = true;
+  form.append(el('h1', 'staff-signin-title', title));
+
+  const error = el('p', 'staff-error', notice);
+  error.hidden = !notice;
+
+  const nameInput = el('input', 'staff-input');
+  nameInput.name = 'name';
+  nameInput.autocomplete = 'name';
+  nameInput.maxLength = 60;
+  nameInput.placeholder = 'Your name (shown to visitors)';
+  nameInput.required = true;
+  nameInput.value = api.name || '';
+
+  const passwordInput = el('input', 'staff-input');
+  passwordInput.type = 'password';
+  passwordInput.name = 'password';
+  passwordInput.autocomplete = 'current-password';
+  passwordInput.placeholder = 'Team password';
+  passwordInput.required = true;
+
+  const submit = el('button', 'staff-btn staff-btn-primary', 'Sign in');
+  submit.type = 'submit';
+
+  form.append(error, nameInput, passwordInput, submit);
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const name = nameInput.value.trim();
+    if (!name || !passwordInput.value) {
+      error.textContent = 'Enter your name and the team password.';
+      error.hidden = false;
+      return;
+    }
+
+    submit.disabled = true;
+    try {
+      await api.signIn(name, passwordInput.value);
+      onSignedIn();
+    } catch (err) {
+      error.textContent = err.code === 'invalid_credentials'
+        ? 'Wrong password.'
+        : err.status === 429
+          ? 'Too many attempts. Try again in a few minutes.'
+          : `Could not sign in: ${err.message}`;
+      error.hidden = false;
+      submit.disabled = false;
+    }
+  });
+
+  root.append(form);
+  nameInput.focus();
+}
+
+/**
+ * Links between the staff pages
+ * @param {'inbox'|'dashboard'} current
+ * @returns {HTMLElement}
+ */
+export function renderNav(current) {
+  const nav = el('nav', 'staff-nav');
+  [['inbox', 'inbox.html', 'Inbox'], ['dashboard', 'index.html', 'Conversations & leads']].forEach(([page, href, label]) => {
+    const link = el('a', 'staff-nav-link', label);
+    link.href = href;
+    if (page === current) link.setAttribute('aria-current', 'page');
+    nav.append(link);
+  });
+  return nav;
+}
@@ -0,0 +1,298 @@
+/**
+ * Retell API simulator
+ * Local stand-in for https://api.retellai.com so the widget and the API
+ * functions can run with no network and no Retell account.
+ *
+ * Implements: POST /create-chat, POST /create-chat-completion,
+ * GET /get-chat/:chat_id, PATCH|POST /end-chat/:chat_id
+ * Replies come from scripted personas (see personas.js), chosen by agent_id
+ * ("sim_short", "sim_error"...) or --persona.
+ *
+ * Usage:
+ *   node tools/retell-simulator/index.js [--port 8787] [--persona sales]
+ *     [--delay 300] [--webhook-url http://localhost:3000/api/retell-webhook]
+ *
+ * Then run the API functions against it:
+ *   RETELL_API_BASE_URL=http://localhost:8787 RETELL_API_KEY=sim_key \
+ *   RETELL_AGENT_ID=sim_sales vercel dev
+ *
+ * State is in memory and lost on restart.
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { PERSONAS, DEFAULT_PERSONA, getPersona } from './personas.js';
+import { signRetellPayload } from '../../api/_lib/retellSignature.js';
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.RETELL_SIM_PORT || '8787' },
+    persona: { type: 'string', default: process.env.RETELL_SIM_PERSONA || DEFAULT_PERSONA },
+    delay: { type: 'string', default: process.env.RETELL_SIM_DELAY || '300' },
+    'webhook-url': { type: 'string', default: process.env.RETELL_SIM_WEBHOOK_URL || '' },
+    'api-key': { type: 'string', default: process.env.RETELL_API_KEY || '' }
+  }
+});
+
+if (!PERSONAS[options.persona]) {
+  console.error(`❌ Unknown persona "${options.persona}". Available: ${Object.keys(PERSONAS).join(', ')}`);
+  process.exit(1);
+}
+
+/** @type {Map<string, Object>} Chats by chat_id */
+const chats = new Map();
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status).end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+/**
+ * Retell-style error body
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ */
+function sendError(res, status, message) {
+  send(res, status, { status: 'error', error_message: message });
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Requests must carry a bearer token (and match --api-key when set)
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+  const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (!token) return false;
+  return !options['api-key'] || token === options['api-key'];
+}
+
+/**
+ * @param {Object} chat
+ * @returns {string} Transcript in Retell's "Role: text" format
+ */
+function buildTranscript(chat) {
+  return chat.message_with_tool_calls
+    .map(msg => `${msg.role === 'agent' ? 'Agent' : 'User'}: ${msg.content}`)
+    .join('\n');
+}
+
+/**
+ * Public chat object, as returned by get-chat
+ * @param {Object} chat
+ * @returns {Object}
+ */
+function toChatResponse(chat) {
+  const { persona, turns, ...publicFields } = chat;
+  return { ...publicFields, transcript: buildTranscript(chat) };
+}
+
+/**
+ * Post a signed webhook, like Retell does (fire and forget)
+ * @param {string} event
+ * @param {Object} chat
+ */
+function sendWebhook(event, chat) {
+  if (!options['webhook-url']) return;
+
+  const body = JSON.stringify({ event, chat: toChatResponse(chat) });
+  fetch(options['webhook-url'], {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-retell-signature': signRetellPayload(body, options['api-key'] || 'sim_key')
+    },
+    body
+  })
+    .then(response => console.log(`↪ webhook ${event} ${chat.chat_id}: ${response.status}`))
+    .catch(error => console.warn(`⚠️ webhook ${event} failed:`, error.message));
+}
+
+/**
+ * End a chat and emit the end-of-chat webhooks
+ * @param {Object} chat
+ */
+function endChat(chat) {
+  if (chat.chat_status === 'ended') return;
+
+  chat.chat_status = 'ended';
+  chat.end_timestamp = Date.now();
+  chat.chat_analysis = {
+    chat_summary: `Simulated chat with ${chat.turns} visitor message(s).`,
+    user_sentiment: 'Neutral',
+    chat_successful: Boolean(chat.collected_dynamic_variables.email || chat.collected_dynamic_variables.user_number),
+    custom_analysis_data: { ...chat.collected_dynamic_variables }
+  };
+
+  sendWebhook('chat_ended', chat);
+  sendWebhook('chat_analyzed', chat);
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * POST /create-chat
+ */
+async function handleCreateChat(req, res) {
+  const body = await readJson(req);
+  if (!body.agent_id) {
+    return sendError(res, 400, 'agent_id is required');
+  }
+
+  const { name } = getPersona(body.agent_id, options.persona);
+  const chat = {
+    chat_id: `sim_chat_${randomUUID().replace(/-/g, '').slice(0, 24)}`,
+    agent_id: body.agent_id,
+    chat_status: 'ongoing',
+    start_timestamp: Date.now(),
+    retell_llm_dynamic_variables: body.retell_llm_dynamic_variables || {},
+    collected_dynamic_variables: {},
+    metadata: body.metadata || {},
+    message_with_tool_calls: [],
+    persona: name,
+    turns: 0
+  };
+  chats.set(chat.chat_id, chat);
+  console.log(`+ chat ${chat.chat_id} (persona: ${name})`);
+
+  sendWebhook('chat_started', chat);
+  return send(res, 201, toChatResponse(chat));
+}
+
+/**
+ * POST /create-chat-completion
+ */
+async function handleCompletion(req, res) {
+  const { chat_id, content } = await readJson(req);
+  const chat = chats.get(chat_id);
+  const persona = chat && PERSONAS[chat.persona];
+
+  if (!chat || persona.chatNotFound) {
+    return sendError(res, 404, 'Chat not found');
+  }
+  if (chat.chat_status === 'ended') {
+    return sendError(res, 400, 'Chat already ended');
+  }
+  if (persona.completionError) {
+    return sendError(res, persona.completionError.status, persona.completionError.message);
+  }
+
+  // The first message is the widget's hidden greeting trigger
+  const isGreeting = chat.message_with_tool_calls.length === 0;
+  if (!isGreeting) {
+    chat.turns += 1;
+    chat.message_with_tool_calls.push({
+      message_id: randomUUID(),
+      role: 'user',
+      content: String(content || ''),
+      created_timestamp: Date.now()
+    });
+  }
+
+  const reply = persona.reply(chat, String(content || ''), isGreeting ? 0 : chat.turns);
+  Object.assign(chat.collected_dynamic_variables, reply.variables || {});
+
+  const agentMessage = {
+    message_id: randomUUID(),
+    role: 'agent',
+    content: reply.content,
+    created_timestamp: Date.now()
+  };
+  chat.message_with_tool_calls.push(agentMessage);
+
+  // Like a real agent calling end_chat: the reply is delivered, then the chat ends
+  if (reply.end || (persona.maxTurns && chat.turns >= persona.maxTurns)) {
+    endChat(chat);
+  }
+
+  await new Promise(resolve => setTimeout(resolve, Number(options.delay) || 0));
+  return send(res, 200, { messages: [agentMessage] });
+}
+
+/**
+ * GET /get-chat/:chat_id
+ */
+function handleGetChat(res, chatId) {
+  const chat = chats.get(chatId);
+  if (!chat || PERSONAS[chat.persona].chatNotFound) {
+    return sendError(res, 404, 'Chat not found');
+  }
+  return send(res, 200, toChatResponse(chat));
+}
+
+/**
+ * PATCH|POST /end-chat/:chat_id
+ */
+function handleEndChat(res, chatId) {
+  const chat = chats.get(chatId);
+  if (!chat) {
+    return sendError(res, 404, 'Chat not found');
+  }
+  endChat(chat);
+  // The widget's end-chat function expects a JSON body
+  return send(res, 200, toChatResponse(chat));
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  console.log(`${req.method} ${pathname}`);
+
+  try {
+    if (!isAuthorized(req)) {
+      return sendError(res, 401, 'Invalid API key');
+    }
+
+    const chatIdMatch = /^\/(get-chat|end-chat)\/([^/]+)$/.exec(pathname);
+
+    if (req.method === 'POST' && pathname === '/create-chat') {
+      return await handleCreateChat(req, res);
+    }
+    if (req.method === 'POST' && pathname === '/create-chat-completion') {
+      return await handleCompletion(req, res);
+    }
+    if (req.method === 'GET' && chatIdMatch?.[1] === 'get-chat') {
+      return handleGetChat(res, decodeURIComponent(chatIdMatch[2]));
+    }
+    if (['PATCH', 'POST'].includes(req.method) && chatIdMatch?.[1] === 'end-chat') {
+      return handleEndChat(res, decodeURIComponent(chatIdMatch[2]));
+    }
+
+    return sendError(res, 404, `No route for ${req.method} ${pathname}`);
+  } catch (error) {
+    console.error('❌ Simulator error:', error);
+    return sendError(res, error instanceof SyntaxError ? 400 : 500, error.message);
+  }
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`🤖 Retell simulator on http://localhost:${options.port} (default persona: ${options.persona})`);
+  Object.entries(PERSONAS).forEach(([name, persona]) => {
+    console.log(`   sim_${name}: ${persona.description}`);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Scripted agent personas for the Retell simulator
+ *
+ * A persona is picked from the chat's agent_id ("sim_<persona>", e.g. sim_short)
+ * or falls back to the simulator's default persona.
+ *
+ * @typedef {Object} SimChat - Chat as stored by the simulator (Retell chat object fields)
+ * @property {string} chat_id
+ * @property {Object<string, string>} retell_llm_dynamic_variables
+ * @property {Object<string, string>} collected_dynamic_variables
+ * @property {Array<{role: string, content: string}>} message_with_tool_calls
+ *
+ * @typedef {Object} PersonaReply
+ * @property {string} content - Agent message
+ * @property {Object<string, string>} [variables] - Variables collected from this turn
+ * @property {boolean} [end] - End the chat after this reply
+ *
+ * @typedef {Object} Persona
+ * @property {string} description
+ * @property {number} [maxTurns] - Auto-end after this many visitor messages
+ * @property {{status: number, message: string}} [completionError] - Fail every completion
+ * @property {boolean} [chatNotFound] - Answer 404 for the chat after creation (expired chat)
+ * @property {function(SimChat, string, number): PersonaReply} [reply] - (chat, visitor text, turn)
+ */
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]{2,}/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/;
+const NAME_PATTERN = /\b(?:my name is|call me|je m'appelle|je me nomme)\s+(\p{L}[\p{L}'-]*)/iu;
+const PRICING_PATTERN = /pallet|palette|price|pricing|cost|prix|tarif|combien|how much/i;
+const COMPANY_PATTERN = /\b(?:i work (?:at|for)|company is|je travaille (?:chez|pour))\s+([\p{L}\d&'. -]{2,40})/iu;
+
+/** Agent lines per language */
+const LINES = {
+  en: {
+    greeting: (name) => `Hi${name ? ` ${name}` : ''}! I'm the Flexspace assistant. How can I help with your storage or logistics needs today?`,
+    pricing: 'Pallet storage starts at $25 per pallet per month, with volume discounts from 50 pallets. What are you looking to store?',
+    locations: 'We have warehouses in Montreal, Laval and Toronto. Which area works best for you?',
+    services: 'We offer pallet storage, fulfillment, cross-docking and last-mile delivery.',
+    askEmail: 'I can have someone send you a detailed quote. What is the best email to reach you?',
+    askName: 'Thanks! And who am I speaking with?',
+    askCompany: (name) => `Nice to meet you, ${name}. Which company are you with?`,
+    captured: 'Perfect, our sales team will follow up shortly. Anything else I can help with?',
+    fallback: 'Good question! Could you tell me a bit more about what you need?',
+    goodbye: 'Thanks for chatting with Flexspace. Have a great day!'
+  },
+  fr: {
+    greeting: (name) => `Bonjour${name ? ` ${name}` : ''}! Je suis l’assistant Flexspace. Comment puis-je vous aider avec l’entreposage ou la logistique?`,
+    pricing: 'L’entreposage commence à 25 $ par palette par mois, avec des rabais à partir de 50 palettes. Que souhaitez-vous entreposer?',
+    locations: 'Nous avons des entrepôts à Montréal, Laval et Toronto. Quelle région vous convient le mieux?',
+    services: 'Nous offrons l’entreposage sur palettes, l’exécution de commandes, le transbordement et la livraison du dernier kilomètre.',
+    askEmail: 'Je peux vous faire envoyer une soumission détaillée. Quelle est la meilleure adresse courriel pour vous joindre?',
+    askName: 'Merci! Et à qui ai-je le plaisir de parler?',
+    askCompany: (name) => `Enchanté, ${name}. Pour quelle entreprise travaillez-vous?`,
+    captured: 'Parfait, notre équipe des ventes fera un suivi sous peu. Puis-je vous aider avec autre chose?',
+    fallback: 'Bonne question! Pouvez-vous m’en dire un peu plus sur vos besoins?',
+    goodbye: 'Merci d’avoir clavardé avec Flexspace. Bonne journée!'
+  }
+};
+
+/**
+ * @param {SimChat} chat
+ * @returns {'en'|'fr'}
+ */
+function getLanguage(chat) {
+  return /^fr/i.test(chat.retell_llm_dynamic_variables?.locale || '') ? 'fr' : 'en';
+}
+
+/**
+ * Rule-based sales agent: answers common questions and collects contact details
+ * @param {SimChat} chat
+ * @param {string} text - Visitor message
+ * @param {number} turn - 0 for the greeting trigger, then 1, 2...
+ * @returns {PersonaReply}
+ */
+function salesReply(chat, text, turn) {
+  const lines = LINES[getLanguage(chat)];
+  const known = { ...chat.retell_llm_dynamic_variables, ...chat.collected_dynamic_variables };
+
+  if (turn === 0) {
+    return { content: lines.greeting(known.first_name) };
+  }
+
+  if (/\b(bye|goodbye|au revoir)\b/i.test(text)) {
+    return { content: lines.goodbye, end: true };
+  }
+
+  // Contact details given in this message
+  const variables = {};
+  const email = text.match(EMAIL_PATTERN)?.[0];
+  const phone = text.match(PHONE_PATTERN)?.[0];
+  const name = text.match(NAME_PATTERN)?.[1];
+  const company = text.match(COMPANY_PATTERN)?.[1]?.trim();
+  if (email) variables.email = email.toLowerCase();
+  if (phone && !email) variables.user_number = phone.trim();
+  if (name) variables.first_name = name.charAt(0).toUpperCase() + name.slice(1);
+  if (company) variables.company_name = company;
+
+  if (PRICING_PATTERN.test(text)) {
+    variables.primary_service_type = variables.primary_service_type || 'pallet_storage';
+  }
+
+  const all = { ...known, ...variables };
+
+  const gaveDetails = variables.email || variables.user_number || variables.first_name || variables.company_name;
+  if (gaveDetails) {
+    if (!all.first_name) return { content: lines.askName, variables };
+    if (!all.company_name) return { content: lines.askCompany(all.first_name), variables };
+    if (!all.email && !all.user_number) return { content: lines.askEmail, variables };
+    return { content: lines.captured, variables };
+  }
+
+  if (PRICING_PATTERN.test(text)) {
+    return { content: `${lines.pricing} ${all.email ? '' : lines.askEmail}`.trim(), variables };
+  }
+  if (/where|warehouse|location|entrepôt|où|situé/i.test(text)) {
+    return { content: lines.locations };
+  }
+  if (/service|offer|offrez|faites/i.test(text)) {
+    return { content: lines.services };
+  }
+
+  return { content: lines.fallback };
+}
+
+/** @type {Object<string, Persona>} */
+export const PERSONAS = {
+  sales: {
+    description: 'Greets, answers pricing/location/service questions, collects name, company and email; ends after 12 turns',
+    maxTurns: 12,
+    reply: salesReply
+  },
+  short: {
+    description: 'Same script, but the chat auto-ends after 2 visitor messages',
+    maxTurns: 2,
+    reply: salesReply
+  },
+  error: {
+    description: 'Creates chats, then fails every completion with HTTP 500',
+    completionError: { status: 500, message: 'Simulated Retell outage' }
+  },
+  not_found: {
+    description: 'Creates chats, then answers 404 for them (expired/unknown chat)',
+    chatNotFound: true
+  }
+};
+
+export const DEFAULT_PERSONA = 'sales';
+
+/**
+ * Resolve the persona for an agent_id ("sim_<persona>")
+ * @param {string|undefined} agentId
+ * @param {string} [fallback=DEFAULT_PERSONA]
+ * @returns {{name: string, persona: Persona}}
+ */
+export function getPersona(agentId, fallback = DEFAULT_PERSONA) {
+  const requested = /^sim_(\w+)$/.exec(agentId || '')?.[1];
+  const name = PERSONAS[requested] ? requested : fallback;
+  return { name, persona: PERSONAS[name] };
+}